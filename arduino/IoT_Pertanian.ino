@@ -60,6 +60,12 @@ const char* password = "1357924680";
 const char* server = "10.108.206.183";
 const int port = 3001;
 
+// Device identity, must be unique per board
+const char* deviceId = "pertanian-01";
+// API key issued by the backend (POST /api/devices/<deviceId>/key). Leave
+// empty only while the backend runs with ALLOW_KEYLESS_DEVICES=true.
+const char* deviceApiKey = "";
+
 // HTTP client
 WiFiClient wifi;
 HttpClient http(wifi, server, port);
@@ -110,6 +116,52 @@ unsigned long pumpStartTime = 0;
 bool isPumpActive = false;
 const unsigned long MAX_PUMP_DURATION = 30000;
 
+// Remote pump control, set by commands from the backend
+bool manualPumpMode = false;
+unsigned long manualPumpDuration = 0;
+
+// Health heartbeat: signal, uptime and current error code, reported to
+// /api/devices/<deviceId>/health so the backend can tell a broken board apart
+const unsigned long HEALTH_INTERVAL = 60000;
+unsigned long lastHealthReport = 0;
+const char* const ERROR_NAMES[] = {
+  "ERROR_NONE", "ERROR_DHT", "ERROR_SOIL", "ERROR_RAIN", "ERROR_AIR", "ERROR_LDR",
+  "ERROR_PUMP", "ERROR_WIFI", "ERROR_SERVER", "ERROR_TIME", "ERROR_DB"
+};
+
+// Store-and-forward backlog: readings taken while the server is unreachable
+// are kept here and uploaded to /api/sensors/batch once it is back
+struct BufferedReading {
+  SensorData data;
+  char timestamp[20];
+};
+const byte BACKLOG_SIZE = 24;
+const byte BACKLOG_UPLOAD_SIZE = 8;
+BufferedReading backlog[BACKLOG_SIZE];
+byte backlogStart = 0;
+byte backlogCount = 0;
+
+// Irrigation events waiting to be reported. Pump control only queues them and
+// the main loop sends them, so a slow or unreachable server never holds up
+// the pump (or its max-duration stop). When the queue is full the oldest
+// event is dropped.
+struct PendingIrrigationEvent {
+  const char* event;
+  const char* reason;
+  unsigned long durationSeconds;
+  int soilMoisture;
+  int rainValue;
+  char timestamp[20];
+};
+const byte EVENT_QUEUE_SIZE = 8;
+PendingIrrigationEvent eventQueue[EVENT_QUEUE_SIZE];
+byte eventQueueStart = 0;
+byte eventQueueCount = 0;
+// Wait between attempts while the server does not take the events
+const unsigned long EVENT_RETRY_INTERVAL = 30000;
+unsigned long lastEventAttempt = 0;
+bool eventSendFailed = false;
+
 // Add state execution flags to prevent multiple executions
 bool sensorsReadThisCycle = false;
 bool dataSentThisCycle = false;
@@ -121,6 +173,9 @@ bool systemInitialized = false;
 void performInitialSensorReading();
 bool testServerConnectivity();
 bool validateSensorData();
+void handleServerCommands(const String& response);
+void queueIrrigationEvent(const char* event, const char* reason, unsigned long durationSeconds);
+void sendIrrigationEvents();
 
 // Function to get status text based on sensor value with inversion parameter
 const char* getSensorStatus(int value, int lowThreshold, int mediumThreshold, bool invertLogic = false) {
@@ -266,6 +321,17 @@ void controlWatering() {
   int soilValue = sensorData.soilMoisture;
   int rainValue = sensorData.rainValue;
   
+  // Manual mode - the backend decides, only enforce the requested run time
+  if (manualPumpMode) {
+    if (isPumpActive && (millis() - pumpStartTime) > manualPumpDuration) {
+      digitalWrite(PUMP, LOW);
+      isPumpActive = false;
+      Serial.println(F("Pump stopped - Manual run finished"));
+      queueIrrigationEvent("stop", "manual_finished", (millis() - pumpStartTime) / 1000);
+    }
+    return;
+  }
+  
   // Check if pump is already running
   if (isPumpActive) {
     // Check if soil is now wet enough or max duration reached
@@ -273,6 +339,8 @@ void controlWatering() {
       digitalWrite(PUMP, LOW);
       isPumpActive = false;
       Serial.println(F("Pump stopped - Soil wet or max duration reached"));
+      queueIrrigationEvent("stop", soilValue > SOIL_LOW ? "soil_wet" : "max_duration",
+                           (millis() - pumpStartTime) / 1000);
     }
     return;
   }
@@ -289,13 +357,260 @@ void controlWatering() {
       isPumpActive = true;
       pumpStartTime = millis();
       Serial.println(F("Partial watering started - Medium rain"));
+      queueIrrigationEvent("start", "partial", 0);
     } else {
       // No rain - full watering
       digitalWrite(PUMP, HIGH);
       isPumpActive = true;
       pumpStartTime = millis();
       Serial.println(F("Full watering started - No rain"));
+      queueIrrigationEvent("start", "full", 0);
+    }
+  }
+}
+
+// Function to execute a pump command received from the backend
+bool executePumpCommand(const char* command, unsigned long durationSeconds) {
+  if (strcmp(command, "start") == 0) {
+    if (durationSeconds == 0) {
+      return false;
+    }
+    if (isPumpActive) {
+      queueIrrigationEvent("stop", "manual_stop", (millis() - pumpStartTime) / 1000);
+    }
+    manualPumpMode = true;
+    manualPumpDuration = durationSeconds * 1000UL;
+    digitalWrite(PUMP, HIGH);
+    isPumpActive = true;
+    pumpStartTime = millis();
+    snprintf(msgBuffer, sizeof(msgBuffer), "Manual watering started for %lus", durationSeconds);
+    Serial.println(msgBuffer);
+    queueIrrigationEvent("start", "manual", 0);
+    return true;
+  }
+  
+  if (strcmp(command, "stop") == 0) {
+    manualPumpMode = true;
+    digitalWrite(PUMP, LOW);
+    Serial.println(F("Pump stopped - Manual stop"));
+    if (isPumpActive) {
+      isPumpActive = false;
+      queueIrrigationEvent("stop", "manual_stop", (millis() - pumpStartTime) / 1000);
+    }
+    return true;
+  }
+  
+  if (strcmp(command, "auto") == 0) {
+    manualPumpMode = false;
+    Serial.println(F("Pump returned to automatic mode"));
+    return true;
+  }
+  
+  return false;
+}
+
+// Function to POST a JSON body to the backend, returns the HTTP status code
+int postJson(const char* path, const String& jsonData) {
+  http.beginRequest();
+  http.post(path);
+  http.sendHeader("Content-Type", "application/json");
+  if (deviceApiKey[0] != '\0') {
+    http.sendHeader("X-Device-Key", deviceApiKey);
+  }
+  http.sendHeader("Content-Length", jsonData.length());
+  http.sendHeader("Connection", "close");
+  http.write((const uint8_t*)jsonData.c_str(), jsonData.length());
+  http.endRequest();
+  
+  int statusCode = http.responseStatusCode();
+  http.stop();
+  return statusCode;
+}
+
+// Function to queue a pump start or stop for reporting to the backend
+void queueIrrigationEvent(const char* event, const char* reason, unsigned long durationSeconds) {
+  byte slot = (eventQueueStart + eventQueueCount) % EVENT_QUEUE_SIZE;
+  if (eventQueueCount == EVENT_QUEUE_SIZE) {
+    eventQueueStart = (eventQueueStart + 1) % EVENT_QUEUE_SIZE;
+  } else {
+    eventQueueCount++;
+  }
+  
+  PendingIrrigationEvent& pending = eventQueue[slot];
+  pending.event = event;
+  pending.reason = reason;
+  pending.durationSeconds = durationSeconds;
+  pending.soilMoisture = sensorData.soilMoisture;
+  pending.rainValue = sensorData.rainValue;
+  getFormattedTime(pending.timestamp, sizeof(pending.timestamp));
+}
+
+// Function to send queued irrigation events, oldest first. Stops at the first
+// one the server does not take and tries again after EVENT_RETRY_INTERVAL.
+void sendIrrigationEvents() {
+  if (eventQueueCount == 0 || WiFi.status() != WL_CONNECTED) {
+    return;
+  }
+  if (eventSendFailed && millis() - lastEventAttempt < EVENT_RETRY_INTERVAL) {
+    return;
+  }
+  lastEventAttempt = millis();
+  
+  while (eventQueueCount > 0) {
+    PendingIrrigationEvent& pending = eventQueue[eventQueueStart];
+    
+    StaticJsonDocument<256> doc;
+    doc["deviceId"] = deviceId;
+    doc["event"] = pending.event;
+    doc["reason"] = pending.reason;
+    if (strcmp(pending.event, "stop") == 0) {
+      doc["durationSeconds"] = pending.durationSeconds;
+    }
+    doc["soilMoisture"] = pending.soilMoisture;
+    doc["rainValue"] = pending.rainValue;
+    doc["timestamp"] = pending.timestamp;
+    
+    String jsonData;
+    serializeJson(doc, jsonData);
+    
+    int statusCode = postJson("/api/irrigation/events", jsonData);
+    snprintf(msgBuffer, sizeof(msgBuffer), "Irrigation event %s (%s) reported (HTTP %d)", pending.event, pending.reason, statusCode);
+    Serial.println(msgBuffer);
+    WDT.refresh();
+    
+    // A rejected event would be rejected again, only retry server and network errors
+    if (statusCode != 200 && (statusCode < 400 || statusCode >= 500)) {
+      eventSendFailed = true;
+      return;
     }
+    eventQueueStart = (eventQueueStart + 1) % EVENT_QUEUE_SIZE;
+    eventQueueCount--;
+  }
+  eventSendFailed = false;
+}
+
+// Function to report the result of a pump command back to the backend
+void sendCommandAck(long commandId, bool success) {
+  StaticJsonDocument<128> doc;
+  doc["success"] = success;
+  doc["pumpActive"] = isPumpActive;
+  doc["pumpMode"] = manualPumpMode ? "manual" : "auto";
+  if (!success) {
+    doc["message"] = "Unknown command";
+  }
+  
+  String jsonData;
+  serializeJson(doc, jsonData);
+  
+  char path[96];
+  snprintf(path, sizeof(path), "/api/devices/%s/pump/commands/%ld/ack", deviceId, commandId);
+  
+  int statusCode = postJson(path, jsonData);
+  snprintf(msgBuffer, sizeof(msgBuffer), "Command %ld acknowledged (HTTP %d)", commandId, statusCode);
+  Serial.println(msgBuffer);
+}
+
+// Function to send a health heartbeat to the backend
+void reportHealth() {
+  if (WiFi.status() != WL_CONNECTED) {
+    return;
+  }
+  
+  StaticJsonDocument<192> doc;
+  doc["rssi"] = WiFi.RSSI();
+  doc["uptimeSeconds"] = millis() / 1000;
+  doc["lastError"] = ERROR_NAMES[currentError];
+  // One reading goes out per pass through the four states
+  doc["intervalSeconds"] = (STATE_DURATION * 4) / 1000;
+  
+  String jsonData;
+  serializeJson(doc, jsonData);
+  
+  char path[64];
+  snprintf(path, sizeof(path), "/api/devices/%s/health", deviceId);
+  
+  int statusCode = postJson(path, jsonData);
+  snprintf(msgBuffer, sizeof(msgBuffer), "Health reported (HTTP %d)", statusCode);
+  Serial.println(msgBuffer);
+  WDT.refresh();
+}
+
+// Function to keep the current reading for a later batch upload.
+// When the backlog is full the oldest reading is dropped.
+void bufferReading() {
+  // Without NTP time the reading cannot be placed on the server's timeline
+  if (!timeInitialized) {
+    return;
+  }
+  
+  byte slot = (backlogStart + backlogCount) % BACKLOG_SIZE;
+  if (backlogCount == BACKLOG_SIZE) {
+    backlogStart = (backlogStart + 1) % BACKLOG_SIZE;
+  } else {
+    backlogCount++;
+  }
+  backlog[slot].data = sensorData;
+  getFormattedTime(backlog[slot].timestamp, sizeof(backlog[slot].timestamp));
+  
+  snprintf(msgBuffer, sizeof(msgBuffer), "Reading buffered for later upload (%d waiting)", backlogCount);
+  Serial.println(msgBuffer);
+}
+
+// Function to upload buffered readings, a few per request. The server skips
+// readings it already has and answers with an error when any reading could
+// not be stored, so a batch stays buffered until it is fully saved.
+void flushBacklog() {
+  while (backlogCount > 0 && WiFi.status() == WL_CONNECTED) {
+    byte uploadCount = backlogCount < BACKLOG_UPLOAD_SIZE ? backlogCount : BACKLOG_UPLOAD_SIZE;
+    
+    DynamicJsonDocument doc(2048);
+    doc["deviceId"] = deviceId;
+    JsonArray readings = doc.createNestedArray("readings");
+    for (byte i = 0; i < uploadCount; i++) {
+      BufferedReading& buffered = backlog[(backlogStart + i) % BACKLOG_SIZE];
+      JsonObject reading = readings.createNestedObject();
+      reading["timestamp"] = buffered.timestamp;
+      reading["temperature"] = buffered.data.temperature;
+      reading["humidity"] = buffered.data.humidity;
+      reading["ldrValue"] = buffered.data.ldrValue;
+      reading["rainValue"] = buffered.data.rainValue;
+      reading["airQualityPPM"] = buffered.data.airQuality;
+      reading["soilMoisture"] = buffered.data.soilMoisture;
+    }
+    
+    String jsonData;
+    serializeJson(doc, jsonData);
+    
+    int statusCode = postJson("/api/sensors/batch", jsonData);
+    snprintf(msgBuffer, sizeof(msgBuffer), "Uploaded %d buffered readings (HTTP %d)", uploadCount, statusCode);
+    Serial.println(msgBuffer);
+    WDT.refresh();
+    
+    if (statusCode != 200) {
+      return;
+    }
+    backlogStart = (backlogStart + uploadCount) % BACKLOG_SIZE;
+    backlogCount -= uploadCount;
+  }
+}
+
+// Function to run the pump commands included in the data upload response
+void handleServerCommands(const String& response) {
+  StaticJsonDocument<512> responseDoc;
+  DeserializationError error = deserializeJson(responseDoc, response);
+  if (error) {
+    return;
+  }
+  
+  JsonArray commands = responseDoc["commands"].as<JsonArray>();
+  for (JsonObject command : commands) {
+    long commandId = command["id"] | 0L;
+    const char* name = command["command"] | "";
+    unsigned long durationSeconds = command["durationSeconds"] | 0UL;
+    
+    bool success = executePumpCommand(name, durationSeconds);
+    sendCommandAck(commandId, success);
+    WDT.refresh();
   }
 }
 
@@ -567,6 +882,10 @@ void setup() {
   currentState = STATE_READ_SENSORS;
   lastStateChangeTime = millis();
   
+  if (deviceApiKey[0] == '\0') {
+    Serial.println(F("Warning: deviceApiKey is empty - readings are rejected unless the backend allows keyless devices"));
+  }
+  
   Serial.println(F("System initialization complete"));
   lcd.clear();
   lcd.setCursor(0, 0);
@@ -612,6 +931,14 @@ void loop() {
     lastStateChangeTime = millis();
   }
   
+  if (millis() - lastHealthReport >= HEALTH_INTERVAL) {
+    lastHealthReport = millis();
+    reportHealth();
+  }
+  
+  // Report pump starts and stops queued by the watering logic
+  sendIrrigationEvents();
+  
   // Declare variables outside switch statement
   float newTemp;
   float newHumidity;
@@ -804,6 +1131,7 @@ void loop() {
         StaticJsonDocument<512> doc;
         
         getFormattedTime(timeStampBuffer, sizeof(timeStampBuffer));
+        doc["deviceId"] = deviceId;
         doc["timestamp"] = timeStampBuffer;
         doc["temperature"] = sensorData.temperature;
         doc["humidity"] = sensorData.humidity;
@@ -811,6 +1139,8 @@ void loop() {
         doc["rainValue"] = sensorData.rainValue;
         doc["airQualityPPM"] = sensorData.airQuality;
         doc["soilMoisture"] = sensorData.soilMoisture;
+        doc["pumpActive"] = isPumpActive;
+        doc["pumpMode"] = manualPumpMode ? "manual" : "auto";
         
         String jsonData;
         serializeJson(doc, jsonData);
@@ -833,6 +1163,7 @@ void loop() {
         if (!wifi.connect(server, port)) {
           Serial.println(F("Failed to connect to server"));
           currentError = ERROR_SERVER;
+          bufferReading();
           dataSentThisCycle = true;
           break;
         }
@@ -843,6 +1174,9 @@ void loop() {
         http.beginRequest();
         http.post("/api/sensors/data");
         http.sendHeader("Content-Type", "application/json");
+        if (deviceApiKey[0] != '\0') {
+          http.sendHeader("X-Device-Key", deviceApiKey);
+        }
         http.sendHeader("Content-Length", jsonData.length());
         http.sendHeader("Connection", "close"); // Add connection close header
         http.write((const uint8_t*)jsonData.c_str(), jsonData.length());
@@ -883,6 +1217,9 @@ void loop() {
         } else if (statusCode == -1) {
           Serial.println(F("Connection failed - Check server address and port"));
           currentError = ERROR_SERVER;
+        } else if (statusCode == 401 || statusCode == 403) {
+          Serial.println(F("Rejected - Check deviceApiKey matches this device"));
+          currentError = ERROR_SERVER;
         } else if (statusCode == 404) {
           Serial.println(F("Endpoint not found - Check API endpoint path"));
           currentError = ERROR_SERVER;
@@ -900,9 +1237,21 @@ void loop() {
         // Close the connection
         wifi.stop();
         
+        // Run any pump commands the server queued for this device,
+        // then catch up on readings taken while it was unreachable
+        if (statusCode == 200) {
+          handleServerCommands(response);
+          flushBacklog();
+        } else {
+          bufferReading();
+        }
+        
         dataSentThisCycle = true;
       } else if (!dataSentThisCycle && WiFi.status() != WL_CONNECTED) {
-        Serial.println(F("WiFi not connected - skipping data upload"));
+        Serial.println(F("WiFi not connected - buffering reading"));
+        if (validateSensorData()) {
+          bufferReading();
+        }
         currentError = ERROR_WIFI;
         dataSentThisCycle = true;
       }
@@ -919,7 +1268,9 @@ void loop() {
       lcd.setCursor(0, 1);
       if (isPumpActive) {
         lcd.print(F("PUMP ON"));
-        if (sensorData.rainValue > RAIN_LOW && sensorData.rainValue <= RAIN_MEDIUM) {
+        if (manualPumpMode) {
+          lcd.print(F(" (Manual)"));
+        } else if (sensorData.rainValue > RAIN_LOW && sensorData.rainValue <= RAIN_MEDIUM) {
           lcd.print(F(" (Partial)"));
         }
       } else {
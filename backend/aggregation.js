@@ -0,0 +1,197 @@
+// Downsampled sensor history. Readings are grouped into fixed time buckets
+// with min/max/avg/count per sensor, so long ranges stay small enough to chart.
+// Calibrated sensors get the same figures for their calibrated values.
+const { SENSOR_KEYS, getSensorStatus, getSensorThresholds } = require('./utils');
+const { getRolledUntil, getUnfilteredUntil, getRollupBuckets } = require('./retention');
+const { getScopeField } = require('./crops');
+const { anomalyConditions } = require('./anomalies');
+const { CALIBRATED_SENSORS } = require('./calibration');
+
+const BUCKET_SIZES = {
+  '1m': 60,
+  '5m': 300,
+  '1h': 3600,
+  '1d': 86400
+};
+
+// Automatic bucket choice aims for at most this many points
+const TARGET_POINTS = 500;
+
+// Requests that would return more buckets than this are rejected
+const MAX_BUCKETS = 5000;
+
+// Smallest bucket that keeps the range within TARGET_POINTS
+function pickBucket(rangeSeconds) {
+  const sizes = Object.keys(BUCKET_SIZES);
+  return sizes.find(size => rangeSeconds / BUCKET_SIZES[size] <= TARGET_POINTS) || sizes[sizes.length - 1];
+}
+
+// Work out the time range and bucket from query parameters: either from/to
+// (any date string Date understands) or hours back from now, plus an optional
+// bucket. Returns { range } or { error }.
+function parseAggregationQuery(query) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - (parseFloat(query.hours) || 24) * 3600 * 1000);
+
+  if (isNaN(from) || isNaN(to)) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (from >= to) {
+    return { error: 'from must be before to' };
+  }
+
+  const rangeSeconds = (to - from) / 1000;
+  const bucket = query.bucket && query.bucket !== 'auto' ? query.bucket : pickBucket(rangeSeconds);
+  if (!BUCKET_SIZES[bucket]) {
+    return { error: `bucket must be one of: auto, ${Object.keys(BUCKET_SIZES).join(', ')}` };
+  }
+  if (rangeSeconds / BUCKET_SIZES[bucket] > MAX_BUCKETS) {
+    return { error: `Range too long for ${bucket} buckets, use a larger bucket` };
+  }
+
+  return { range: { from, to, bucket } };
+}
+
+// SQL expression for the Unix time a row's bucket starts at. Days follow the
+// database's local midnight rather than UTC.
+function bucketExpression(bucket, column = 'timestamp') {
+  if (bucket === '1d') return `UNIX_TIMESTAMP(DATE(${column}))`;
+  const seconds = BUCKET_SIZES[bucket];
+  return `FLOOR(UNIX_TIMESTAMP(${column}) / ${seconds}) * ${seconds}`;
+}
+
+// Calibrated min/max/avg/count of a bucket, null when none of its readings
+// had a calibrated value
+function formatCalibrated(row, key) {
+  const count = Number(row[`${key}_calibrated_count`]) || 0;
+  if (!count) return null;
+  return {
+    min: Number(row[`${key}_calibrated_min`]),
+    max: Number(row[`${key}_calibrated_max`]),
+    avg: Math.round(Number(row[`${key}_calibrated_avg`]) * 100) / 100,
+    count
+  };
+}
+
+function formatBucket(row, thresholds) {
+  const sensors = {};
+  SENSOR_KEYS.forEach(key => {
+    const count = Number(row[`${key}_count`]) || 0;
+    const avg = count ? Math.round(Number(row[`${key}_avg`]) * 100) / 100 : null;
+    sensors[key] = {
+      min: count ? Number(row[`${key}_min`]) : null,
+      max: count ? Number(row[`${key}_max`]) : null,
+      avg,
+      count,
+      // Readings flagged as anomalous for this sensor
+      anomalies: Number(row[`${key}_anomalies`]) || 0,
+      // Status of the bucket's average under the current thresholds
+      status: count ? getSensorStatus(key, avg, thresholds) : null
+    };
+    if (CALIBRATED_SENSORS.includes(key)) {
+      sensors[key].calibrated = formatCalibrated(row, key);
+    }
+  });
+  return {
+    start: new Date(Number(row.bucket) * 1000).toISOString(),
+    sensors
+  };
+}
+
+function getRawAggregates(db, scope, { from, to, bucket }, callback) {
+  const columns = SENSOR_KEYS.map(key => `
+      MIN(${key}) AS ${key}_min,
+      MAX(${key}) AS ${key}_max,
+      AVG(${key}) AS ${key}_avg,
+      COUNT(${key}) AS ${key}_count,
+      SUM(anomaly = 1 AND anomaly_scores LIKE '%"${key}"%') AS ${key}_anomalies`).join(',');
+  const calibratedColumns = CALIBRATED_SENSORS.map(key => `
+      MIN(${key}_calibrated) AS ${key}_calibrated_min,
+      MAX(${key}_calibrated) AS ${key}_calibrated_max,
+      AVG(${key}_calibrated) AS ${key}_calibrated_avg,
+      COUNT(${key}_calibrated) AS ${key}_calibrated_count`).join(',');
+  const conditions = [...scope.conditions, ...anomalyConditions(scope)];
+
+  const query = `
+    SELECT ${bucketExpression(bucket)} AS bucket,${columns},${calibratedColumns}
+    FROM sensor_data
+    WHERE timestamp >= ? AND timestamp < ?
+    ${conditions.map(condition => `AND ${condition}`).join(' ')}
+    GROUP BY bucket
+    ORDER BY bucket ASC
+  `;
+  db.query(query, [from, to, ...scope.params], callback);
+}
+
+// Aggregate readings for a device/field scope (see getScope in server.js).
+// The part of the range older than the raw retention window comes from the
+// rollups: daily ones for 1d buckets, hourly ones (so at least 1h buckets)
+// otherwise. Bucket statuses use the thresholds of the scope's field. A scope
+// with excludeAnomalies leaves flagged readings out of the buckets, except
+// those in rollups made before they were kept apart, up to unfilteredUntil.
+function getAggregates(db, scope, { from, to, bucket }, callback) {
+  const rolledUntil = getRolledUntil();
+  const rollupEnd = rolledUntil && from < rolledUntil ? new Date(Math.min(to, rolledUntil)) : null;
+  const rawFrom = rollupEnd ? rollupEnd : from;
+  const unfilteredUntil = rollupEnd ? getUnfilteredUntil(scope, from) : null;
+
+  const respond = (rows) => getScopeField(db, scope, (err, field) => {
+    if (err) return callback(err);
+    const thresholds = getSensorThresholds(field);
+    callback(null, {
+      bucket,
+      bucketSeconds: BUCKET_SIZES[bucket],
+      from: from.toISOString(),
+      to: to.toISOString(),
+      rolledUntil: rollupEnd ? rollupEnd.toISOString() : null,
+      unfilteredUntil: unfilteredUntil ? unfilteredUntil.toISOString() : null,
+      buckets: rows.map(row => formatBucket(row, thresholds))
+    });
+  });
+
+  const readRaw = (rollupRows) => {
+    if (rawFrom >= to) return respond(rollupRows);
+    getRawAggregates(db, scope, { from: rawFrom, to, bucket }, (err, rows) => {
+      if (err) return callback(err);
+      respond([...rollupRows, ...rows]);
+    });
+  };
+
+  if (!rollupEnd) return readRaw([]);
+
+  const period = bucket === '1d' ? 'daily' : 'hourly';
+  const rollupBucket = bucket === '1d' ? '1d' : '1h';
+  const bucketSql = BUCKET_SIZES[bucket] >= BUCKET_SIZES[rollupBucket]
+    ? bucketExpression(bucket, 'bucket_start')
+    : bucketExpression(rollupBucket, 'bucket_start');
+
+  getRollupBuckets(db, period, scope, { from, to: rollupEnd, bucketSql }, (err, rows) => {
+    if (err) return callback(err);
+    readRaw(rows);
+  });
+}
+
+// Per-sensor averages over raw readings and rollups together, each weighted
+// by its reading count. Either row may be empty; sensors without readings
+// average 0.
+function mergeAverages(raw, rollup) {
+  const averages = {};
+  SENSOR_KEYS.forEach(key => {
+    const rawCount = Number(raw[`${key}_count`]) || 0;
+    const rollupCount = Number(rollup[`${key}_count`]) || 0;
+    const total = (Number(raw[`${key}_avg`]) || 0) * rawCount + (Number(rollup[`${key}_avg`]) || 0) * rollupCount;
+    averages[key] = rawCount + rollupCount > 0 ? total / (rawCount + rollupCount) : 0;
+  });
+  return averages;
+}
+
+module.exports = {
+  BUCKET_SIZES,
+  MAX_BUCKETS,
+  pickBucket,
+  parseAggregationQuery,
+  getAggregates,
+  mergeAverages
+};
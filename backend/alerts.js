@@ -0,0 +1,484 @@
+// Alerting engine. Rules are evaluated against every stored reading; a rule
+// opens an alert once its condition has held for the sustained duration and
+// the alert resolves itself when the value moves back past the hysteresis band.
+const { getSensorStatus, getSensorThresholds, toIsoTimestamp, SENSOR_THRESHOLDS } = require('./utils');
+const { systemEvents } = require('./events');
+
+const COMPARISONS = ['lt', 'lte', 'gt', 'gte', 'status'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+const STATUSES = ['low', 'medium', 'high'];
+const ALERT_STATES = ['open', 'acknowledged', 'resolved'];
+
+// Rules created on first start so alerting works out of the box
+const DEFAULT_ALERT_RULES = [
+  {
+    name: 'Soil moisture low for 2 hours',
+    sensor: 'soilMoisture',
+    comparison: 'status',
+    status: 'low',
+    durationSeconds: 7200,
+    hysteresis: 20,
+    severity: 'warning'
+  },
+  {
+    name: 'Air quality high',
+    sensor: 'airQualityPPM',
+    comparison: 'status',
+    status: 'high',
+    durationSeconds: 300,
+    hysteresis: 50,
+    severity: 'critical'
+  }
+];
+
+// Enabled rules, reloaded whenever a rule changes
+let activeRules = [];
+
+// When each rule's condition first held per device, keyed by "ruleId:deviceId",
+// as the time of the reading it first held for. Kept in memory, so a restart
+// begins the sustained duration again.
+const conditionSince = new Map();
+
+// Readings waiting to be evaluated per device. A device's readings are
+// evaluated one at a time, in the order they were stored, so a burst of them
+// cannot race on which alerts are already open.
+const evaluationQueues = new Map();
+
+function formatRule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    deviceId: row.device_id,
+    sensor: row.sensor,
+    comparison: row.comparison,
+    threshold: row.threshold,
+    status: row.status,
+    durationSeconds: row.duration_seconds,
+    hysteresis: row.hysteresis,
+    severity: row.severity,
+    enabled: Boolean(row.enabled)
+  };
+}
+
+function formatAlert(row) {
+  return {
+    id: row.id,
+    ruleId: row.rule_id,
+    deviceId: row.device_id,
+    field: row.field,
+    sensor: row.sensor,
+    severity: row.severity,
+    state: row.state,
+    message: row.message,
+    triggerValue: row.trigger_value,
+    lastValue: row.last_value,
+    openedAt: row.opened_at,
+    acknowledgedAt: row.acknowledged_at,
+    resolvedAt: row.resolved_at,
+    resolvedBy: row.resolved_by
+  };
+}
+
+// Validate a rule from the API, merging it over an existing rule for updates.
+// Returns { rule } on success or { error } when the rule is invalid.
+function validateAlertRule(data, existing = {}) {
+  if (typeof data !== 'object' || data === null) {
+    return { error: 'Invalid alert rule format' };
+  }
+
+  const rule = {
+    name: existing.name,
+    deviceId: existing.deviceId || null,
+    sensor: existing.sensor,
+    comparison: existing.comparison,
+    threshold: existing.threshold,
+    status: existing.status,
+    durationSeconds: existing.durationSeconds || 0,
+    hysteresis: existing.hysteresis || 0,
+    severity: existing.severity || 'warning',
+    enabled: existing.enabled !== undefined ? existing.enabled : true,
+    ...data
+  };
+
+  if (typeof rule.name !== 'string' || rule.name.trim() === '') {
+    return { error: 'name is required' };
+  }
+  if (rule.deviceId !== null && typeof rule.deviceId !== 'string') {
+    return { error: 'deviceId must be a string or null' };
+  }
+  if (!SENSOR_THRESHOLDS[rule.sensor]) {
+    return { error: `sensor must be one of: ${Object.keys(SENSOR_THRESHOLDS).join(', ')}` };
+  }
+  if (!COMPARISONS.includes(rule.comparison)) {
+    return { error: `comparison must be one of: ${COMPARISONS.join(', ')}` };
+  }
+  if (rule.comparison === 'status') {
+    if (!STATUSES.includes(rule.status)) {
+      return { error: `status must be one of: ${STATUSES.join(', ')}` };
+    }
+    rule.threshold = null;
+  } else {
+    if (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold)) {
+      return { error: 'threshold must be a number' };
+    }
+    rule.status = null;
+  }
+  if (!Number.isInteger(rule.durationSeconds) || rule.durationSeconds < 0) {
+    return { error: 'durationSeconds must be a non-negative integer' };
+  }
+  if (typeof rule.hysteresis !== 'number' || rule.hysteresis < 0) {
+    return { error: 'hysteresis must be a non-negative number' };
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    return { error: `severity must be one of: ${SEVERITIES.join(', ')}` };
+  }
+  if (typeof rule.enabled !== 'boolean') {
+    return { error: 'enabled must be true or false' };
+  }
+
+  rule.name = rule.name.trim();
+  return { rule };
+}
+
+// Whether the rule's condition holds for a value; status rules use the
+// given thresholds (those of the reading's field)
+function conditionMet(rule, value, thresholds) {
+  switch (rule.comparison) {
+    case 'lt': return value < rule.threshold;
+    case 'lte': return value <= rule.threshold;
+    case 'gt': return value > rule.threshold;
+    case 'gte': return value >= rule.threshold;
+    case 'status': return getSensorStatus(rule.sensor, value, thresholds) === rule.status;
+    default: return false;
+  }
+}
+
+// Whether a status rule's value has left the status band by the hysteresis
+// margin. Inverted sensors read low above their high threshold and high
+// below their low one.
+function statusCleared(rule, value, thresholds) {
+  const { low, high, inverted } = thresholds[rule.sensor];
+  const margin = rule.hysteresis;
+  if (rule.status === 'medium') {
+    return value < low - margin || value > high + margin;
+  }
+  const belowBand = (rule.status === 'low') !== Boolean(inverted);
+  return belowBand ? value >= low + margin : value <= high - margin;
+}
+
+// Whether an open alert may close: the value has to clear the threshold by the
+// hysteresis margin so a reading hovering at the threshold does not flap
+function conditionCleared(rule, value, thresholds) {
+  switch (rule.comparison) {
+    case 'lt':
+    case 'lte':
+      return value >= rule.threshold + rule.hysteresis;
+    case 'gt':
+    case 'gte':
+      return value <= rule.threshold - rule.hysteresis;
+    case 'status':
+      return statusCleared(rule, value, thresholds);
+    default:
+      return true;
+  }
+}
+
+function describeCondition(rule) {
+  const symbols = { lt: '<', lte: '<=', gt: '>', gte: '>=' };
+  const condition = rule.comparison === 'status'
+    ? `${rule.sensor} is ${rule.status}`
+    : `${rule.sensor} ${symbols[rule.comparison]} ${rule.threshold}`;
+  return rule.durationSeconds > 0 ? `${condition} for ${rule.durationSeconds}s` : condition;
+}
+
+function loadAlertRules(db, callback) {
+  db.query('SELECT COUNT(*) AS count FROM alert_rules', (err, results) => {
+    if (err) return callback(err);
+
+    const seed = (done) => {
+      if (results[0].count > 0) return done(null);
+      const rows = DEFAULT_ALERT_RULES.map(rule => [
+        rule.name, rule.sensor, rule.comparison, null, rule.status, rule.durationSeconds, rule.hysteresis, rule.severity
+      ]);
+      db.query(
+        `INSERT INTO alert_rules
+         (name, sensor, comparison, threshold, status, duration_seconds, hysteresis, severity)
+         VALUES ?`,
+        [rows],
+        done
+      );
+    };
+
+    seed((err) => {
+      if (err) return callback(err);
+      reloadAlertRules(db, callback);
+    });
+  });
+}
+
+function reloadAlertRules(db, callback) {
+  db.query('SELECT * FROM alert_rules WHERE enabled = 1', (err, rows) => {
+    if (err) return callback(err);
+    activeRules = rows.map(formatRule);
+
+    // Forget sustained timers of rules that no longer exist or are disabled
+    const ids = new Set(activeRules.map(rule => String(rule.id)));
+    for (const key of conditionSince.keys()) {
+      if (!ids.has(key.split(':')[0])) conditionSince.delete(key);
+    }
+    callback(null);
+  });
+}
+
+function getAlertRules(db, callback) {
+  db.query('SELECT * FROM alert_rules ORDER BY id ASC', (err, rows) => {
+    if (err) return callback(err);
+    callback(null, rows.map(formatRule));
+  });
+}
+
+function getAlertRule(db, id, callback) {
+  db.query('SELECT * FROM alert_rules WHERE id = ?', [id], (err, rows) => {
+    if (err) return callback(err);
+    callback(null, rows.length > 0 ? formatRule(rows[0]) : null);
+  });
+}
+
+function ruleParams(rule) {
+  return [
+    rule.name,
+    rule.deviceId,
+    rule.sensor,
+    rule.comparison,
+    rule.threshold,
+    rule.status,
+    rule.durationSeconds,
+    rule.hysteresis,
+    rule.severity,
+    rule.enabled ? 1 : 0
+  ];
+}
+
+function createAlertRule(db, rule, callback) {
+  const query = `
+    INSERT INTO alert_rules
+    (name, device_id, sensor, comparison, threshold, status, duration_seconds, hysteresis, severity, enabled)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+  db.query(query, ruleParams(rule), (err, results) => {
+    if (err) return callback(err);
+    reloadAlertRules(db, (err) => {
+      if (err) return callback(err);
+      getAlertRule(db, results.insertId, callback);
+    });
+  });
+}
+
+function updateAlertRule(db, id, rule, callback) {
+  const query = `
+    UPDATE alert_rules
+    SET name = ?, device_id = ?, sensor = ?, comparison = ?, threshold = ?, status = ?,
+      duration_seconds = ?, hysteresis = ?, severity = ?, enabled = ?
+    WHERE id = ?
+  `;
+  db.query(query, [...ruleParams(rule), id], (err) => {
+    if (err) return callback(err);
+    // A changed condition starts its sustained duration again
+    for (const key of conditionSince.keys()) {
+      if (key.startsWith(`${id}:`)) conditionSince.delete(key);
+    }
+    reloadAlertRules(db, (err) => {
+      if (err) return callback(err);
+      getAlertRule(db, id, callback);
+    });
+  });
+}
+
+function deleteAlertRule(db, id, callback) {
+  db.query('DELETE FROM alert_rules WHERE id = ?', [id], (err, results) => {
+    if (err) return callback(err);
+    reloadAlertRules(db, (err) => {
+      if (err) return callback(err);
+      callback(null, results.affectedRows > 0);
+    });
+  });
+}
+
+function openAlert(db, rule, deviceId, field, value, callback) {
+  const query = `
+    INSERT INTO alerts
+    (rule_id, device_id, field, sensor, severity, message, trigger_value, last_value)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+  const message = `${rule.name}: ${describeCondition(rule)} (value ${value})`;
+  db.query(query, [rule.id, deviceId, field, rule.sensor, rule.severity, message, value, value], (err, results) => {
+    if (err) return callback(err);
+    console.log(`Alert opened for ${deviceId}: ${message}`);
+    emitAlertEvent(db, 'alert.opened', results.insertId);
+    callback(null, results.insertId);
+  });
+}
+
+// Evaluate all rules for a stored reading, opening and resolving alerts.
+// Sustained durations are measured between reading timestamps, so replayed
+// readings (batch uploads, MQTT backlogs) trigger rules as they would have live.
+function evaluateReading(db, deviceId, field, reading, callback) {
+  const queue = evaluationQueues.get(deviceId) || [];
+  queue.push({ field, reading, callback });
+  evaluationQueues.set(deviceId, queue);
+  if (queue.length === 1) evaluateNext(db, deviceId);
+}
+
+function evaluateNext(db, deviceId) {
+  const queue = evaluationQueues.get(deviceId);
+  const { field, reading, callback } = queue[0];
+  evaluateRules(db, deviceId, field, reading, (err) => {
+    queue.shift();
+    if (queue.length === 0) {
+      evaluationQueues.delete(deviceId);
+    } else {
+      setImmediate(() => evaluateNext(db, deviceId));
+    }
+    callback(err);
+  });
+}
+
+function evaluateRules(db, deviceId, field, reading, callback) {
+  const rules = activeRules.filter(rule => !rule.deviceId || rule.deviceId === deviceId);
+  if (rules.length === 0) return callback(null);
+
+  const query = `
+    SELECT * FROM alerts
+    WHERE device_id = ? AND state IN ('open', 'acknowledged')
+  `;
+  db.query(query, [deviceId], (err, rows) => {
+    if (err) return callback(err);
+
+    const activeByRule = new Map(rows.map(row => [row.rule_id, row]));
+    const readingTime = new Date(toIsoTimestamp(reading.timestamp));
+    const thresholds = getSensorThresholds(field, readingTime);
+    const readAt = readingTime.getTime();
+    const actions = [];
+
+    rules.forEach(rule => {
+      const value = reading[rule.sensor];
+      if (typeof value !== 'number') return;
+
+      const key = `${rule.id}:${deviceId}`;
+      const active = activeByRule.get(rule.id);
+
+      if (active) {
+        if (conditionCleared(rule, value, thresholds)) {
+          actions.push(done => resolveAlert(db, active.id, 'auto', done));
+        } else {
+          actions.push(done => db.query('UPDATE alerts SET last_value = ? WHERE id = ?', [value, active.id], done));
+        }
+        return;
+      }
+
+      if (!conditionMet(rule, value, thresholds)) {
+        conditionSince.delete(key);
+        return;
+      }
+
+      if (!conditionSince.has(key)) conditionSince.set(key, readAt);
+      if (readAt - conditionSince.get(key) >= rule.durationSeconds * 1000) {
+        conditionSince.delete(key);
+        actions.push(done => openAlert(db, rule, deviceId, field, value, done));
+      }
+    });
+
+    runSeries(actions, callback);
+  });
+}
+
+function runSeries(actions, callback) {
+  if (actions.length === 0) return callback(null);
+  actions[0]((err) => {
+    if (err) return callback(err);
+    runSeries(actions.slice(1), callback);
+  });
+}
+
+function getAlerts(db, { state, deviceId, limit }, callback) {
+  const conditions = [];
+  const params = [];
+
+  if (state === 'active') {
+    conditions.push("state IN ('open', 'acknowledged')");
+  } else if (state) {
+    conditions.push('state = ?');
+    params.push(state);
+  }
+  if (deviceId) {
+    conditions.push('device_id = ?');
+    params.push(deviceId);
+  }
+
+  const query = `
+    SELECT * FROM alerts
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY opened_at DESC, id DESC
+    LIMIT ?
+  `;
+  db.query(query, [...params, limit], (err, rows) => {
+    if (err) return callback(err);
+    callback(null, rows.map(formatAlert));
+  });
+}
+
+// The callback gets false when the alert does not exist or is already closed
+function acknowledgeAlert(db, id, callback) {
+  const query = `
+    UPDATE alerts SET state = 'acknowledged', acknowledged_at = NOW()
+    WHERE id = ? AND state = 'open'
+  `;
+  db.query(query, [id], (err, results) => {
+    if (err) return callback(err);
+    if (results.affectedRows > 0) {
+      emitAlertEvent(db, 'alert.acknowledged', id);
+    }
+    callback(null, results.affectedRows > 0);
+  });
+}
+
+function resolveAlert(db, id, resolvedBy, callback) {
+  const query = `
+    UPDATE alerts SET state = 'resolved', resolved_at = NOW(), resolved_by = ?
+    WHERE id = ? AND state IN ('open', 'acknowledged')
+  `;
+  db.query(query, [resolvedBy, id], (err, results) => {
+    if (err) return callback(err);
+    if (results.affectedRows > 0) {
+      emitAlertEvent(db, 'alert.resolved', id);
+    }
+    callback(null, results.affectedRows > 0);
+  });
+}
+
+// Publish an alert change with the stored alert as payload
+function emitAlertEvent(db, type, id) {
+  db.query('SELECT * FROM alerts WHERE id = ?', [id], (err, rows) => {
+    if (err || rows.length === 0) {
+      if (err) console.error(`Error loading alert ${id}:`, err.message);
+      return;
+    }
+    const alert = formatAlert(rows[0]);
+    systemEvents.emit(type, { deviceId: alert.deviceId, severity: alert.severity, alert });
+  });
+}
+
+module.exports = {
+  ALERT_STATES,
+  validateAlertRule,
+  loadAlertRules,
+  getAlertRules,
+  getAlertRule,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+  evaluateReading,
+  getAlerts,
+  acknowledgeAlert,
+  resolveAlert
+};
@@ -0,0 +1,125 @@
+// Statistical anomaly detection on incoming readings. Each sensor value is
+// scored against the device's recent readings with a robust z-score (the
+// distance from the median in units of the median absolute deviation), so a
+// single bad DHT11 read or a loose probe is flagged without the spike itself
+// shifting the baseline. Flagged readings are stored with anomaly = 1 and the
+// scores of the offending sensors; averages and aggregations can leave them out.
+const { SENSOR_KEYS } = require('./utils');
+
+// Readings a value is compared against, and how far back they may go
+const ANOMALY_WINDOW = parseInt(process.env.ANOMALY_WINDOW, 10) || 60;
+const ANOMALY_WINDOW_HOURS = 6;
+
+// Robust z-score above which a value counts as anomalous
+const ANOMALY_THRESHOLD = parseFloat(process.env.ANOMALY_THRESHOLD) || 3.5;
+
+// Fewer readings than this are not enough to judge a value by
+const MIN_ANOMALY_HISTORY = 12;
+
+// Smallest distance from the median worth flagging, so sensors that barely
+// move (a DHT11 reports whole degrees) do not flag every small step
+const MIN_ANOMALY_DEVIATION = {
+  temperature: 2,
+  humidity: 5,
+  ldrValue: 50,
+  rainValue: 50,
+  airQualityPPM: 50,
+  soilMoisture: 50
+};
+
+// Scale factors that make MAD and mean absolute deviation estimate the
+// standard deviation of normally distributed values
+const MAD_SCALE = 1.4826;
+const MEAN_AD_SCALE = 1.2533;
+
+// Columns added to sensor_data on startup, in the [table, column, definition]
+// form of SCHEMA_COLUMNS
+const ANOMALY_SCHEMA_COLUMNS = [
+  ['sensor_data', 'anomaly', 'TINYINT(1) NOT NULL DEFAULT 0'],
+  ['sensor_data', 'anomaly_scores', 'TEXT DEFAULT NULL']
+];
+
+const median = (sorted) => {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Robust z-score of value against history, with the value's distance from
+// the median, or null when the history is too short or does not vary at all
+function robustScore(value, history) {
+  if (history.length < MIN_ANOMALY_HISTORY) return null;
+  const center = median([...history].sort((a, b) => a - b));
+  const deviations = history.map(entry => Math.abs(entry - center));
+  let scale = MAD_SCALE * median([...deviations].sort((a, b) => a - b));
+  if (scale === 0) {
+    // More than half the history sits on the median, fall back to the mean deviation
+    scale = MEAN_AD_SCALE * (deviations.reduce((sum, deviation) => sum + deviation, 0) / deviations.length);
+  }
+  if (scale === 0) return null;
+  return { score: Math.round(((value - center) / scale) * 100) / 100, deviation: value - center };
+}
+
+// Score a reading's raw sensor values against the device's recent readings
+// before it. The callback receives { anomaly, scores } where scores holds the
+// robust z-score of each flagged sensor.
+function scoreReading(db, deviceId, data, callback) {
+  const query = `
+    SELECT ${SENSOR_KEYS.join(', ')} FROM sensor_data
+    WHERE device_id = ?
+    AND timestamp < STR_TO_DATE(?, '%Y-%m-%d %H:%i:%s')
+    AND timestamp >= DATE_SUB(STR_TO_DATE(?, '%Y-%m-%d %H:%i:%s'), INTERVAL ? HOUR)
+    ORDER BY timestamp DESC
+    LIMIT ?
+  `;
+  const params = [deviceId, data.timestamp, data.timestamp, ANOMALY_WINDOW_HOURS, ANOMALY_WINDOW];
+
+  db.query(query, params, (err, rows) => {
+    if (err) return callback(err);
+
+    const scores = {};
+    SENSOR_KEYS.forEach(key => {
+      const value = data[key];
+      if (typeof value !== 'number') return;
+      const history = rows.map(row => row[key]).filter(entry => entry !== null).map(Number);
+      const result = robustScore(value, history);
+      if (!result || Math.abs(result.score) < ANOMALY_THRESHOLD) return;
+      if (Math.abs(result.deviation) < MIN_ANOMALY_DEVIATION[key]) return;
+      scores[key] = result.score;
+    });
+    callback(null, { anomaly: Object.keys(scores).length > 0, scores });
+  });
+}
+
+// Extra WHERE conditions on sensor_data or a rollup table for a scope that
+// leaves anomalies out (see getScope in server.js)
+function anomalyConditions(scope) {
+  return scope.excludeAnomalies ? ['anomaly = 0'] : [];
+}
+
+// Flagged sensors and their scores from a sensor_data row, or null
+function parseAnomalyScores(row) {
+  if (!row.anomaly || !row.anomaly_scores) return null;
+  try {
+    return JSON.parse(row.anomaly_scores);
+  } catch (err) {
+    return null;
+  }
+}
+
+// Clear the flag of a reading reviewed as genuine. The callback receives
+// false when there is no such flagged reading.
+function dismissAnomaly(db, id, callback) {
+  db.query('UPDATE sensor_data SET anomaly = 0, anomaly_scores = NULL WHERE id = ? AND anomaly = 1', [id], (err, result) => {
+    if (err) return callback(err);
+    callback(null, result.affectedRows > 0);
+  });
+}
+
+module.exports = {
+  ANOMALY_SCHEMA_COLUMNS,
+  robustScore,
+  scoreReading,
+  anomalyConditions,
+  parseAnomalyScores,
+  dismissAnomaly
+};
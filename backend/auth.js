@@ -0,0 +1,463 @@
+// Authentication for dashboard users and devices. Users log in for an opaque
+// session token sent as `Authorization: Bearer <token>`; devices send their
+// API key in the X-Device-Key header. Only SHA-256 hashes of tokens and keys
+// are stored, passwords are hashed with scrypt.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Each role can do everything the roles before it can
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const SESSION_TTL_HOURS = parseFloat(process.env.SESSION_TTL_HOURS) || 12;
+
+// Where a generated first admin password is written, readable by the owner only
+const ADMIN_PASSWORD_FILE = path.resolve(__dirname, process.env.ADMIN_PASSWORD_FILE || 'admin-password.txt');
+
+// Devices must send an API key. Setting this to true lets devices that have
+// no key on record report without one, for boards flashed before device keys
+// existed; it also lets unknown device IDs register themselves.
+const ALLOW_KEYLESS_DEVICES = process.env.ALLOW_KEYLESS_DEVICES === 'true';
+
+// Failed logins allowed within LOGIN_WINDOW_MINUTES, for one username from one
+// address and for one address across all usernames, before further attempts
+// are refused until the window ends
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const LOGIN_MAX_ATTEMPTS_PER_ADDRESS = LOGIN_MAX_ATTEMPTS * 10;
+const LOGIN_WINDOW_MINUTES = 15;
+
+// Tickets stand in for the session token on requests that cannot set headers
+// (EventSource streams, download links). Each is for one purpose, works once
+// and expires after TICKET_TTL_SECONDS, so a leaked URL is of no use.
+const TICKET_PURPOSES = ['stream', 'download'];
+const TICKET_TTL_SECONDS = 60;
+
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,64}$/;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// scrypt runs on the libuv thread pool, so hashing never blocks the event loop
+function hashPassword(password, callback) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  crypto.scrypt(password, salt, 64, (err, hash) => {
+    if (err) return callback(err);
+    callback(null, `scrypt$${salt}$${hash.toString('hex')}`);
+  });
+}
+
+// The callback gets true when the password matches the stored hash
+function verifyPassword(password, stored, callback) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return callback(null, false);
+  const expected = Buffer.from(hash, 'hex');
+  crypto.scrypt(password, salt, expected.length, (err, actual) => {
+    if (err) return callback(err);
+    callback(null, crypto.timingSafeEqual(expected, actual));
+  });
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function formatUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    createdAt: row.created_at
+  };
+}
+
+// Validate a user from the API. Passwords are optional on update.
+// Returns { user } on success or { error } when the user is invalid.
+function validateUser(data, existing = null) {
+  if (typeof data !== 'object' || data === null) {
+    return { error: 'Invalid user format' };
+  }
+
+  const user = {
+    username: existing ? existing.username : data.username,
+    role: data.role !== undefined ? data.role : (existing ? existing.role : 'viewer'),
+    password: data.password
+  };
+
+  if (!existing && (typeof user.username !== 'string' || !USERNAME_PATTERN.test(user.username))) {
+    return { error: 'username must be 3-64 letters, digits, dots, dashes or underscores' };
+  }
+  if (!ROLES.includes(user.role)) {
+    return { error: `role must be one of: ${ROLES.join(', ')}` };
+  }
+  if ((!existing || user.password !== undefined) &&
+      (typeof user.password !== 'string' || user.password.length < MIN_PASSWORD_LENGTH)) {
+    return { error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+  }
+  return { user };
+}
+
+// Create the first admin account when the users table is empty. Without
+// ADMIN_PASSWORD a random password is generated and written to
+// ADMIN_PASSWORD_FILE with mode 0600; it is never logged.
+function ensureAdminUser(db, callback) {
+  db.query('SELECT COUNT(*) AS count FROM users', (err, rows) => {
+    if (err) return callback(err);
+    if (rows[0].count > 0) return callback(null);
+
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const generated = !process.env.ADMIN_PASSWORD;
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+
+    const createUser = () => {
+      hashPassword(password, (err, passwordHash) => {
+        if (err) return callback(err);
+        db.query(
+          'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)',
+          [username, passwordHash, 'admin'],
+          (err) => {
+            if (err) return callback(err);
+            if (generated) {
+              console.log(`Created admin user "${username}", its password is in ${ADMIN_PASSWORD_FILE}`);
+            }
+            callback(null);
+          }
+        );
+      });
+    };
+
+    if (!generated) return createUser();
+
+    // The password is saved before the account exists so it cannot be lost.
+    // mode only applies to new files, chmod covers one left from an earlier run.
+    const contents = `username: ${username}\npassword: ${password}\n`;
+    fs.writeFile(ADMIN_PASSWORD_FILE, contents, { mode: 0o600 }, (err) => {
+      if (err) return callback(err);
+      fs.chmod(ADMIN_PASSWORD_FILE, 0o600, (err) => {
+        if (err) return callback(err);
+        createUser();
+      });
+    });
+  });
+}
+
+// Failed login attempts by key ("user:<name>|<address>" or
+// "address:<address>"): { count, resetAt }
+const loginFailures = new Map();
+
+const loginKeys = (username, address) => [
+  [`user:${username.toLowerCase()}|${address}`, LOGIN_MAX_ATTEMPTS],
+  [`address:${address}`, LOGIN_MAX_ATTEMPTS_PER_ADDRESS]
+];
+
+// Seconds until a login for username from address may be tried again, 0 when
+// it may be tried now
+function loginRetryAfter(username, address) {
+  const now = Date.now();
+  return loginKeys(username, address).reduce((wait, [key, limit]) => {
+    const entry = loginFailures.get(key);
+    if (!entry || entry.resetAt <= now || entry.count < limit) return wait;
+    return Math.max(wait, Math.ceil((entry.resetAt - now) / 1000));
+  }, 0);
+}
+
+function recordLoginFailure(username, address) {
+  const now = Date.now();
+  loginFailures.forEach((entry, key) => {
+    if (entry.resetAt <= now) loginFailures.delete(key);
+  });
+  loginKeys(username, address).forEach(([key]) => {
+    const entry = loginFailures.get(key) || { count: 0, resetAt: now + LOGIN_WINDOW_MINUTES * 60000 };
+    entry.count++;
+    loginFailures.set(key, entry);
+  });
+}
+
+// Check a username and password from the given client address and open a
+// session. The callback gets { session }, or { status, error } when the
+// credentials are wrong (401) or the address has failed too often (429, with
+// retryAfter in seconds). A successful login clears its username's failures.
+function login(db, username, password, address, callback) {
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return callback(null, { status: 401, error: 'Invalid username or password' });
+  }
+  const retryAfter = loginRetryAfter(username, address);
+  if (retryAfter > 0) {
+    return callback(null, {
+      status: 429,
+      error: `Too many failed logins, try again in ${Math.ceil(retryAfter / 60)} minutes`,
+      retryAfter
+    });
+  }
+
+  const reject = () => {
+    recordLoginFailure(username, address);
+    callback(null, { status: 401, error: 'Invalid username or password' });
+  };
+
+  db.query('SELECT * FROM users WHERE username = ?', [username], (err, rows) => {
+    if (err) return callback(err);
+    if (rows.length === 0) return reject();
+
+    verifyPassword(password, rows[0].password_hash, (err, valid) => {
+      if (err) return callback(err);
+      if (!valid) return reject();
+      loginFailures.delete(loginKeys(username, address)[0][0]);
+
+      const token = crypto.randomBytes(32).toString('hex');
+      const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 3600 * 1000);
+
+      // Expired sessions are cleared whenever someone logs in
+      db.query('DELETE FROM sessions WHERE expires_at <= NOW()', (err) => {
+        if (err) return callback(err);
+        db.query(
+          'INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)',
+          [hashToken(token), rows[0].id, expiresAt],
+          (err) => {
+            if (err) return callback(err);
+            callback(null, { session: { token, expiresAt, user: formatUser(rows[0]) } });
+          }
+        );
+      });
+    });
+  });
+}
+
+function logout(db, token, callback) {
+  db.query('DELETE FROM sessions WHERE token_hash = ?', [hashToken(token)], callback);
+}
+
+// Outstanding tickets by hash: { userId, purpose, expiresAt }
+const tickets = new Map();
+
+// Issue a ticket for the given user and purpose
+function createTicket(user, purpose) {
+  const now = Date.now();
+  tickets.forEach((entry, hash) => {
+    if (entry.expiresAt <= now) tickets.delete(hash);
+  });
+
+  const ticket = crypto.randomBytes(24).toString('hex');
+  const expiresAt = new Date(now + TICKET_TTL_SECONDS * 1000);
+  tickets.set(hashToken(ticket), { userId: user.id, purpose, expiresAt: expiresAt.getTime() });
+  return { ticket, expiresAt };
+}
+
+// Use up a ticket. Returns the user ID it was issued to, or null when it is
+// unknown, expired or for another purpose.
+function redeemTicket(ticket, purpose) {
+  const hash = hashToken(ticket);
+  const entry = tickets.get(hash);
+  if (!entry) return null;
+  tickets.delete(hash);
+  return entry.purpose === purpose && entry.expiresAt > Date.now() ? entry.userId : null;
+}
+
+function getRequestToken(req) {
+  const header = req.get('Authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+// Middleware that only lets through users with at least the given role. The
+// session token comes from the Authorization header; routes given a ticket
+// purpose also take a ticket for it as ?ticket=.
+function requireRole(db, role, ticketPurpose = null) {
+  return (req, res, next) => {
+    const authorize = (err, rows) => {
+      if (err) {
+        console.error('Error checking session:', err);
+        return res.status(500).json({ error: 'Error checking session' });
+      }
+      if (rows.length === 0) {
+        return res.status(401).json({ error: 'Session expired, please log in again' });
+      }
+
+      req.user = formatUser(rows[0]);
+      if (!hasRole(req.user, role)) {
+        return res.status(403).json({ error: `This action requires the ${role} role` });
+      }
+      next();
+    };
+
+    const token = getRequestToken(req);
+    if (token) {
+      const query = `
+        SELECT users.* FROM sessions
+        JOIN users ON users.id = sessions.user_id
+        WHERE sessions.token_hash = ? AND sessions.expires_at > NOW()
+      `;
+      req.token = token;
+      return db.query(query, [hashToken(token)], authorize);
+    }
+
+    if (ticketPurpose && typeof req.query.ticket === 'string') {
+      const userId = redeemTicket(req.query.ticket, ticketPurpose);
+      if (userId === null) {
+        return res.status(401).json({ error: 'Ticket expired or already used' });
+      }
+      return db.query('SELECT * FROM users WHERE id = ?', [userId], authorize);
+    }
+
+    res.status(401).json({ error: 'Login required' });
+  };
+}
+
+// Check the API key a device sent (null when it sent none) against the device
+// it claims to be. The callback gets { deviceId } when the device is let in,
+// or { status, error } when it is not.
+function checkDeviceKey(db, key, claimed, callback) {
+  if (!key) {
+    // A device that has a key must always use it
+    db.query('SELECT api_key_hash FROM devices WHERE device_id = ?', [claimed], (err, rows) => {
+      if (err) return callback(err);
+      if (!ALLOW_KEYLESS_DEVICES || (rows.length > 0 && rows[0].api_key_hash)) {
+        return callback(null, { status: 401, error: 'Device API key required' });
+      }
+      callback(null, { deviceId: claimed });
+    });
+    return;
+  }
+
+  db.query('SELECT device_id FROM devices WHERE api_key_hash = ?', [hashToken(key)], (err, rows) => {
+    if (err) return callback(err);
+    if (rows.length === 0) {
+      return callback(null, { status: 401, error: 'Invalid device API key' });
+    }
+    if (claimed && claimed !== rows[0].device_id) {
+      return callback(null, { status: 403, error: 'API key does not belong to this device' });
+    }
+    callback(null, { deviceId: rows[0].device_id });
+  });
+}
+
+// Middleware for device endpoints. The key identifies the device; a device ID
+// in the URL or body must match it. Sets req.deviceId and fills in
+// req.body.deviceId when the device left it out.
+function requireDeviceKey(db, defaultDeviceId) {
+  return (req, res, next) => {
+    const key = req.get('X-Device-Key') || null;
+    const named = req.params.deviceId || (req.body && req.body.deviceId);
+    // Without a key the device is taken at its word, with one the key decides
+    const claimed = key ? named : (named || defaultDeviceId);
+
+    checkDeviceKey(db, key, claimed, (err, result) => {
+      if (err) {
+        console.error('Error checking device key:', err);
+        return res.status(500).json({ error: 'Error checking device key' });
+      }
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      req.deviceId = result.deviceId;
+      if (req.body && typeof req.body === 'object' && !Array.isArray(req.body) && req.body.deviceId === undefined) {
+        req.body.deviceId = result.deviceId;
+      }
+      next();
+    });
+  };
+}
+
+// Issue a new API key for a device, replacing any previous one. The plain key
+// is only returned here; callback gets null when the device does not exist.
+function createDeviceKey(db, deviceId, callback) {
+  const key = crypto.randomBytes(24).toString('hex');
+  db.query('UPDATE devices SET api_key_hash = ? WHERE device_id = ?', [hashToken(key), deviceId], (err, results) => {
+    if (err) return callback(err);
+    callback(null, results.affectedRows > 0 ? key : null);
+  });
+}
+
+function revokeDeviceKey(db, deviceId, callback) {
+  db.query('UPDATE devices SET api_key_hash = NULL WHERE device_id = ?', [deviceId], (err, results) => {
+    if (err) return callback(err);
+    callback(null, results.affectedRows > 0);
+  });
+}
+
+function getUsers(db, callback) {
+  db.query('SELECT * FROM users ORDER BY username', (err, rows) => {
+    if (err) return callback(err);
+    callback(null, rows.map(formatUser));
+  });
+}
+
+function getUser(db, id, callback) {
+  db.query('SELECT * FROM users WHERE id = ?', [id], (err, rows) => {
+    if (err) return callback(err);
+    callback(null, rows.length > 0 ? formatUser(rows[0]) : null);
+  });
+}
+
+function createUser(db, user, callback) {
+  hashPassword(user.password, (err, passwordHash) => {
+    if (err) return callback(err);
+    db.query(
+      'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)',
+      [user.username, passwordHash, user.role],
+      (err, results) => {
+        if (err) return callback(err);
+        getUser(db, results.insertId, callback);
+      }
+    );
+  });
+}
+
+// Changing a password signs the user out everywhere
+function updateUser(db, id, user, callback) {
+  const save = (passwordHash) => {
+    const updates = ['role = ?'];
+    const params = [user.role];
+    if (passwordHash) {
+      updates.push('password_hash = ?');
+      params.push(passwordHash);
+    }
+
+    db.query(`UPDATE users SET ${updates.join(', ')} WHERE id = ?`, [...params, id], (err) => {
+      if (err) return callback(err);
+      if (!passwordHash) return getUser(db, id, callback);
+      db.query('DELETE FROM sessions WHERE user_id = ?', [id], (err) => {
+        if (err) return callback(err);
+        getUser(db, id, callback);
+      });
+    });
+  };
+
+  if (user.password === undefined) return save(null);
+  hashPassword(user.password, (err, passwordHash) => {
+    if (err) return callback(err);
+    save(passwordHash);
+  });
+}
+
+function deleteUser(db, id, callback) {
+  db.query('DELETE FROM sessions WHERE user_id = ?', [id], (err) => {
+    if (err) return callback(err);
+    db.query('DELETE FROM users WHERE id = ?', [id], (err, results) => {
+      if (err) return callback(err);
+      callback(null, results.affectedRows > 0);
+    });
+  });
+}
+
+module.exports = {
+  ROLES,
+  TICKET_PURPOSES,
+  hasRole,
+  validateUser,
+  ensureAdminUser,
+  login,
+  logout,
+  requireRole,
+  createTicket,
+  checkDeviceKey,
+  requireDeviceKey,
+  createDeviceKey,
+  revokeDeviceKey,
+  getUsers,
+  getUser,
+  createUser,
+  updateUser,
+  deleteUser
+};
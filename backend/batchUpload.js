@@ -0,0 +1,102 @@
+// Store-and-forward uploads: devices that were offline send their buffered
+// readings as { deviceId, readings: [...] }. Each reading is validated and
+// stored on its own, oldest first, and readings already stored for the same
+// device and timestamp are skipped, so a device can safely retry a batch.
+
+// Most readings a device may upload in one batch
+const MAX_BATCH_SIZE = 500;
+
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+function readingExists(db, deviceId, timestamp, callback) {
+  const query = `
+    SELECT id FROM sensor_data
+    WHERE device_id = ? AND timestamp = STR_TO_DATE(?, '%Y-%m-%d %H:%i:%s')
+    LIMIT 1
+  `;
+  db.query(query, [deviceId, timestamp], (err, rows) => {
+    if (err) return callback(err);
+    callback(null, rows.length > 0);
+  });
+}
+
+// Store a batch for deviceId. validate(data) checks one reading and
+// ingest(data, callback) stores it like a live one. The callback gets a
+// summary with a result per reading, in the order they were sent: saved (with
+// the new id), duplicate, rejected or error. Readings that failed with an
+// error were not stored and should be sent again.
+function storeBatch(db, deviceId, readings, { validate, ingest }, callback) {
+  const results = new Array(readings.length);
+  const seen = new Set();
+
+  // Store oldest first so pump state and alert hysteresis follow the real order
+  const queue = [];
+  readings.forEach((reading, index) => {
+    const data = typeof reading === 'object' && reading !== null
+      ? { deviceId, ...reading }
+      : reading;
+    if (!validate(data) || !TIMESTAMP_PATTERN.test(data.timestamp)) {
+      results[index] = { index, status: 'rejected', error: 'Invalid sensor data format' };
+      return;
+    }
+    if (data.deviceId !== deviceId) {
+      results[index] = { index, status: 'rejected', error: 'deviceId does not match the batch' };
+      return;
+    }
+    queue.push({ index, data });
+  });
+  queue.sort((a, b) => a.data.timestamp.localeCompare(b.data.timestamp));
+
+  const finish = () => {
+    const count = (status) => results.filter(result => result.status === status).length;
+    callback(null, {
+      received: readings.length,
+      saved: count('saved'),
+      duplicates: count('duplicate'),
+      rejected: count('rejected'),
+      failed: count('error'),
+      results
+    });
+  };
+
+  const next = (position) => {
+    if (position >= queue.length) return finish();
+    const { index, data } = queue[position];
+
+    if (seen.has(data.timestamp)) {
+      results[index] = { index, status: 'duplicate' };
+      return next(position + 1);
+    }
+    seen.add(data.timestamp);
+
+    readingExists(db, deviceId, data.timestamp, (err, exists) => {
+      if (err) {
+        console.error('Error checking for duplicate reading:', err);
+        results[index] = { index, status: 'error', error: 'Error saving sensor data' };
+        return next(position + 1);
+      }
+      if (exists) {
+        results[index] = { index, status: 'duplicate' };
+        return next(position + 1);
+      }
+
+      ingest(data, (err, saved) => {
+        if (err) {
+          console.error('Error saving sensor data:', err);
+          results[index] = { index, status: 'error', error: 'Error saving sensor data' };
+        } else {
+          results[index] = { index, status: 'saved', id: saved.id };
+        }
+        next(position + 1);
+      });
+    });
+  };
+
+  next(0);
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  TIMESTAMP_PATTERN,
+  storeBatch
+};
@@ -0,0 +1,192 @@
+// Per-device calibration profiles that turn raw analog readings into physical
+// units, e.g. soil moisture ADC counts into %. A profile is either linear
+// through two points or a piecewise-linear table. Raw values stay in the
+// sensor columns (thresholds and alerts work on them); the calibrated value
+// is stored next to each reading in <sensor>_calibrated.
+
+// Sensors read through an ADC that can be calibrated
+const CALIBRATED_SENSORS = ['soilMoisture', 'ldrValue', 'rainValue', 'airQualityPPM'];
+
+const CALIBRATION_METHODS = ['linear', 'piecewise'];
+
+// Most points a piecewise table may have
+const MAX_CALIBRATION_POINTS = 32;
+
+// Tables for server.js to create on startup
+const CALIBRATION_SCHEMA_QUERIES = [
+  `
+    CREATE TABLE IF NOT EXISTS calibration_profiles (
+      device_id VARCHAR(64) NOT NULL,
+      sensor VARCHAR(32) NOT NULL,
+      method VARCHAR(16) NOT NULL,
+      points TEXT NOT NULL,
+      unit VARCHAR(16) NOT NULL DEFAULT '',
+      clamp TINYINT(1) NOT NULL DEFAULT 1,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (device_id, sensor)
+    )
+  `
+];
+
+// sensor_data columns holding the calibrated values
+const CALIBRATED_COLUMNS = CALIBRATED_SENSORS.map(sensor => `${sensor}_calibrated`);
+
+// Columns added to sensor_data on startup, in the [table, column, definition]
+// form of SCHEMA_COLUMNS
+const CALIBRATION_SCHEMA_COLUMNS = CALIBRATED_COLUMNS.map(column => ['sensor_data', column, 'FLOAT DEFAULT NULL']);
+
+// Loaded profiles by device and sensor, reloaded whenever one changes
+let activeProfiles = {};
+
+function formatProfile(row) {
+  return {
+    deviceId: row.device_id,
+    sensor: row.sensor,
+    method: row.method,
+    points: JSON.parse(row.points),
+    unit: row.unit,
+    clamp: Boolean(row.clamp),
+    updatedAt: row.updated_at
+  };
+}
+
+function loadCalibrationProfiles(db, callback) {
+  db.query('SELECT * FROM calibration_profiles', (err, rows) => {
+    if (err) return callback(err);
+    activeProfiles = rows.reduce((profiles, row) => {
+      const profile = formatProfile(row);
+      profiles[profile.deviceId] = { ...profiles[profile.deviceId], [profile.sensor]: profile };
+      return profiles;
+    }, {});
+    callback(null);
+  });
+}
+
+// Check a profile from the API. Points are { raw, value } pairs: exactly two
+// for linear, two or more for piecewise. Returns { profile } with the points
+// sorted by raw value, or { error }.
+function validateProfile(data) {
+  if (typeof data !== 'object' || data === null) {
+    return { error: 'Invalid calibration profile' };
+  }
+  const { method = 'linear', points, unit = '', clamp = true } = data;
+
+  if (!CALIBRATION_METHODS.includes(method)) {
+    return { error: `method must be one of: ${CALIBRATION_METHODS.join(', ')}` };
+  }
+  if (!Array.isArray(points) || points.length < 2 || points.length > MAX_CALIBRATION_POINTS) {
+    return { error: `points must be a list of 2 to ${MAX_CALIBRATION_POINTS} { raw, value } pairs` };
+  }
+  if (method === 'linear' && points.length !== 2) {
+    return { error: 'A linear profile needs exactly two points' };
+  }
+  if (!points.every(point => point && Number.isFinite(point.raw) && Number.isFinite(point.value))) {
+    return { error: 'Every point needs numeric raw and value' };
+  }
+  if (new Set(points.map(point => point.raw)).size !== points.length) {
+    return { error: 'Points must have different raw values' };
+  }
+  if (typeof unit !== 'string' || unit.length > 16) {
+    return { error: 'unit must be text of at most 16 characters' };
+  }
+  if (typeof clamp !== 'boolean') {
+    return { error: 'clamp must be true or false' };
+  }
+
+  const sorted = points
+    .map(point => ({ raw: point.raw, value: point.value }))
+    .sort((a, b) => a.raw - b.raw);
+  return { profile: { method, points: sorted, unit, clamp } };
+}
+
+// Convert a raw value with a profile. Values between points are interpolated;
+// outside the table the end segments are extended, or held at the end
+// values when the profile clamps.
+function applyCalibration(profile, raw) {
+  const { points, clamp } = profile;
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (clamp && raw <= first.raw) return first.value;
+  if (clamp && raw >= last.raw) return last.value;
+
+  // Segment the raw value falls in, or the end segment it extends
+  let index = points.findIndex(point => point.raw >= raw);
+  if (index === -1) index = points.length - 1;
+  if (index === 0) index = 1;
+  const low = points[index - 1];
+  const high = points[index];
+  const value = low.value + ((raw - low.raw) * (high.value - low.value)) / (high.raw - low.raw);
+  return Math.round(value * 100) / 100;
+}
+
+// Calibrated columns for a reading, null for sensors without a profile
+function calibrateReading(deviceId, reading) {
+  const profiles = activeProfiles[deviceId] || {};
+  return CALIBRATED_SENSORS.reduce((columns, sensor) => {
+    const profile = profiles[sensor];
+    const raw = reading[sensor];
+    columns[`${sensor}_calibrated`] = profile && typeof raw === 'number' ? applyCalibration(profile, raw) : null;
+    return columns;
+  }, {});
+}
+
+// Units of a device's calibrated sensors, e.g. { soilMoisture: '%' }
+function getCalibrationUnits(deviceId) {
+  const profiles = activeProfiles[deviceId] || {};
+  return Object.keys(profiles).reduce((units, sensor) => {
+    units[sensor] = profiles[sensor].unit;
+    return units;
+  }, {});
+}
+
+function getCalibrationProfiles(db, deviceId, callback) {
+  db.query('SELECT * FROM calibration_profiles WHERE device_id = ? ORDER BY sensor', [deviceId], (err, rows) => {
+    if (err) return callback(err);
+    callback(null, rows.map(formatProfile));
+  });
+}
+
+// Store a validated profile and make it live for new readings
+function saveCalibrationProfile(db, deviceId, sensor, profile, callback) {
+  const query = `
+    INSERT INTO calibration_profiles (device_id, sensor, method, points, unit, clamp)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE method = VALUES(method), points = VALUES(points), unit = VALUES(unit), clamp = VALUES(clamp)
+  `;
+  const params = [deviceId, sensor, profile.method, JSON.stringify(profile.points), profile.unit, profile.clamp ? 1 : 0];
+
+  db.query(query, params, (err) => {
+    if (err) return callback(err);
+    loadCalibrationProfiles(db, (err) => {
+      if (err) return callback(err);
+      callback(null, activeProfiles[deviceId][sensor]);
+    });
+  });
+}
+
+// Remove a profile; calls back with false when there was none
+function deleteCalibrationProfile(db, deviceId, sensor, callback) {
+  db.query('DELETE FROM calibration_profiles WHERE device_id = ? AND sensor = ?', [deviceId, sensor], (err, results) => {
+    if (err) return callback(err);
+    if (results.affectedRows === 0) return callback(null, false);
+    loadCalibrationProfiles(db, (err) => {
+      if (err) return callback(err);
+      callback(null, true);
+    });
+  });
+}
+
+module.exports = {
+  CALIBRATED_SENSORS,
+  CALIBRATED_COLUMNS,
+  CALIBRATION_SCHEMA_QUERIES,
+  CALIBRATION_SCHEMA_COLUMNS,
+  loadCalibrationProfiles,
+  validateProfile,
+  applyCalibration,
+  calibrateReading,
+  getCalibrationUnits,
+  getCalibrationProfiles,
+  saveCalibrationProfile,
+  deleteCalibrationProfile
+};
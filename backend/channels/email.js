@@ -0,0 +1,61 @@
+// SMTP e-mail channel. Server settings come from the channel configuration
+// and fall back to the SMTP_* environment variables.
+const nodemailer = require('nodemailer');
+
+function validateConfig(config) {
+  const recipients = Array.isArray(config.to) ? config.to : [config.to];
+  if (recipients.length === 0 || recipients.some(address => typeof address !== 'string' || !address.includes('@'))) {
+    return 'to must be an e-mail address or a list of addresses';
+  }
+  if (config.port !== undefined && !Number.isInteger(config.port)) {
+    return 'port must be an integer';
+  }
+  if (!config.host && !process.env.SMTP_HOST) {
+    return 'host is required when SMTP_HOST is not set';
+  }
+  return null;
+}
+
+function createTransport(config) {
+  const user = config.user || process.env.SMTP_USER;
+  const pass = config.pass || process.env.SMTP_PASS;
+
+  return nodemailer.createTransport({
+    host: config.host || process.env.SMTP_HOST,
+    port: config.port || parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: config.secure !== undefined ? config.secure : process.env.SMTP_SECURE === 'true',
+    auth: user ? { user, pass } : undefined
+  });
+}
+
+function send(config, notification, callback) {
+  const transport = createTransport(config);
+  const message = {
+    from: config.from || process.env.SMTP_FROM || 'pertanian@localhost',
+    to: config.to,
+    subject: `[Pertanian] ${notification.summary}`,
+    text: [
+      notification.summary,
+      '',
+      `Event: ${notification.event}`,
+      `Time: ${notification.timestamp}`,
+      '',
+      JSON.stringify(notification.data, null, 2)
+    ].join('\n')
+  };
+
+  transport.sendMail(message, (err) => {
+    transport.close();
+    if (err) {
+      err.attempts = 1;
+      return callback(err);
+    }
+    callback(null, { attempts: 1 });
+  });
+}
+
+module.exports = {
+  secretFields: ['pass'],
+  validateConfig,
+  send
+};
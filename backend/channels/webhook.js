@@ -0,0 +1,97 @@
+// Generic JSON webhook channel. Each delivery is signed with HMAC-SHA256 over
+// the raw body when a secret is configured, and retried with backoff on
+// network errors, 429 and 5xx responses.
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_TIMEOUT_MS = 10000;
+const RETRY_BASE_DELAY_MS = 1000;
+
+function validateConfig(config) {
+  let url;
+  try {
+    url = new URL(config.url);
+  } catch (err) {
+    return 'url must be a valid URL';
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return 'url must use http or https';
+  }
+  if (config.secret !== undefined && typeof config.secret !== 'string') {
+    return 'secret must be a string';
+  }
+  if (config.maxRetries !== undefined &&
+      (!Number.isInteger(config.maxRetries) || config.maxRetries < 0 || config.maxRetries > 10)) {
+    return 'maxRetries must be an integer between 0 and 10';
+  }
+  if (config.timeoutMs !== undefined && (!Number.isInteger(config.timeoutMs) || config.timeoutMs < 100)) {
+    return 'timeoutMs must be an integer of at least 100';
+  }
+  return null;
+}
+
+function sign(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// Single POST attempt, the callback gets an error for anything but a 2xx answer
+function post(config, notification, body, callback) {
+  const url = new URL(config.url);
+  const headers = {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body),
+    'User-Agent': 'pertanian-backend',
+    'X-Pertanian-Event': notification.event,
+    'X-Pertanian-Delivery': notification.id
+  };
+  if (config.secret) {
+    headers['X-Pertanian-Signature'] = sign(config.secret, body);
+  }
+
+  const client = url.protocol === 'https:' ? https : http;
+  const request = client.request(url, { method: 'POST', headers }, (response) => {
+    response.resume();
+    response.on('end', () => {
+      if (response.statusCode >= 200 && response.statusCode < 300) {
+        return callback(null);
+      }
+      const err = new Error(`Webhook responded with ${response.statusCode}`);
+      err.retryable = response.statusCode === 429 || response.statusCode >= 500;
+      callback(err);
+    });
+  });
+
+  request.setTimeout(config.timeoutMs || DEFAULT_TIMEOUT_MS, () => {
+    request.destroy(new Error('Webhook request timed out'));
+  });
+  request.on('error', (err) => {
+    err.retryable = true;
+    callback(err);
+  });
+  request.end(body);
+}
+
+function send(config, notification, callback) {
+  const body = JSON.stringify(notification);
+  const maxRetries = config.maxRetries !== undefined ? config.maxRetries : DEFAULT_MAX_RETRIES;
+
+  const attempt = (number) => {
+    post(config, notification, body, (err) => {
+      if (!err) return callback(null, { attempts: number });
+      if (!err.retryable || number > maxRetries) {
+        err.attempts = number;
+        return callback(err);
+      }
+      setTimeout(() => attempt(number + 1), RETRY_BASE_DELAY_MS * 2 ** (number - 1));
+    });
+  };
+  attempt(1);
+}
+
+module.exports = {
+  secretFields: ['secret'],
+  validateConfig,
+  send
+};
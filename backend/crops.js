@@ -0,0 +1,213 @@
+// Crop profiles with threshold sets per growth stage. A field is assigned a
+// crop and a planting date; the stage follows from the days since planting
+// and its thresholds replace the configured ones for that field's readings.
+// Stages only set the sensors the crop cares about (temperature, humidity,
+// soil moisture), the others keep the configured thresholds.
+const { setFieldStageThresholds, getSensorThresholds } = require('./utils');
+
+// Stages run for `days` days in order; the last one has no end
+const CROP_PROFILES = {
+  chili: {
+    name: 'Chili',
+    stages: [
+      { name: 'Seedling', days: 30, thresholds: { temperature: { low: 22, high: 28 }, humidity: { low: 65, high: 80 }, soilMoisture: { low: 250, high: 450 } } },
+      { name: 'Vegetative', days: 30, thresholds: { temperature: { low: 21, high: 29 }, humidity: { low: 60, high: 75 }, soilMoisture: { low: 220, high: 420 } } },
+      { name: 'Flowering', days: 30, thresholds: { temperature: { low: 20, high: 27 }, humidity: { low: 60, high: 70 }, soilMoisture: { low: 230, high: 420 } } },
+      { name: 'Fruiting', days: null, thresholds: { temperature: { low: 20, high: 30 }, humidity: { low: 55, high: 70 }, soilMoisture: { low: 220, high: 400 } } }
+    ]
+  },
+  tomato: {
+    name: 'Tomato',
+    stages: [
+      { name: 'Seedling', days: 25, thresholds: { temperature: { low: 20, high: 25 }, humidity: { low: 65, high: 75 }, soilMoisture: { low: 250, high: 450 } } },
+      { name: 'Vegetative', days: 25, thresholds: { temperature: { low: 20, high: 27 }, humidity: { low: 60, high: 75 }, soilMoisture: { low: 220, high: 420 } } },
+      { name: 'Flowering', days: 25, thresholds: { temperature: { low: 18, high: 26 }, humidity: { low: 60, high: 70 }, soilMoisture: { low: 230, high: 420 } } },
+      { name: 'Fruiting', days: null, thresholds: { temperature: { low: 20, high: 28 }, humidity: { low: 60, high: 75 }, soilMoisture: { low: 220, high: 400 } } }
+    ]
+  },
+  rice: {
+    name: 'Rice',
+    stages: [
+      { name: 'Seedling', days: 20, thresholds: { temperature: { low: 25, high: 32 }, humidity: { low: 70, high: 85 }, soilMoisture: { low: 450, high: 900 } } },
+      { name: 'Tillering', days: 25, thresholds: { temperature: { low: 25, high: 33 }, humidity: { low: 70, high: 85 }, soilMoisture: { low: 400, high: 900 } } },
+      { name: 'Panicle initiation', days: 30, thresholds: { temperature: { low: 25, high: 32 }, humidity: { low: 75, high: 85 }, soilMoisture: { low: 400, high: 900 } } },
+      { name: 'Ripening', days: null, thresholds: { temperature: { low: 20, high: 30 }, humidity: { low: 60, high: 80 }, soilMoisture: { low: 300, high: 600 } } }
+    ]
+  },
+  corn: {
+    name: 'Corn',
+    stages: [
+      { name: 'Emergence', days: 10, thresholds: { temperature: { low: 18, high: 30 }, humidity: { low: 60, high: 80 }, soilMoisture: { low: 250, high: 450 } } },
+      { name: 'Vegetative', days: 45, thresholds: { temperature: { low: 20, high: 32 }, humidity: { low: 55, high: 75 }, soilMoisture: { low: 220, high: 420 } } },
+      { name: 'Tasseling', days: 20, thresholds: { temperature: { low: 20, high: 30 }, humidity: { low: 60, high: 75 }, soilMoisture: { low: 260, high: 450 } } },
+      { name: 'Grain fill', days: null, thresholds: { temperature: { low: 18, high: 30 }, humidity: { low: 55, high: 75 }, soilMoisture: { low: 220, high: 400 } } }
+    ]
+  }
+};
+
+// Tables for server.js to create on startup
+const CROP_SCHEMA_QUERIES = [
+  `
+    CREATE TABLE IF NOT EXISTS field_crops (
+      field VARCHAR(100) PRIMARY KEY,
+      crop VARCHAR(32) NOT NULL,
+      planted_on DATE NOT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Local midnight of a YYYY-MM-DD date
+function parseDate(text) {
+  return new Date(`${text}T00:00:00`);
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+function formatDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Start and end of each stage for a crop planted on a YYYY-MM-DD date
+function getStageSchedule(crop, plantedOn) {
+  let from = parseDate(plantedOn);
+  return CROP_PROFILES[crop].stages.map((stage, index) => {
+    const to = stage.days ? addDays(from, stage.days) : null;
+    const entry = { index, name: stage.name, from, to, thresholds: stage.thresholds };
+    from = to;
+    return entry;
+  });
+}
+
+// Stage a crop is in on a date, null before planting
+function getCropStage(crop, plantedOn, date = new Date()) {
+  const stage = getStageSchedule(crop, plantedOn).find(entry => entry.from <= date && (!entry.to || date < entry.to));
+  if (!stage) return null;
+  return {
+    index: stage.index,
+    name: stage.name,
+    startedOn: formatDate(stage.from),
+    endsOn: stage.to ? formatDate(stage.to) : null
+  };
+}
+
+function formatFieldCrop(row) {
+  const daysSincePlanting = Math.floor((new Date() - parseDate(row.planted_on)) / 86400000);
+  return {
+    field: row.field,
+    crop: row.crop,
+    cropName: CROP_PROFILES[row.crop] ? CROP_PROFILES[row.crop].name : row.crop,
+    plantedOn: row.planted_on,
+    daysSincePlanting,
+    stage: CROP_PROFILES[row.crop] ? getCropStage(row.crop, row.planted_on) : null,
+    thresholds: getSensorThresholds(row.field)
+  };
+}
+
+function selectFieldCrops(db, callback) {
+  db.query("SELECT field, crop, DATE_FORMAT(planted_on, '%Y-%m-%d') AS planted_on FROM field_crops ORDER BY field", callback);
+}
+
+// Load the assignments and hand their stage schedules to utils.js
+function loadFieldCrops(db, callback) {
+  selectFieldCrops(db, (err, rows) => {
+    if (err) return callback(err);
+    const stages = rows.reduce((byField, row) => {
+      if (CROP_PROFILES[row.crop]) byField[row.field] = getStageSchedule(row.crop, row.planted_on);
+      return byField;
+    }, {});
+    setFieldStageThresholds(stages);
+    callback(null);
+  });
+}
+
+// Check an assignment from the API. Returns { assignment } or { error }.
+function validateFieldCrop(data) {
+  if (typeof data !== 'object' || data === null) {
+    return { error: 'Invalid crop assignment' };
+  }
+  const { crop, plantedOn } = data;
+
+  if (!CROP_PROFILES[crop]) {
+    return { error: `crop must be one of: ${Object.keys(CROP_PROFILES).join(', ')}` };
+  }
+  if (typeof plantedOn !== 'string' || !DATE_PATTERN.test(plantedOn) || isNaN(parseDate(plantedOn))) {
+    return { error: 'plantedOn must be a date (YYYY-MM-DD)' };
+  }
+  return { assignment: { crop, plantedOn } };
+}
+
+// Crop profiles for the API, stages with their length and thresholds
+function getCropProfiles() {
+  return Object.entries(CROP_PROFILES).map(([crop, profile]) => ({
+    crop,
+    name: profile.name,
+    stages: profile.stages
+  }));
+}
+
+function getFieldCrops(db, callback) {
+  selectFieldCrops(db, (err, rows) => {
+    if (err) return callback(err);
+    callback(null, rows.map(formatFieldCrop));
+  });
+}
+
+// Store a validated assignment and apply its thresholds straight away
+function saveFieldCrop(db, field, { crop, plantedOn }, callback) {
+  const query = `
+    INSERT INTO field_crops (field, crop, planted_on) VALUES (?, ?, ?)
+    ON DUPLICATE KEY UPDATE crop = VALUES(crop), planted_on = VALUES(planted_on)
+  `;
+  db.query(query, [field, crop, plantedOn], (err) => {
+    if (err) return callback(err);
+    loadFieldCrops(db, (err) => {
+      if (err) return callback(err);
+      callback(null, formatFieldCrop({ field, crop, planted_on: plantedOn }));
+    });
+  });
+}
+
+// Remove a field's crop; calls back with false when it had none
+function deleteFieldCrop(db, field, callback) {
+  db.query('DELETE FROM field_crops WHERE field = ?', [field], (err, results) => {
+    if (err) return callback(err);
+    if (results.affectedRows === 0) return callback(null, false);
+    loadFieldCrops(db, (err) => {
+      if (err) return callback(err);
+      callback(null, true);
+    });
+  });
+}
+
+// Field whose stage thresholds apply to a query scope (see getScope in
+// server.js): the requested field, else the field of the requested device
+function getScopeField(db, scope, callback) {
+  if (scope.field) return callback(null, scope.field);
+  if (!scope.deviceId) return callback(null, null);
+  db.query('SELECT field FROM devices WHERE device_id = ?', [scope.deviceId], (err, results) => {
+    if (err) return callback(err);
+    callback(null, results.length > 0 ? results[0].field : null);
+  });
+}
+
+module.exports = {
+  CROP_PROFILES,
+  CROP_SCHEMA_QUERIES,
+  getCropStage,
+  loadFieldCrops,
+  validateFieldCrop,
+  getCropProfiles,
+  getFieldCrops,
+  saveFieldCrop,
+  deleteFieldCrop,
+  getScopeField
+};
@@ -0,0 +1,135 @@
+// Agronomic metrics derived from temperature (°C) and relative humidity (%):
+// dew point, vapour pressure deficit and heat index per reading, and growing
+// degree days accumulated per day from the daily temperature range.
+const { getAggregates } = require('./aggregation');
+
+const DERIVED_METRICS = ['dewPoint', 'vpd', 'heatIndex'];
+
+// Base temperature (°C) for growing degree days when a request names none
+const GDD_BASE_TEMPERATURE = Number(process.env.GDD_BASE_TEMPERATURE) || 10;
+
+// Default number of days the GDD series covers
+const GDD_DEFAULT_DAYS = 30;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Saturation vapour pressure in kPa (Tetens)
+function saturationVapourPressure(temperature) {
+  return 0.6108 * Math.exp((17.27 * temperature) / (temperature + 237.3));
+}
+
+// Dew point in °C (Magnus formula)
+function dewPoint(temperature, humidity) {
+  if (humidity <= 0) return null;
+  const a = 17.62;
+  const b = 243.12;
+  const gamma = Math.log(humidity / 100) + (a * temperature) / (b + temperature);
+  return round((b * gamma) / (a - gamma));
+}
+
+// Vapour pressure deficit in kPa
+function vapourPressureDeficit(temperature, humidity) {
+  const deficit = saturationVapourPressure(temperature) * (1 - Math.min(humidity, 100) / 100);
+  return round(deficit);
+}
+
+// Heat index in °C (NOAA: Steadman's approximation, Rothfusz regression
+// with its adjustments once the index reaches 80 °F)
+function heatIndex(temperature, humidity) {
+  const t = (temperature * 9) / 5 + 32;
+  const rh = humidity;
+  let index = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+
+  if ((index + t) / 2 >= 80) {
+    index = -42.379 + 2.04901523 * t + 10.14333127 * rh - 0.22475541 * t * rh -
+      0.00683783 * t * t - 0.05481717 * rh * rh + 0.00122874 * t * t * rh +
+      0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+    if (rh < 13 && t >= 80 && t <= 112) {
+      index -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+    } else if (rh > 85 && t >= 80 && t <= 87) {
+      index += ((rh - 85) / 10) * ((87 - t) / 5);
+    }
+  }
+  return round(((index - 32) * 5) / 9);
+}
+
+// Derived metrics for a temperature and humidity pair, nulls when either is missing
+function deriveMetrics(temperature, humidity) {
+  if (temperature === null || temperature === undefined || humidity === null || humidity === undefined) {
+    return { dewPoint: null, vpd: null, heatIndex: null };
+  }
+  const t = Number(temperature);
+  const rh = Number(humidity);
+  return {
+    dewPoint: dewPoint(t, rh),
+    vpd: vapourPressureDeficit(t, rh),
+    heatIndex: heatIndex(t, rh)
+  };
+}
+
+// Work out the GDD range and base from query parameters: from/to dates or
+// days back from today (whole local days), and base in °C.
+// Returns { range } or { error }.
+function parseGddQuery(query) {
+  const to = query.to ? new Date(query.to) : new Date();
+  let from;
+  if (query.from) {
+    from = new Date(query.from);
+  } else {
+    const days = parseInt(query.days, 10) || GDD_DEFAULT_DAYS;
+    from = new Date(to);
+    from.setHours(0, 0, 0, 0);
+    from.setDate(from.getDate() - days + 1);
+  }
+  const base = query.base === undefined ? GDD_BASE_TEMPERATURE : Number(query.base);
+
+  if (isNaN(from) || isNaN(to)) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (from >= to) {
+    return { error: 'from must be before to' };
+  }
+  if ((to - from) / 86400000 > 3660) {
+    return { error: 'GDD ranges are limited to 10 years' };
+  }
+  if (!Number.isFinite(base)) {
+    return { error: 'base must be a number' };
+  }
+  return { range: { from, to, base } };
+}
+
+// Growing degree days per day for a device/field scope (see getScope in
+// server.js): max(0, (daily max + daily min) / 2 - base), with the running
+// total. Days without readings add nothing.
+function getGrowingDegreeDays(db, scope, { from, to, base }, callback) {
+  getAggregates(db, scope, { from, to, bucket: '1d' }, (err, result) => {
+    if (err) return callback(err);
+
+    let cumulative = 0;
+    const days = result.buckets.map(bucket => {
+      const { min, max } = bucket.sensors.temperature;
+      const gdd = min === null ? null : round(Math.max(0, (min + max) / 2 - base));
+      cumulative = round(cumulative + (gdd || 0));
+      return { date: bucket.start, min, max, gdd, cumulative };
+    });
+
+    callback(null, {
+      base,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      total: cumulative,
+      days
+    });
+  });
+}
+
+module.exports = {
+  DERIVED_METRICS,
+  GDD_BASE_TEMPERATURE,
+  dewPoint,
+  vapourPressureDeficit,
+  heatIndex,
+  deriveMetrics,
+  parseGddQuery,
+  getGrowingDegreeDays
+};
@@ -0,0 +1,298 @@
+// Background checks on registered devices and their health: heartbeats with
+// WiFi signal, uptime and firmware error codes, silence beyond the expected
+// reporting interval, and sensors that look broken from their readings.
+const { systemEvents } = require('./events');
+const { SENSOR_KEYS } = require('./utils');
+
+// A device that has not reported for this many minutes is considered silent
+const DEVICE_SILENCE_MINUTES = parseInt(process.env.DEVICE_SILENCE_MINUTES, 10) || 15;
+
+// Devices that report their interval are silent after missing this many reports
+const MISSED_REPORTS = 3;
+
+// A sensor reading the same value for this many hours counts as stuck
+const SENSOR_STUCK_HOURS = parseFloat(process.env.SENSOR_STUCK_HOURS) || 3;
+
+// Fewest readings in the stuck window before a constant value means anything
+const MIN_STUCK_READINGS = 6;
+
+// Error codes of the firmware's ErrorCode enum
+const DEVICE_ERROR_CODES = [
+  'ERROR_NONE',
+  'ERROR_DHT',
+  'ERROR_SOIL',
+  'ERROR_RAIN',
+  'ERROR_AIR',
+  'ERROR_LDR',
+  'ERROR_PUMP',
+  'ERROR_WIFI',
+  'ERROR_SERVER',
+  'ERROR_TIME',
+  'ERROR_DB'
+];
+
+// Values a sensor can physically report. The analog sensors read 0–1023
+// from the ADC and sit at either end when disconnected or shorted.
+const PHYSICAL_RANGES = {
+  temperature: { min: -40, max: 80 },
+  humidity: { min: 0, max: 100 },
+  ldrValue: { min: 0, max: 1023, rails: true },
+  rainValue: { min: 0, max: 1023, rails: true },
+  airQualityPPM: { min: 0, max: 10000 },
+  soilMoisture: { min: 0, max: 1023, rails: true }
+};
+
+// Tables for server.js to create on startup: the latest heartbeat per device
+const HEALTH_SCHEMA_QUERIES = [
+  `
+    CREATE TABLE IF NOT EXISTS device_health (
+      device_id VARCHAR(64) PRIMARY KEY,
+      rssi INT DEFAULT NULL,
+      uptime_seconds INT DEFAULT NULL,
+      free_heap INT DEFAULT NULL,
+      firmware VARCHAR(32) DEFAULT NULL,
+      last_error VARCHAR(16) DEFAULT NULL,
+      last_error_at TIMESTAMP NULL DEFAULT NULL,
+      received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `
+];
+
+// Columns added to existing tables on startup
+const HEALTH_SCHEMA_COLUMNS = [
+  ['devices', 'report_interval_seconds', 'INT DEFAULT NULL']
+];
+
+// SQL for the seconds without a report before a device counts as silent,
+// taking DEVICE_SILENCE_MINUTES as its parameter
+const silenceSecondsSql = (intervalColumn) => `COALESCE(${intervalColumn} * ${MISSED_REPORTS}, ? * 60)`;
+
+// Flag devices that went quiet and publish a device.silent event once per silence.
+// The flag is cleared when the device reports again.
+function checkSilentDevices(db, callback) {
+  const query = `
+    SELECT device_id, name, field, last_seen, ${silenceSecondsSql('report_interval_seconds')} AS silence_seconds FROM devices
+    WHERE last_seen IS NOT NULL
+    AND last_seen < DATE_SUB(NOW(), INTERVAL ${silenceSecondsSql('report_interval_seconds')} SECOND)
+    AND silent_since IS NULL
+  `;
+
+  db.query(query, [DEVICE_SILENCE_MINUTES, DEVICE_SILENCE_MINUTES], (err, rows) => {
+    if (err) return callback(err);
+    if (rows.length === 0) return callback(null, []);
+
+    const ids = rows.map(row => row.device_id);
+    db.query('UPDATE devices SET silent_since = NOW() WHERE device_id IN (?)', [ids], (err) => {
+      if (err) return callback(err);
+      rows.forEach(row => {
+        systemEvents.emit('device.silent', {
+          deviceId: row.device_id,
+          device: {
+            deviceId: row.device_id,
+            name: row.name,
+            field: row.field,
+            lastSeen: row.last_seen,
+            silenceMinutes: Math.round(Number(row.silence_seconds) / 60)
+          }
+        });
+      });
+      callback(null, ids);
+    });
+  });
+}
+
+// Check a heartbeat from a device: rssi (dBm), uptimeSeconds, lastError
+// (one of DEVICE_ERROR_CODES), and optionally intervalSeconds (how often it
+// sends readings), freeHeap and firmware. Returns { heartbeat } or { error }.
+function validateHeartbeat(data) {
+  if (typeof data !== 'object' || data === null) {
+    return { error: 'Invalid heartbeat format' };
+  }
+  const { rssi, uptimeSeconds, lastError = 'ERROR_NONE', intervalSeconds = null, freeHeap = null, firmware = null } = data;
+
+  if (typeof rssi !== 'number' || rssi < -120 || rssi > 0) {
+    return { error: 'rssi must be a number of dBm between -120 and 0' };
+  }
+  if (!Number.isInteger(uptimeSeconds) || uptimeSeconds < 0) {
+    return { error: 'uptimeSeconds must be a whole number of seconds' };
+  }
+  if (!DEVICE_ERROR_CODES.includes(lastError)) {
+    return { error: `lastError must be one of: ${DEVICE_ERROR_CODES.join(', ')}` };
+  }
+  if (intervalSeconds !== null && !(Number.isInteger(intervalSeconds) && intervalSeconds > 0 && intervalSeconds <= 86400)) {
+    return { error: 'intervalSeconds must be a whole number of seconds up to a day' };
+  }
+  if (freeHeap !== null && !(Number.isInteger(freeHeap) && freeHeap >= 0)) {
+    return { error: 'freeHeap must be a whole number of bytes' };
+  }
+  if (firmware !== null && (typeof firmware !== 'string' || firmware.length > 32)) {
+    return { error: 'firmware must be text of at most 32 characters' };
+  }
+  return { heartbeat: { rssi: Math.round(rssi), uptimeSeconds, lastError, intervalSeconds, freeHeap, firmware } };
+}
+
+// Store a device's latest heartbeat. A newly reported error (one that differs
+// from the previous heartbeat's) publishes a device.error event.
+function saveHeartbeat(db, deviceId, heartbeat, callback) {
+  db.query('SELECT last_error FROM device_health WHERE device_id = ?', [deviceId], (err, rows) => {
+    if (err) return callback(err);
+    const previousError = rows.length > 0 ? rows[0].last_error : null;
+    const hasError = heartbeat.lastError !== 'ERROR_NONE';
+
+    const query = `
+      INSERT INTO device_health (device_id, rssi, uptime_seconds, free_heap, firmware, last_error, last_error_at)
+      VALUES (?, ?, ?, ?, ?, ?, ${hasError ? 'NOW()' : 'NULL'})
+      ON DUPLICATE KEY UPDATE rssi = VALUES(rssi), uptime_seconds = VALUES(uptime_seconds),
+        free_heap = VALUES(free_heap), firmware = VALUES(firmware), last_error = VALUES(last_error),
+        last_error_at = ${hasError ? 'NOW()' : 'last_error_at'}
+    `;
+    const params = [deviceId, heartbeat.rssi, heartbeat.uptimeSeconds, heartbeat.freeHeap, heartbeat.firmware, heartbeat.lastError];
+
+    db.query(query, params, (err) => {
+      if (err) return callback(err);
+      if (hasError && heartbeat.lastError !== previousError) {
+        systemEvents.emit('device.error', { deviceId, device: { deviceId, error: heartbeat.lastError } });
+      }
+      if (heartbeat.intervalSeconds === null) return callback(null);
+      db.query('UPDATE devices SET report_interval_seconds = ? WHERE device_id = ?', [heartbeat.intervalSeconds, deviceId], callback);
+    });
+  });
+}
+
+// Signal quality from RSSI in dBm
+function describeSignal(rssi) {
+  if (rssi === null || rssi === undefined) return null;
+  if (rssi >= -55) return 'excellent';
+  if (rssi >= -67) return 'good';
+  if (rssi >= -80) return 'fair';
+  return 'poor';
+}
+
+// Fault of one sensor from its recent min/max/count and latest value:
+// out_of_range, saturated (stuck at an ADC rail), stuck (same value for the
+// whole window), no_data, or ok
+function checkSensor(key, stats, latest) {
+  const range = PHYSICAL_RANGES[key];
+  if (!stats || Number(stats.count) === 0 || latest === null || latest === undefined) {
+    return { status: 'no_data' };
+  }
+  const value = Number(latest);
+  if (range.rails && (value <= range.min || value >= range.max)) {
+    return { status: 'saturated', detail: `Reading ${value}, the end of the sensor's range` };
+  }
+  if (value < range.min || value > range.max) {
+    return { status: 'out_of_range', detail: `Reading ${value} is outside ${range.min}–${range.max}` };
+  }
+  if (Number(stats.count) >= MIN_STUCK_READINGS && Number(stats.min) === Number(stats.max)) {
+    return { status: 'stuck', detail: `Reading ${value} for the last ${SENSOR_STUCK_HOURS} hours` };
+  }
+  return { status: 'ok' };
+}
+
+// Health of registered devices, optionally only one: heartbeat details,
+// whether the device is silent, and a fault check per sensor over the last
+// SENSOR_STUCK_HOURS. status is critical for silent devices, warning for
+// reported errors or sensor faults, ok otherwise.
+function getDeviceHealth(db, deviceId, callback) {
+  const deviceFilter = deviceId ? 'WHERE d.device_id = ?' : '';
+  const deviceParams = deviceId ? [deviceId] : [];
+
+  const devicesQuery = `
+    SELECT d.device_id, d.name, d.field, d.last_seen, d.silent_since, d.report_interval_seconds,
+      ${silenceSecondsSql('d.report_interval_seconds')} AS silence_seconds,
+      d.last_seen < DATE_SUB(NOW(), INTERVAL ${silenceSecondsSql('d.report_interval_seconds')} SECOND) AS is_silent,
+      h.rssi, h.uptime_seconds, h.free_heap, h.firmware, h.last_error, h.last_error_at, h.received_at
+    FROM devices d
+    LEFT JOIN device_health h ON h.device_id = d.device_id
+    ${deviceFilter}
+    ORDER BY d.field IS NULL, d.field, d.name
+  `;
+  db.query(devicesQuery, [DEVICE_SILENCE_MINUTES, DEVICE_SILENCE_MINUTES, ...deviceParams], (err, devices) => {
+    if (err) return callback(err);
+    if (devices.length === 0) return callback(null, []);
+
+    const statsColumns = SENSOR_KEYS.map(key => `MIN(${key}) AS ${key}_min, MAX(${key}) AS ${key}_max, COUNT(${key}) AS ${key}_count`).join(', ');
+    const windowCondition = `timestamp >= DATE_SUB(NOW(), INTERVAL ${SENSOR_STUCK_HOURS * 60} MINUTE)`;
+    const statsQuery = `
+      SELECT device_id, ${statsColumns} FROM sensor_data
+      WHERE ${windowCondition} ${deviceId ? 'AND device_id = ?' : ''}
+      GROUP BY device_id
+    `;
+    db.query(statsQuery, deviceParams, (err, statsRows) => {
+      if (err) return callback(err);
+
+      // Latest reading of each device in the window
+      const latestQuery = `
+        SELECT s.* FROM sensor_data s
+        JOIN (
+          SELECT device_id, MAX(id) AS id FROM sensor_data
+          WHERE ${windowCondition} ${deviceId ? 'AND device_id = ?' : ''}
+          GROUP BY device_id
+        ) latest ON latest.id = s.id
+      `;
+      db.query(latestQuery, deviceParams, (err, latestRows) => {
+        if (err) return callback(err);
+
+        const statsByDevice = new Map(statsRows.map(row => [row.device_id, row]));
+        const latestByDevice = new Map(latestRows.map(row => [row.device_id, row]));
+
+        callback(null, devices.map(device => {
+          const stats = statsByDevice.get(device.device_id);
+          const latest = latestByDevice.get(device.device_id);
+          const sensors = {};
+          SENSOR_KEYS.forEach(key => {
+            sensors[key] = checkSensor(
+              key,
+              stats && { min: stats[`${key}_min`], max: stats[`${key}_max`], count: stats[`${key}_count`] },
+              latest && latest[key]
+            );
+          });
+
+          const silent = Boolean(device.is_silent);
+          const reportedError = device.last_error && device.last_error !== 'ERROR_NONE' ? device.last_error : null;
+          const faults = SENSOR_KEYS.filter(key => !['ok', 'no_data'].includes(sensors[key].status));
+          const issues = [
+            ...(silent ? [`No report for over ${Math.round(Number(device.silence_seconds) / 60)} minutes`] : []),
+            ...(reportedError ? [`Device reports ${reportedError}`] : []),
+            ...faults.map(key => `${key} ${sensors[key].status.replace('_', ' ')}`)
+          ];
+
+          return {
+            deviceId: device.device_id,
+            name: device.name,
+            field: device.field,
+            status: silent ? 'critical' : issues.length > 0 ? 'warning' : 'ok',
+            issues,
+            lastSeen: device.last_seen,
+            silent,
+            silentSince: device.silent_since,
+            expectedIntervalSeconds: device.report_interval_seconds,
+            silenceAfterSeconds: Number(device.silence_seconds),
+            heartbeatAt: device.received_at,
+            rssi: device.rssi,
+            signal: describeSignal(device.rssi),
+            uptimeSeconds: device.uptime_seconds,
+            freeHeap: device.free_heap,
+            firmware: device.firmware,
+            lastError: device.last_error,
+            lastErrorAt: device.last_error_at,
+            lastReadingAt: latest ? latest.timestamp : null,
+            sensors
+          };
+        }));
+      });
+    });
+  });
+}
+
+module.exports = {
+  DEVICE_SILENCE_MINUTES,
+  MISSED_REPORTS,
+  DEVICE_ERROR_CODES,
+  HEALTH_SCHEMA_QUERIES,
+  HEALTH_SCHEMA_COLUMNS,
+  checkSilentDevices,
+  validateHeartbeat,
+  saveHeartbeat,
+  getDeviceHealth
+};
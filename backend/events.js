@@ -0,0 +1,15 @@
+// Process-wide event bus. Modules emit what happened; notification channels
+// and other listeners subscribe without the emitters knowing about them.
+const { EventEmitter } = require('events');
+
+// Events that notification subscriptions can target. The bus also carries
+// reading.created, irrigation.created and alert.acknowledged for the live
+// dashboard stream, and pump.queued for the MQTT bridge.
+const EVENT_TYPES = ['alert.opened', 'alert.resolved', 'device.silent', 'device.error', 'pump.failed'];
+
+const systemEvents = new EventEmitter();
+
+module.exports = {
+  EVENT_TYPES,
+  systemEvents
+};
@@ -0,0 +1,161 @@
+// Sensor history export as CSV or NDJSON. Raw readings are streamed straight
+// from the database so large ranges never sit in memory; aggregated exports
+// reuse the bucketed aggregation (which also covers rolled-up history).
+const { Transform, pipeline } = require('stream');
+const { SENSOR_KEYS, getReadingStatus } = require('./utils');
+const { BUCKET_SIZES, MAX_BUCKETS, getAggregates } = require('./aggregation');
+const { anomalyConditions } = require('./anomalies');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// The status of a bucket is that of its average
+const AGGREGATE_STATS = ['min', 'max', 'avg', 'count', 'status'];
+
+// Work out export options from query parameters: format, from/to dates,
+// columns (comma-separated sensors) and an optional bucket for aggregation.
+// Returns { options } or { error }.
+function parseExportQuery(query) {
+  const format = query.format || 'csv';
+  if (!EXPORT_FORMATS[format]) {
+    return { error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+  }
+
+  const columns = query.columns ? String(query.columns).split(',').map(column => column.trim()) : SENSOR_KEYS;
+  const unknown = columns.filter(column => !SENSOR_KEYS.includes(column));
+  if (columns.length === 0 || unknown.length > 0) {
+    return { error: `columns must be a comma-separated list of: ${SENSOR_KEYS.join(', ')}` };
+  }
+
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (from && to && from >= to) {
+    return { error: 'from must be before to' };
+  }
+
+  if (query.bucket && !BUCKET_SIZES[query.bucket]) {
+    return { error: `bucket must be one of: ${Object.keys(BUCKET_SIZES).join(', ')}` };
+  }
+  if (query.bucket && !from) {
+    return { error: 'Aggregated exports need a from date' };
+  }
+  if (query.bucket && ((to || new Date()) - from) / 1000 / BUCKET_SIZES[query.bucket] > MAX_BUCKETS) {
+    return { error: `Range too long for ${query.bucket} buckets, use a larger bucket` };
+  }
+
+  return { options: { format, columns, from, to, bucket: query.bucket || null } };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Serialise one record (a plain object with keys in `header` order)
+function formatRecord(format, header, record) {
+  if (format === 'ndjson') return `${JSON.stringify(record)}\n`;
+  return `${header.map(key => csvValue(record[key])).join(',')}\n`;
+}
+
+function exportFilename(options) {
+  const day = (date) => date.toISOString().slice(0, 10);
+  const range = options.from ? `-${day(options.from)}_${day(options.to || new Date())}` : '';
+  return `sensor-data${range}.${EXPORT_FORMATS[options.format].extension}`;
+}
+
+function startResponse(res, options) {
+  res.setHeader('Content-Type', EXPORT_FORMATS[options.format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(options)}"`);
+}
+
+function streamRaw(db, scope, options, res) {
+  const conditions = [...scope.conditions, ...anomalyConditions(scope)];
+  const params = [...scope.params];
+  if (options.from) {
+    conditions.unshift('timestamp >= ?');
+    params.unshift(options.from);
+  }
+  if (options.to) {
+    conditions.push('timestamp < ?');
+    params.push(options.to);
+  }
+
+  // Every reading is exported with its status under its field's current thresholds
+  const header = ['timestamp', 'device_id', 'field', ...options.columns, ...options.columns.map(key => `${key}_status`)];
+  const query = `
+    SELECT timestamp, device_id, field, ${options.columns.join(', ')}
+    FROM sensor_data
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY timestamp ASC
+  `;
+
+  startResponse(res, options);
+  if (options.format === 'csv') res.write(`${header.join(',')}\n`);
+
+  const toText = new Transform({
+    writableObjectMode: true,
+    transform(row, encoding, callback) {
+      const record = { ...row, timestamp: new Date(row.timestamp).toISOString() };
+      const status = getReadingStatus(row);
+      options.columns.forEach(key => {
+        record[`${key}_status`] = status[key];
+      });
+      callback(null, formatRecord(options.format, header, record));
+    }
+  });
+
+  pipeline(db.query(query, params).stream(), toText, res, (err) => {
+    if (err) {
+      // Headers are gone by now, cutting the response short is all we can do
+      console.error('Error streaming export:', err.message);
+      res.destroy(err);
+    }
+  });
+}
+
+function writeAggregates(db, scope, options, res) {
+  const range = { from: options.from, to: options.to || new Date(), bucket: options.bucket };
+
+  getAggregates(db, scope, range, (err, result) => {
+    if (err) {
+      console.error('Error exporting aggregated data:', err);
+      return res.status(500).json({ error: 'Error exporting data' });
+    }
+
+    const header = ['timestamp', ...options.columns.flatMap(key => AGGREGATE_STATS.map(stat => `${key}_${stat}`))];
+    startResponse(res, options);
+    if (options.format === 'csv') res.write(`${header.join(',')}\n`);
+
+    result.buckets.forEach(bucket => {
+      const record = { timestamp: bucket.start };
+      options.columns.forEach(key => {
+        AGGREGATE_STATS.forEach(stat => {
+          record[`${key}_${stat}`] = bucket.sensors[key][stat];
+        });
+      });
+      res.write(formatRecord(options.format, header, record));
+    });
+    res.end();
+  });
+}
+
+// Write the export for a device/field scope (see getScope in server.js) to res
+function sendExport(db, scope, options, res) {
+  if (options.bucket) {
+    writeAggregates(db, scope, options, res);
+  } else {
+    streamRaw(db, scope, options, res);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseExportQuery,
+  sendExport
+};
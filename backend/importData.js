@@ -0,0 +1,378 @@
+// CSV import for backfilling readings logged offline (SD cards, spreadsheets).
+// An upload becomes an import job that is processed in chunks in the
+// background, so a large file never blocks the API. Each row is validated
+// like a live reading, rows already stored for the device and timestamp are
+// skipped, and rejected rows are kept with the reason.
+const { SENSOR_KEYS } = require('./utils');
+const { CALIBRATED_COLUMNS, calibrateReading } = require('./calibration');
+const { getRolledUntil } = require('./retention');
+
+// Fields a CSV column can be mapped to
+const IMPORT_FIELDS = ['timestamp', ...SENSOR_KEYS];
+
+// Rows inserted per chunk; the event loop gets a turn between chunks
+const IMPORT_CHUNK_SIZE = 500;
+
+// Rejected rows stored per import, the rest are only counted
+const MAX_STORED_REJECTIONS = 1000;
+
+// Tables for server.js to create on startup
+const IMPORT_SCHEMA_QUERIES = [
+  `
+    CREATE TABLE IF NOT EXISTS imports (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      device_id VARCHAR(64) NOT NULL,
+      filename VARCHAR(255) DEFAULT NULL,
+      status VARCHAR(16) NOT NULL DEFAULT 'processing',
+      total_rows INT NOT NULL DEFAULT 0,
+      processed_rows INT NOT NULL DEFAULT 0,
+      imported_rows INT NOT NULL DEFAULT 0,
+      duplicate_rows INT NOT NULL DEFAULT 0,
+      rejected_rows INT NOT NULL DEFAULT 0,
+      rejections MEDIUMTEXT DEFAULT NULL,
+      error VARCHAR(255) DEFAULT NULL,
+      created_by VARCHAR(64) DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      finished_at TIMESTAMP NULL DEFAULT NULL
+    )
+  `
+];
+
+// Read CSV text one row at a time, so a large file is parsed chunk by chunk
+// alongside the inserts instead of all at once. Handles quoted fields with
+// commas, doubled quotes and line breaks, and both \n and \r\n line endings.
+// Blank lines are skipped; nextRow() returns null at the end of the text.
+function createCsvReader(text) {
+  let position = 0;
+
+  const readRow = () => {
+    const row = [];
+    let field = '';
+    let quoted = false;
+
+    while (position < text.length) {
+      const char = text[position++];
+      if (quoted) {
+        if (char === '"' && text[position] === '"') {
+          field += '"';
+          position++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[position] === '\n') position++;
+        row.push(field);
+        return row;
+      } else {
+        field += char;
+      }
+    }
+    row.push(field);
+    return row;
+  };
+
+  return {
+    nextRow() {
+      while (position < text.length) {
+        const row = readRow();
+        if (row.some(value => value.trim() !== '')) return row;
+      }
+      return null;
+    }
+  };
+}
+
+// Rough row count for progress: lines after the header
+function countLines(text) {
+  let lines = 0;
+  let index = text.indexOf('\n');
+  while (index !== -1) {
+    lines++;
+    index = text.indexOf('\n', index + 1);
+  }
+  return text.endsWith('\n') ? lines - 1 : lines;
+}
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Timestamps may be 'YYYY-MM-DD HH:MM[:SS]' (local time, as devices send
+// them) or ISO 8601 with a zone. Returns the device format or null.
+function normalizeTimestamp(value) {
+  const text = String(value).trim();
+  const local = text.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/);
+  if (local) {
+    const [, year, month, day, hour, minute, second = '00'] = local;
+    return `${year}-${month}-${day} ${hour}:${minute}:${second}`;
+  }
+
+  const date = new Date(text);
+  if (!/^\d{4}-\d{2}-\d{2}T/.test(text) || isNaN(date)) return null;
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+// Check an import request. `mapping` maps import fields to CSV header names
+// and defaults to headers named like the fields. Returns { error } or
+// { columns } with the CSV column index of each field.
+function resolveMapping(header, mapping = {}) {
+  if (typeof mapping !== 'object' || mapping === null) {
+    return { error: 'mapping must map fields to CSV column names' };
+  }
+  const unknown = Object.keys(mapping).filter(field => !IMPORT_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return { error: `Unknown fields in mapping: ${unknown.join(', ')}` };
+  }
+
+  const names = header.map(name => name.trim());
+  const columns = {};
+  for (const field of IMPORT_FIELDS) {
+    const name = mapping[field] || field;
+    const index = names.indexOf(name);
+    if (index === -1) {
+      return { error: `CSV has no column "${name}" for ${field}` };
+    }
+    columns[field] = index;
+  }
+  return { columns };
+}
+
+// Turn one CSV row into a reading, or a reason why it cannot be imported
+function readRow(fields, columns, deviceId, validateSensorData) {
+  const timestamp = normalizeTimestamp(fields[columns.timestamp] || '');
+  if (!timestamp) {
+    return { reason: `Invalid timestamp "${fields[columns.timestamp] || ''}"` };
+  }
+
+  // Readings before this point only survive as rollups, which cannot tell
+  // whether a row was already counted, so a re-imported file would be
+  // counted twice
+  const rolledUntil = getRolledUntil();
+  if (rolledUntil && new Date(timestamp.replace(' ', 'T')) < rolledUntil) {
+    return { reason: 'Older than the raw retention window, that period is only kept as rollups' };
+  }
+
+  const reading = { deviceId, timestamp };
+  for (const key of SENSOR_KEYS) {
+    const raw = (fields[columns[key]] || '').trim();
+    const value = Number(raw);
+    if (raw === '' || isNaN(value)) {
+      return { reason: `${key} is not a number` };
+    }
+    reading[key] = value;
+  }
+
+  if (!validateSensorData(reading)) {
+    return { reason: 'Invalid sensor data format' };
+  }
+  return { reading };
+}
+
+// Imports still marked as processing were cut off by a restart
+function failInterruptedImports(db, callback) {
+  const query = `
+    UPDATE imports
+    SET status = 'failed', error = 'Interrupted by a server restart', finished_at = NOW()
+    WHERE status = 'processing'
+  `;
+  db.query(query, callback);
+}
+
+function formatImport(row) {
+  return {
+    id: row.id,
+    deviceId: row.device_id,
+    filename: row.filename,
+    status: row.status,
+    totalRows: row.total_rows,
+    processedRows: row.processed_rows,
+    imported: row.imported_rows,
+    duplicates: row.duplicate_rows,
+    rejected: row.rejected_rows,
+    rejections: row.rejections ? JSON.parse(row.rejections) : [],
+    error: row.error,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    finishedAt: row.finished_at
+  };
+}
+
+function getImports(db, limit, callback) {
+  db.query('SELECT * FROM imports ORDER BY id DESC LIMIT ?', [limit], (err, rows) => {
+    if (err) return callback(err);
+    // Rejection details are only sent for a single import
+    callback(null, rows.map(row => formatImport({ ...row, rejections: null })));
+  });
+}
+
+function getImport(db, id, callback) {
+  db.query('SELECT * FROM imports WHERE id = ?', [id], (err, rows) => {
+    if (err) return callback(err);
+    callback(null, rows.length > 0 ? formatImport(rows[0]) : null);
+  });
+}
+
+// Insert a chunk of readings, leaving out timestamps the device already has
+function insertChunk(db, deviceId, readings, callback) {
+  const timestamps = readings.map(reading => reading.timestamp);
+  const query = `
+    SELECT DATE_FORMAT(timestamp, '%Y-%m-%d %H:%i:%s') AS ts
+    FROM sensor_data
+    WHERE device_id = ? AND timestamp IN (?)
+  `;
+
+  db.query(query, [deviceId, timestamps], (err, rows) => {
+    if (err) return callback(err);
+    const existing = new Set(rows.map(row => row.ts));
+    const fresh = readings.filter(reading => !existing.has(reading.timestamp));
+    if (fresh.length === 0) return callback(null, 0);
+
+    // Imported readings are calibrated with the device's current profiles
+    const values = fresh.map(reading => {
+      const calibrated = calibrateReading(reading.deviceId, reading);
+      return [
+        reading.deviceId,
+        reading.field,
+        ...SENSOR_KEYS.map(key => reading[key]),
+        ...CALIBRATED_COLUMNS.map(column => calibrated[column]),
+        reading.timestamp
+      ];
+    });
+    db.query(
+      `INSERT INTO sensor_data (device_id, field, ${SENSOR_KEYS.join(', ')}, ${CALIBRATED_COLUMNS.join(', ')}, timestamp) VALUES ?`,
+      [values],
+      (err) => {
+        if (err) return callback(err);
+        callback(null, fresh.length);
+      }
+    );
+  });
+}
+
+// Work through an import's rows chunk by chunk, saving progress after each
+function processImport(db, importId, reader, columns, device, validateSensorData) {
+  const counts = { processed: 0, imported: 0, duplicates: 0, rejected: 0 };
+  const rejections = [];
+  const seen = new Set();
+
+  const saveProgress = (status, error, callback) => {
+    const query = `
+      UPDATE imports
+      SET status = ?, processed_rows = ?, imported_rows = ?, duplicate_rows = ?, rejected_rows = ?,
+        rejections = ?, error = ?, finished_at = IF(? IN ('completed', 'failed'), NOW(), NULL)
+      WHERE id = ?
+    `;
+    db.query(
+      query,
+      [status, counts.processed, counts.imported, counts.duplicates, counts.rejected,
+        JSON.stringify(rejections), error, status, importId],
+      callback
+    );
+  };
+
+  const fail = (err) => {
+    console.error(`Import ${importId} failed:`, err.message);
+    saveProgress('failed', err.message, () => {});
+  };
+
+  const next = () => {
+    const readings = [];
+    let fields;
+    let read = 0;
+    while (read < IMPORT_CHUNK_SIZE && (fields = reader.nextRow())) {
+      read++;
+      // Row numbers count the header as row 1
+      const row = counts.processed + read + 1;
+      const { reading, reason } = readRow(fields, columns, device.deviceId, validateSensorData);
+      if (reason) {
+        counts.rejected++;
+        if (rejections.length < MAX_STORED_REJECTIONS) rejections.push({ row, reason });
+      } else if (seen.has(reading.timestamp)) {
+        counts.duplicates++;
+      } else {
+        seen.add(reading.timestamp);
+        readings.push({ ...reading, field: device.field });
+      }
+    }
+
+    if (read === 0) {
+      // The line count was an estimate, settle it now
+      db.query('UPDATE imports SET total_rows = ? WHERE id = ?', [counts.processed, importId], (err) => {
+        if (err) return fail(err);
+        saveProgress('completed', null, (err) => {
+          if (err) console.error(`Error finishing import ${importId}:`, err.message);
+        });
+      });
+      return;
+    }
+
+    const afterInsert = (err, inserted) => {
+      if (err) return fail(err);
+      counts.processed += read;
+      counts.imported += inserted;
+      counts.duplicates += readings.length - inserted;
+      saveProgress('processing', null, (err) => {
+        if (err) return fail(err);
+        setImmediate(next);
+      });
+    };
+
+    if (readings.length === 0) return afterInsert(null, 0);
+    insertChunk(db, device.deviceId, readings, afterInsert);
+  };
+
+  next();
+}
+
+// Start importing CSV text for a device. Calls back with the new import as
+// soon as the job is queued, or { error } when the file or mapping is unusable.
+// Imported readings are history: they raise no alerts and are not broadcast.
+function startImport(db, { deviceId, filename, mapping, csv, createdBy }, validateSensorData, callback) {
+  const reader = createCsvReader(csv);
+  const header = reader.nextRow();
+  if (!header) {
+    return callback(null, { error: 'CSV needs a header row and at least one reading' });
+  }
+  const { columns, error } = resolveMapping(header, mapping);
+  if (error) {
+    return callback(null, { error });
+  }
+
+  // Imports may introduce a device, register it like a first reading would
+  db.query('INSERT IGNORE INTO devices (device_id, name) VALUES (?, ?)', [deviceId, deviceId], (err) => {
+    if (err) return callback(err);
+    db.query('SELECT field FROM devices WHERE device_id = ?', [deviceId], (err, devices) => {
+      if (err) return callback(err);
+
+      const query = `
+        INSERT INTO imports (device_id, filename, status, total_rows, created_by)
+        VALUES (?, ?, 'processing', ?, ?)
+      `;
+      db.query(query, [deviceId, filename || null, countLines(csv), createdBy || null], (err, results) => {
+        if (err) return callback(err);
+        const device = { deviceId, field: devices[0] ? devices[0].field : null };
+        setImmediate(() => processImport(db, results.insertId, reader, columns, device, validateSensorData));
+        getImport(db, results.insertId, (err, created) => {
+          if (err) return callback(err);
+          callback(null, { import: created });
+        });
+      });
+    });
+  });
+}
+
+module.exports = {
+  IMPORT_SCHEMA_QUERIES,
+  IMPORT_FIELDS,
+  createCsvReader,
+  failInterruptedImports,
+  startImport,
+  getImports,
+  getImport
+};
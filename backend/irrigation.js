@@ -0,0 +1,156 @@
+// Irrigation event log and water usage accounting. Devices report every pump
+// start and stop; usage is derived from the runtime recorded on stop events.
+const { systemEvents } = require('./events');
+const { toIsoTimestamp } = require('./utils');
+
+const IRRIGATION_EVENTS = ['start', 'stop'];
+
+// Why the pump started or stopped, as reported by the firmware or a command
+const IRRIGATION_REASONS = [
+  'full',
+  'partial',
+  'manual',
+  'soil_wet',
+  'max_duration',
+  'manual_stop',
+  'manual_finished'
+];
+
+// Litres per minute assumed for devices without their own flow rate
+const DEFAULT_FLOW_RATE_LPM = parseFloat(process.env.PUMP_FLOW_RATE_LPM) || 2;
+
+const USAGE_PERIODS = {
+  daily: { group: 'DATE(e.timestamp)', defaultDays: 7 },
+  weekly: { group: 'DATE(DATE_SUB(e.timestamp, INTERVAL WEEKDAY(e.timestamp) DAY))', defaultDays: 28 }
+};
+
+// Validate an irrigation event from a device, returns an error message or null
+function validateIrrigationEvent(data) {
+  if (typeof data !== 'object' || data === null) {
+    return 'Invalid irrigation event format';
+  }
+  if (!IRRIGATION_EVENTS.includes(data.event)) {
+    return `event must be one of: ${IRRIGATION_EVENTS.join(', ')}`;
+  }
+  if (!IRRIGATION_REASONS.includes(data.reason)) {
+    return `reason must be one of: ${IRRIGATION_REASONS.join(', ')}`;
+  }
+  if (data.event === 'stop' && (typeof data.durationSeconds !== 'number' || data.durationSeconds < 0)) {
+    return 'durationSeconds is required for stop events';
+  }
+  if (data.soilMoisture !== undefined && typeof data.soilMoisture !== 'number') {
+    return 'soilMoisture must be a number';
+  }
+  if (data.rainValue !== undefined && typeof data.rainValue !== 'number') {
+    return 'rainValue must be a number';
+  }
+  if (typeof data.timestamp !== 'string') {
+    return 'timestamp is required';
+  }
+  return null;
+}
+
+function saveIrrigationEvent(db, deviceId, field, data, callback) {
+  const query = `
+    INSERT INTO irrigation_events
+    (device_id, field, event, reason, duration_seconds, soil_moisture, rain_value, timestamp)
+    VALUES (?, ?, ?, ?, ?, ?, ?, STR_TO_DATE(?, '%Y-%m-%d %H:%i:%s'))
+  `;
+
+  db.query(
+    query,
+    [
+      deviceId,
+      field,
+      data.event,
+      data.reason,
+      data.event === 'stop' ? Math.round(data.durationSeconds) : null,
+      data.soilMoisture !== undefined ? data.soilMoisture : null,
+      data.rainValue !== undefined ? data.rainValue : null,
+      data.timestamp
+    ],
+    (err, results) => {
+      if (err) return callback(err);
+      systemEvents.emit('irrigation.created', {
+        deviceId,
+        event: {
+          id: results.insertId,
+          deviceId,
+          field,
+          event: data.event,
+          reason: data.reason,
+          durationSeconds: data.event === 'stop' ? Math.round(data.durationSeconds) : null,
+          soilMoisture: data.soilMoisture !== undefined ? data.soilMoisture : null,
+          rainValue: data.rainValue !== undefined ? data.rainValue : null,
+          timestamp: toIsoTimestamp(data.timestamp)
+        }
+      });
+      callback(null, results.insertId);
+    }
+  );
+}
+
+// Events from the last N hours, oldest first so they line up with historical data
+function getIrrigationEvents(db, { conditions, params }, hours, callback) {
+  const query = `
+    SELECT id, device_id AS deviceId, field, event, reason,
+      duration_seconds AS durationSeconds, soil_moisture AS soilMoisture,
+      rain_value AS rainValue, timestamp
+    FROM irrigation_events
+    WHERE timestamp >= DATE_SUB(NOW(), INTERVAL ? HOUR)
+    ${conditions.map(condition => `AND ${condition}`).join(' ')}
+    ORDER BY timestamp ASC
+  `;
+
+  db.query(query, [hours, ...params], callback);
+}
+
+// Pump runtime and water used per day or week over the last N days
+function getWaterUsage(db, { conditions, params }, period, days, callback) {
+  const { group } = USAGE_PERIODS[period];
+  const scoped = conditions.map(condition => `AND e.${condition}`).join(' ');
+
+  const query = `
+    SELECT
+      DATE_FORMAT(${group}, '%Y-%m-%d') AS period,
+      COUNT(*) AS waterings,
+      SUM(e.duration_seconds) AS runtimeSeconds,
+      SUM(e.duration_seconds / 60 * COALESCE(d.flow_rate_lpm, ?)) AS liters
+    FROM irrigation_events e
+    LEFT JOIN devices d ON d.device_id = e.device_id
+    WHERE e.event = 'stop'
+    AND e.timestamp >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+    ${scoped}
+    GROUP BY period
+    ORDER BY period ASC
+  `;
+
+  db.query(query, [DEFAULT_FLOW_RATE_LPM, days, ...params], (err, rows) => {
+    if (err) return callback(err);
+
+    const totals = rows.map(row => ({
+      period: row.period,
+      waterings: Number(row.waterings) || 0,
+      runtimeSeconds: Number(row.runtimeSeconds) || 0,
+      liters: Math.round((Number(row.liters) || 0) * 10) / 10
+    }));
+
+    callback(null, {
+      period,
+      days,
+      totals,
+      totalLiters: Math.round(totals.reduce((sum, row) => sum + row.liters, 0) * 10) / 10,
+      totalRuntimeSeconds: totals.reduce((sum, row) => sum + row.runtimeSeconds, 0)
+    });
+  });
+}
+
+module.exports = {
+  IRRIGATION_REASONS,
+  USAGE_PERIODS,
+  DEFAULT_FLOW_RATE_LPM,
+  validateIrrigationEvent,
+  saveIrrigationEvent,
+  getIrrigationEvents,
+  getWaterUsage
+};
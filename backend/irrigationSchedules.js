@@ -0,0 +1,487 @@
+// Scheduled irrigation. A schedule waters one device on chosen days of the
+// week, once per time window, up to a maximum number of runs per day. Each
+// window is decided once, at the first check inside it: the device's latest
+// reading is checked for rain and moist soil, and the run is either skipped
+// or a pump start command is queued. Every decision goes to the run log.
+const { getSensorStatus, getSensorThresholds } = require('./utils');
+const { MAX_PUMP_COMMAND_DURATION, createPumpCommand } = require('./pumpCommands');
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const MAX_WINDOWS = 6;
+const MAX_RUNS_PER_DAY = 24;
+
+// A schedule is not run on a reading older than this
+const MAX_READING_AGE_MINUTES = 30;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const MAX_CALENDAR_DAYS = 31;
+
+// Tables for server.js to create on startup
+const SCHEDULE_SCHEMA_QUERIES = [
+  `
+    CREATE TABLE IF NOT EXISTS irrigation_schedules (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      device_id VARCHAR(64) NOT NULL,
+      days VARCHAR(20) NOT NULL,
+      windows TEXT NOT NULL,
+      duration_seconds INT NOT NULL,
+      max_runs_per_day INT NOT NULL DEFAULT 1,
+      skip_on_rain TINYINT(1) NOT NULL DEFAULT 1,
+      skip_moisture_above INT DEFAULT NULL,
+      enabled TINYINT(1) NOT NULL DEFAULT 1,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_device (device_id)
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS schedule_runs (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      schedule_id INT NOT NULL,
+      device_id VARCHAR(64) NOT NULL,
+      window_start DATETIME NOT NULL,
+      outcome VARCHAR(10) NOT NULL,
+      reason VARCHAR(20) DEFAULT NULL,
+      soil_moisture INT DEFAULT NULL,
+      rain_value INT DEFAULT NULL,
+      command_id INT DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_schedule_window (schedule_id, window_start),
+      INDEX idx_device_created (device_id, created_at)
+    )
+  `
+];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// YYYY-MM-DD of a date in server local time
+const localDate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// The local date and time a window starts on the day of date
+const windowStartOn = (date, window) => {
+  const start = new Date(date);
+  start.setHours(0, toMinutes(window.start), 0, 0);
+  return start;
+};
+
+function formatSchedule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    deviceId: row.device_id,
+    days: row.days.split(',').map(Number),
+    windows: JSON.parse(row.windows),
+    durationSeconds: row.duration_seconds,
+    maxRunsPerDay: row.max_runs_per_day,
+    skipOnRain: Boolean(row.skip_on_rain),
+    skipMoistureAbove: row.skip_moisture_above,
+    enabled: Boolean(row.enabled),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function formatRun(row) {
+  return {
+    id: row.id,
+    scheduleId: row.schedule_id,
+    scheduleName: row.schedule_name || null,
+    deviceId: row.device_id,
+    windowStart: row.window_start,
+    outcome: row.outcome,
+    reason: row.reason,
+    soilMoisture: row.soil_moisture,
+    rainValue: row.rain_value,
+    commandId: row.command_id,
+    commandStatus: row.command_status || null,
+    createdAt: row.created_at
+  };
+}
+
+// Validate a schedule from the API, merging it over an existing schedule for
+// updates. days are 0 (Sunday) to 6, windows are { start, end } pairs of
+// HH:MM times within one day. skipMoistureAbove null means the high soil
+// moisture threshold of the device's field. Returns { schedule } or { error }.
+function validateSchedule(data, existing = {}) {
+  if (typeof data !== 'object' || data === null) {
+    return { error: 'Invalid schedule format' };
+  }
+
+  const schedule = {
+    name: existing.name,
+    deviceId: existing.deviceId,
+    days: existing.days,
+    windows: existing.windows,
+    durationSeconds: existing.durationSeconds,
+    maxRunsPerDay: existing.maxRunsPerDay || 1,
+    skipOnRain: existing.skipOnRain !== undefined ? existing.skipOnRain : true,
+    skipMoistureAbove: existing.skipMoistureAbove !== undefined ? existing.skipMoistureAbove : null,
+    enabled: existing.enabled !== undefined ? existing.enabled : true,
+    ...data
+  };
+
+  if (typeof schedule.name !== 'string' || schedule.name.trim() === '') {
+    return { error: 'name is required' };
+  }
+  if (typeof schedule.deviceId !== 'string' || schedule.deviceId === '') {
+    return { error: 'deviceId is required' };
+  }
+  if (
+    !Array.isArray(schedule.days) ||
+    schedule.days.length === 0 ||
+    !schedule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)
+  ) {
+    return { error: 'days must be a non-empty list of weekdays from 0 (Sunday) to 6 (Saturday)' };
+  }
+  if (!Array.isArray(schedule.windows) || schedule.windows.length === 0 || schedule.windows.length > MAX_WINDOWS) {
+    return { error: `windows must be a list of 1 to ${MAX_WINDOWS} { start, end } times` };
+  }
+  for (const window of schedule.windows) {
+    if (typeof window !== 'object' || window === null || !TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end)) {
+      return { error: 'Window times must be HH:MM' };
+    }
+    if (toMinutes(window.start) >= toMinutes(window.end)) {
+      return { error: `Window ${window.start}-${window.end} must end after it starts on the same day` };
+    }
+  }
+  const windows = schedule.windows
+    .map(window => ({ start: window.start, end: window.end }))
+    .sort((a, b) => toMinutes(a.start) - toMinutes(b.start));
+  for (let i = 1; i < windows.length; i += 1) {
+    if (toMinutes(windows[i].start) < toMinutes(windows[i - 1].end)) {
+      return { error: `Windows ${windows[i - 1].start}-${windows[i - 1].end} and ${windows[i].start}-${windows[i].end} overlap` };
+    }
+  }
+  if (
+    !Number.isInteger(schedule.durationSeconds) ||
+    schedule.durationSeconds < 1 ||
+    schedule.durationSeconds > MAX_PUMP_COMMAND_DURATION
+  ) {
+    return { error: `durationSeconds must be an integer between 1 and ${MAX_PUMP_COMMAND_DURATION}` };
+  }
+  if (!Number.isInteger(schedule.maxRunsPerDay) || schedule.maxRunsPerDay < 1 || schedule.maxRunsPerDay > MAX_RUNS_PER_DAY) {
+    return { error: `maxRunsPerDay must be an integer between 1 and ${MAX_RUNS_PER_DAY}` };
+  }
+  if (typeof schedule.skipOnRain !== 'boolean') {
+    return { error: 'skipOnRain must be true or false' };
+  }
+  if (schedule.skipMoistureAbove !== null && (typeof schedule.skipMoistureAbove !== 'number' || !Number.isFinite(schedule.skipMoistureAbove))) {
+    return { error: 'skipMoistureAbove must be a number or null' };
+  }
+  if (typeof schedule.enabled !== 'boolean') {
+    return { error: 'enabled must be true or false' };
+  }
+
+  schedule.name = schedule.name.trim();
+  schedule.days = [...new Set(schedule.days)].sort((a, b) => a - b);
+  schedule.windows = windows;
+  return { schedule };
+}
+
+function getSchedules(db, deviceId, callback) {
+  const filter = deviceId ? 'WHERE device_id = ?' : '';
+  db.query(`SELECT * FROM irrigation_schedules ${filter} ORDER BY device_id, id`, deviceId ? [deviceId] : [], (err, rows) => {
+    if (err) return callback(err);
+    callback(null, rows.map(formatSchedule));
+  });
+}
+
+function getSchedule(db, id, callback) {
+  db.query('SELECT * FROM irrigation_schedules WHERE id = ?', [id], (err, rows) => {
+    if (err) return callback(err);
+    callback(null, rows.length > 0 ? formatSchedule(rows[0]) : null);
+  });
+}
+
+function scheduleParams(schedule) {
+  return [
+    schedule.name,
+    schedule.deviceId,
+    schedule.days.join(','),
+    JSON.stringify(schedule.windows),
+    schedule.durationSeconds,
+    schedule.maxRunsPerDay,
+    schedule.skipOnRain ? 1 : 0,
+    schedule.skipMoistureAbove,
+    schedule.enabled ? 1 : 0
+  ];
+}
+
+function createSchedule(db, schedule, callback) {
+  const query = `
+    INSERT INTO irrigation_schedules
+    (name, device_id, days, windows, duration_seconds, max_runs_per_day, skip_on_rain, skip_moisture_above, enabled)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+  db.query(query, scheduleParams(schedule), (err, results) => {
+    if (err) return callback(err);
+    getSchedule(db, results.insertId, callback);
+  });
+}
+
+function updateSchedule(db, id, schedule, callback) {
+  const query = `
+    UPDATE irrigation_schedules
+    SET name = ?, device_id = ?, days = ?, windows = ?, duration_seconds = ?, max_runs_per_day = ?,
+      skip_on_rain = ?, skip_moisture_above = ?, enabled = ?
+    WHERE id = ?
+  `;
+  db.query(query, [...scheduleParams(schedule), id], (err) => {
+    if (err) return callback(err);
+    getSchedule(db, id, callback);
+  });
+}
+
+// Delete a schedule, its run log is kept. The callback receives false when
+// there is no such schedule.
+function deleteSchedule(db, id, callback) {
+  db.query('DELETE FROM irrigation_schedules WHERE id = ?', [id], (err, results) => {
+    if (err) return callback(err);
+    callback(null, results.affectedRows > 0);
+  });
+}
+
+// The decision for a schedule's window from the device's latest reading:
+// { outcome: 'start' } or { outcome: 'skipped', reason } where reason is
+// daily_limit, no_data (no recent reading), rain or soil_moist
+function decideRun(schedule, reading, startedToday) {
+  if (startedToday >= schedule.maxRunsPerDay) {
+    return { outcome: 'skipped', reason: 'daily_limit' };
+  }
+  if (!reading) {
+    return { outcome: 'skipped', reason: 'no_data' };
+  }
+  const thresholds = getSensorThresholds(reading.field);
+  if (schedule.skipOnRain && reading.rainValue !== null &&
+    getSensorStatus('rainValue', Number(reading.rainValue), thresholds) === 'high') {
+    return { outcome: 'skipped', reason: 'rain' };
+  }
+  const moistLimit = schedule.skipMoistureAbove !== null ? schedule.skipMoistureAbove : thresholds.soilMoisture.high;
+  if (reading.soilMoisture !== null && Number(reading.soilMoisture) >= moistLimit) {
+    return { outcome: 'skipped', reason: 'soil_moist' };
+  }
+  return { outcome: 'start' };
+}
+
+// Decide one schedule's current window. The run row is inserted first so a
+// window is only ever decided once, then the pump command is queued.
+function runSchedule(db, schedule, windowStart, callback) {
+  const dayStart = new Date(windowStart);
+  dayStart.setHours(0, 0, 0, 0);
+
+  const claimedQuery = 'SELECT id FROM schedule_runs WHERE schedule_id = ? AND window_start = ?';
+  db.query(claimedQuery, [schedule.id, windowStart], (err, claimed) => {
+    if (err) return callback(err);
+    if (claimed.length > 0) return callback(null, null);
+
+    const startedQuery = `
+      SELECT COUNT(*) AS started FROM schedule_runs
+      WHERE schedule_id = ? AND outcome = 'started' AND window_start >= ? AND window_start < ?
+    `;
+    db.query(startedQuery, [schedule.id, dayStart, windowStart], (err, counts) => {
+      if (err) return callback(err);
+
+      const readingQuery = `
+        SELECT field, soilMoisture, rainValue FROM sensor_data
+        WHERE device_id = ? AND timestamp >= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+        ORDER BY timestamp DESC
+        LIMIT 1
+      `;
+      db.query(readingQuery, [schedule.deviceId, MAX_READING_AGE_MINUTES], (err, readings) => {
+        if (err) return callback(err);
+
+        const reading = readings[0] || null;
+        const decision = decideRun(schedule, reading, Number(counts[0].started));
+        const insertQuery = `
+          INSERT INTO schedule_runs
+          (schedule_id, device_id, window_start, outcome, reason, soil_moisture, rain_value)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `;
+        const params = [
+          schedule.id,
+          schedule.deviceId,
+          windowStart,
+          decision.outcome === 'start' ? 'started' : decision.outcome,
+          decision.reason || null,
+          reading ? reading.soilMoisture : null,
+          reading ? reading.rainValue : null
+        ];
+        db.query(insertQuery, params, (err, inserted) => {
+          // Another check got to this window first
+          if (err && err.code === 'ER_DUP_ENTRY') return callback(null, null);
+          if (err) return callback(err);
+          if (decision.outcome !== 'start') return callback(null, { scheduleId: schedule.id, ...decision });
+
+          const command = { command: 'start', durationSeconds: schedule.durationSeconds, source: 'schedule' };
+          createPumpCommand(db, schedule.deviceId, command, (err, created) => {
+            if (err) {
+              console.error('Error queueing scheduled pump command:', err.message);
+              const failedQuery = "UPDATE schedule_runs SET outcome = 'failed', reason = 'command_error' WHERE id = ?";
+              return db.query(failedQuery, [inserted.insertId], (err) => {
+                if (err) return callback(err);
+                callback(null, { scheduleId: schedule.id, outcome: 'failed', reason: 'command_error' });
+              });
+            }
+            db.query('UPDATE schedule_runs SET command_id = ? WHERE id = ?', [created.id, inserted.insertId], (err) => {
+              if (err) return callback(err);
+              callback(null, { scheduleId: schedule.id, outcome: 'started', commandId: created.id });
+            });
+          });
+        });
+      });
+    });
+  });
+}
+
+// Decide every enabled schedule whose window is open at now. The callback
+// receives the decisions made on this pass.
+function evaluateSchedules(db, now, callback) {
+  db.query('SELECT * FROM irrigation_schedules WHERE enabled = 1', (err, rows) => {
+    if (err) return callback(err);
+
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const due = [];
+    rows.map(formatSchedule).forEach(schedule => {
+      if (!schedule.days.includes(now.getDay())) return;
+      const window = schedule.windows.find(entry => minutes >= toMinutes(entry.start) && minutes < toMinutes(entry.end));
+      if (window) due.push({ schedule, windowStart: windowStartOn(now, window) });
+    });
+
+    const decisions = [];
+    const next = (index) => {
+      if (index >= due.length) return callback(null, decisions);
+      runSchedule(db, due[index].schedule, due[index].windowStart, (err, decision) => {
+        if (err) {
+          console.error(`Error running irrigation schedule ${due[index].schedule.id}:`, err.message);
+        } else if (decision) {
+          decisions.push(decision);
+        }
+        next(index + 1);
+      });
+    };
+    next(0);
+  });
+}
+
+// Run log, newest first, with the status of each queued pump command
+function getScheduleRuns(db, { scheduleId, deviceId, limit }, callback) {
+  const conditions = [];
+  const params = [];
+  if (scheduleId) {
+    conditions.push('r.schedule_id = ?');
+    params.push(scheduleId);
+  }
+  if (deviceId) {
+    conditions.push('r.device_id = ?');
+    params.push(deviceId);
+  }
+  const query = `
+    SELECT r.*, s.name AS schedule_name, c.status AS command_status
+    FROM schedule_runs r
+    LEFT JOIN irrigation_schedules s ON s.id = r.schedule_id
+    LEFT JOIN pump_commands c ON c.id = r.command_id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY r.window_start DESC, r.id DESC
+    LIMIT ?
+  `;
+  db.query(query, [...params, limit], (err, rows) => {
+    if (err) return callback(err);
+    callback(null, rows.map(formatRun));
+  });
+}
+
+// Work out calendar options from query parameters: from (a YYYY-MM-DD date,
+// default today), days (default 7) and an optional deviceId.
+// Returns { options } or { error }.
+function parseCalendarQuery(query) {
+  const from = query.from ? new Date(`${query.from}T00:00:00`) : new Date();
+  const days = query.days === undefined ? 7 : parseInt(query.days, 10);
+  if (isNaN(from)) {
+    return { error: 'from must be a YYYY-MM-DD date' };
+  }
+  if (!(days >= 1 && days <= MAX_CALENDAR_DAYS)) {
+    return { error: `days must be between 1 and ${MAX_CALENDAR_DAYS}` };
+  }
+  from.setHours(0, 0, 0, 0);
+  return { options: { from, days, deviceId: query.deviceId || null } };
+}
+
+// Every window of every schedule on each day of the range, with the run that
+// decided it. state is the run's outcome, or for windows without a run:
+// missed (over without a decision, the schedule was disabled or the server
+// down), disabled, open (deciding at the next check) or upcoming.
+function getScheduleCalendar(db, { from, days, deviceId }, callback) {
+  const to = new Date(from);
+  to.setDate(to.getDate() + days);
+
+  getSchedules(db, deviceId, (err, schedules) => {
+    if (err) return callback(err);
+
+    const runsQuery = `
+      SELECT r.*, c.status AS command_status FROM schedule_runs r
+      LEFT JOIN pump_commands c ON c.id = r.command_id
+      WHERE r.window_start >= ? AND r.window_start < ?
+      ${deviceId ? 'AND r.device_id = ?' : ''}
+    `;
+    db.query(runsQuery, deviceId ? [from, to, deviceId] : [from, to], (err, rows) => {
+      if (err) return callback(err);
+
+      const runs = new Map(rows.map(row => [`${row.schedule_id}:${new Date(row.window_start).getTime()}`, formatRun(row)]));
+      const now = new Date();
+      const calendar = [];
+      for (let offset = 0; offset < days; offset += 1) {
+        const date = new Date(from);
+        date.setDate(date.getDate() + offset);
+        const slots = [];
+        schedules.forEach(schedule => {
+          if (!schedule.days.includes(date.getDay())) return;
+          schedule.windows.forEach(window => {
+            const start = windowStartOn(date, window);
+            const end = windowStartOn(date, { start: window.end });
+            const run = runs.get(`${schedule.id}:${start.getTime()}`) || null;
+            let state = run ? run.outcome : 'upcoming';
+            if (!run && end <= now) state = 'missed';
+            else if (!run && !schedule.enabled) state = 'disabled';
+            else if (!run && start <= now) state = 'open';
+            slots.push({
+              scheduleId: schedule.id,
+              name: schedule.name,
+              deviceId: schedule.deviceId,
+              start: window.start,
+              end: window.end,
+              durationSeconds: schedule.durationSeconds,
+              enabled: schedule.enabled,
+              state,
+              run
+            });
+          });
+        });
+        slots.sort((a, b) => toMinutes(a.start) - toMinutes(b.start));
+        calendar.push({ date: localDate(date), day: DAY_NAMES[date.getDay()], slots });
+      }
+      callback(null, calendar);
+    });
+  });
+}
+
+module.exports = {
+  SCHEDULE_SCHEMA_QUERIES,
+  validateSchedule,
+  decideRun,
+  getSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  evaluateSchedules,
+  getScheduleRuns,
+  parseCalendarQuery,
+  getScheduleCalendar
+};
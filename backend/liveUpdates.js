@@ -0,0 +1,66 @@
+// Server-Sent Events stream for the dashboard. Clients connect to
+// /api/stream (optionally ?deviceId=) and receive each stored reading,
+// irrigation event and alert change as it happens.
+const { systemEvents } = require('./events');
+
+// Comment lines keep proxies from closing idle connections
+const HEARTBEAT_INTERVAL = 25000;
+
+// Bus events forwarded to clients, with the SSE event name they are sent as
+const STREAMED_EVENTS = {
+  'reading.created': 'reading',
+  'irrigation.created': 'irrigation',
+  'alert.opened': 'alert',
+  'alert.acknowledged': 'alert',
+  'alert.resolved': 'alert'
+};
+
+const clients = new Set();
+
+function send(client, eventName, type, data) {
+  client.res.write(`event: ${eventName}\n`);
+  client.res.write(`data: ${JSON.stringify({ type, ...data })}\n\n`);
+}
+
+Object.entries(STREAMED_EVENTS).forEach(([type, eventName]) => {
+  systemEvents.on(type, (data) => {
+    clients.forEach(client => {
+      // Device-scoped clients still receive alerts for every device
+      if (eventName !== 'alert' && client.deviceId && client.deviceId !== data.deviceId) return;
+      send(client, eventName, type, data);
+    });
+  });
+});
+
+setInterval(() => {
+  clients.forEach(client => client.res.write(': heartbeat\n\n'));
+}, HEARTBEAT_INTERVAL);
+
+function streamHandler(req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  // Ask browsers to wait a few seconds before reconnecting after a drop
+  res.write('retry: 5000\n\n');
+
+  const client = { res, deviceId: req.query.deviceId || null };
+  clients.add(client);
+  send(client, 'connected', 'connected', { deviceId: client.deviceId });
+
+  req.on('close', () => {
+    clients.delete(client);
+  });
+}
+
+function getClientCount() {
+  return clients.size;
+}
+
+module.exports = {
+  streamHandler,
+  getClientCount
+};
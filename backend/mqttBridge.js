@@ -0,0 +1,181 @@
+// MQTT transport for devices that cannot poll over HTTP. Telemetry arrives on
+// a per-device topic and goes through the same validation and storage as
+// POST /api/sensors/data; pump commands are pushed back on a command topic.
+const mqtt = require('mqtt');
+const { systemEvents } = require('./events');
+const { takePendingCommands, validatePumpAck, acknowledgePumpCommand, updatePumpState } = require('./pumpCommands');
+const { checkDeviceKey } = require('./auth');
+
+// '+' marks the topic level that holds the device ID
+const DEFAULT_TELEMETRY_TOPIC = 'pertanian/+/telemetry';
+const DEFAULT_ACK_TOPIC = 'pertanian/+/ack';
+// {deviceId} is replaced with the target device
+const DEFAULT_COMMAND_TOPIC = 'pertanian/{deviceId}/commands';
+
+function getMqttConfig(env = process.env) {
+  return {
+    url: env.MQTT_URL,
+    username: env.MQTT_USERNAME,
+    password: env.MQTT_PASSWORD,
+    telemetryTopic: env.MQTT_TOPIC || DEFAULT_TELEMETRY_TOPIC,
+    ackTopic: env.MQTT_ACK_TOPIC || DEFAULT_ACK_TOPIC,
+    commandTopic: env.MQTT_COMMAND_TOPIC || DEFAULT_COMMAND_TOPIC
+  };
+}
+
+// Pull the device ID out of a topic using the '+' position of the pattern.
+// Returns null when the topic does not match the pattern.
+function deviceIdFromTopic(pattern, topic) {
+  const patternLevels = pattern.split('/');
+  const topicLevels = topic.split('/');
+  if (patternLevels.length !== topicLevels.length) return null;
+
+  let deviceId = null;
+  for (let i = 0; i < patternLevels.length; i++) {
+    if (patternLevels[i] === '+') {
+      deviceId = deviceId || topicLevels[i];
+    } else if (patternLevels[i] !== topicLevels[i]) {
+      return null;
+    }
+  }
+  return deviceId;
+}
+
+// Anyone who can reach the broker can publish on any topic, so every message
+// carries the device's API key as `apiKey` and is checked like the
+// X-Device-Key header. Calls back with the payload without its key, or null
+// when the key does not let the device in.
+function authenticateMessage(db, deviceId, data, callback) {
+  const { apiKey, ...payload } = data;
+  checkDeviceKey(db, typeof apiKey === 'string' && apiKey ? apiKey : null, deviceId, (err, result) => {
+    if (err) {
+      console.error('Error checking MQTT device key:', err.message);
+      return callback(null);
+    }
+    if (result.error) {
+      console.error(`Rejected MQTT message from ${deviceId}: ${result.error}`);
+      return callback(null);
+    }
+    callback(payload);
+  });
+}
+
+function parsePayload(message) {
+  try {
+    return JSON.parse(message.toString());
+  } catch (err) {
+    return null;
+  }
+}
+
+// Connect to the broker when MQTT_URL is set. `ingestReading` and
+// `validateSensorData` come from the HTTP ingestion path so both transports
+// store readings the same way. Returns the client, or null when disabled.
+function startMqttBridge(db, { ingestReading, validateSensorData }, config = getMqttConfig()) {
+  if (!config.url) return null;
+
+  const client = mqtt.connect(config.url, {
+    username: config.username,
+    password: config.password,
+    reconnectPeriod: 5000
+  });
+
+  // Devices seen on MQTT get their commands pushed instead of polled
+  const mqttDevices = new Set();
+
+  const publishPendingCommands = (deviceId) => {
+    takePendingCommands(db, deviceId, (err, commands) => {
+      if (err) {
+        console.error('Error fetching pump commands for MQTT:', err.message);
+        return;
+      }
+      const topic = config.commandTopic.replace('{deviceId}', deviceId);
+      commands.forEach(command => {
+        client.publish(topic, JSON.stringify(command), { qos: 1 });
+      });
+    });
+  };
+
+  const handleTelemetry = (deviceId, data) => {
+    // The topic names the device; a deviceId in the payload must agree with it
+    const reading = { ...data, deviceId };
+    if (!validateSensorData(reading) || (data.deviceId !== undefined && data.deviceId !== deviceId)) {
+      console.error(`Invalid MQTT telemetry from ${deviceId}`);
+      return;
+    }
+
+    ingestReading(reading, (err) => {
+      if (err) {
+        console.error('Error saving MQTT sensor data:', err.message);
+        return;
+      }
+      mqttDevices.add(deviceId);
+      publishPendingCommands(deviceId);
+    });
+  };
+
+  const handleAck = (deviceId, data) => {
+    // Same checks as the HTTP acknowledgement route
+    if (!Number.isInteger(data.id) || validatePumpAck(data)) {
+      console.error(`Invalid MQTT command acknowledgement from ${deviceId}`);
+      return;
+    }
+
+    acknowledgePumpCommand(db, deviceId, data.id, data, (err) => {
+      if (err) {
+        console.error('Error acknowledging pump command:', err.message);
+      }
+    });
+    if (typeof data.pumpActive === 'boolean') {
+      updatePumpState(db, deviceId, data, (err) => {
+        if (err) {
+          console.error('Error updating pump state:', err.message);
+        }
+      });
+    }
+  };
+
+  client.on('connect', () => {
+    console.log(`MQTT connected to ${config.url}`);
+    client.subscribe([config.telemetryTopic, config.ackTopic], { qos: 1 }, (err) => {
+      if (err) {
+        console.error('Error subscribing to MQTT topics:', err.message);
+      }
+    });
+  });
+
+  client.on('message', (topic, message) => {
+    const telemetryDevice = deviceIdFromTopic(config.telemetryTopic, topic);
+    const ackDevice = telemetryDevice ? null : deviceIdFromTopic(config.ackTopic, topic);
+    const data = parsePayload(message) || {};
+
+    if (!telemetryDevice && !ackDevice) return;
+
+    authenticateMessage(db, telemetryDevice || ackDevice, data, (payload) => {
+      if (!payload) return;
+      if (telemetryDevice) {
+        handleTelemetry(telemetryDevice, payload);
+      } else {
+        handleAck(ackDevice, payload);
+      }
+    });
+  });
+
+  client.on('error', (err) => {
+    console.error('MQTT error:', err.message);
+  });
+
+  systemEvents.on('pump.queued', ({ deviceId }) => {
+    if (mqttDevices.has(deviceId) && client.connected) {
+      publishPendingCommands(deviceId);
+    }
+  });
+
+  return client;
+}
+
+module.exports = {
+  getMqttConfig,
+  deviceIdFromTopic,
+  startMqttBridge
+};
@@ -0,0 +1,381 @@
+// Notification subsystem. Channels are pluggable delivery targets (see
+// channels/), subscriptions decide which events reach which channel, and
+// every delivery attempt is written to notification_log, which also backs
+// the per-channel hourly rate limit.
+const crypto = require('crypto');
+const { EVENT_TYPES, systemEvents } = require('./events');
+
+const CHANNEL_TYPES = {
+  webhook: require('./channels/webhook'),
+  email: require('./channels/email')
+};
+
+const SEVERITY_LEVELS = { info: 0, warning: 1, critical: 2 };
+
+// Shown instead of secrets when channels are listed
+const MASKED_VALUE = '********';
+
+function parseConfig(text) {
+  try {
+    return JSON.parse(text) || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function maskConfig(type, config) {
+  const masked = { ...config };
+  (CHANNEL_TYPES[type]?.secretFields || []).forEach(field => {
+    if (masked[field]) masked[field] = MASKED_VALUE;
+  });
+  return masked;
+}
+
+function formatChannel(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    config: maskConfig(row.type, parseConfig(row.config)),
+    rateLimitPerHour: row.rate_limit_per_hour,
+    enabled: Boolean(row.enabled),
+    createdAt: row.created_at
+  };
+}
+
+function formatSubscription(row) {
+  return {
+    id: row.id,
+    channelId: row.channel_id,
+    eventType: row.event_type,
+    deviceId: row.device_id,
+    minSeverity: row.min_severity,
+    createdAt: row.created_at
+  };
+}
+
+// Validate a channel from the API, merging it over an existing channel for updates.
+// Returns { channel } on success or { error } when the channel is invalid.
+function validateChannel(data, existing = null) {
+  if (typeof data !== 'object' || data === null) {
+    return { error: 'Invalid channel format' };
+  }
+
+  const channel = {
+    name: existing ? existing.name : undefined,
+    type: existing ? existing.type : undefined,
+    config: existing ? existing.config : {},
+    rateLimitPerHour: existing ? existing.rateLimitPerHour : null,
+    enabled: existing ? existing.enabled : true,
+    ...data
+  };
+
+  if (typeof channel.name !== 'string' || channel.name.trim() === '') {
+    return { error: 'name is required' };
+  }
+  if (!CHANNEL_TYPES[channel.type]) {
+    return { error: `type must be one of: ${Object.keys(CHANNEL_TYPES).join(', ')}` };
+  }
+  if (existing && channel.type !== existing.type) {
+    return { error: 'type cannot be changed' };
+  }
+  if (typeof channel.config !== 'object' || channel.config === null) {
+    return { error: 'config must be an object' };
+  }
+  if (channel.rateLimitPerHour !== null &&
+      (!Number.isInteger(channel.rateLimitPerHour) || channel.rateLimitPerHour < 1)) {
+    return { error: 'rateLimitPerHour must be a positive integer or null' };
+  }
+  if (typeof channel.enabled !== 'boolean') {
+    return { error: 'enabled must be true or false' };
+  }
+
+  // Masked secrets sent back unchanged keep their stored value
+  if (existing) {
+    CHANNEL_TYPES[channel.type].secretFields.forEach(field => {
+      if (channel.config[field] === MASKED_VALUE) {
+        channel.config = { ...channel.config, [field]: existing.config[field] };
+      }
+    });
+  }
+
+  const configError = CHANNEL_TYPES[channel.type].validateConfig(channel.config);
+  if (configError) {
+    return { error: `Invalid ${channel.type} config: ${configError}` };
+  }
+
+  channel.name = channel.name.trim();
+  return { channel };
+}
+
+function validateSubscription(data) {
+  if (typeof data !== 'object' || data === null) {
+    return 'Invalid subscription format';
+  }
+  if (!Number.isInteger(data.channelId)) {
+    return 'channelId is required';
+  }
+  if (data.eventType !== '*' && !EVENT_TYPES.includes(data.eventType)) {
+    return `eventType must be * or one of: ${EVENT_TYPES.join(', ')}`;
+  }
+  if (data.deviceId !== undefined && data.deviceId !== null && typeof data.deviceId !== 'string') {
+    return 'deviceId must be a string or null';
+  }
+  if (data.minSeverity !== undefined && data.minSeverity !== null && SEVERITY_LEVELS[data.minSeverity] === undefined) {
+    return `minSeverity must be one of: ${Object.keys(SEVERITY_LEVELS).join(', ')}`;
+  }
+  return null;
+}
+
+// Load a channel with its unmasked configuration
+function getChannelRecord(db, id, callback) {
+  db.query('SELECT * FROM notification_channels WHERE id = ?', [id], (err, rows) => {
+    if (err) return callback(err);
+    if (rows.length === 0) return callback(null, null);
+    const row = rows[0];
+    callback(null, {
+      id: row.id,
+      name: row.name,
+      type: row.type,
+      config: parseConfig(row.config),
+      rateLimitPerHour: row.rate_limit_per_hour,
+      enabled: Boolean(row.enabled)
+    });
+  });
+}
+
+function getChannels(db, callback) {
+  db.query('SELECT * FROM notification_channels ORDER BY id ASC', (err, rows) => {
+    if (err) return callback(err);
+    callback(null, rows.map(formatChannel));
+  });
+}
+
+function getChannel(db, id, callback) {
+  db.query('SELECT * FROM notification_channels WHERE id = ?', [id], (err, rows) => {
+    if (err) return callback(err);
+    callback(null, rows.length > 0 ? formatChannel(rows[0]) : null);
+  });
+}
+
+function createChannel(db, channel, callback) {
+  const query = `
+    INSERT INTO notification_channels (name, type, config, rate_limit_per_hour, enabled)
+    VALUES (?, ?, ?, ?, ?)
+  `;
+  const params = [channel.name, channel.type, JSON.stringify(channel.config), channel.rateLimitPerHour, channel.enabled ? 1 : 0];
+  db.query(query, params, (err, results) => {
+    if (err) return callback(err);
+    getChannel(db, results.insertId, callback);
+  });
+}
+
+function updateChannel(db, id, channel, callback) {
+  const query = `
+    UPDATE notification_channels
+    SET name = ?, config = ?, rate_limit_per_hour = ?, enabled = ?
+    WHERE id = ?
+  `;
+  const params = [channel.name, JSON.stringify(channel.config), channel.rateLimitPerHour, channel.enabled ? 1 : 0, id];
+  db.query(query, params, (err) => {
+    if (err) return callback(err);
+    getChannel(db, id, callback);
+  });
+}
+
+// Deleting a channel removes its subscriptions as well
+function deleteChannel(db, id, callback) {
+  db.query('DELETE FROM notification_subscriptions WHERE channel_id = ?', [id], (err) => {
+    if (err) return callback(err);
+    db.query('DELETE FROM notification_channels WHERE id = ?', [id], (err, results) => {
+      if (err) return callback(err);
+      callback(null, results.affectedRows > 0);
+    });
+  });
+}
+
+function getSubscriptions(db, callback) {
+  db.query('SELECT * FROM notification_subscriptions ORDER BY id ASC', (err, rows) => {
+    if (err) return callback(err);
+    callback(null, rows.map(formatSubscription));
+  });
+}
+
+function createSubscription(db, data, callback) {
+  const query = `
+    INSERT INTO notification_subscriptions (channel_id, event_type, device_id, min_severity)
+    VALUES (?, ?, ?, ?)
+  `;
+  const params = [data.channelId, data.eventType, data.deviceId || null, data.minSeverity || null];
+  db.query(query, params, (err, results) => {
+    if (err) return callback(err);
+    db.query('SELECT * FROM notification_subscriptions WHERE id = ?', [results.insertId], (err, rows) => {
+      if (err) return callback(err);
+      callback(null, formatSubscription(rows[0]));
+    });
+  });
+}
+
+function deleteSubscription(db, id, callback) {
+  db.query('DELETE FROM notification_subscriptions WHERE id = ?', [id], (err, results) => {
+    if (err) return callback(err);
+    callback(null, results.affectedRows > 0);
+  });
+}
+
+function getNotificationLog(db, limit, callback) {
+  const query = `
+    SELECT id, channel_id AS channelId, event_type AS eventType, delivery_id AS deliveryId,
+      status, attempts, error, created_at AS createdAt
+    FROM notification_log
+    ORDER BY created_at DESC, id DESC
+    LIMIT ?
+  `;
+  db.query(query, [limit], callback);
+}
+
+function logDelivery(db, channelId, notification, status, attempts, error) {
+  const query = `
+    INSERT INTO notification_log (channel_id, event_type, delivery_id, status, attempts, error)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `;
+  db.query(query, [channelId, notification.event, notification.id, status, attempts, error], (err) => {
+    if (err) console.error('Error writing notification log:', err.message);
+  });
+}
+
+// One-line description used for e-mail subjects and webhook consumers
+function describeEvent(event, data) {
+  switch (event) {
+    case 'alert.opened':
+      return `${data.alert.severity.toUpperCase()} alert on ${data.alert.field || data.deviceId}: ${data.alert.message}`;
+    case 'alert.resolved':
+      return `Alert resolved on ${data.alert.field || data.deviceId}: ${data.alert.message}`;
+    case 'device.silent':
+      return `Device ${data.device.name || data.deviceId} has not reported for ${data.device.silenceMinutes} minutes`;
+    case 'device.error':
+      return `Device ${data.deviceId} reports ${data.device.error}`;
+    case 'pump.failed':
+      return `Pump command ${data.command.command} on ${data.deviceId} ${data.command.status}`;
+    default:
+      return event;
+  }
+}
+
+function buildNotification(event, data) {
+  return {
+    id: crypto.randomUUID(),
+    event,
+    timestamp: new Date().toISOString(),
+    summary: describeEvent(event, data),
+    data
+  };
+}
+
+// Send one notification through a channel unless its hourly limit is used up
+function deliver(db, channel, notification, callback) {
+  const checkRateLimit = (done) => {
+    if (!channel.rateLimitPerHour) return done(null, false);
+    const query = `
+      SELECT COUNT(*) AS count FROM notification_log
+      WHERE channel_id = ? AND status = 'sent' AND created_at >= DATE_SUB(NOW(), INTERVAL 1 HOUR)
+    `;
+    db.query(query, [channel.id], (err, results) => {
+      if (err) return done(err);
+      done(null, results[0].count >= channel.rateLimitPerHour);
+    });
+  };
+
+  checkRateLimit((err, limited) => {
+    if (err) return callback(err);
+    if (limited) {
+      logDelivery(db, channel.id, notification, 'rate_limited', 0, null);
+      return callback(null, { status: 'rate_limited' });
+    }
+
+    CHANNEL_TYPES[channel.type].send(channel.config, notification, (err, result) => {
+      if (err) {
+        console.error(`Notification via channel ${channel.name} failed:`, err.message);
+        logDelivery(db, channel.id, notification, 'failed', err.attempts || 1, err.message.slice(0, 255));
+        return callback(null, { status: 'failed', error: err.message });
+      }
+      logDelivery(db, channel.id, notification, 'sent', result.attempts, null);
+      callback(null, { status: 'sent', attempts: result.attempts });
+    });
+  });
+}
+
+// Find the enabled channels subscribed to an event and deliver to each once
+function dispatch(db, event, data) {
+  const query = `
+    SELECT DISTINCT c.*, s.min_severity
+    FROM notification_subscriptions s
+    JOIN notification_channels c ON c.id = s.channel_id
+    WHERE c.enabled = 1
+    AND (s.event_type = ? OR s.event_type = '*')
+    AND (s.device_id IS NULL OR s.device_id = ?)
+  `;
+
+  db.query(query, [event, data.deviceId || null], (err, rows) => {
+    if (err) {
+      console.error('Error loading notification subscriptions:', err.message);
+      return;
+    }
+
+    const severity = SEVERITY_LEVELS[data.severity];
+    const channels = new Map();
+    rows.forEach(row => {
+      // Severity filters only apply to events that carry a severity
+      if (row.min_severity && severity !== undefined && severity < SEVERITY_LEVELS[row.min_severity]) return;
+      channels.set(row.id, {
+        id: row.id,
+        name: row.name,
+        type: row.type,
+        config: parseConfig(row.config),
+        rateLimitPerHour: row.rate_limit_per_hour
+      });
+    });
+
+    const notification = buildNotification(event, data);
+    channels.forEach(channel => {
+      deliver(db, channel, notification, (err) => {
+        if (err) console.error('Error delivering notification:', err.message);
+      });
+    });
+  });
+}
+
+// Send a test notification through a channel regardless of subscriptions
+function sendTestNotification(db, id, callback) {
+  getChannelRecord(db, id, (err, channel) => {
+    if (err) return callback(err);
+    if (!channel) return callback(null, null);
+    const notification = buildNotification('test', { deviceId: null, message: 'Test notification' });
+    notification.summary = `Test notification from channel ${channel.name}`;
+    deliver(db, channel, notification, callback);
+  });
+}
+
+// Forward every system event to the subscribed channels
+function startNotifications(db) {
+  EVENT_TYPES.forEach(event => {
+    systemEvents.on(event, data => dispatch(db, event, data));
+  });
+}
+
+module.exports = {
+  validateChannel,
+  validateSubscription,
+  getChannelRecord,
+  getChannels,
+  getChannel,
+  createChannel,
+  updateChannel,
+  deleteChannel,
+  getSubscriptions,
+  createSubscription,
+  deleteSubscription,
+  getNotificationLog,
+  sendTestNotification,
+  startNotifications
+};
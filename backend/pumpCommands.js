@@ -0,0 +1,238 @@
+// Pump command queue. Commands wait in pump_commands until the device
+// picks them up (polling or the response to its data POST) and acknowledges them.
+const crypto = require('crypto');
+const { systemEvents } = require('./events');
+
+const PUMP_COMMANDS = ['start', 'stop', 'auto'];
+
+// Longest manual run the dashboard may request, in seconds
+const MAX_PUMP_COMMAND_DURATION = 600;
+
+// A pending command not picked up within this many seconds expires
+const COMMAND_TTL_SECONDS = 120;
+
+// A delivered command not acknowledged within this many seconds times out
+const ACK_TIMEOUT_SECONDS = 60;
+
+// Longest message a device may send with an acknowledgement (the column size)
+const MAX_ACK_MESSAGE_LENGTH = 255;
+
+// Validate a command request from the dashboard, returns an error message or null
+function validatePumpCommand(data) {
+  if (typeof data !== 'object' || data === null || !PUMP_COMMANDS.includes(data.command)) {
+    return `Command must be one of: ${PUMP_COMMANDS.join(', ')}`;
+  }
+  if (data.command === 'start') {
+    const duration = data.durationSeconds;
+    if (!Number.isInteger(duration) || duration < 1 || duration > MAX_PUMP_COMMAND_DURATION) {
+      return `durationSeconds must be an integer between 1 and ${MAX_PUMP_COMMAND_DURATION}`;
+    }
+  }
+  return null;
+}
+
+// Validate a device's acknowledgement (HTTP or MQTT), returns an error message or null
+function validatePumpAck(data) {
+  if (typeof data !== 'object' || data === null || typeof data.success !== 'boolean') {
+    return 'success must be true or false';
+  }
+  const { message } = data;
+  if (message !== undefined && (typeof message !== 'string' || message.length > MAX_ACK_MESSAGE_LENGTH)) {
+    return `message must be a string of at most ${MAX_ACK_MESSAGE_LENGTH} characters`;
+  }
+  return null;
+}
+
+function formatCommand(row) {
+  return {
+    id: row.id,
+    deviceId: row.device_id,
+    command: row.command,
+    durationSeconds: row.duration_seconds,
+    status: row.status,
+    source: row.source,
+    message: row.message,
+    createdAt: row.created_at,
+    sentAt: row.sent_at,
+    acknowledgedAt: row.acknowledged_at,
+    expiresAt: row.expires_at
+  };
+}
+
+function createPumpCommand(db, deviceId, { command, durationSeconds, source = 'dashboard' }, callback) {
+  const query = `
+    INSERT INTO pump_commands (device_id, command, duration_seconds, source, expires_at)
+    VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))
+  `;
+  const duration = command === 'start' ? durationSeconds : null;
+
+  db.query(query, [deviceId, command, duration, source, COMMAND_TTL_SECONDS], (err, results) => {
+    if (err) return callback(err);
+    db.query('SELECT * FROM pump_commands WHERE id = ?', [results.insertId], (err, rows) => {
+      if (err) return callback(err);
+      const created = formatCommand(rows[0]);
+      // Lets push transports (MQTT) deliver without waiting for the next poll
+      systemEvents.emit('pump.queued', { deviceId, command: created });
+      callback(null, created);
+    });
+  });
+}
+
+// Hand the device its pending commands, oldest first, and mark them as sent.
+// The HTTP poll and the MQTT bridge may ask at the same time, so commands are
+// claimed in a single UPDATE and each one is handed out only once.
+function takePendingCommands(db, deviceId, callback) {
+  const claimId = crypto.randomBytes(16).toString('hex');
+  const claim = `
+    UPDATE pump_commands SET status = 'sent', sent_at = NOW(), claim_id = ?
+    WHERE device_id = ? AND status = 'pending' AND expires_at > NOW()
+  `;
+
+  db.query(claim, [claimId, deviceId], (err, results) => {
+    if (err) return callback(err);
+    if (results.affectedRows === 0) return callback(null, []);
+
+    db.query(
+      'SELECT * FROM pump_commands WHERE device_id = ? AND claim_id = ? ORDER BY created_at ASC, id ASC',
+      [deviceId, claimId],
+      (err, rows) => {
+        if (err) return callback(err);
+        // Devices only need enough to execute the command
+        callback(null, rows.map(row => ({
+          id: row.id,
+          command: row.command,
+          durationSeconds: row.duration_seconds
+        })));
+      }
+    );
+  });
+}
+
+// Record the device's answer to a command. The callback gets false when the
+// command does not exist or is no longer waiting for an acknowledgement.
+function acknowledgePumpCommand(db, deviceId, commandId, { success, message }, callback) {
+  const query = `
+    UPDATE pump_commands
+    SET status = ?, message = ?, acknowledged_at = NOW()
+    WHERE id = ? AND device_id = ? AND status IN ('pending', 'sent')
+  `;
+  const status = success ? 'acknowledged' : 'failed';
+
+  db.query(query, [status, message || null, commandId, deviceId], (err, results) => {
+    if (err) return callback(err);
+    if (results.affectedRows > 0 && !success) {
+      emitPumpFailures(db, [commandId]);
+    }
+    callback(null, results.affectedRows > 0);
+  });
+}
+
+// Publish a pump.failed event for each command that failed, expired or timed out
+function emitPumpFailures(db, ids) {
+  if (ids.length === 0) return;
+  db.query('SELECT * FROM pump_commands WHERE id IN (?)', [ids], (err, rows) => {
+    if (err) {
+      console.error('Error loading failed pump commands:', err.message);
+      return;
+    }
+    rows.forEach(row => {
+      const command = formatCommand(row);
+      systemEvents.emit('pump.failed', { deviceId: command.deviceId, command });
+    });
+  });
+}
+
+// Move commands matching a condition to a final status, returns the ids of
+// the ones it changed. The UPDATE checks the condition again because a device
+// may acknowledge a command after it was selected; that command keeps its
+// answer and is left out of the result.
+function closeCommands(db, status, condition, params, callback) {
+  db.query(`SELECT id FROM pump_commands WHERE ${condition}`, params, (err, rows) => {
+    if (err) return callback(err);
+    if (rows.length === 0) return callback(null, []);
+
+    const ids = rows.map(row => row.id);
+    const update = `UPDATE pump_commands SET status = ? WHERE id IN (?) AND ${condition}`;
+    db.query(update, [status, ids, ...params], (err, results) => {
+      if (err) return callback(err);
+      if (results.affectedRows === ids.length) return callback(null, ids);
+
+      db.query('SELECT id FROM pump_commands WHERE id IN (?) AND status = ?', [ids, status], (err, rows) => {
+        if (err) return callback(err);
+        callback(null, rows.map(row => row.id));
+      });
+    });
+  });
+}
+
+// Expire commands that were never delivered and time out unanswered ones
+function expireStaleCommands(db, callback) {
+  closeCommands(db, 'expired', `status = 'pending' AND expires_at <= NOW()`, [], (err, expired) => {
+    if (err) return callback(err);
+    closeCommands(
+      db,
+      'timeout',
+      `status = 'sent' AND sent_at <= DATE_SUB(NOW(), INTERVAL ? SECOND)`,
+      [ACK_TIMEOUT_SECONDS],
+      (err, timedOut) => {
+        if (err) return callback(err);
+        emitPumpFailures(db, [...expired, ...timedOut]);
+        callback(null, { expired: expired.length, timedOut: timedOut.length });
+      }
+    );
+  });
+}
+
+// Store the pump state a device reported
+function updatePumpState(db, deviceId, { pumpActive, pumpMode }, callback) {
+  const query = `
+    UPDATE devices
+    SET pump_active = ?, pump_mode = ?, pump_updated_at = NOW()
+    WHERE device_id = ?
+  `;
+  db.query(query, [pumpActive ? 1 : 0, pumpMode === 'manual' ? 'manual' : 'auto', deviceId], callback);
+}
+
+// Current pump state of a device plus its most recent commands
+function getPumpStatus(db, deviceId, limit, callback) {
+  const stateQuery = `
+    SELECT pump_active, pump_mode, pump_updated_at
+    FROM devices WHERE device_id = ?
+  `;
+
+  db.query(stateQuery, [deviceId], (err, devices) => {
+    if (err) return callback(err);
+    if (devices.length === 0) return callback(null, null);
+
+    const commandsQuery = `
+      SELECT * FROM pump_commands
+      WHERE device_id = ?
+      ORDER BY created_at DESC, id DESC
+      LIMIT ?
+    `;
+    db.query(commandsQuery, [deviceId, limit], (err, rows) => {
+      if (err) return callback(err);
+      const device = devices[0];
+      callback(null, {
+        deviceId,
+        pumpActive: Boolean(device.pump_active),
+        pumpMode: device.pump_mode,
+        updatedAt: device.pump_updated_at,
+        commands: rows.map(formatCommand)
+      });
+    });
+  });
+}
+
+module.exports = {
+  PUMP_COMMANDS,
+  MAX_PUMP_COMMAND_DURATION,
+  validatePumpCommand,
+  validatePumpAck,
+  createPumpCommand,
+  takePendingCommands,
+  acknowledgePumpCommand,
+  expireStaleCommands,
+  updatePumpState,
+  getPumpStatus
+};
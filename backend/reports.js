@@ -0,0 +1,652 @@
+// Daily and weekly reports per field: min/max/avg per sensor, time spent
+// below and above each threshold, alerts raised, watering and how many of the
+// expected readings arrived. Each report is rendered to an HTML and a PDF
+// file under REPORTS_DIR; the reports table keeps the figures behind them.
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { SENSOR_KEYS, getSensorThresholds } = require('./utils');
+const { getRolledUntil } = require('./retention');
+const { DEVICE_SILENCE_MINUTES, MISSED_REPORTS } = require('./deviceMonitor');
+const { DEFAULT_FLOW_RATE_LPM } = require('./irrigation');
+
+// Where rendered reports are written
+const REPORTS_DIR = path.resolve(__dirname, process.env.REPORTS_DIR || 'reports');
+
+// Local hour after which the previous day's (and week's) reports are generated
+const REPORT_HOUR = process.env.REPORT_HOUR ? parseInt(process.env.REPORT_HOUR, 10) : 6;
+
+// Days covered by each kind of report. Weeks start on Monday.
+const REPORT_PERIODS = {
+  daily: 1,
+  weekly: 7
+};
+
+const REPORT_FORMATS = {
+  html: 'text/html; charset=utf-8',
+  pdf: 'application/pdf'
+};
+
+// Alerts and watering events listed in one report, the totals count them all
+const MAX_LISTED_ROWS = 200;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const SENSOR_LABELS = {
+  temperature: { name: 'Temperature', unit: '°C' },
+  humidity: { name: 'Humidity', unit: '%' },
+  ldrValue: { name: 'Light', unit: '' },
+  rainValue: { name: 'Rain', unit: '' },
+  airQualityPPM: { name: 'Air Quality', unit: 'ppm' },
+  soilMoisture: { name: 'Soil Moisture', unit: '' }
+};
+
+// Tables for server.js to create on startup. Devices without a field share
+// one report under the empty field name.
+const REPORT_SCHEMA_QUERIES = [
+  `
+    CREATE TABLE IF NOT EXISTS reports (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      field VARCHAR(100) NOT NULL DEFAULT '',
+      period VARCHAR(10) NOT NULL,
+      period_start DATETIME NOT NULL,
+      period_end DATETIME NOT NULL,
+      summary MEDIUMTEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_field_period (field, period, period_start)
+    )
+  `
+];
+
+// YYYY-MM-DD of a date in server local time
+const localDate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Start and end of the daily or weekly period a date falls in
+function periodRange(period, date) {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  if (period === 'weekly') {
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  }
+  const end = new Date(start);
+  end.setDate(end.getDate() + REPORT_PERIODS[period]);
+  return { start, end };
+}
+
+// The latest daily or weekly period that has ended by now
+function lastCompletePeriod(period, now) {
+  const date = new Date(now);
+  date.setDate(date.getDate() - REPORT_PERIODS[period]);
+  return periodRange(period, date);
+}
+
+// Fields that have devices, null standing for devices without a field
+function getReportFields(db, callback) {
+  db.query('SELECT DISTINCT field FROM devices ORDER BY field', (err, rows) => {
+    if (err) return callback(err);
+    callback(null, rows.map(row => row.field || null));
+  });
+}
+
+// Validate a report request: field (null for devices without one, must be
+// in fields), period (daily or weekly) and date (YYYY-MM-DD, any day in the
+// period, defaults to the last one that has ended). Returns { request } or
+// { error }.
+function validateReportRequest(data, fields, now = new Date()) {
+  if (typeof data !== 'object' || data === null) {
+    return { error: 'Invalid report request' };
+  }
+
+  const period = data.period || 'daily';
+  if (!REPORT_PERIODS[period]) {
+    return { error: `period must be one of: ${Object.keys(REPORT_PERIODS).join(', ')}` };
+  }
+
+  const field = data.field || null;
+  if (!fields.includes(field)) {
+    return { error: field ? `No devices in field ${field}` : 'Every device has a field' };
+  }
+
+  let range = lastCompletePeriod(period, now);
+  if (data.date !== undefined) {
+    if (typeof data.date !== 'string' || !DATE_PATTERN.test(data.date)) {
+      return { error: 'date must be a date as YYYY-MM-DD' };
+    }
+    const [year, month, day] = data.date.split('-').map(Number);
+    range = periodRange(period, new Date(year, month - 1, day));
+  }
+  if (range.end > now) {
+    return { error: 'Reports can only be generated once their period has ended' };
+  }
+  const rolledUntil = getRolledUntil();
+  if (rolledUntil && range.start < rolledUntil) {
+    return { error: 'Raw readings for this period have been rolled up, reports need raw readings' };
+  }
+
+  return { request: { field, period, ...range } };
+}
+
+// Every registered device by ID
+function getDevices(db, callback) {
+  db.query('SELECT device_id, name, field, report_interval_seconds, created_at FROM devices', (err, rows) => {
+    if (err) return callback(err);
+    callback(null, rows.reduce((devices, row) => {
+      devices[row.device_id] = row;
+      return devices;
+    }, {}));
+  });
+}
+
+// Walk the period's readings device by device. Each reading stands for the
+// time until the device's next one, capped where the device would count as
+// silent, so gaps in the data do not count as time out of range.
+function collectReadings(db, { field, start, end }, devices, callback) {
+  const sensors = {};
+  SENSOR_KEYS.forEach(key => {
+    sensors[key] = { min: null, max: null, sum: 0, count: 0, belowSeconds: 0, aboveSeconds: 0 };
+  });
+  const received = {};
+  let previous = null;
+  let failed = false;
+
+  const account = (row, until) => {
+    const device = devices[row.device_id];
+    const capSeconds = device && device.report_interval_seconds
+      ? device.report_interval_seconds * MISSED_REPORTS
+      : DEVICE_SILENCE_MINUTES * 60;
+    const seconds = Math.min(Math.max(0, (until - row.timestamp) / 1000), capSeconds);
+    const thresholds = getSensorThresholds(field, row.timestamp);
+
+    SENSOR_KEYS.forEach(key => {
+      if (row[key] === null) return;
+      const value = Number(row[key]);
+      const stats = sensors[key];
+      stats.min = stats.min === null ? value : Math.min(stats.min, value);
+      stats.max = stats.max === null ? value : Math.max(stats.max, value);
+      stats.sum += value;
+      stats.count += 1;
+      if (value < thresholds[key].low) stats.belowSeconds += seconds;
+      if (value > thresholds[key].high) stats.aboveSeconds += seconds;
+    });
+    received[row.device_id] = (received[row.device_id] || 0) + 1;
+  };
+
+  const query = `
+    SELECT device_id, ${SENSOR_KEYS.join(', ')}, timestamp
+    FROM sensor_data
+    WHERE field <=> ? AND timestamp >= ? AND timestamp < ?
+    ORDER BY device_id, timestamp
+  `;
+  const stream = db.query(query, [field, start, end]).stream();
+  stream.on('data', (row) => {
+    row.timestamp = new Date(row.timestamp);
+    if (previous) account(previous, previous.device_id === row.device_id ? row.timestamp : end);
+    previous = row;
+  });
+  stream.on('error', (err) => {
+    failed = true;
+    callback(err);
+  });
+  stream.on('end', () => {
+    if (failed) return;
+    if (previous) account(previous, end);
+    callback(null, { sensors, received });
+  });
+}
+
+function getReportAlerts(db, { field, start, end }, callback) {
+  const query = `
+    SELECT device_id, sensor, severity, state, message, opened_at
+    FROM alerts
+    WHERE field <=> ? AND opened_at >= ? AND opened_at < ?
+    ORDER BY opened_at
+  `;
+  db.query(query, [field, start, end], (err, rows) => {
+    if (err) return callback(err);
+    const bySeverity = { critical: 0, warning: 0, info: 0 };
+    rows.forEach(row => {
+      bySeverity[row.severity] = (bySeverity[row.severity] || 0) + 1;
+    });
+    callback(null, {
+      total: rows.length,
+      bySeverity,
+      list: rows.slice(0, MAX_LISTED_ROWS).map(row => ({
+        openedAt: new Date(row.opened_at).toISOString(),
+        deviceId: row.device_id,
+        sensor: row.sensor,
+        severity: row.severity,
+        state: row.state,
+        message: row.message
+      }))
+    });
+  });
+}
+
+// Waterings that finished in the period, from the pump's stop events
+function getReportWatering(db, { field, start, end }, callback) {
+  const query = `
+    SELECT e.device_id, e.reason, e.duration_seconds, e.timestamp,
+      e.duration_seconds / 60 * COALESCE(d.flow_rate_lpm, ?) AS liters
+    FROM irrigation_events e
+    LEFT JOIN devices d ON d.device_id = e.device_id
+    WHERE e.event = 'stop' AND e.field <=> ? AND e.timestamp >= ? AND e.timestamp < ?
+    ORDER BY e.timestamp
+  `;
+  db.query(query, [DEFAULT_FLOW_RATE_LPM, field, start, end], (err, rows) => {
+    if (err) return callback(err);
+    const events = rows.map(row => ({
+      finishedAt: new Date(row.timestamp).toISOString(),
+      deviceId: row.device_id,
+      reason: row.reason,
+      durationSeconds: Number(row.duration_seconds) || 0,
+      liters: Math.round((Number(row.liters) || 0) * 10) / 10
+    }));
+    callback(null, {
+      count: events.length,
+      runtimeSeconds: events.reduce((sum, event) => sum + event.durationSeconds, 0),
+      liters: Math.round(events.reduce((sum, event) => sum + event.liters, 0) * 10) / 10,
+      events: events.slice(0, MAX_LISTED_ROWS)
+    });
+  });
+}
+
+// Readings received against those expected from each device's reporting
+// interval, counted from when the device was registered. Devices that never
+// sent their interval in a heartbeat have no expectation.
+function getCompleteness(devices, { field, start, end }, received) {
+  const deviceIds = Object.keys(devices)
+    .filter(deviceId => (devices[deviceId].field || null) === field || received[deviceId])
+    .sort();
+
+  const rows = deviceIds.map(deviceId => {
+    const device = devices[deviceId];
+    const interval = device.report_interval_seconds || null;
+    const from = Math.max(start.getTime(), new Date(device.created_at).getTime());
+    const expected = interval ? Math.max(0, Math.floor((end.getTime() - from) / 1000 / interval)) : null;
+    const count = received[deviceId] || 0;
+    return {
+      deviceId,
+      name: device.name || deviceId,
+      intervalSeconds: interval,
+      received: count,
+      expected,
+      percent: expected ? Math.min(100, Math.round(count / expected * 1000) / 10) : null
+    };
+  });
+
+  const known = rows.filter(row => row.expected);
+  const expected = known.reduce((sum, row) => sum + row.expected, 0);
+  const receivedKnown = known.reduce((sum, row) => sum + row.received, 0);
+  return {
+    received: rows.reduce((sum, row) => sum + row.received, 0),
+    expected: known.length > 0 ? expected : null,
+    percent: expected ? Math.min(100, Math.round(receivedKnown / expected * 1000) / 10) : null,
+    devices: rows
+  };
+}
+
+// Work out the figures of a report
+function buildReport(db, request, callback) {
+  const { field, period, start, end } = request;
+
+  getDevices(db, (err, devices) => {
+    if (err) return callback(err);
+    collectReadings(db, request, devices, (err, readings) => {
+      if (err) return callback(err);
+      getReportAlerts(db, request, (err, alerts) => {
+        if (err) return callback(err);
+        getReportWatering(db, request, (err, watering) => {
+          if (err) return callback(err);
+
+          // Thresholds shown are those in force when the period started
+          const thresholds = getSensorThresholds(field, start);
+          const sensors = {};
+          SENSOR_KEYS.forEach(key => {
+            const stats = readings.sensors[key];
+            sensors[key] = {
+              min: stats.min,
+              max: stats.max,
+              avg: stats.count ? Math.round(stats.sum / stats.count * 100) / 100 : null,
+              count: stats.count,
+              low: thresholds[key].low,
+              high: thresholds[key].high,
+              belowSeconds: Math.round(stats.belowSeconds),
+              aboveSeconds: Math.round(stats.aboveSeconds)
+            };
+          });
+
+          callback(null, {
+            field,
+            period,
+            from: start.toISOString(),
+            to: end.toISOString(),
+            date: localDate(start),
+            sensors,
+            alerts,
+            watering,
+            completeness: getCompleteness(devices, request, readings.received)
+          });
+        });
+      });
+    });
+  });
+}
+
+function formatDuration(seconds) {
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function formatTime(iso) {
+  const date = new Date(iso);
+  return `${localDate(date)} ${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+const formatValue = (value) => (value === null ? '–' : String(Math.round(value * 10) / 10));
+
+function reportTitle(summary) {
+  const name = summary.field || 'Devices without a field';
+  const lastDay = new Date(summary.to);
+  lastDay.setDate(lastDay.getDate() - 1);
+  return summary.period === 'weekly'
+    ? `${name}: ${summary.date} to ${localDate(lastDay)}`
+    : `${name}: ${summary.date}`;
+}
+
+// The report as titled sections of plain text and tables, shared by the
+// HTML and PDF renderings
+function reportSections(summary) {
+  const { sensors, alerts, watering, completeness } = summary;
+  const more = (total, listed) => (total > listed ? ` The first ${listed} are listed.` : '');
+
+  return [
+    {
+      title: 'Sensors',
+      text: 'Time below or above a threshold counts from each reading to the next.',
+      headers: ['Sensor', 'Min', 'Avg', 'Max', 'Readings', 'Below low', 'Above high'],
+      rows: SENSOR_KEYS.map(key => {
+        const { name, unit } = SENSOR_LABELS[key];
+        const stats = sensors[key];
+        return [
+          unit ? `${name} (${unit})` : name,
+          formatValue(stats.min),
+          formatValue(stats.avg),
+          formatValue(stats.max),
+          String(stats.count),
+          `${formatDuration(stats.belowSeconds)} (< ${stats.low})`,
+          `${formatDuration(stats.aboveSeconds)} (> ${stats.high})`
+        ];
+      })
+    },
+    {
+      title: 'Alerts',
+      text: alerts.total === 0
+        ? 'No alerts raised.'
+        : `${alerts.total} raised: ${alerts.bySeverity.critical || 0} critical, ${alerts.bySeverity.warning || 0} warning, ${alerts.bySeverity.info || 0} info.${more(alerts.total, alerts.list.length)}`,
+      headers: ['Opened', 'Device', 'Sensor', 'Severity', 'State', 'Message'],
+      rows: alerts.list.map(alert => [
+        formatTime(alert.openedAt),
+        alert.deviceId,
+        SENSOR_LABELS[alert.sensor] ? SENSOR_LABELS[alert.sensor].name : alert.sensor,
+        alert.severity,
+        alert.state,
+        alert.message
+      ])
+    },
+    {
+      title: 'Watering',
+      text: watering.count === 0
+        ? 'No waterings.'
+        : `${watering.count} ${watering.count === 1 ? 'watering' : 'waterings'}, ${formatDuration(watering.runtimeSeconds)} of pump runtime, about ${watering.liters} L.${more(watering.count, watering.events.length)}`,
+      headers: ['Finished', 'Device', 'Reason', 'Duration', 'Water (L)'],
+      rows: watering.events.map(event => [
+        formatTime(event.finishedAt), event.deviceId, event.reason, `${event.durationSeconds}s`, String(event.liters)
+      ])
+    },
+    {
+      title: 'Data completeness',
+      text: completeness.percent === null
+        ? `${completeness.received} readings received. No device has reported its interval, so the expected number is unknown.`
+        : `${completeness.percent}% of expected readings received.`,
+      headers: ['Device', 'Interval', 'Received', 'Expected', 'Completeness'],
+      rows: completeness.devices.map(device => [
+        device.name === device.deviceId ? device.deviceId : `${device.name} (${device.deviceId})`,
+        device.intervalSeconds ? `${device.intervalSeconds}s` : 'unknown',
+        String(device.received),
+        device.expected === null ? '–' : String(device.expected),
+        device.percent === null ? '–' : `${device.percent}%`
+      ])
+    }
+  ];
+}
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+function renderHtml(summary, generatedAt) {
+  const sections = reportSections(summary).map(section => `
+    <h2>${escapeHtml(section.title)}</h2>
+    <p>${escapeHtml(section.text)}</p>
+    ${section.rows.length === 0 ? '' : `<table>
+      <tr>${section.headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr>
+      ${section.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n      ')}
+    </table>`}`).join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(reportTitle(summary))}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #333333; max-width: 960px; margin: 24px auto; padding: 0 16px; }
+    h1 { color: #2e7d32; font-size: 22px; margin-bottom: 4px; }
+    h2 { font-size: 16px; border-bottom: 1px solid #e0e0e0; padding-bottom: 4px; margin-top: 24px; }
+    .generated { color: #757575; font-size: 12px; }
+    table { border-collapse: collapse; width: 100%; font-size: 13px; }
+    th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eeeeee; }
+    th { background: #f5f5f5; }
+  </style>
+</head>
+<body>
+  <h1>🌱 ${escapeHtml(reportTitle(summary))}</h1>
+  <div class="generated">${summary.period === 'weekly' ? 'Weekly' : 'Daily'} report, generated ${escapeHtml(formatTime(generatedAt))}</div>
+  ${sections}
+</body>
+</html>
+`;
+}
+
+// Column widths of each section's table on an A4 page, in points
+const PDF_COLUMNS = {
+  Sensors: [110, 50, 50, 50, 55, 100, 100],
+  Alerts: [80, 70, 70, 55, 70, 170],
+  Watering: [100, 110, 110, 95, 100],
+  'Data completeness': [175, 80, 85, 85, 90]
+};
+
+function writePdfTable(doc, headers, rows, widths) {
+  const left = doc.page.margins.left;
+  const writeRow = (cells, bold) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 30) doc.addPage();
+    const top = doc.y;
+    let bottom = top;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    cells.forEach((cell, index) => {
+      const x = left + widths.slice(0, index).reduce((sum, width) => sum + width, 0);
+      doc.text(cell, x, top, { width: widths[index] - 6 });
+      bottom = Math.max(bottom, doc.y);
+    });
+    doc.x = left;
+    doc.y = bottom + 3;
+  };
+
+  writeRow(headers, true);
+  rows.forEach(row => writeRow(row, false));
+}
+
+function writePdf(summary, generatedAt, filePath, callback) {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const output = fs.createWriteStream(filePath);
+  output.on('error', callback);
+  output.on('finish', () => callback(null));
+  doc.pipe(output);
+
+  doc.font('Helvetica-Bold').fontSize(16).fillColor('#2e7d32').text(reportTitle(summary));
+  doc.font('Helvetica').fontSize(9).fillColor('#757575')
+    .text(`${summary.period === 'weekly' ? 'Weekly' : 'Daily'} report, generated ${formatTime(generatedAt)}`);
+  doc.fillColor('#333333');
+
+  reportSections(summary).forEach(section => {
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(12).text(section.title);
+    doc.font('Helvetica').fontSize(9).text(section.text);
+    doc.moveDown(0.5);
+    if (section.rows.length > 0) {
+      writePdfTable(doc, section.headers, section.rows, PDF_COLUMNS[section.title]);
+    }
+  });
+
+  doc.end();
+}
+
+const reportPath = (id, format) => path.join(REPORTS_DIR, `report-${id}.${format}`);
+
+function formatReport(row, withSummary) {
+  const summary = JSON.parse(row.summary);
+  const report = {
+    id: row.id,
+    field: row.field || null,
+    period: row.period,
+    from: new Date(row.period_start).toISOString(),
+    to: new Date(row.period_end).toISOString(),
+    date: localDate(new Date(row.period_start)),
+    title: reportTitle(summary),
+    alerts: summary.alerts.total,
+    waterings: summary.watering.count,
+    liters: summary.watering.liters,
+    completeness: summary.completeness.percent,
+    createdAt: row.created_at
+  };
+  if (withSummary) report.summary = summary;
+  return report;
+}
+
+function getReport(db, id, callback) {
+  db.query('SELECT * FROM reports WHERE id = ?', [id], (err, rows) => {
+    if (err) return callback(err);
+    callback(null, rows.length > 0 ? formatReport(rows[0], true) : null);
+  });
+}
+
+// Stored reports, newest period first. Takes field (null for all), period and limit.
+function getReports(db, { field, period, limit }, callback) {
+  const conditions = [];
+  const params = [];
+  if (field !== undefined) {
+    conditions.push('field = ?');
+    params.push(field || '');
+  }
+  if (period) {
+    conditions.push('period = ?');
+    params.push(period);
+  }
+  const query = `
+    SELECT * FROM reports
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY period_start DESC, period, field
+    LIMIT ?
+  `;
+  db.query(query, [...params, limit], (err, rows) => {
+    if (err) return callback(err);
+    callback(null, rows.map(row => formatReport(row, false)));
+  });
+}
+
+// Build, store and render a report. Generating a period again replaces it.
+function generateReport(db, request, callback) {
+  buildReport(db, request, (err, summary) => {
+    if (err) return callback(err);
+
+    const query = `
+      INSERT INTO reports (field, period, period_start, period_end, summary)
+      VALUES (?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id), period_end = VALUES(period_end),
+        summary = VALUES(summary), created_at = CURRENT_TIMESTAMP
+    `;
+    const params = [request.field || '', request.period, request.start, request.end, JSON.stringify(summary)];
+    db.query(query, params, (err, results) => {
+      if (err) return callback(err);
+      const id = results.insertId;
+      const generatedAt = new Date().toISOString();
+
+      fs.mkdir(REPORTS_DIR, { recursive: true }, (err) => {
+        if (err) return callback(err);
+        fs.writeFile(reportPath(id, 'html'), renderHtml(summary, generatedAt), (err) => {
+          if (err) return callback(err);
+          writePdf(summary, generatedAt, reportPath(id, 'pdf'), (err) => {
+            if (err) return callback(err);
+            getReport(db, id, callback);
+          });
+        });
+      });
+    });
+  });
+}
+
+// Generate the reports of the last complete day and week that are missing
+// for any field, once REPORT_HOUR has passed. Calls back with the new reports.
+function generateDueReports(db, now, callback) {
+  if (now.getHours() < REPORT_HOUR) return callback(null, []);
+
+  const rolledUntil = getRolledUntil();
+  const ranges = Object.keys(REPORT_PERIODS)
+    .map(period => ({ period, ...lastCompletePeriod(period, now) }))
+    .filter(range => !rolledUntil || range.start >= rolledUntil);
+  if (ranges.length === 0) return callback(null, []);
+
+  getReportFields(db, (err, fields) => {
+    if (err) return callback(err);
+
+    const query = `
+      SELECT field, period FROM reports
+      WHERE ${ranges.map(() => '(period = ? AND period_start = ?)').join(' OR ')}
+    `;
+    db.query(query, ranges.flatMap(range => [range.period, range.start]), (err, rows) => {
+      if (err) return callback(err);
+
+      const existing = new Set(rows.map(row => `${row.period}:${row.field}`));
+      const due = ranges.flatMap(range => fields
+        .filter(field => !existing.has(`${range.period}:${field || ''}`))
+        .map(field => ({ field, ...range })));
+
+      const created = [];
+      const next = (index) => {
+        if (index >= due.length) return callback(null, created);
+        generateReport(db, due[index], (err, report) => {
+          if (err) return callback(err);
+          created.push(report);
+          next(index + 1);
+        });
+      };
+      next(0);
+    });
+  });
+}
+
+module.exports = {
+  REPORT_SCHEMA_QUERIES,
+  REPORT_PERIODS,
+  REPORT_FORMATS,
+  getReportFields,
+  validateReportRequest,
+  getReports,
+  getReport,
+  generateReport,
+  generateDueReports,
+  reportPath
+};
@@ -0,0 +1,415 @@
+// Retention for sensor_data. Raw readings older than the retention window are
+// rolled up into hourly and daily summary tables (min/max/avg/count per
+// sensor and per calibrated value) and then deleted, a day at a time: each day's rollup and delete
+// share one transaction, so a failed run leaves nothing half done. Reads that
+// reach further back than the raw data use the rollups instead. Readings
+// flagged as anomalous are rolled up into rows of their own (anomaly = 1), so
+// reads that leave anomalies out can skip them.
+const { SENSOR_KEYS } = require('./utils');
+const { anomalyConditions } = require('./anomalies');
+const { CALIBRATED_COLUMNS } = require('./calibration');
+
+// sensor_data columns summarised in the rollups, each as <column>_min etc.
+const ROLLUP_COLUMNS = [...SENSOR_KEYS, ...CALIBRATED_COLUMNS];
+
+// Days of raw readings to keep
+const RAW_RETENTION_DAYS = parseInt(process.env.RAW_RETENTION_DAYS, 10) || 30;
+
+// Days of hourly rollups to keep, daily rollups are kept forever
+const HOURLY_RETENTION_DAYS = parseInt(process.env.HOURLY_RETENTION_DAYS, 10) || 365;
+
+// Old hourly rollups are deleted in chunks so one run does not lock the table for long
+const DELETE_CHUNK_SIZE = 10000;
+
+const ROLLUP_TABLES = {
+  hourly: 'sensor_rollups_hourly',
+  daily: 'sensor_rollups_daily'
+};
+
+// Readings before this time only exist as rollups. Null until the job has run.
+let rolledUntil = null;
+// Rollups before this time were made before flagged readings got rows of
+// their own, so they cannot leave anomalies out. Null when there are none.
+let unfilteredUntil = null;
+let running = false;
+
+function getRolledUntil() {
+  return rolledUntil;
+}
+
+// When a read that leaves anomalies out covers [from, to), the end of the
+// part served from rollups that still include them, or null when there is none
+function getUnfilteredUntil(scope, from) {
+  if (!scope.excludeAnomalies || !unfilteredUntil || (from && from >= unfilteredUntil)) return null;
+  return unfilteredUntil;
+}
+
+// Summary columns of one sensor_data column in a rollup table
+const summaryColumns = (column) => [
+  [`${column}_min`, 'FLOAT DEFAULT NULL'],
+  [`${column}_max`, 'FLOAT DEFAULT NULL'],
+  [`${column}_avg`, 'DOUBLE DEFAULT NULL'],
+  [`${column}_count`, 'INT NOT NULL DEFAULT 0']
+];
+
+function rollupTableQuery(table) {
+  const columns = [
+    ...ROLLUP_COLUMNS.flatMap(summaryColumns),
+    ...SENSOR_KEYS.map(key => [`${key}_anomalies`, 'INT NOT NULL DEFAULT 0'])
+  ].map(([name, definition]) => `
+      ${name} ${definition},`).join('');
+
+  return `
+    CREATE TABLE IF NOT EXISTS ${table} (
+      device_id VARCHAR(64) NOT NULL,
+      field VARCHAR(100) DEFAULT NULL,
+      bucket_start DATETIME NOT NULL,
+      anomaly TINYINT(1) NOT NULL DEFAULT 0,${columns}
+      PRIMARY KEY (device_id, bucket_start, anomaly)
+    )
+  `;
+}
+
+// Tables for server.js to create on startup
+const RETENTION_SCHEMA_QUERIES = [
+  rollupTableQuery(ROLLUP_TABLES.hourly),
+  rollupTableQuery(ROLLUP_TABLES.daily),
+  `
+    CREATE TABLE IF NOT EXISTS retention_runs (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      cutoff DATETIME NOT NULL,
+      hourly_rows INT NOT NULL DEFAULT 0,
+      daily_rows INT NOT NULL DEFAULT 0,
+      deleted_rows INT NOT NULL DEFAULT 0,
+      hourly_deleted_rows INT NOT NULL DEFAULT 0,
+      rolled_until DATETIME NULL DEFAULT NULL,
+      split_anomalies TINYINT(1) NOT NULL DEFAULT 0,
+      started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      finished_at TIMESTAMP NULL DEFAULT NULL
+    )
+  `
+];
+
+// Columns added to existing tables on startup. Runs from before
+// split_anomalies existed are left at 0, marking their rollups as unfiltered.
+// Rollups made before the calibrated columns existed have a count of 0 there.
+const RETENTION_SCHEMA_COLUMNS = [
+  ['retention_runs', 'rolled_until', 'DATETIME NULL DEFAULT NULL'],
+  ['retention_runs', 'split_anomalies', 'TINYINT(1) NOT NULL DEFAULT 0'],
+  ...Object.values(ROLLUP_TABLES).flatMap(table => [
+    [table, 'anomaly', 'TINYINT(1) NOT NULL DEFAULT 0 AFTER bucket_start'],
+    ...SENSOR_KEYS.map(key => [table, `${key}_anomalies`, 'INT NOT NULL DEFAULT 0']),
+    ...CALIBRATED_COLUMNS.flatMap(summaryColumns).map(([name, definition]) => [table, name, definition])
+  ])
+];
+
+// Older rollup tables are keyed without the anomaly column. Run after
+// RETENTION_SCHEMA_COLUMNS so the column exists.
+function migrateRollupKeys(db, callback) {
+  const tables = Object.values(ROLLUP_TABLES);
+  const next = (index) => {
+    if (index >= tables.length) return callback(null);
+    const query = `
+      SELECT COUNT(*) AS count FROM information_schema.KEY_COLUMN_USAGE
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND CONSTRAINT_NAME = 'PRIMARY' AND COLUMN_NAME = 'anomaly'
+    `;
+    db.query(query, [tables[index]], (err, rows) => {
+      if (err) return callback(err);
+      if (rows[0].count > 0) return next(index + 1);
+      console.log(`Adding anomaly to the primary key of ${tables[index]}`);
+      db.query(`ALTER TABLE ${tables[index]} DROP PRIMARY KEY, ADD PRIMARY KEY (device_id, bucket_start, anomaly)`, (err) => {
+        if (err) return callback(err);
+        next(index + 1);
+      });
+    });
+  };
+  next(0);
+}
+
+// Raw readings a rollup and delete step covers: one slice of time, and only
+// rows that existed when the slice started so both statements see the same set
+const SLICE_CONDITION = 'timestamp >= ? AND timestamp < ? AND id <= ?';
+
+// Latest of the given times, or null when there are none
+const latest = (...times) => {
+  const dates = times.filter(Boolean).map(time => new Date(time));
+  return dates.length > 0 ? new Date(Math.max(...dates)) : null;
+};
+
+// Pick up where previous runs left off, including days a failed run had
+// already rolled up, and where the rollups of runs that did not keep flagged
+// readings apart end
+function loadRetentionState(db, callback) {
+  const query = `
+    SELECT
+      MAX(CASE WHEN finished_at IS NOT NULL THEN cutoff END) AS cutoff,
+      MAX(rolled_until) AS rolled_until,
+      MAX(CASE WHEN split_anomalies = 0 AND finished_at IS NOT NULL THEN cutoff END) AS unfiltered_cutoff,
+      MAX(CASE WHEN split_anomalies = 0 THEN rolled_until END) AS unfiltered_rolled_until
+    FROM retention_runs
+  `;
+  db.query(query, (err, rows) => {
+    if (err) return callback(err);
+    rolledUntil = latest(rows[0].cutoff, rows[0].rolled_until);
+    unfilteredUntil = latest(rows[0].unfiltered_cutoff, rows[0].unfiltered_rolled_until);
+    callback(null);
+  });
+}
+
+// Fold the raw readings of a slice into a rollup table, flagged and unflagged
+// readings into separate rows. A bucket that was already rolled up (late
+// readings from a batch upload) is merged, not replaced.
+function rollUp(db, table, bucketSql, slice, callback) {
+  const selectColumns = [
+    ...ROLLUP_COLUMNS.map(column => `MIN(${column}), MAX(${column}), AVG(${column}), COUNT(${column})`),
+    ...SENSOR_KEYS.map(key => `SUM(anomaly = 1 AND anomaly_scores LIKE '%"${key}"%')`)
+  ].join(', ');
+  const insertColumns = [
+    ...ROLLUP_COLUMNS.map(column => `${column}_min, ${column}_max, ${column}_avg, ${column}_count`),
+    ...SENSOR_KEYS.map(key => `${key}_anomalies`)
+  ].join(', ');
+  // Assignments run left to right, so the average is merged before the count changes
+  const merges = [
+    ...ROLLUP_COLUMNS.map(column => `
+      ${column}_min = COALESCE(LEAST(${column}_min, VALUES(${column}_min)), ${column}_min, VALUES(${column}_min)),
+      ${column}_max = COALESCE(GREATEST(${column}_max, VALUES(${column}_max)), ${column}_max, VALUES(${column}_max)),
+      ${column}_avg = COALESCE(
+        (${column}_avg * ${column}_count + VALUES(${column}_avg) * VALUES(${column}_count)) / NULLIF(${column}_count + VALUES(${column}_count), 0),
+        ${column}_avg, VALUES(${column}_avg)
+      ),
+      ${column}_count = ${column}_count + VALUES(${column}_count)`),
+    ...SENSOR_KEYS.map(key => `
+      ${key}_anomalies = ${key}_anomalies + VALUES(${key}_anomalies)`)
+  ].join(',');
+
+  const query = `
+    INSERT INTO ${table} (device_id, field, bucket_start, anomaly, ${insertColumns})
+    SELECT device_id, MAX(field), ${bucketSql} AS bucket, anomaly, ${selectColumns}
+    FROM sensor_data
+    WHERE ${SLICE_CONDITION}
+    GROUP BY device_id, bucket, anomaly
+    ON DUPLICATE KEY UPDATE
+      field = VALUES(field),${merges}
+  `;
+
+  db.query(query, [slice.start, slice.end, slice.maxId], (err, results) => {
+    if (err) return callback(err);
+    callback(null, results.affectedRows);
+  });
+}
+
+function deleteInChunks(db, query, params, total, callback) {
+  db.query(`${query} LIMIT ${DELETE_CHUNK_SIZE}`, params, (err, results) => {
+    if (err) return callback(err);
+    const deleted = total + results.affectedRows;
+    if (results.affectedRows < DELETE_CHUNK_SIZE) return callback(null, deleted);
+    deleteInChunks(db, query, params, deleted, callback);
+  });
+}
+
+// Undo the open transaction and pass on the error that caused it
+function rollBack(db, err, callback) {
+  db.rollback(() => callback(err));
+}
+
+// Roll up one slice into both tables and delete its raw rows, in one
+// transaction that also moves the run's watermark. READ COMMITTED keeps the
+// scans from gap-locking the table against new readings.
+function rollUpSlice(db, runId, slice, callback) {
+  db.query('SET TRANSACTION ISOLATION LEVEL READ COMMITTED', (err) => {
+    if (err) return callback(err);
+    db.beginTransaction((err) => {
+      if (err) return callback(err);
+
+      rollUp(db, ROLLUP_TABLES.hourly, "DATE_FORMAT(timestamp, '%Y-%m-%d %H:00:00')", slice, (err, hourlyRows) => {
+        if (err) return rollBack(db, err, callback);
+        rollUp(db, ROLLUP_TABLES.daily, 'DATE(timestamp)', slice, (err, dailyRows) => {
+          if (err) return rollBack(db, err, callback);
+          db.query(`DELETE FROM sensor_data WHERE ${SLICE_CONDITION}`, [slice.start, slice.end, slice.maxId], (err, deleted) => {
+            if (err) return rollBack(db, err, callback);
+            db.query('UPDATE retention_runs SET rolled_until = ? WHERE id = ?', [slice.end, runId], (err) => {
+              if (err) return rollBack(db, err, callback);
+              db.commit((err) => {
+                if (err) return rollBack(db, err, callback);
+                if (!rolledUntil || slice.end > rolledUntil) rolledUntil = slice.end;
+                callback(null, { hourlyRows, dailyRows, deletedRows: deleted.affectedRows });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+}
+
+// Roll up raw readings before the cutoff a local day at a time, starting with
+// the day of the oldest reading not yet handled. Readings that arrive for a
+// day after it was rolled up are picked up by the next run and merged.
+function rollUpBefore(db, runId, cutoff, from, totals, callback) {
+  const query = 'SELECT MIN(timestamp) AS first, MAX(id) AS maxId FROM sensor_data WHERE timestamp >= ? AND timestamp < ?';
+  db.query(query, [from, cutoff], (err, rows) => {
+    if (err) return callback(err);
+    if (!rows[0].first) return callback(null, totals);
+
+    const start = new Date(rows[0].first);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+    const slice = { start, end: end < cutoff ? end : cutoff, maxId: rows[0].maxId };
+
+    rollUpSlice(db, runId, slice, (err, counts) => {
+      if (err) return callback(err);
+      rollUpBefore(db, runId, cutoff, slice.end, {
+        hourlyRows: totals.hourlyRows + counts.hourlyRows,
+        dailyRows: totals.dailyRows + counts.dailyRows,
+        deletedRows: totals.deletedRows + counts.deletedRows
+      }, callback);
+    });
+  });
+}
+
+// Roll up and delete raw readings older than RAW_RETENTION_DAYS, counted back
+// from local midnight so only whole days are rolled up. Runs transactions, so
+// give it a connection of its own. Calls back with a summary of the run, or
+// null when a run is already in progress.
+function runRetention(db, callback) {
+  if (running) return callback(null, null);
+  running = true;
+
+  const done = (err, summary) => {
+    running = false;
+    callback(err, summary);
+  };
+
+  const cutoff = new Date();
+  cutoff.setHours(0, 0, 0, 0);
+  cutoff.setDate(cutoff.getDate() - RAW_RETENTION_DAYS);
+  const hourlyCutoff = new Date();
+  hourlyCutoff.setHours(0, 0, 0, 0);
+  hourlyCutoff.setDate(hourlyCutoff.getDate() - HOURLY_RETENTION_DAYS);
+
+  db.query('INSERT INTO retention_runs (cutoff, split_anomalies) VALUES (?, 1)', [cutoff], (err, run) => {
+    if (err) return done(err);
+
+    const totals = { hourlyRows: 0, dailyRows: 0, deletedRows: 0 };
+    rollUpBefore(db, run.insertId, cutoff, new Date(0), totals, (err, rolled) => {
+      if (err) return done(err);
+      const { hourlyRows, dailyRows, deletedRows } = rolled;
+
+      deleteInChunks(
+        db,
+        `DELETE FROM ${ROLLUP_TABLES.hourly} WHERE bucket_start < ?`,
+        [hourlyCutoff],
+        0,
+        (err, hourlyDeletedRows) => {
+          if (err) return done(err);
+
+          const summary = { cutoff, hourlyRows, dailyRows, deletedRows, hourlyDeletedRows };
+          const query = `
+            UPDATE retention_runs
+            SET hourly_rows = ?, daily_rows = ?, deleted_rows = ?, hourly_deleted_rows = ?, finished_at = NOW()
+            WHERE id = ?
+          `;
+          db.query(query, [hourlyRows, dailyRows, deletedRows, hourlyDeletedRows, run.insertId], (err) => {
+            if (err) return done(err);
+            if (!rolledUntil || cutoff > rolledUntil) rolledUntil = cutoff;
+            done(null, summary);
+          });
+        }
+      );
+    });
+  });
+}
+
+function formatRun(row) {
+  return {
+    id: row.id,
+    cutoff: row.cutoff,
+    hourlyRows: row.hourly_rows,
+    dailyRows: row.daily_rows,
+    deletedRows: row.deleted_rows,
+    hourlyDeletedRows: row.hourly_deleted_rows,
+    rolledUntil: row.rolled_until,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+}
+
+// Retention settings and the most recent runs
+function getRetentionStatus(db, limit, callback) {
+  db.query('SELECT * FROM retention_runs ORDER BY id DESC LIMIT ?', [limit], (err, rows) => {
+    if (err) return callback(err);
+    callback(null, {
+      rawRetentionDays: RAW_RETENTION_DAYS,
+      hourlyRetentionDays: HOURLY_RETENTION_DAYS,
+      rolledUntil,
+      unfilteredUntil,
+      running,
+      runs: rows.map(formatRun)
+    });
+  });
+}
+
+// Per-sensor columns that merge rollup rows the way the raw aggregates do,
+// aliased like MIN/MAX/AVG/COUNT over sensor_data (<sensor>_min,
+// <sensor>_calibrated_min etc.)
+function rollupColumns() {
+  return [
+    ...ROLLUP_COLUMNS.map(column => `
+      MIN(${column}_min) AS ${column}_min,
+      MAX(${column}_max) AS ${column}_max,
+      SUM(${column}_avg * ${column}_count) / NULLIF(SUM(${column}_count), 0) AS ${column}_avg,
+      SUM(${column}_count) AS ${column}_count`),
+    ...SENSOR_KEYS.map(key => `
+      SUM(${key}_anomalies) AS ${key}_anomalies`)
+  ].join(',');
+}
+
+// Rollup rows grouped by a bucket expression over bucket_start (returned as
+// `bucket`), for a device/field scope and a time range. A scope with
+// excludeAnomalies leaves the flagged rows out.
+function getRollupBuckets(db, period, scope, { from, to, bucketSql }, callback) {
+  const conditions = [...scope.conditions, ...anomalyConditions(scope)];
+  const query = `
+    SELECT ${bucketSql} AS bucket,${rollupColumns()}
+    FROM ${ROLLUP_TABLES[period]}
+    WHERE bucket_start >= ? AND bucket_start < ?
+    ${conditions.map(condition => `AND ${condition}`).join(' ')}
+    GROUP BY bucket
+    ORDER BY bucket ASC
+  `;
+  db.query(query, [from, to, ...scope.params], callback);
+}
+
+// One merged rollup row for the whole range, or for all time without from/to
+function getRollupTotals(db, period, scope, { from, to }, callback) {
+  const conditions = [...scope.conditions, ...anomalyConditions(scope)];
+  const params = [...scope.params];
+  if (from) {
+    conditions.unshift('bucket_start >= ?', 'bucket_start < ?');
+    params.unshift(from, to);
+  }
+
+  const query = `
+    SELECT ${rollupColumns()}
+    FROM ${ROLLUP_TABLES[period]}
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+  `;
+  db.query(query, params, (err, rows) => {
+    if (err) return callback(err);
+    callback(null, rows[0] || {});
+  });
+}
+
+module.exports = {
+  RETENTION_SCHEMA_QUERIES,
+  RETENTION_SCHEMA_COLUMNS,
+  migrateRollupKeys,
+  loadRetentionState,
+  getRolledUntil,
+  getUnfilteredUntil,
+  runRetention,
+  getRetentionStatus,
+  getRollupBuckets,
+  getRollupTotals
+};
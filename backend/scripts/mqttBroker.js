@@ -0,0 +1,20 @@
+// Embedded MQTT broker for local testing without Mosquitto or a cloud broker.
+// Run with `npm run broker`, then start the server with MQTT_URL=mqtt://localhost:1883
+const { createServer } = require('net');
+const { createBroker } = require('aedes');
+
+const port = process.env.MQTT_BROKER_PORT || 1883;
+const broker = createBroker();
+const server = createServer(broker.handle);
+
+broker.on('client', (client) => {
+  console.log(`Client connected: ${client.id}`);
+});
+
+broker.on('clientDisconnect', (client) => {
+  console.log(`Client disconnected: ${client.id}`);
+});
+
+server.listen(port, () => {
+  console.log(`MQTT broker listening on port ${port}`);
+});
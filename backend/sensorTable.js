@@ -0,0 +1,157 @@
+// Paged reading history for the dashboard table: a date range, per-sensor
+// value filters and sorting by any column, one page at a time. Each row
+// carries its own status under the thresholds in force when it was taken
+// (the crop stage of its field at the time) and the scores of any
+// sensors flagged as anomalous.
+const { SENSOR_KEYS, getSensorThresholds, getThresholdWindows, getStagedFields, getReadingStatus } = require('./utils');
+const { CALIBRATED_COLUMNS } = require('./calibration');
+const { anomalyConditions, parseAnomalyScores } = require('./anomalies');
+
+const SORT_COLUMNS = ['timestamp', ...SENSOR_KEYS];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// A value filter such as soilMoisture<200 or temperature>=30.5
+const FILTER_PATTERN = /^(\w+)\s*(<=|>=|!=|<|>|=)\s*(-?\d+(?:\.\d+)?)$/;
+
+// Work out table options from query parameters: page (from 1), pageSize,
+// from/to dates, sort column, order (asc or desc), filter, a
+// comma-separated list of sensor comparisons, outOfRange=true to keep only
+// readings with a sensor outside its thresholds, and anomalies=true to keep
+// only readings flagged as anomalous. Returns { options } or { error }.
+function parseTableQuery(query) {
+  const page = query.page === undefined ? 1 : parseInt(query.page, 10);
+  const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.pageSize, 10);
+  if (!(page >= 1)) {
+    return { error: 'page must be a positive number' };
+  }
+  if (!(pageSize >= 1 && pageSize <= MAX_PAGE_SIZE)) {
+    return { error: `pageSize must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (from && to && from >= to) {
+    return { error: 'from must be before to' };
+  }
+
+  const sort = query.sort || 'timestamp';
+  if (!SORT_COLUMNS.includes(sort)) {
+    return { error: `sort must be one of: ${SORT_COLUMNS.join(', ')}` };
+  }
+  const order = (query.order || 'desc').toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be asc or desc' };
+  }
+
+  const filters = [];
+  const filterText = query.filter ? String(query.filter) : '';
+  for (const text of filterText.split(',').map(part => part.trim()).filter(Boolean)) {
+    const match = text.match(FILTER_PATTERN);
+    if (!match || !SENSOR_KEYS.includes(match[1])) {
+      return { error: `Invalid filter "${text}", use <sensor><op><number> with one of: ${SENSOR_KEYS.join(', ')}` };
+    }
+    filters.push({ sensor: match[1], operator: match[2], value: Number(match[3]) });
+  }
+
+  const outOfRange = query.outOfRange === 'true' || query.outOfRange === '1';
+  const anomaliesOnly = query.anomalies === 'true' || query.anomalies === '1';
+
+  return { options: { page, pageSize, from, to, sort, order, filters, outOfRange, anomaliesOnly } };
+}
+
+// SQL condition for a reading outside the given thresholds, adding its values to params
+function outOfRangeCondition(thresholds, params) {
+  SENSOR_KEYS.forEach(key => params.push(thresholds[key].low, thresholds[key].high));
+  return `(${SENSOR_KEYS.map(key => `${key} < ? OR ${key} > ?`).join(' OR ')})`;
+}
+
+// One page of readings for a device/field scope (see getScope in server.js),
+// with the total number of matching readings
+function getTablePage(db, scope, { page, pageSize, from, to, sort, order, filters, outOfRange, anomaliesOnly }, callback) {
+  const conditions = [...scope.conditions, ...anomalyConditions(scope)];
+  const params = [...scope.params];
+  if (from) {
+    conditions.push('timestamp >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('timestamp < ?');
+    params.push(to);
+  }
+  // Sensor names and operators come from fixed lists, values are placeholders
+  filters.forEach(({ sensor, operator, value }) => {
+    conditions.push(`${sensor} ${operator} ?`);
+    params.push(value);
+  });
+  if (outOfRange) {
+    // Fields with a crop are checked against the stage in force when each
+    // reading was taken, like the rows' statuses
+    const stagedFields = getStagedFields();
+    if (stagedFields.length === 0) {
+      conditions.push(outOfRangeCondition(getSensorThresholds(), params));
+    } else {
+      const parts = [];
+      stagedFields.forEach(field => {
+        getThresholdWindows(field).forEach(window => {
+          params.push(field);
+          const bounds = ['field = ?'];
+          if (window.from) {
+            bounds.push('timestamp >= ?');
+            params.push(window.from);
+          }
+          if (window.to) {
+            bounds.push('timestamp < ?');
+            params.push(window.to);
+          }
+          parts.push(`(${bounds.join(' AND ')} AND ${outOfRangeCondition(window.thresholds, params)})`);
+        });
+      });
+      params.push(stagedFields);
+      parts.push(`((field IS NULL OR field NOT IN (?)) AND ${outOfRangeCondition(getSensorThresholds(), params)})`);
+      conditions.push(`(${parts.join(' OR ')})`);
+    }
+  }
+  if (anomaliesOnly) {
+    conditions.push('anomaly = 1');
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  db.query(`SELECT COUNT(*) AS total FROM sensor_data ${where}`, params, (err, counts) => {
+    if (err) return callback(err);
+
+    // id breaks ties so rows with equal values keep a stable order across pages
+    const query = `
+      SELECT id, device_id, field, ${SENSOR_KEYS.join(', ')}, ${CALIBRATED_COLUMNS.join(', ')}, anomaly, anomaly_scores, timestamp
+      FROM sensor_data
+      ${where}
+      ORDER BY ${sort} ${order.toUpperCase()}, id ${order.toUpperCase()}
+      LIMIT ? OFFSET ?
+    `;
+    db.query(query, [...params, pageSize, (page - 1) * pageSize], (err, rows) => {
+      if (err) return callback(err);
+      callback(null, {
+        rows: rows.map(({ anomaly, anomaly_scores: anomalyScores, ...row }) => ({
+          ...row,
+          status: getReadingStatus(row),
+          anomalies: parseAnomalyScores({ anomaly, anomaly_scores: anomalyScores })
+        })),
+        page,
+        pageSize,
+        total: counts[0].total,
+        sort,
+        order
+      });
+    });
+  });
+}
+
+module.exports = {
+  SORT_COLUMNS,
+  parseTableQuery,
+  getTablePage
+};
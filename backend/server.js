@@ -2,19 +2,206 @@ require('dotenv').config();
 const express = require('express');
 const mysql = require('mysql2');
 const cors = require('cors');
-const { getStatus } = require('./utils');
+const {
+  formatLatestReading,
+  toIsoTimestamp,
+  getSensorThresholds,
+  getReadingStatus,
+  mergeThresholds,
+  SENSOR_KEYS
+} = require('./utils');
+const { loadSensorThresholds, saveSensorThresholds } = require('./thresholds');
+const {
+  ALERT_STATES,
+  validateAlertRule,
+  loadAlertRules,
+  getAlertRules,
+  getAlertRule,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+  evaluateReading,
+  getAlerts,
+  acknowledgeAlert,
+  resolveAlert
+} = require('./alerts');
+const {
+  HEALTH_SCHEMA_QUERIES,
+  HEALTH_SCHEMA_COLUMNS,
+  checkSilentDevices,
+  validateHeartbeat,
+  saveHeartbeat,
+  getDeviceHealth
+} = require('./deviceMonitor');
+const { systemEvents } = require('./events');
+const { streamHandler } = require('./liveUpdates');
+const { startMqttBridge } = require('./mqttBridge');
+const { parseAggregationQuery, getAggregates, mergeAverages } = require('./aggregation');
+const { parseExportQuery, sendExport } = require('./exportData');
+const { parseTableQuery, getTablePage } = require('./sensorTable');
+const { MAX_BATCH_SIZE, storeBatch } = require('./batchUpload');
+const {
+  DERIVED_METRICS,
+  deriveMetrics,
+  parseGddQuery,
+  getGrowingDegreeDays
+} = require('./derivedMetrics');
+const {
+  CALIBRATED_SENSORS,
+  CALIBRATION_SCHEMA_QUERIES,
+  CALIBRATION_SCHEMA_COLUMNS,
+  loadCalibrationProfiles,
+  validateProfile,
+  calibrateReading,
+  getCalibrationUnits,
+  getCalibrationProfiles,
+  saveCalibrationProfile,
+  deleteCalibrationProfile
+} = require('./calibration');
+const { parseForecastQuery, getSoilForecast } = require('./soilForecast');
+const {
+  SCHEDULE_SCHEMA_QUERIES,
+  validateSchedule,
+  getSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  evaluateSchedules,
+  getScheduleRuns,
+  parseCalendarQuery,
+  getScheduleCalendar
+} = require('./irrigationSchedules');
+const {
+  ANOMALY_SCHEMA_COLUMNS,
+  scoreReading,
+  anomalyConditions,
+  parseAnomalyScores,
+  dismissAnomaly
+} = require('./anomalies');
+const {
+  CROP_SCHEMA_QUERIES,
+  loadFieldCrops,
+  validateFieldCrop,
+  getCropProfiles,
+  getFieldCrops,
+  saveFieldCrop,
+  deleteFieldCrop
+} = require('./crops');
+const {
+  IMPORT_SCHEMA_QUERIES,
+  failInterruptedImports,
+  startImport,
+  getImports,
+  getImport
+} = require('./importData');
+const {
+  RETENTION_SCHEMA_QUERIES,
+  RETENTION_SCHEMA_COLUMNS,
+  migrateRollupKeys,
+  loadRetentionState,
+  getRolledUntil,
+  getUnfilteredUntil,
+  runRetention,
+  getRetentionStatus,
+  getRollupBuckets,
+  getRollupTotals
+} = require('./retention');
+const {
+  TICKET_PURPOSES,
+  validateUser,
+  ensureAdminUser,
+  login,
+  logout,
+  requireRole,
+  createTicket,
+  requireDeviceKey,
+  createDeviceKey,
+  revokeDeviceKey,
+  getUsers,
+  getUser,
+  createUser,
+  updateUser,
+  deleteUser
+} = require('./auth');
+const {
+  validateChannel,
+  validateSubscription,
+  getChannelRecord,
+  getChannels,
+  createChannel,
+  updateChannel,
+  deleteChannel,
+  getSubscriptions,
+  createSubscription,
+  deleteSubscription,
+  getNotificationLog,
+  sendTestNotification,
+  startNotifications
+} = require('./notifications');
+const {
+  validatePumpCommand,
+  validatePumpAck,
+  createPumpCommand,
+  takePendingCommands,
+  acknowledgePumpCommand,
+  expireStaleCommands,
+  updatePumpState,
+  getPumpStatus
+} = require('./pumpCommands');
+const {
+  USAGE_PERIODS,
+  validateIrrigationEvent,
+  saveIrrigationEvent,
+  getIrrigationEvents,
+  getWaterUsage
+} = require('./irrigation');
+const {
+  REPORT_SCHEMA_QUERIES,
+  REPORT_PERIODS,
+  REPORT_FORMATS,
+  getReportFields,
+  validateReportRequest,
+  getReports,
+  getReport,
+  generateReport,
+  generateDueReports,
+  reportPath
+} = require('./reports');
 
 const app = express();
-app.use(cors());
-app.use(express.json());
+// Behind a reverse proxy, login limits need the client address it forwards
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
+// Only the dashboard needs CORS, devices are not browsers
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:3000')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+app.use(cors({ origin: CORS_ORIGINS }));
+// Batches from devices flushing a backlog are larger than single readings
+app.use(express.json({ limit: '1mb' }));
+
+// Readings sent without a device ID are stored under this device
+const DEFAULT_DEVICE_ID = 'default';
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Largest CSV file accepted by the import endpoint
+const IMPORT_MAX_SIZE = process.env.IMPORT_MAX_SIZE || '50mb';
 
 // MySQL connection
-const db = mysql.createConnection({
+const DB_CONFIG = {
   host: 'localhost',
   user: 'root',
   password: '',
   database: 'iot_pertanian'
-});
+};
+
+const db = mysql.createConnection(DB_CONFIG);
+
+// Set once all tables exist, background jobs wait for it
+let dbReady = false;
 
 // Connect to MySQL
 db.connect((err) => {
@@ -44,13 +231,16 @@ db.connect((err) => {
       const createTableQuery = `
         CREATE TABLE IF NOT EXISTS sensor_data (
           id INT AUTO_INCREMENT PRIMARY KEY,
+          device_id VARCHAR(64) NOT NULL DEFAULT '${DEFAULT_DEVICE_ID}',
+          field VARCHAR(100) DEFAULT NULL,
           temperature FLOAT,
           humidity FLOAT,
           ldrValue INT,
           rainValue INT,
           airQualityPPM FLOAT,
           soilMoisture INT,
-          timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_device_timestamp (device_id, timestamp)
         )
       `;
 
@@ -61,6 +251,77 @@ db.connect((err) => {
             }
             console.log('Sensor data table ready');
 
+            // Older installs created sensor_data without device columns
+            migrateSensorDataTable((err) => {
+              if (err) {
+                console.error('Error migrating sensor data table:', err.message);
+                return;
+              }
+
+            runQueries(SCHEMA_QUERIES, (err) => {
+              if (err) {
+                console.error('Error creating tables:', err.message);
+                return;
+              }
+
+            ensureColumns(SCHEMA_COLUMNS, (err) => {
+              if (err) {
+                console.error('Error migrating tables:', err.message);
+                return;
+              }
+
+            migrateRollupKeys(db, (err) => {
+              if (err) {
+                console.error('Error migrating rollup tables:', err.message);
+                return;
+              }
+              console.log('Device registry and command queue ready');
+
+              ensureAdminUser(db, (err) => {
+                if (err) {
+                  console.error('Error creating admin user:', err.message);
+                }
+              });
+
+              loadSensorThresholds(db, (err) => {
+                if (err) {
+                  console.error('Error loading sensor thresholds:', err.message);
+                  return;
+                }
+                console.log('Sensor thresholds loaded');
+
+                loadAlertRules(db, (err) => {
+                  if (err) {
+                    console.error('Error loading alert rules:', err.message);
+                    return;
+                  }
+                  console.log('Alert rules loaded');
+                  loadRetentionState(db, (err) => {
+                    if (err) {
+                      console.error('Error loading retention state:', err.message);
+                    }
+                  });
+                  loadCalibrationProfiles(db, (err) => {
+                    if (err) {
+                      console.error('Error loading calibration profiles:', err.message);
+                    }
+                  });
+                  loadFieldCrops(db, (err) => {
+                    if (err) {
+                      console.error('Error loading field crops:', err.message);
+                    }
+                  });
+                  failInterruptedImports(db, (err) => {
+                    if (err) {
+                      console.error('Error closing interrupted imports:', err.message);
+                    }
+                  });
+                  startNotifications(db);
+                  startMqttBridge(db, { ingestReading, validateSensorData });
+                  dbReady = true;
+                });
+              });
+
                     // Insert sample data if table is empty
             db.query('SELECT COUNT(*) as count FROM sensor_data', (err, results) => {
               if (err) {
@@ -90,13 +351,14 @@ db.connect((err) => {
             sampleDataPoints.forEach(data => {
               const query = `
                 INSERT INTO sensor_data 
-                (temperature, humidity, ldrValue, rainValue, airQualityPPM, soilMoisture, timestamp)
-                VALUES (?, ?, ?, ?, ?, ?, ?)
+                (device_id, temperature, humidity, ldrValue, rainValue, airQualityPPM, soilMoisture, timestamp)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
               `;
 
               db.query(
                 query,
                 [
+                  DEFAULT_DEVICE_ID,
                   data.temperature,
                   data.humidity,
                   data.ldrValue,
@@ -113,14 +375,247 @@ db.connect((err) => {
               );
             });
             
+            db.query(
+              'INSERT IGNORE INTO devices (device_id, name) VALUES (?, ?)',
+              [DEFAULT_DEVICE_ID, 'Default device'],
+              (err) => {
+                if (err) {
+                  console.error('Error registering sample device:', err.message);
+                }
+              }
+            );
+            
             console.log('Sample data points inserted successfully');
           }
         });
+            });
+            });
+            });
+            });
       });
     });
   });
 });
 
+// Run queries one after another, stopping at the first error
+function runQueries(queries, callback) {
+  if (queries.length === 0) return callback(null);
+  db.query(queries[0], (err) => {
+    if (err) return callback(err);
+    runQueries(queries.slice(1), callback);
+  });
+}
+
+// Add a column to an existing table unless it is already there
+function ensureColumn(table, column, definition, callback) {
+  const query = `
+    SELECT COUNT(*) as count FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+  `;
+  db.query(query, [table, column], (err, results) => {
+    if (err) return callback(err);
+    if (results[0].count > 0) return callback(null);
+    console.log(`Adding column ${table}.${column}`);
+    db.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, callback);
+  });
+}
+
+// Add several [table, column, definition] columns in order
+function ensureColumns(columns, callback) {
+  if (columns.length === 0) return callback(null);
+  const [table, column, definition] = columns[0];
+  ensureColumn(table, column, definition, (err) => {
+    if (err) return callback(err);
+    ensureColumns(columns.slice(1), callback);
+  });
+}
+
+function migrateSensorDataTable(callback) {
+  ensureColumn('sensor_data', 'device_id', `VARCHAR(64) NOT NULL DEFAULT '${DEFAULT_DEVICE_ID}' AFTER id`, (err) => {
+    if (err) return callback(err);
+    ensureColumn('sensor_data', 'field', 'VARCHAR(100) DEFAULT NULL AFTER device_id', (err) => {
+      if (err) return callback(err);
+      const query = `
+        SELECT COUNT(*) as count FROM information_schema.STATISTICS
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'sensor_data' AND INDEX_NAME = 'idx_device_timestamp'
+      `;
+      db.query(query, (err, results) => {
+        if (err) return callback(err);
+        if (results[0].count > 0) return callback(null);
+        db.query('CREATE INDEX idx_device_timestamp ON sensor_data (device_id, timestamp)', callback);
+      });
+    });
+  });
+}
+
+// Tables created after sensor_data on startup
+const SCHEMA_QUERIES = [
+  `
+    CREATE TABLE IF NOT EXISTS devices (
+      device_id VARCHAR(64) PRIMARY KEY,
+      name VARCHAR(100),
+      field VARCHAR(100),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_seen TIMESTAMP NULL DEFAULT NULL
+    )
+  `,
+  // Readings stored before the registry existed belong to the default device
+  `
+    INSERT IGNORE INTO devices (device_id, name, last_seen)
+    SELECT DISTINCT device_id, device_id, NULL FROM sensor_data
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS pump_commands (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      device_id VARCHAR(64) NOT NULL,
+      command VARCHAR(10) NOT NULL,
+      duration_seconds INT DEFAULT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      source VARCHAR(20) NOT NULL DEFAULT 'dashboard',
+      message VARCHAR(255) DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      sent_at TIMESTAMP NULL DEFAULT NULL,
+      acknowledged_at TIMESTAMP NULL DEFAULT NULL,
+      expires_at TIMESTAMP NULL DEFAULT NULL,
+      claim_id CHAR(32) DEFAULT NULL,
+      INDEX idx_device_status (device_id, status)
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS irrigation_events (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      device_id VARCHAR(64) NOT NULL,
+      field VARCHAR(100) DEFAULT NULL,
+      event VARCHAR(10) NOT NULL,
+      reason VARCHAR(20) NOT NULL,
+      duration_seconds INT DEFAULT NULL,
+      soil_moisture INT DEFAULT NULL,
+      rain_value INT DEFAULT NULL,
+      timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_device_timestamp (device_id, timestamp)
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS sensor_thresholds (
+      sensor VARCHAR(32) PRIMARY KEY,
+      low FLOAT NOT NULL,
+      high FLOAT NOT NULL,
+      inverted TINYINT(1) NOT NULL DEFAULT 0,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS alert_rules (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      device_id VARCHAR(64) DEFAULT NULL,
+      sensor VARCHAR(32) NOT NULL,
+      comparison VARCHAR(10) NOT NULL,
+      threshold FLOAT DEFAULT NULL,
+      status VARCHAR(10) DEFAULT NULL,
+      duration_seconds INT NOT NULL DEFAULT 0,
+      hysteresis FLOAT NOT NULL DEFAULT 0,
+      severity VARCHAR(10) NOT NULL DEFAULT 'warning',
+      enabled TINYINT(1) NOT NULL DEFAULT 1,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS alerts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      rule_id INT DEFAULT NULL,
+      device_id VARCHAR(64) NOT NULL,
+      field VARCHAR(100) DEFAULT NULL,
+      sensor VARCHAR(32) NOT NULL,
+      severity VARCHAR(10) NOT NULL,
+      state VARCHAR(20) NOT NULL DEFAULT 'open',
+      message VARCHAR(255) NOT NULL,
+      trigger_value FLOAT DEFAULT NULL,
+      last_value FLOAT DEFAULT NULL,
+      opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      acknowledged_at TIMESTAMP NULL DEFAULT NULL,
+      resolved_at TIMESTAMP NULL DEFAULT NULL,
+      resolved_by VARCHAR(20) DEFAULT NULL,
+      INDEX idx_device_state (device_id, state)
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS notification_channels (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      type VARCHAR(20) NOT NULL,
+      config TEXT NOT NULL,
+      rate_limit_per_hour INT DEFAULT NULL,
+      enabled TINYINT(1) NOT NULL DEFAULT 1,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS notification_subscriptions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      channel_id INT NOT NULL,
+      event_type VARCHAR(32) NOT NULL,
+      device_id VARCHAR(64) DEFAULT NULL,
+      min_severity VARCHAR(10) DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_event_type (event_type)
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS notification_log (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      channel_id INT NOT NULL,
+      event_type VARCHAR(32) NOT NULL,
+      delivery_id VARCHAR(36) NOT NULL,
+      status VARCHAR(20) NOT NULL,
+      attempts INT NOT NULL DEFAULT 0,
+      error VARCHAR(255) DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_channel_created (channel_id, created_at)
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS users (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      username VARCHAR(64) NOT NULL UNIQUE,
+      password_hash VARCHAR(200) NOT NULL,
+      role VARCHAR(10) NOT NULL DEFAULT 'viewer',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS sessions (
+      token_hash CHAR(64) PRIMARY KEY,
+      user_id INT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NULL DEFAULT NULL,
+      INDEX idx_user (user_id)
+    )
+  `,
+  ...RETENTION_SCHEMA_QUERIES,
+  ...IMPORT_SCHEMA_QUERIES,
+  ...CALIBRATION_SCHEMA_QUERIES,
+  ...CROP_SCHEMA_QUERIES,
+  ...HEALTH_SCHEMA_QUERIES,
+  ...SCHEDULE_SCHEMA_QUERIES,
+  ...REPORT_SCHEMA_QUERIES
+];
+
+// Columns added to existing tables on startup
+const SCHEMA_COLUMNS = [
+  ['devices', 'pump_active', 'TINYINT(1) NOT NULL DEFAULT 0'],
+  ['devices', 'pump_mode', "VARCHAR(10) NOT NULL DEFAULT 'auto'"],
+  ['devices', 'pump_updated_at', 'TIMESTAMP NULL DEFAULT NULL'],
+  ['devices', 'flow_rate_lpm', 'FLOAT DEFAULT NULL'],
+  ['devices', 'silent_since', 'TIMESTAMP NULL DEFAULT NULL'],
+  ['devices', 'api_key_hash', 'CHAR(64) DEFAULT NULL'],
+  ['pump_commands', 'claim_id', 'CHAR(32) DEFAULT NULL'],
+  ...CALIBRATION_SCHEMA_COLUMNS,
+  ...HEALTH_SCHEMA_COLUMNS,
+  ...ANOMALY_SCHEMA_COLUMNS,
+  ...RETENTION_SCHEMA_COLUMNS
+];
+
 // Data validation
 function validateSensorData(data) {
   return (
@@ -132,42 +627,335 @@ function validateSensorData(data) {
     typeof data.rainValue === 'number' &&
     typeof data.airQualityPPM === 'number' &&
     typeof data.soilMoisture === 'number' &&
-    typeof data.timestamp === 'string'
+    typeof data.timestamp === 'string' &&
+    (data.deviceId === undefined || isValidDeviceId(data.deviceId)) &&
+    (data.field === undefined || typeof data.field === 'string') &&
+    (data.pumpActive === undefined || typeof data.pumpActive === 'boolean') &&
+    (data.pumpMode === undefined || data.pumpMode === 'auto' || data.pumpMode === 'manual')
   );
 }
 
+function isValidDeviceId(deviceId) {
+  return typeof deviceId === 'string' && DEVICE_ID_PATTERN.test(deviceId);
+}
+
+// Build the WHERE conditions that scope a query to a device and/or field.
+// excludeAnomalies=true asks reading and rollup queries to leave out flagged
+// readings (see anomalyConditions).
+function getScope(query) {
+  const conditions = [];
+  const params = [];
+
+  if (query.deviceId) {
+    conditions.push('device_id = ?');
+    params.push(query.deviceId);
+  }
+  if (query.field) {
+    conditions.push('field = ?');
+    params.push(query.field);
+  }
+
+  return {
+    conditions,
+    params,
+    deviceId: query.deviceId,
+    field: query.field,
+    excludeAnomalies: query.excludeAnomalies === 'true' || query.excludeAnomalies === '1'
+  };
+}
+
+function whereClause(conditions) {
+  return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+// Register a device on first contact and refresh its last seen time.
+// The callback receives the field the device is assigned to.
+function touchDevice(deviceId, callback) {
+  const query = `
+    INSERT INTO devices (device_id, name, last_seen)
+    VALUES (?, ?, NOW())
+    ON DUPLICATE KEY UPDATE last_seen = NOW(), silent_since = NULL
+  `;
+
+  db.query(query, [deviceId, deviceId], (err) => {
+    if (err) return callback(err);
+    db.query('SELECT field FROM devices WHERE device_id = ?', [deviceId], (err, results) => {
+      if (err) return callback(err);
+      callback(null, results.length > 0 ? results[0].field : null);
+    });
+  });
+}
+
+// Store a validated reading from any transport (HTTP or MQTT): register the
+// device, score it against the device's recent readings, save the row with
+// its calibrated values and anomaly flag, publish it and run the alert rules
+// against it
+function ingestReading(data, callback) {
+  const { temperature, humidity, ldrValue, rainValue, airQualityPPM, soilMoisture, timestamp } = data;
+  const deviceId = data.deviceId || DEFAULT_DEVICE_ID;
+
+  touchDevice(deviceId, (err, registeredField) => {
+    if (err) return callback(err);
+
+    scoreReading(db, deviceId, data, (err, scored) => {
+      // A reading that cannot be scored is still stored, unflagged
+      if (err) {
+        console.error('Error scoring reading for anomalies:', err);
+      }
+      const { anomaly, scores } = scored || { anomaly: false, scores: {} };
+
+      // A field sent with the reading wins over the one in the registry
+      const field = data.field || registeredField;
+      const calibrated = calibrateReading(deviceId, data);
+      const calibratedColumns = Object.keys(calibrated);
+
+      const query = `
+        INSERT INTO sensor_data 
+        (device_id, field, temperature, humidity, ldrValue, rainValue, airQualityPPM, soilMoisture, ${calibratedColumns.join(', ')}, anomaly, anomaly_scores, timestamp)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ${calibratedColumns.map(() => '?').join(', ')}, ?, ?, STR_TO_DATE(?, '%Y-%m-%d %H:%i:%s'))
+      `;
+
+      db.query(
+        query,
+        [
+          deviceId, field, temperature, humidity, ldrValue, rainValue, airQualityPPM, soilMoisture,
+          ...calibratedColumns.map(column => calibrated[column]),
+          anomaly ? 1 : 0,
+          anomaly ? JSON.stringify(scores) : null,
+          timestamp
+        ],
+        (err, results) => {
+          if (err) return callback(err);
+
+          systemEvents.emit('reading.created', {
+            deviceId,
+            reading: {
+              id: results.insertId,
+              deviceId,
+              field,
+              timestamp: toIsoTimestamp(timestamp),
+              latest: formatLatestReading({ ...data, ...calibrated, field }, getCalibrationUnits(deviceId)),
+              derived: deriveMetrics(temperature, humidity),
+              anomalies: scores
+            }
+          });
+
+          evaluateReading(db, deviceId, field, data, (err) => {
+            if (err) {
+              console.error('Error evaluating alert rules:', err);
+            }
+          });
+
+          const saved = { id: results.insertId, deviceId, field, anomaly };
+          if (data.pumpActive === undefined) {
+            return callback(null, saved);
+          }
+          updatePumpState(db, deviceId, data, (err) => {
+            if (err) {
+              console.error('Error updating pump state:', err);
+            }
+            callback(null, saved);
+          });
+        }
+      );
+    });
+  });
+}
+
+// Log in with username and password, returns a session token
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body || {};
+
+  login(db, username, password, req.ip, (err, result) => {
+    if (err) {
+      console.error('Error logging in:', err);
+      return res.status(500).json({ error: 'Error logging in' });
+    }
+    if (result.error) {
+      if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json(result.session);
+  });
+});
+
+// Route guards: devices authenticate with their API key, dashboard users
+// with a session token and a role
+const deviceOnly = requireDeviceKey(db, DEFAULT_DEVICE_ID);
+const viewerOnly = requireRole(db, 'viewer');
+const operatorOnly = requireRole(db, 'operator');
+const adminOnly = requireRole(db, 'admin');
+// EventSource and download links cannot set headers, they bring a ticket
+const viewerStream = requireRole(db, 'viewer', 'stream');
+const viewerDownload = requireRole(db, 'viewer', 'download');
+
+// End the current session
+app.post('/api/auth/logout', viewerOnly, (req, res) => {
+  logout(db, req.token, (err) => {
+    if (err) {
+      console.error('Error logging out:', err);
+      return res.status(500).json({ error: 'Error logging out' });
+    }
+    res.json({ message: 'Logged out' });
+  });
+});
+
+// The logged-in user
+app.get('/api/auth/me', viewerOnly, (req, res) => {
+  res.json(req.user);
+});
+
+// Issue a short-lived single-use ticket for a stream or download URL
+app.post('/api/auth/ticket', viewerOnly, (req, res) => {
+  const purpose = req.body && req.body.purpose;
+  if (!TICKET_PURPOSES.includes(purpose)) {
+    return res.status(400).json({ error: `purpose must be one of: ${TICKET_PURPOSES.join(', ')}` });
+  }
+  res.json(createTicket(req.user, purpose));
+});
+
+// List dashboard users
+app.get('/api/users', adminOnly, (req, res) => {
+  getUsers(db, (err, users) => {
+    if (err) {
+      console.error('Error fetching users:', err);
+      return res.status(500).json({ error: 'Error fetching users' });
+    }
+    res.json(users);
+  });
+});
+
+// Create a dashboard user
+app.post('/api/users', adminOnly, (req, res) => {
+  const { user, error } = validateUser(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  createUser(db, user, (err, created) => {
+    if (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ error: 'Username already taken' });
+      }
+      console.error('Error creating user:', err);
+      return res.status(500).json({ error: 'Error creating user' });
+    }
+    res.status(201).json(created);
+  });
+});
+
+// Change a user's role or password
+app.put('/api/users/:id', adminOnly, (req, res) => {
+  getUser(db, req.params.id, (err, existing) => {
+    if (err) {
+      console.error('Error updating user:', err);
+      return res.status(500).json({ error: 'Error updating user' });
+    }
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { user, error } = validateUser(req.body, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (existing.id === req.user.id && user.role !== 'admin') {
+      return res.status(400).json({ error: 'You cannot remove your own admin role' });
+    }
+
+    updateUser(db, existing.id, user, (err, updated) => {
+      if (err) {
+        console.error('Error updating user:', err);
+        return res.status(500).json({ error: 'Error updating user' });
+      }
+      res.json(updated);
+    });
+  });
+});
+
+// Delete a user and end their sessions
+app.delete('/api/users/:id', adminOnly, (req, res) => {
+  if (String(req.user.id) === req.params.id) {
+    return res.status(400).json({ error: 'You cannot delete your own account' });
+  }
+
+  deleteUser(db, req.params.id, (err, deleted) => {
+    if (err) {
+      console.error('Error deleting user:', err);
+      return res.status(500).json({ error: 'Error deleting user' });
+    }
+    if (!deleted) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ message: 'User deleted' });
+  });
+});
+
 // API Endpoints
-app.post('/api/sensors/data', (req, res) => {
+app.post('/api/sensors/data', deviceOnly, (req, res) => {
   if (!validateSensorData(req.body)) {
     return res.status(400).json({ error: 'Invalid sensor data format' });
   }
 
-  const { temperature, humidity, ldrValue, rainValue, airQualityPPM, soilMoisture, timestamp } = req.body;
-  
-  const query = `
-    INSERT INTO sensor_data 
-    (temperature, humidity, ldrValue, rainValue, airQualityPPM, soilMoisture, timestamp)
-    VALUES (?, ?, ?, ?, ?, ?, STR_TO_DATE(?, '%Y-%m-%d %H:%i:%s'))
-  `;
+  ingestReading(req.body, (err, saved) => {
+    if (err) {
+      console.error('Error saving sensor data:', err);
+      return res.status(500).json({ error: 'Error saving sensor data', details: err.message });
+    }
 
-  db.query(
-    query,
-    [temperature, humidity, ldrValue, rainValue, airQualityPPM, soilMoisture, timestamp],
-    (err, results) => {
+    // Pending pump commands ride along in the response
+    takePendingCommands(db, saved.deviceId, (err, commands) => {
       if (err) {
-        console.error('Error saving sensor data:', err);
-        return res.status(500).json({ error: 'Error saving sensor data', details: err.message });
+        console.error('Error fetching pump commands:', err);
       }
-      res.json({ message: 'Sensor data saved successfully', id: results.insertId });
+      res.json({
+        message: 'Sensor data saved successfully',
+        ...saved,
+        commands: commands || []
+      });
+    });
+  });
+});
+
+// Store-and-forward upload of buffered readings (see batchUpload.js). The
+// response is 500 when any reading failed to save, so the device keeps the
+// batch and sends it again; the readings already saved are then skipped.
+// Pump commands are not handed out here, the device picks them up with its
+// live readings.
+app.post('/api/sensors/batch', deviceOnly, (req, res) => {
+  const { readings } = req.body;
+  if (!Array.isArray(readings) || readings.length === 0) {
+    return res.status(400).json({ error: 'readings must be a non-empty array' });
+  }
+  if (readings.length > MAX_BATCH_SIZE) {
+    return res.status(400).json({ error: `A batch may contain at most ${MAX_BATCH_SIZE} readings` });
+  }
+  if (!isValidDeviceId(req.deviceId)) {
+    return res.status(400).json({ error: 'Invalid deviceId' });
+  }
+
+  // A batch belongs to the device that sent it
+  storeBatch(db, req.deviceId, readings, { validate: validateSensorData, ingest: ingestReading }, (err, summary) => {
+    if (err) {
+      console.error('Error storing batch:', err);
+      return res.status(500).json({ error: 'Error saving sensor data' });
     }
-  );
+    if (summary.failed > 0) {
+      return res.status(500).json({ error: 'Some readings could not be saved, send the batch again', ...summary });
+    }
+    res.json(summary);
+  });
 });
 
+// Live stream of new readings and alert changes
+app.get('/api/stream', viewerStream, streamHandler);
+
 // Get latest sensor data
-app.get('/api/sensors/latest', (req, res) => {
-  const query = 'SELECT * FROM sensor_data ORDER BY timestamp DESC LIMIT 1';
+app.get('/api/sensors/latest', viewerOnly, (req, res) => {
+  const { conditions, params } = getScope(req.query);
+  const query = `SELECT * FROM sensor_data ${whereClause(conditions)} ORDER BY timestamp DESC LIMIT 1`;
   
-  db.query(query, (err, results) => {
+  db.query(query, params, (err, results) => {
     if (err) {
       console.error('Error fetching latest data:', err);
       return res.status(500).json({ error: 'Error fetching latest data' });
@@ -184,191 +972,1372 @@ app.get('/api/sensors/latest', (req, res) => {
       });
     }
 
-    const data = results[0];
-    res.json({
-      temperature: { value: data.temperature, status: getStatus(data.temperature, 20, 25) },
-      humidity: { value: data.humidity, status: getStatus(data.humidity, 70, 80) },
-      ldrValue: { value: data.ldrValue, status: getStatus(data.ldrValue, 400, 600, true) },
-      rainValue: { value: data.rainValue, status: getStatus(data.rainValue, 880, 940, true) },
-      airQualityPPM: { value: data.airQualityPPM, status: getStatus(data.airQualityPPM, 400, 800) },
-      soilMoisture: { value: data.soilMoisture, status: getStatus(data.soilMoisture, 200, 400) }
-    });
+    res.json(formatLatestReading(results[0], getCalibrationUnits(results[0].device_id)));
   });
 });
 
 // Get historical sensor data
-app.get('/api/sensors/historical', (req, res) => {
+app.get('/api/sensors/historical', viewerOnly, (req, res) => {
   const { hours = 24 } = req.query;
+  const scope = getScope(req.query);
+  const conditions = [...scope.conditions, ...anomalyConditions(scope)];
+  const { params } = scope;
   
   const query = `
     SELECT * FROM sensor_data 
     WHERE timestamp >= DATE_SUB(NOW(), INTERVAL ? HOUR)
     AND timestamp <= NOW()
+    ${conditions.map(condition => `AND ${condition}`).join(' ')}
     ORDER BY timestamp ASC`;
-  
-  db.query(query, [hours], (err, results) => {
+
+  // Hours older than the raw retention window are served as hourly averages.
+  // unfilteredUntil marks where rollups that still include anomalies end.
+  const windowStart = new Date(Date.now() - Number(hours) * 3600 * 1000);
+  const rolledUntil = getRolledUntil();
+  const usesRollups = Boolean(rolledUntil) && windowStart < rolledUntil;
+  const unfilteredUntil = usesRollups ? getUnfilteredUntil(scope, windowStart) : null;
+  const readRollups = (callback) => {
+    if (!usesRollups) return callback(null, []);
+    getRollupBuckets(
+      db,
+      'hourly',
+      scope,
+      { from: windowStart, to: rolledUntil, bucketSql: 'UNIX_TIMESTAMP(bucket_start)' },
+      callback
+    );
+  };
+
+  readRollups((err, rollups) => {
     if (err) {
-      console.error('Error fetching historical data:', err);
+      console.error('Error fetching historical rollups:', err);
       return res.status(500).json({ error: 'Error fetching historical data' });
     }
 
-    // If no results, return empty structure
-    if (!results || results.length === 0) {
-      return res.json({
-        labels: [],
-        datasets: {
-          temperature: [],
-          humidity: [],
-          ldrValue: [],
-          rainValue: [],
-          airQualityPPM: [],
-          soilMoisture: []
-        }
+    db.query(query, [hours, ...params], (err, rawResults) => {
+      if (err) {
+        console.error('Error fetching historical data:', err);
+        return res.status(500).json({ error: 'Error fetching historical data' });
+      }
+
+      const results = [
+        ...rollups.map(row => ({
+          timestamp: new Date(Number(row.bucket) * 1000),
+          temperature: row.temperature_avg,
+          humidity: row.humidity_avg,
+          ldrValue: row.ldrValue_avg,
+          rainValue: row.rainValue_avg,
+          airQualityPPM: row.airQualityPPM_avg,
+          soilMoisture: row.soilMoisture_avg
+        })),
+        ...rawResults
+      ];
+
+      // If no results, return empty structure
+      if (!results || results.length === 0) {
+        return res.json({
+          labels: [],
+          datasets: {
+            temperature: [],
+            humidity: [],
+            ldrValue: [],
+            rainValue: [],
+            airQualityPPM: [],
+            soilMoisture: []
+          },
+          statuses: {},
+          anomalies: {},
+          derived: Object.fromEntries(DERIVED_METRICS.map(metric => [metric, []])),
+          unfilteredUntil
+        });
+      }
+
+      // Format timestamps with full date information
+      const labels = results.map(r => {
+        const date = new Date(r.timestamp);
+        return {
+          display: date.toLocaleString('en-US', { 
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit', 
+            minute: '2-digit',
+            hour12: false 
+          }),
+          timestamp: date.getTime()
+        };
       });
-    }
 
-    // Format timestamps with full date information
-    const labels = results.map(r => {
-      const date = new Date(r.timestamp);
-      return {
-        display: date.toLocaleString('en-US', { 
-          month: 'short',
-          day: 'numeric',
-          hour: '2-digit', 
-          minute: '2-digit',
-          hour12: false 
-        }),
-        timestamp: date.getTime()
+      // Ensure all data points exist with proper number formatting
+      const datasets = {
+        temperature: results.map(r => Number(r.temperature) || 0),
+        humidity: results.map(r => Number(r.humidity) || 0),
+        ldrValue: results.map(r => Number(r.ldrValue) || 0),
+        rainValue: results.map(r => Number(r.rainValue) || 0),
+        airQualityPPM: results.map(r => Number(r.airQualityPPM) || 0),
+        soilMoisture: results.map(r => Number(r.soilMoisture) || 0)
       };
+
+      // Each point's status under the thresholds in force when it was taken, per sensor
+      const readingStatuses = results.map(r => getReadingStatus(r));
+      const statuses = {};
+      SENSOR_KEYS.forEach(key => {
+        statuses[key] = readingStatuses.map(status => status[key]);
+      });
+
+      // Anomaly score of each point's flagged sensors, null for the rest
+      // (rolled-up hours carry no flags)
+      const readingAnomalies = results.map(r => parseAnomalyScores(r) || {});
+      const anomalies = {};
+      SENSOR_KEYS.forEach(key => {
+        anomalies[key] = readingAnomalies.map(scores => scores[key] ?? null);
+      });
+
+      // Dew point, VPD and heat index per point (from the hourly averages
+      // for rolled-up hours)
+      const readingMetrics = results.map(r => deriveMetrics(r.temperature, r.humidity));
+      const derived = {};
+      DERIVED_METRICS.forEach(metric => {
+        derived[metric] = readingMetrics.map(metrics => metrics[metric]);
+      });
+
+      res.json({ 
+        labels,
+        datasets,
+        statuses,
+        anomalies,
+        derived,
+        timeRange: Number(hours),
+        unfilteredUntil
+      });
     });
+  });
+});
 
-    // Ensure all data points exist with proper number formatting
-    const datasets = {
-      temperature: results.map(r => Number(r.temperature) || 0),
-      humidity: results.map(r => Number(r.humidity) || 0),
-      ldrValue: results.map(r => Number(r.ldrValue) || 0),
-      rainValue: results.map(r => Number(r.rainValue) || 0),
-      airQualityPPM: results.map(r => Number(r.airQualityPPM) || 0),
-      soilMoisture: results.map(r => Number(r.soilMoisture) || 0)
-    };
+// Min/max/avg/count per sensor in time buckets (1m, 5m, 1h, 1d or auto).
+// Takes from/to or hours, plus the usual deviceId/field scope.
+app.get('/api/sensors/aggregate', viewerOnly, (req, res) => {
+  const { range, error } = parseAggregationQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-    res.json({ 
-      labels,
-      datasets,
-      timeRange: Number(hours)
+  getAggregates(db, getScope(req.query), range, (err, result) => {
+    if (err) {
+      console.error('Error fetching aggregated data:', err);
+      return res.status(500).json({ error: 'Error fetching aggregated data' });
+    }
+    // Derived metrics of each bucket come from its average temperature and
+    // humidity, an approximation of the average of the per-reading values
+    result.buckets.forEach(bucket => {
+      bucket.derived = deriveMetrics(bucket.sensors.temperature.avg, bucket.sensors.humidity.avg);
     });
+    res.json(result);
   });
 });
 
-// Get table data
-app.get('/api/sensors/table', (req, res) => {
-  const query = `
-    SELECT 
-      id,
-      temperature,
-      humidity,
-      ldrValue,
-      rainValue,
-      airQualityPPM,
-      soilMoisture,
-      timestamp
-    FROM sensor_data 
-    ORDER BY timestamp DESC 
-    LIMIT 1000
-  `;
-  
-  db.query(query, (err, results) => {
+// Growing degree days per day and cumulatively over the range. Takes from/to
+// or days back from today, base (°C, defaults to GDD_BASE_TEMPERATURE), and
+// the usual deviceId/field scope.
+app.get('/api/sensors/gdd', viewerOnly, (req, res) => {
+  const { range, error } = parseGddQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  getGrowingDegreeDays(db, getScope(req.query), range, (err, result) => {
     if (err) {
-      console.error('Error fetching table data:', err);
-      return res.status(500).json({ error: 'Error fetching table data' });
+      console.error('Error fetching growing degree days:', err);
+      return res.status(500).json({ error: 'Error fetching growing degree days' });
     }
-    res.json(results);
+    res.json(result);
   });
 });
 
-// Get average sensor data
-app.get('/api/sensors/average', (req, res) => {
-  const { hours, date } = req.query;
-  
-  let query;
-  let params = [];
-  
-  if (date) {
-    // Get average for specific date
-    query = `
-      SELECT 
-        AVG(temperature) as temperature,
-        AVG(humidity) as humidity,
-        AVG(ldrValue) as ldrValue,
-        AVG(rainValue) as rainValue,
-        AVG(airQualityPPM) as airQualityPPM,
-        AVG(soilMoisture) as soilMoisture
-      FROM sensor_data 
-      WHERE DATE(timestamp) = ?
-    `;
-    params = [date];
-  } else if (hours) {
-    // Get average for last N hours
-    query = `
-      SELECT 
-        AVG(temperature) as temperature,
-        AVG(humidity) as humidity,
-        AVG(ldrValue) as ldrValue,
-        AVG(rainValue) as rainValue,
-        AVG(airQualityPPM) as airQualityPPM,
-        AVG(soilMoisture) as soilMoisture
-      FROM sensor_data 
-      WHERE timestamp >= DATE_SUB(NOW(), INTERVAL ? HOUR)
-      AND timestamp <= NOW()
-    `;
-    params = [hours];
-  } else {
-    // Get average for all data
-    query = `
-      SELECT 
-        AVG(temperature) as temperature,
-        AVG(humidity) as humidity,
-        AVG(ldrValue) as ldrValue,
-        AVG(rainValue) as rainValue,
-        AVG(airQualityPPM) as airQualityPPM,
-        AVG(soilMoisture) as soilMoisture
-      FROM sensor_data
-    `;
+// Soil moisture forecast for a device: the drying rate since the soil was
+// last wetted, the projected curve and when it reaches the low threshold.
+// Takes deviceId, hours of history and horizonHours.
+app.get('/api/sensors/forecast', viewerOnly, (req, res) => {
+  const { options, error } = parseForecastQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
   }
-  
-  db.query(query, params, (err, results) => {
+
+  getSoilForecast(db, options, (err, forecast) => {
     if (err) {
-      console.error('Error fetching average data:', err);
-      return res.status(500).json({ error: 'Error fetching average data' });
+      console.error('Error forecasting soil moisture:', err);
+      return res.status(500).json({ error: 'Error forecasting soil moisture' });
     }
-    
-    if (results.length === 0 || !results[0].temperature) {
-      return res.json({
-        temperature: 0,
-        humidity: 0,
-        ldrValue: 0,
-        rainValue: 0,
-        airQualityPPM: 0,
-        soilMoisture: 0
-      });
+    res.json(forecast);
+  });
+});
+
+// Download sensor history as CSV or NDJSON. Takes format, from/to, columns,
+// an optional bucket for aggregated rows, and the usual deviceId/field scope.
+app.get('/api/sensors/export', viewerDownload, (req, res) => {
+  const { options, error } = parseExportQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  // Long exports get their own connection so they do not hold up ingestion
+  const exportDb = mysql.createConnection(DB_CONFIG);
+  res.on('close', () => (res.writableFinished ? exportDb.end() : exportDb.destroy()));
+  sendExport(exportDb, getScope(req.query), options, res);
+});
+
+// Import readings from a CSV file sent as the text/csv body. The query holds
+// deviceId, an optional filename and an optional JSON mapping of fields to
+// CSV column names. Responds 202 straight away, the rows are processed in
+// the background; poll GET /api/sensors/import/:id for progress.
+app.post(
+  '/api/sensors/import',
+  adminOnly,
+  express.text({ type: 'text/csv', limit: IMPORT_MAX_SIZE }),
+  (req, res) => {
+    const deviceId = req.query.deviceId || DEFAULT_DEVICE_ID;
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: 'Invalid deviceId' });
     }
-    
-    const data = results[0];
-    res.json({
-      temperature: parseFloat(data.temperature) || 0,
-      humidity: parseFloat(data.humidity) || 0,
-      ldrValue: parseFloat(data.ldrValue) || 0,
-      rainValue: parseFloat(data.rainValue) || 0,
-      airQualityPPM: parseFloat(data.airQualityPPM) || 0,
-      soilMoisture: parseFloat(data.soilMoisture) || 0
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      return res.status(400).json({ error: 'Send the CSV file as a text/csv body' });
+    }
+
+    let mapping = {};
+    try {
+      mapping = req.query.mapping ? JSON.parse(req.query.mapping) : {};
+    } catch (err) {
+      return res.status(400).json({ error: 'mapping must be JSON' });
+    }
+
+    const options = {
+      deviceId,
+      filename: req.query.filename ? String(req.query.filename).slice(0, 255) : null,
+      mapping,
+      csv: req.body,
+      createdBy: req.user.username
+    };
+    startImport(db, options, validateSensorData, (err, result) => {
+      if (err) {
+        console.error('Error starting import:', err);
+        return res.status(500).json({ error: 'Error starting import' });
+      }
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      res.status(202).json(result.import);
     });
+  }
+);
+
+app.get('/api/sensors/import', adminOnly, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  getImports(db, limit, (err, imports) => {
+    if (err) {
+      console.error('Error fetching imports:', err);
+      return res.status(500).json({ error: 'Error fetching imports' });
+    }
+    res.json(imports);
+  });
+});
+
+app.get('/api/sensors/import/:id', adminOnly, (req, res) => {
+  getImport(db, req.params.id, (err, result) => {
+    if (err) {
+      console.error('Error fetching import:', err);
+      return res.status(500).json({ error: 'Error fetching import' });
+    }
+    if (!result) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+    res.json(result);
   });
 });
 
+// Get table data, a page at a time (see parseTableQuery for the options)
+app.get('/api/sensors/table', viewerOnly, (req, res) => {
+  const { options, error } = parseTableQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
+  getTablePage(db, getScope(req.query), options, (err, result) => {
+    if (err) {
+      console.error('Error fetching table data:', err);
+      return res.status(500).json({ error: 'Error fetching table data' });
+    }
+    res.json(result);
+  });
+});
 
-// Error handling middleware
-app.use((err, req, res, next) => {
+// Clear the anomaly flag of a reading reviewed as genuine, so averages that
+// exclude anomalies count it again
+app.delete('/api/sensors/readings/:id/anomaly', operatorOnly, (req, res) => {
+  dismissAnomaly(db, req.params.id, (err, dismissed) => {
+    if (err) {
+      console.error('Error dismissing anomaly:', err);
+      return res.status(500).json({ error: 'Error dismissing anomaly' });
+    }
+    if (!dismissed) {
+      return res.status(404).json({ error: 'No flagged reading with that id' });
+    }
+    res.json({ message: 'Anomaly dismissed' });
+  });
+});
+
+// Get average sensor data. Takes hours, date or from/to, the usual
+// deviceId/field scope, and excludeAnomalies=true to leave out flagged
+// readings. When part of the range comes from rollups made before flagged
+// readings were kept apart, unfilteredUntil says where they end.
+app.get('/api/sensors/average', viewerOnly, (req, res) => {
+  const { hours, date, from, to } = req.query;
+  const scope = getScope(req.query);
+  const conditions = [...scope.conditions, ...anomalyConditions(scope)];
+  const params = [...scope.params];
+  // Range for the rollup part, left open for an all-time average
+  let range = {};
+  
+  if (date) {
+    // Get average for specific date
+    conditions.unshift('DATE(timestamp) = ?');
+    params.unshift(date);
+    const from = new Date(`${date}T00:00:00`);
+    range = { from, to: new Date(from.getTime() + 24 * 3600 * 1000) };
+  } else if (hours) {
+    // Get average for last N hours
+    conditions.unshift('timestamp >= DATE_SUB(NOW(), INTERVAL ? HOUR)', 'timestamp <= NOW()');
+    params.unshift(hours);
+    range = { from: new Date(Date.now() - Number(hours) * 3600 * 1000), to: new Date() };
+  } else if (from) {
+    // Get average for a date range, open-ended without to
+    range = { from: new Date(from), to: to ? new Date(to) : new Date() };
+    if (isNaN(range.from) || isNaN(range.to)) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+    conditions.unshift('timestamp >= ?', 'timestamp < ?');
+    params.unshift(range.from, range.to);
+  }
+  // Otherwise average over all data
+
+  const query = `
+    SELECT 
+      ${SENSOR_KEYS.map(key => `AVG(${key}) AS ${key}_avg, COUNT(${key}) AS ${key}_count`).join(',\n      ')}
+    FROM sensor_data 
+    ${whereClause(conditions)}
+  `;
+
+  // Readings older than the raw retention window only exist as rollups:
+  // hourly ones for an hours window or date range, daily ones for a date or all time
+  const rolledUntil = getRolledUntil();
+  const usesRollups = Boolean(rolledUntil) && !(range.from && (isNaN(range.from) || range.from >= rolledUntil));
+  const readRollups = (callback) => {
+    if (!usesRollups) {
+      return callback(null, {});
+    }
+    const period = range.from && !date ? 'hourly' : 'daily';
+    const rollupRange = range.from ? { from: range.from, to: new Date(Math.min(range.to, rolledUntil)) } : {};
+    getRollupTotals(db, period, scope, rollupRange, callback);
+  };
+  
+  readRollups((err, rollup) => {
+    if (err) {
+      console.error('Error fetching average rollups:', err);
+      return res.status(500).json({ error: 'Error fetching average data' });
+    }
+
+    db.query(query, params, (err, results) => {
+      if (err) {
+        console.error('Error fetching average data:', err);
+        return res.status(500).json({ error: 'Error fetching average data' });
+      }
+
+      const averages = mergeAverages(results[0] || {}, rollup);
+      // Rollups that still include anomalies, only named when they were used
+      const unfilteredUntil = usesRollups ? getUnfilteredUntil(scope, range.from) : null;
+      if (unfilteredUntil) {
+        averages.unfilteredUntil = unfilteredUntil;
+      }
+      res.json(averages);
+    });
+  });
+});
+
+// List registered devices ordered by field
+app.get('/api/devices', viewerOnly, (req, res) => {
+  const query = `
+    SELECT device_id AS deviceId, name, field, flow_rate_lpm AS flowRateLpm,
+      created_at AS createdAt, last_seen AS lastSeen, api_key_hash IS NOT NULL AS hasApiKey
+    FROM devices
+    ORDER BY field IS NULL, field, name
+  `;
+
+  db.query(query, (err, results) => {
+    if (err) {
+      console.error('Error fetching devices:', err);
+      return res.status(500).json({ error: 'Error fetching devices' });
+    }
+    res.json(results);
+  });
+});
+
+// Register a device ahead of its first reading
+app.post('/api/devices', adminOnly, (req, res) => {
+  const { deviceId, name, field } = req.body || {};
+
+  if (!isValidDeviceId(deviceId)) {
+    return res.status(400).json({ error: 'Invalid device ID' });
+  }
+  if ((name !== undefined && typeof name !== 'string') || (field !== undefined && field !== null && typeof field !== 'string')) {
+    return res.status(400).json({ error: 'Invalid device format' });
+  }
+
+  const query = 'INSERT INTO devices (device_id, name, field) VALUES (?, ?, ?)';
+  db.query(query, [deviceId, name || deviceId, field || null], (err) => {
+    if (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ error: 'Device already registered' });
+      }
+      console.error('Error registering device:', err);
+      return res.status(500).json({ error: 'Error registering device' });
+    }
+    res.status(201).json({ message: 'Device registered successfully', deviceId });
+  });
+});
+
+// Rename a device, move it to another field or set its pump flow rate
+app.put('/api/devices/:deviceId', adminOnly, (req, res) => {
+  const { name, field, flowRateLpm } = req.body || {};
+  const updates = [];
+  const params = [];
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      return res.status(400).json({ error: 'Invalid device name' });
+    }
+    updates.push('name = ?');
+    params.push(name.trim());
+  }
+  if (field !== undefined) {
+    if (field !== null && typeof field !== 'string') {
+      return res.status(400).json({ error: 'Invalid field' });
+    }
+    updates.push('field = ?');
+    params.push(field || null);
+  }
+  if (flowRateLpm !== undefined) {
+    if (flowRateLpm !== null && (typeof flowRateLpm !== 'number' || flowRateLpm <= 0)) {
+      return res.status(400).json({ error: 'Invalid flow rate' });
+    }
+    updates.push('flow_rate_lpm = ?');
+    params.push(flowRateLpm);
+  }
+  if (updates.length === 0) {
+    return res.status(400).json({ error: 'Nothing to update' });
+  }
+
+  const query = `UPDATE devices SET ${updates.join(', ')} WHERE device_id = ?`;
+  db.query(query, [...params, req.params.deviceId], (err, results) => {
+    if (err) {
+      console.error('Error updating device:', err);
+      return res.status(500).json({ error: 'Error updating device' });
+    }
+    if (results.affectedRows === 0) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    res.json({ message: 'Device updated successfully' });
+  });
+});
+
+// Issue a new API key for a device. The key is shown once and replaces any old key.
+app.post('/api/devices/:deviceId/key', adminOnly, (req, res) => {
+  createDeviceKey(db, req.params.deviceId, (err, apiKey) => {
+    if (err) {
+      console.error('Error creating device key:', err);
+      return res.status(500).json({ error: 'Error creating device key' });
+    }
+    if (!apiKey) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    res.status(201).json({ deviceId: req.params.deviceId, apiKey });
+  });
+});
+
+// Revoke a device's API key
+app.delete('/api/devices/:deviceId/key', adminOnly, (req, res) => {
+  revokeDeviceKey(db, req.params.deviceId, (err, updated) => {
+    if (err) {
+      console.error('Error revoking device key:', err);
+      return res.status(500).json({ error: 'Error revoking device key' });
+    }
+    if (!updated) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    res.json({ message: 'Device key revoked' });
+  });
+});
+
+// Calibration profiles of a device
+app.get('/api/devices/:deviceId/calibration', viewerOnly, (req, res) => {
+  getCalibrationProfiles(db, req.params.deviceId, (err, profiles) => {
+    if (err) {
+      console.error('Error fetching calibration profiles:', err);
+      return res.status(500).json({ error: 'Error fetching calibration profiles' });
+    }
+    res.json(profiles);
+  });
+});
+
+// Create or replace the calibration profile of one sensor. Applies to
+// readings stored from now on; stored readings keep their calibrated values.
+app.put('/api/devices/:deviceId/calibration/:sensor', adminOnly, (req, res) => {
+  const { deviceId, sensor } = req.params;
+  if (!isValidDeviceId(deviceId)) {
+    return res.status(400).json({ error: 'Invalid device ID' });
+  }
+  if (!CALIBRATED_SENSORS.includes(sensor)) {
+    return res.status(400).json({ error: `sensor must be one of: ${CALIBRATED_SENSORS.join(', ')}` });
+  }
+  const { profile, error } = validateProfile(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  saveCalibrationProfile(db, deviceId, sensor, profile, (err, saved) => {
+    if (err) {
+      console.error('Error saving calibration profile:', err);
+      return res.status(500).json({ error: 'Error saving calibration profile' });
+    }
+    res.json(saved);
+  });
+});
+
+app.delete('/api/devices/:deviceId/calibration/:sensor', adminOnly, (req, res) => {
+  deleteCalibrationProfile(db, req.params.deviceId, req.params.sensor, (err, deleted) => {
+    if (err) {
+      console.error('Error deleting calibration profile:', err);
+      return res.status(500).json({ error: 'Error deleting calibration profile' });
+    }
+    if (!deleted) {
+      return res.status(404).json({ error: 'Calibration profile not found' });
+    }
+    res.json({ message: 'Calibration profile deleted' });
+  });
+});
+
+// Crop profiles with their growth stages and stage thresholds
+app.get('/api/crops', viewerOnly, (req, res) => {
+  res.json(getCropProfiles());
+});
+
+// Crops assigned to fields, with each field's current stage and thresholds
+app.get('/api/fields/crops', viewerOnly, (req, res) => {
+  getFieldCrops(db, (err, fieldCrops) => {
+    if (err) {
+      console.error('Error fetching field crops:', err);
+      return res.status(500).json({ error: 'Error fetching field crops' });
+    }
+    res.json(fieldCrops);
+  });
+});
+
+// Assign a crop and planting date to a field. Status and alerts for the
+// field's readings follow the crop's stage thresholds from now on.
+app.put('/api/fields/:field/crop', adminOnly, (req, res) => {
+  const { field } = req.params;
+  if (!field || field.length > 100) {
+    return res.status(400).json({ error: 'Invalid field' });
+  }
+  const { assignment, error } = validateFieldCrop(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  saveFieldCrop(db, field, assignment, (err, saved) => {
+    if (err) {
+      console.error('Error saving field crop:', err);
+      return res.status(500).json({ error: 'Error saving field crop' });
+    }
+    res.json(saved);
+  });
+});
+
+app.delete('/api/fields/:field/crop', adminOnly, (req, res) => {
+  deleteFieldCrop(db, req.params.field, (err, deleted) => {
+    if (err) {
+      console.error('Error deleting field crop:', err);
+      return res.status(500).json({ error: 'Error deleting field crop' });
+    }
+    if (!deleted) {
+      return res.status(404).json({ error: 'Field has no crop' });
+    }
+    res.json({ message: 'Field crop removed' });
+  });
+});
+
+// Get pump state and recent commands for a device
+app.get('/api/devices/:deviceId/pump', viewerOnly, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 10, 100);
+
+  getPumpStatus(db, req.params.deviceId, limit, (err, status) => {
+    if (err) {
+      console.error('Error fetching pump status:', err);
+      return res.status(500).json({ error: 'Error fetching pump status' });
+    }
+    if (!status) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    res.json(status);
+  });
+});
+
+// Queue a pump command (start for N seconds, stop, or back to auto mode)
+app.post('/api/devices/:deviceId/pump/commands', operatorOnly, (req, res) => {
+  const validationError = validatePumpCommand(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  db.query('SELECT device_id FROM devices WHERE device_id = ?', [req.params.deviceId], (err, devices) => {
+    if (err) {
+      console.error('Error queuing pump command:', err);
+      return res.status(500).json({ error: 'Error queuing pump command' });
+    }
+    if (devices.length === 0) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    createPumpCommand(db, req.params.deviceId, req.body, (err, command) => {
+      if (err) {
+        console.error('Error queuing pump command:', err);
+        return res.status(500).json({ error: 'Error queuing pump command' });
+      }
+      res.status(201).json(command);
+    });
+  });
+});
+
+// Devices report WiFi signal, uptime and their last error code here
+app.post('/api/devices/:deviceId/health', deviceOnly, (req, res) => {
+  const { deviceId } = req.params;
+  if (!isValidDeviceId(deviceId)) {
+    return res.status(400).json({ error: 'Invalid device ID' });
+  }
+  const { heartbeat, error } = validateHeartbeat(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  touchDevice(deviceId, (err) => {
+    if (err) {
+      console.error('Error registering device:', err);
+      return res.status(500).json({ error: 'Error saving heartbeat' });
+    }
+    saveHeartbeat(db, deviceId, heartbeat, (err) => {
+      if (err) {
+        console.error('Error saving heartbeat:', err);
+        return res.status(500).json({ error: 'Error saving heartbeat' });
+      }
+      res.json({ message: 'Heartbeat received' });
+    });
+  });
+});
+
+// Health of every device (or ?deviceId= for one): heartbeat, silence and
+// sensor faults such as stuck or saturated readings
+app.get('/api/devices/health', viewerOnly, (req, res) => {
+  getDeviceHealth(db, req.query.deviceId, (err, health) => {
+    if (err) {
+      console.error('Error fetching device health:', err);
+      return res.status(500).json({ error: 'Error fetching device health' });
+    }
+    res.json(health);
+  });
+});
+
+// Devices poll this for commands they have not received yet
+app.get('/api/devices/:deviceId/pump/commands/pending', deviceOnly, (req, res) => {
+  takePendingCommands(db, req.params.deviceId, (err, commands) => {
+    if (err) {
+      console.error('Error fetching pump commands:', err);
+      return res.status(500).json({ error: 'Error fetching pump commands' });
+    }
+    res.json({ commands });
+  });
+});
+
+// Devices acknowledge each command once executed, optionally with their new pump state
+app.post('/api/devices/:deviceId/pump/commands/:commandId/ack', deviceOnly, (req, res) => {
+  const { deviceId, commandId } = req.params;
+  const { success, message, pumpActive, pumpMode } = req.body || {};
+
+  const validationError = validatePumpAck(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  acknowledgePumpCommand(db, deviceId, commandId, { success, message }, (err, updated) => {
+    if (err) {
+      console.error('Error acknowledging pump command:', err);
+      return res.status(500).json({ error: 'Error acknowledging pump command' });
+    }
+    if (!updated) {
+      return res.status(404).json({ error: 'Command not found or already closed' });
+    }
+    if (typeof pumpActive !== 'boolean') {
+      return res.json({ message: 'Command acknowledged' });
+    }
+
+    updatePumpState(db, deviceId, { pumpActive, pumpMode }, (err) => {
+      if (err) {
+        console.error('Error updating pump state:', err);
+      }
+      res.json({ message: 'Command acknowledged' });
+    });
+  });
+});
+
+// Get the sensor threshold configuration
+app.get('/api/config/thresholds', viewerOnly, (req, res) => {
+  res.json(getSensorThresholds());
+});
+
+// Update thresholds for one or more sensors
+app.put('/api/config/thresholds', adminOnly, (req, res) => {
+  const { thresholds, error } = mergeThresholds(getSensorThresholds(), req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  saveSensorThresholds(db, thresholds, (err) => {
+    if (err) {
+      console.error('Error saving sensor thresholds:', err);
+      return res.status(500).json({ error: 'Error saving sensor thresholds' });
+    }
+    res.json(thresholds);
+  });
+});
+
+// List alert rules
+app.get('/api/alerts/rules', viewerOnly, (req, res) => {
+  getAlertRules(db, (err, rules) => {
+    if (err) {
+      console.error('Error fetching alert rules:', err);
+      return res.status(500).json({ error: 'Error fetching alert rules' });
+    }
+    res.json(rules);
+  });
+});
+
+// Create an alert rule
+app.post('/api/alerts/rules', adminOnly, (req, res) => {
+  const { rule, error } = validateAlertRule(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  createAlertRule(db, rule, (err, created) => {
+    if (err) {
+      console.error('Error creating alert rule:', err);
+      return res.status(500).json({ error: 'Error creating alert rule' });
+    }
+    res.status(201).json(created);
+  });
+});
+
+// Update an alert rule, omitted properties keep their value
+app.put('/api/alerts/rules/:id', adminOnly, (req, res) => {
+  getAlertRule(db, req.params.id, (err, existing) => {
+    if (err) {
+      console.error('Error updating alert rule:', err);
+      return res.status(500).json({ error: 'Error updating alert rule' });
+    }
+    if (!existing) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    const { id, ...current } = existing;
+    const { rule, error } = validateAlertRule(req.body, current);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    updateAlertRule(db, id, rule, (err, updated) => {
+      if (err) {
+        console.error('Error updating alert rule:', err);
+        return res.status(500).json({ error: 'Error updating alert rule' });
+      }
+      res.json(updated);
+    });
+  });
+});
+
+// Delete an alert rule, alerts it raised are kept
+app.delete('/api/alerts/rules/:id', adminOnly, (req, res) => {
+  deleteAlertRule(db, req.params.id, (err, deleted) => {
+    if (err) {
+      console.error('Error deleting alert rule:', err);
+      return res.status(500).json({ error: 'Error deleting alert rule' });
+    }
+    if (!deleted) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    res.json({ message: 'Alert rule deleted successfully' });
+  });
+});
+
+// List alerts, newest first. state may be open, acknowledged, resolved or active
+app.get('/api/alerts', viewerOnly, (req, res) => {
+  const { state, deviceId } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+  if (state && state !== 'active' && !ALERT_STATES.includes(state)) {
+    return res.status(400).json({ error: `state must be one of: active, ${ALERT_STATES.join(', ')}` });
+  }
+
+  getAlerts(db, { state, deviceId, limit }, (err, alerts) => {
+    if (err) {
+      console.error('Error fetching alerts:', err);
+      return res.status(500).json({ error: 'Error fetching alerts' });
+    }
+    res.json(alerts);
+  });
+});
+
+// Acknowledge an open alert, it stays active until resolved
+app.post('/api/alerts/:id/acknowledge', operatorOnly, (req, res) => {
+  acknowledgeAlert(db, req.params.id, (err, updated) => {
+    if (err) {
+      console.error('Error acknowledging alert:', err);
+      return res.status(500).json({ error: 'Error acknowledging alert' });
+    }
+    if (!updated) {
+      return res.status(404).json({ error: 'Alert not found or not open' });
+    }
+    res.json({ message: 'Alert acknowledged' });
+  });
+});
+
+// Resolve an alert by hand
+app.post('/api/alerts/:id/resolve', operatorOnly, (req, res) => {
+  resolveAlert(db, req.params.id, 'manual', (err, updated) => {
+    if (err) {
+      console.error('Error resolving alert:', err);
+      return res.status(500).json({ error: 'Error resolving alert' });
+    }
+    if (!updated) {
+      return res.status(404).json({ error: 'Alert not found or already resolved' });
+    }
+    res.json({ message: 'Alert resolved' });
+  });
+});
+
+// List notification channels, secrets are masked
+app.get('/api/notifications/channels', adminOnly, (req, res) => {
+  getChannels(db, (err, channels) => {
+    if (err) {
+      console.error('Error fetching notification channels:', err);
+      return res.status(500).json({ error: 'Error fetching notification channels' });
+    }
+    res.json(channels);
+  });
+});
+
+// Create a webhook or e-mail channel
+app.post('/api/notifications/channels', adminOnly, (req, res) => {
+  const { channel, error } = validateChannel(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  createChannel(db, channel, (err, created) => {
+    if (err) {
+      console.error('Error creating notification channel:', err);
+      return res.status(500).json({ error: 'Error creating notification channel' });
+    }
+    res.status(201).json(created);
+  });
+});
+
+// Update a channel, omitted properties keep their value
+app.put('/api/notifications/channels/:id', adminOnly, (req, res) => {
+  getChannelRecord(db, req.params.id, (err, existing) => {
+    if (err) {
+      console.error('Error updating notification channel:', err);
+      return res.status(500).json({ error: 'Error updating notification channel' });
+    }
+    if (!existing) {
+      return res.status(404).json({ error: 'Notification channel not found' });
+    }
+
+    const { channel, error } = validateChannel(req.body, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    updateChannel(db, existing.id, channel, (err, updated) => {
+      if (err) {
+        console.error('Error updating notification channel:', err);
+        return res.status(500).json({ error: 'Error updating notification channel' });
+      }
+      res.json(updated);
+    });
+  });
+});
+
+app.delete('/api/notifications/channels/:id', adminOnly, (req, res) => {
+  deleteChannel(db, req.params.id, (err, deleted) => {
+    if (err) {
+      console.error('Error deleting notification channel:', err);
+      return res.status(500).json({ error: 'Error deleting notification channel' });
+    }
+    if (!deleted) {
+      return res.status(404).json({ error: 'Notification channel not found' });
+    }
+    res.json({ message: 'Notification channel deleted successfully' });
+  });
+});
+
+// Send a test notification through a channel
+app.post('/api/notifications/channels/:id/test', adminOnly, (req, res) => {
+  sendTestNotification(db, req.params.id, (err, result) => {
+    if (err) {
+      console.error('Error sending test notification:', err);
+      return res.status(500).json({ error: 'Error sending test notification' });
+    }
+    if (!result) {
+      return res.status(404).json({ error: 'Notification channel not found' });
+    }
+    res.json(result);
+  });
+});
+
+// List subscriptions
+app.get('/api/notifications/subscriptions', adminOnly, (req, res) => {
+  getSubscriptions(db, (err, subscriptions) => {
+    if (err) {
+      console.error('Error fetching notification subscriptions:', err);
+      return res.status(500).json({ error: 'Error fetching notification subscriptions' });
+    }
+    res.json(subscriptions);
+  });
+});
+
+// Subscribe a channel to an event type, optionally for one device or a minimum severity
+app.post('/api/notifications/subscriptions', adminOnly, (req, res) => {
+  const validationError = validateSubscription(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  getChannelRecord(db, req.body.channelId, (err, channel) => {
+    if (err) {
+      console.error('Error creating notification subscription:', err);
+      return res.status(500).json({ error: 'Error creating notification subscription' });
+    }
+    if (!channel) {
+      return res.status(404).json({ error: 'Notification channel not found' });
+    }
+
+    createSubscription(db, req.body, (err, subscription) => {
+      if (err) {
+        console.error('Error creating notification subscription:', err);
+        return res.status(500).json({ error: 'Error creating notification subscription' });
+      }
+      res.status(201).json(subscription);
+    });
+  });
+});
+
+app.delete('/api/notifications/subscriptions/:id', adminOnly, (req, res) => {
+  deleteSubscription(db, req.params.id, (err, deleted) => {
+    if (err) {
+      console.error('Error deleting notification subscription:', err);
+      return res.status(500).json({ error: 'Error deleting notification subscription' });
+    }
+    if (!deleted) {
+      return res.status(404).json({ error: 'Notification subscription not found' });
+    }
+    res.json({ message: 'Notification subscription deleted successfully' });
+  });
+});
+
+// Recent delivery attempts, newest first
+app.get('/api/notifications/log', adminOnly, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+  getNotificationLog(db, limit, (err, entries) => {
+    if (err) {
+      console.error('Error fetching notification log:', err);
+      return res.status(500).json({ error: 'Error fetching notification log' });
+    }
+    res.json(entries);
+  });
+});
+
+// Retention settings and recent retention runs
+app.get('/api/retention', adminOnly, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 10, 100);
+
+  getRetentionStatus(db, limit, (err, status) => {
+    if (err) {
+      console.error('Error fetching retention status:', err);
+      return res.status(500).json({ error: 'Error fetching retention status' });
+    }
+    res.json(status);
+  });
+});
+
+// The retention job works in transactions, so each run gets its own
+// connection and ingestion queries are not caught up in them
+function runRetentionJob(callback) {
+  const retentionDb = mysql.createConnection(DB_CONFIG);
+  runRetention(retentionDb, (err, summary) => {
+    retentionDb.end();
+    callback(err, summary);
+  });
+}
+
+// Run the retention job now instead of waiting for the schedule
+app.post('/api/retention/run', adminOnly, (req, res) => {
+  runRetentionJob((err, summary) => {
+    if (err) {
+      console.error('Error running retention job:', err);
+      return res.status(500).json({ error: 'Error running retention job' });
+    }
+    if (!summary) {
+      return res.status(409).json({ error: 'Retention job is already running' });
+    }
+    res.json(summary);
+  });
+});
+
+// Log a pump start or stop performed by a device
+app.post('/api/irrigation/events', deviceOnly, (req, res) => {
+  const validationError = validateIrrigationEvent(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  if (req.body.deviceId !== undefined && !isValidDeviceId(req.body.deviceId)) {
+    return res.status(400).json({ error: 'Invalid device ID' });
+  }
+
+  const deviceId = req.body.deviceId || DEFAULT_DEVICE_ID;
+
+  touchDevice(deviceId, (err, field) => {
+    if (err) {
+      console.error('Error registering device:', err);
+      return res.status(500).json({ error: 'Error saving irrigation event' });
+    }
+
+    saveIrrigationEvent(db, deviceId, field, req.body, (err, id) => {
+      if (err) {
+        console.error('Error saving irrigation event:', err);
+        return res.status(500).json({ error: 'Error saving irrigation event', details: err.message });
+      }
+      res.json({ message: 'Irrigation event saved successfully', id });
+    });
+  });
+});
+
+// Get irrigation events for the last N hours
+app.get('/api/irrigation/events', viewerOnly, (req, res) => {
+  const { hours = 24 } = req.query;
+
+  getIrrigationEvents(db, getScope(req.query), hours, (err, events) => {
+    if (err) {
+      console.error('Error fetching irrigation events:', err);
+      return res.status(500).json({ error: 'Error fetching irrigation events' });
+    }
+    res.json(events);
+  });
+});
+
+// Get water usage totals per day or per week
+app.get('/api/irrigation/usage', viewerOnly, (req, res) => {
+  const { period = 'daily' } = req.query;
+
+  if (!USAGE_PERIODS[period]) {
+    return res.status(400).json({ error: `period must be one of: ${Object.keys(USAGE_PERIODS).join(', ')}` });
+  }
+  const days = parseInt(req.query.days, 10) || USAGE_PERIODS[period].defaultDays;
+
+  getWaterUsage(db, getScope(req.query), period, days, (err, usage) => {
+    if (err) {
+      console.error('Error fetching water usage:', err);
+      return res.status(500).json({ error: 'Error fetching water usage' });
+    }
+    res.json(usage);
+  });
+});
+
+// List irrigation schedules, optionally for one device
+app.get('/api/irrigation/schedules', viewerOnly, (req, res) => {
+  getSchedules(db, req.query.deviceId, (err, schedules) => {
+    if (err) {
+      console.error('Error fetching irrigation schedules:', err);
+      return res.status(500).json({ error: 'Error fetching irrigation schedules' });
+    }
+    res.json(schedules);
+  });
+});
+
+// Create an irrigation schedule
+app.post('/api/irrigation/schedules', operatorOnly, (req, res) => {
+  const { schedule, error } = validateSchedule(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (!isValidDeviceId(schedule.deviceId)) {
+    return res.status(400).json({ error: 'Invalid deviceId' });
+  }
+
+  createSchedule(db, schedule, (err, created) => {
+    if (err) {
+      console.error('Error creating irrigation schedule:', err);
+      return res.status(500).json({ error: 'Error creating irrigation schedule' });
+    }
+    res.status(201).json(created);
+  });
+});
+
+// Update an irrigation schedule, omitted properties keep their value
+app.put('/api/irrigation/schedules/:id', operatorOnly, (req, res) => {
+  getSchedule(db, req.params.id, (err, existing) => {
+    if (err) {
+      console.error('Error updating irrigation schedule:', err);
+      return res.status(500).json({ error: 'Error updating irrigation schedule' });
+    }
+    if (!existing) {
+      return res.status(404).json({ error: 'Irrigation schedule not found' });
+    }
+
+    const { id, ...current } = existing;
+    const { schedule, error } = validateSchedule(req.body, current);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!isValidDeviceId(schedule.deviceId)) {
+      return res.status(400).json({ error: 'Invalid deviceId' });
+    }
+
+    updateSchedule(db, id, schedule, (err, updated) => {
+      if (err) {
+        console.error('Error updating irrigation schedule:', err);
+        return res.status(500).json({ error: 'Error updating irrigation schedule' });
+      }
+      res.json(updated);
+    });
+  });
+});
+
+// Delete an irrigation schedule, its run log is kept
+app.delete('/api/irrigation/schedules/:id', operatorOnly, (req, res) => {
+  deleteSchedule(db, req.params.id, (err, deleted) => {
+    if (err) {
+      console.error('Error deleting irrigation schedule:', err);
+      return res.status(500).json({ error: 'Error deleting irrigation schedule' });
+    }
+    if (!deleted) {
+      return res.status(404).json({ error: 'Irrigation schedule not found' });
+    }
+    res.json({ message: 'Irrigation schedule deleted successfully' });
+  });
+});
+
+// Schedule run log, newest first. Takes scheduleId, deviceId and limit.
+app.get('/api/irrigation/schedule-runs', viewerOnly, (req, res) => {
+  const { scheduleId, deviceId } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+  getScheduleRuns(db, { scheduleId, deviceId, limit }, (err, runs) => {
+    if (err) {
+      console.error('Error fetching schedule runs:', err);
+      return res.status(500).json({ error: 'Error fetching schedule runs' });
+    }
+    res.json(runs);
+  });
+});
+
+// Scheduled windows per day with their outcomes. Takes from (YYYY-MM-DD),
+// days and deviceId.
+app.get('/api/irrigation/calendar', viewerOnly, (req, res) => {
+  const { options, error } = parseCalendarQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  getScheduleCalendar(db, options, (err, calendar) => {
+    if (err) {
+      console.error('Error fetching irrigation calendar:', err);
+      return res.status(500).json({ error: 'Error fetching irrigation calendar' });
+    }
+    res.json(calendar);
+  });
+});
+
+// Stored reports, newest first. Takes field (empty for devices without a
+// field), period and limit.
+app.get('/api/reports', viewerOnly, (req, res) => {
+  const { field, period } = req.query;
+  if (period && !REPORT_PERIODS[period]) {
+    return res.status(400).json({ error: `period must be one of: ${Object.keys(REPORT_PERIODS).join(', ')}` });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+  getReports(db, { field, period, limit }, (err, reports) => {
+    if (err) {
+      console.error('Error fetching reports:', err);
+      return res.status(500).json({ error: 'Error fetching reports' });
+    }
+    res.json(reports);
+  });
+});
+
+// Generate (or regenerate) the report of a field for a day or week
+app.post('/api/reports', operatorOnly, (req, res) => {
+  getReportFields(db, (err, fields) => {
+    if (err) {
+      console.error('Error generating report:', err);
+      return res.status(500).json({ error: 'Error generating report' });
+    }
+
+    const { request, error } = validateReportRequest(req.body, fields);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    generateReport(db, request, (err, report) => {
+      if (err) {
+        console.error('Error generating report:', err);
+        return res.status(500).json({ error: 'Error generating report' });
+      }
+      res.status(201).json(report);
+    });
+  });
+});
+
+// One report with all its figures
+app.get('/api/reports/:id', viewerOnly, (req, res) => {
+  getReport(db, req.params.id, (err, report) => {
+    if (err) {
+      console.error('Error fetching report:', err);
+      return res.status(500).json({ error: 'Error fetching report' });
+    }
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    res.json(report);
+  });
+});
+
+// A rendered report as html or pdf, shown in the browser unless download=true
+app.get('/api/reports/:id/:format', viewerDownload, (req, res) => {
+  const { format } = req.params;
+  if (!REPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}` });
+  }
+
+  getReport(db, req.params.id, (err, report) => {
+    if (err) {
+      console.error('Error fetching report:', err);
+      return res.status(500).json({ error: 'Error fetching report' });
+    }
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const filename = `report-${(report.field || 'no-field').replace(/[^A-Za-z0-9_-]+/g, '-')}-${report.period}-${report.date}.${format}`;
+    res.setHeader('Content-Type', REPORT_FORMATS[format]);
+    res.setHeader('Content-Disposition', `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${filename}"`);
+    res.sendFile(reportPath(report.id, format), (err) => {
+      if (err && !res.headersSent) {
+        console.error('Error sending report:', err.message);
+        res.removeHeader('Content-Disposition');
+        res.status(404).json({ error: 'Report file not found, generate the report again' });
+      }
+    });
+  });
+});
+
+// Periodically close commands that were never delivered or never acknowledged
+const COMMAND_SWEEP_INTERVAL = 15000;
+setInterval(() => {
+  if (!dbReady) return;
+  expireStaleCommands(db, (err, result) => {
+    if (err) {
+      console.error('Error expiring pump commands:', err.message);
+      return;
+    }
+    if (result.expired || result.timedOut) {
+      console.log(`Pump commands expired: ${result.expired}, timed out: ${result.timedOut}`);
+    }
+  });
+}, COMMAND_SWEEP_INTERVAL);
+
+// Roll up and delete old raw readings. The job only touches whole days, so
+// running it a few times a day is enough.
+const RETENTION_INTERVAL = (parseFloat(process.env.RETENTION_INTERVAL_HOURS) || 6) * 3600 * 1000;
+setInterval(() => {
+  if (!dbReady) return;
+  runRetentionJob((err, summary) => {
+    if (err) {
+      console.error('Error running retention job:', err.message);
+      return;
+    }
+    if (summary && summary.deletedRows) {
+      console.log(`Retention: rolled up and deleted ${summary.deletedRows} readings before ${summary.cutoff.toISOString()}`);
+    }
+  });
+}, RETENTION_INTERVAL);
+
+// Periodically flag devices that stopped reporting
+const SILENCE_CHECK_INTERVAL = 60000;
+setInterval(() => {
+  if (!dbReady) return;
+  checkSilentDevices(db, (err, silent) => {
+    if (err) {
+      console.error('Error checking for silent devices:', err.message);
+      return;
+    }
+    if (silent.length > 0) {
+      console.log(`Devices gone silent: ${silent.join(', ')}`);
+    }
+  });
+}, SILENCE_CHECK_INTERVAL);
+
+// Decide irrigation schedules whose window has opened
+const SCHEDULE_CHECK_INTERVAL = 60000;
+setInterval(() => {
+  if (!dbReady) return;
+  evaluateSchedules(db, new Date(), (err, decisions) => {
+    if (err) {
+      console.error('Error evaluating irrigation schedules:', err.message);
+      return;
+    }
+    decisions.forEach(decision => {
+      console.log(`Irrigation schedule ${decision.scheduleId}: ${decision.outcome}${decision.reason ? ` (${decision.reason})` : ''}`);
+    });
+  });
+}, SCHEDULE_CHECK_INTERVAL);
+
+// Generate the previous day's and week's reports each morning
+const REPORT_CHECK_INTERVAL = 10 * 60000;
+setInterval(() => {
+  if (!dbReady) return;
+  generateDueReports(db, new Date(), (err, created) => {
+    if (err) {
+      console.error('Error generating reports:', err.message);
+      return;
+    }
+    created.forEach(report => {
+      console.log(`Report generated: ${report.title}`);
+    });
+  });
+}, REPORT_CHECK_INTERVAL);
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body too large' });
+  }
   console.error(err.stack);
   res.status(500).json({ error: 'Something broke!' });
 });
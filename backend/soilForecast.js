@@ -0,0 +1,159 @@
+// Soil moisture forecast. The drying rate is a least-squares line through the
+// device's soil moisture readings since the soil was last wetted (a watering
+// event or a rainy reading, plus time for the water to soak in), projected
+// forward to when it crosses the low threshold of the device's field.
+const { getSensorStatus, getSensorThresholds } = require('./utils');
+const { getScopeField } = require('./crops');
+
+const DEFAULT_LOOKBACK_HOURS = 24;
+const MAX_LOOKBACK_HOURS = 168;
+const DEFAULT_HORIZON_HOURS = 72;
+const MAX_HORIZON_HOURS = 168;
+
+// Readings right after watering or rain still rise as the water soaks in
+const SETTLE_MINUTES = 30;
+
+// Least data a drying rate is fitted from
+const MIN_FIT_POINTS = 4;
+const MIN_FIT_MINUTES = 30;
+
+// Points in the forecast curve
+const FORECAST_POINTS = 24;
+
+// Work out forecast options from query parameters: deviceId (required),
+// hours of history to fit from and horizonHours to project over.
+// Returns { options } or { error }.
+function parseForecastQuery(query) {
+  const hours = query.hours === undefined ? DEFAULT_LOOKBACK_HOURS : Number(query.hours);
+  const horizonHours = query.horizonHours === undefined ? DEFAULT_HORIZON_HOURS : Number(query.horizonHours);
+
+  if (!query.deviceId) {
+    return { error: 'deviceId is required' };
+  }
+  if (!(hours > 0 && hours <= MAX_LOOKBACK_HOURS)) {
+    return { error: `hours must be more than 0 and at most ${MAX_LOOKBACK_HOURS}` };
+  }
+  if (!(horizonHours > 0 && horizonHours <= MAX_HORIZON_HOURS)) {
+    return { error: `horizonHours must be more than 0 and at most ${MAX_HORIZON_HOURS}` };
+  }
+  return { options: { deviceId: query.deviceId, hours, horizonHours } };
+}
+
+// Slope (per ms) of the least-squares line through { time, value } points
+function fitSlope(points) {
+  const meanTime = points.reduce((sum, point) => sum + point.time, 0) / points.length;
+  const meanValue = points.reduce((sum, point) => sum + point.value, 0) / points.length;
+  let covariance = 0;
+  let variance = 0;
+  points.forEach(point => {
+    covariance += (point.time - meanTime) * (point.value - meanValue);
+    variance += (point.time - meanTime) ** 2;
+  });
+  return variance === 0 ? 0 : covariance / variance;
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const isoOrNull = (time) => (time ? new Date(time).toISOString() : null);
+
+// Forecast for one device. status is one of:
+// drying (crossesAt is when it reaches the low threshold, if within the horizon),
+// not_drying, below_threshold, recently_wetted (too soon after water to fit)
+// or insufficient_data.
+function getSoilForecast(db, { deviceId, hours, horizonHours }, callback) {
+  const since = new Date(Date.now() - hours * 3600 * 1000);
+
+  getScopeField(db, { deviceId }, (err, field) => {
+    if (err) return callback(err);
+    const thresholds = getSensorThresholds(field);
+    const low = thresholds.soilMoisture.low;
+
+    const readingsQuery = `
+      SELECT timestamp, soilMoisture, rainValue FROM sensor_data
+      WHERE device_id = ? AND timestamp >= ? AND soilMoisture IS NOT NULL
+      ORDER BY timestamp ASC
+    `;
+    db.query(readingsQuery, [deviceId, since], (err, readings) => {
+      if (err) return callback(err);
+
+      const eventsQuery = 'SELECT MAX(timestamp) AS lastEvent FROM irrigation_events WHERE device_id = ? AND timestamp >= ?';
+      db.query(eventsQuery, [deviceId, since], (err, events) => {
+        if (err) return callback(err);
+
+        const lastWatering = events[0] && events[0].lastEvent ? new Date(events[0].lastEvent).getTime() : null;
+        // Rain shows as a high rain status (the sensor reads lower when wet)
+        const rainy = readings.filter(row => row.rainValue !== null &&
+          getSensorStatus('rainValue', Number(row.rainValue), thresholds) === 'high');
+        const lastRain = rainy.length > 0 ? new Date(rainy[rainy.length - 1].timestamp).getTime() : null;
+        const last = readings[readings.length - 1];
+
+        const result = {
+          deviceId,
+          field,
+          lowThreshold: low,
+          current: last ? { timestamp: new Date(last.timestamp).toISOString(), soilMoisture: Number(last.soilMoisture) } : null,
+          lastWatering: isoOrNull(lastWatering),
+          lastRain: isoOrNull(lastRain),
+          raining: Boolean(last && lastRain === new Date(last.timestamp).getTime()),
+          fitFrom: null,
+          fitPoints: 0,
+          dryingRatePerHour: null,
+          status: 'insufficient_data',
+          crossesAt: null,
+          nextIrrigation: null,
+          forecast: []
+        };
+        if (!last) return callback(null, result);
+
+        const lastTime = new Date(last.timestamp).getTime();
+        const lastValue = Number(last.soilMoisture);
+        if (lastValue < low) {
+          return callback(null, { ...result, status: 'below_threshold', nextIrrigation: new Date().toISOString() });
+        }
+
+        const wettedAt = Math.max(lastWatering || 0, lastRain || 0);
+        const fitFrom = wettedAt ? wettedAt + SETTLE_MINUTES * 60 * 1000 : since.getTime();
+        const points = readings
+          .map(row => ({ time: new Date(row.timestamp).getTime(), value: Number(row.soilMoisture) }))
+          .filter(point => point.time >= fitFrom);
+        result.fitFrom = new Date(fitFrom).toISOString();
+        result.fitPoints = points.length;
+
+        if (points.length < MIN_FIT_POINTS || lastTime - points[0].time < MIN_FIT_MINUTES * 60 * 1000) {
+          const recentlyWetted = wettedAt && Date.now() - wettedAt < (SETTLE_MINUTES + MIN_FIT_MINUTES) * 60 * 1000;
+          return callback(null, { ...result, status: recentlyWetted ? 'recently_wetted' : 'insufficient_data' });
+        }
+
+        const slopePerHour = fitSlope(points) * 3600 * 1000;
+        result.dryingRatePerHour = round(-slopePerHour);
+        if (slopePerHour >= 0) {
+          return callback(null, { ...result, status: 'not_drying' });
+        }
+
+        // Project from the last reading at the fitted rate
+        const crossTime = lastTime + ((lastValue - low) / -slopePerHour) * 3600 * 1000;
+        const horizonEnd = lastTime + horizonHours * 3600 * 1000;
+        const curveEnd = Math.min(crossTime, horizonEnd);
+        const step = (curveEnd - lastTime) / FORECAST_POINTS;
+        for (let i = 0; i <= FORECAST_POINTS; i += 1) {
+          const time = lastTime + step * i;
+          result.forecast.push({
+            timestamp: new Date(time).toISOString(),
+            soilMoisture: round(Math.max(0, lastValue + (slopePerHour * (time - lastTime)) / (3600 * 1000)))
+          });
+        }
+
+        if (crossTime <= horizonEnd) {
+          result.crossesAt = new Date(crossTime).toISOString();
+          result.nextIrrigation = result.crossesAt;
+        }
+        callback(null, { ...result, status: 'drying' });
+      });
+    });
+  });
+}
+
+module.exports = {
+  parseForecastQuery,
+  getSoilForecast
+};
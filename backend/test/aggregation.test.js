@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getAggregates, mergeAverages } = require('../aggregation');
+
+const range = { from: new Date('2024-06-01T10:00:00Z'), to: new Date('2024-06-01T11:00:00Z'), bucket: '5m' };
+const scope = { conditions: ['field = ?'], params: ['North'], field: 'North' };
+
+test('getAggregates gives calibrated sensors the figures of their calibrated values', async () => {
+  const queries = [];
+  const db = {
+    query(sql, params, callback) {
+      queries.push(sql);
+      callback(null, [{
+        bucket: Date.parse('2024-06-01T10:00:00Z') / 1000,
+        soilMoisture_min: 300, soilMoisture_max: 340, soilMoisture_avg: 320, soilMoisture_count: 3,
+        soilMoisture_calibrated_min: 41.5, soilMoisture_calibrated_max: 47.25, soilMoisture_calibrated_avg: 44.444, soilMoisture_calibrated_count: 2,
+        temperature_min: 24, temperature_max: 25, temperature_avg: 24.5, temperature_count: 3,
+        rainValue_count: 0, rainValue_calibrated_count: 0
+      }]);
+    }
+  };
+
+  const result = await new Promise((resolve, reject) => getAggregates(db, scope, range, (err, res) => (err ? reject(err) : resolve(res))));
+
+  assert.match(queries[0], /AVG\(soilMoisture_calibrated\) AS soilMoisture_calibrated_avg/);
+  const { sensors } = result.buckets[0];
+  assert.deepEqual(sensors.soilMoisture.calibrated, { min: 41.5, max: 47.25, avg: 44.44, count: 2 });
+  assert.equal(sensors.rainValue.calibrated, null);
+  assert.equal(sensors.temperature.calibrated, undefined);
+});
+
+test('mergeAverages weights raw and rolled-up averages by their reading counts', () => {
+  const averages = mergeAverages(
+    { temperature_avg: 30, temperature_count: 10, humidity_avg: 60, humidity_count: 4 },
+    { temperature_avg: 20, temperature_count: 30, soilMoisture_avg: 400, soilMoisture_count: 2 }
+  );
+
+  assert.equal(averages.temperature, 22.5);
+  assert.equal(averages.humidity, 60);
+  assert.equal(averages.soilMoisture, 400);
+  assert.equal(averages.rainValue, 0);
+});
+
+test('mergeAverages works with only one side', () => {
+  assert.equal(mergeAverages({ temperature_avg: '24.5', temperature_count: '3' }, {}).temperature, 24.5);
+  assert.equal(mergeAverages({}, { temperature_avg: 18, temperature_count: 5 }).temperature, 18);
+  assert.equal(mergeAverages({ temperature_avg: null, temperature_count: 0 }, {}).temperature, 0);
+});
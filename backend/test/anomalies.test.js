@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { robustScore } = require('../anomalies');
+
+// Median 25.5, median absolute deviation 3
+const steadyRise = [20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31];
+
+test('robustScore needs at least 12 readings of history', () => {
+  assert.equal(robustScore(40, steadyRise.slice(0, 11)), null);
+  assert.equal(robustScore(40, []), null);
+  assert.notEqual(robustScore(40, steadyRise), null);
+});
+
+test('robustScore scales the distance from the median by the MAD', () => {
+  assert.deepEqual(robustScore(40, steadyRise), { score: 3.26, deviation: 14.5 });
+  assert.deepEqual(robustScore(10, steadyRise), { score: -3.48, deviation: -15.5 });
+  assert.deepEqual(robustScore(25.5, steadyRise), { score: 0, deviation: 0 });
+});
+
+test('robustScore ignores the order of the history', () => {
+  assert.deepEqual(robustScore(40, [...steadyRise].reverse()), robustScore(40, steadyRise));
+});
+
+test('robustScore falls back to the mean absolute deviation when the MAD is zero', () => {
+  const history = [20, 20, 20, 20, 20, 20, 20, 20, 20, 20, 21, 23];
+  assert.deepEqual(robustScore(22, history), { score: 4.79, deviation: 2 });
+});
+
+test('robustScore gives no score when the history does not vary', () => {
+  assert.equal(robustScore(35, new Array(20).fill(25)), null);
+});
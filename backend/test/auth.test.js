@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// Load auth.js with the given environment, so module-level settings apply
+function loadAuth(env = {}) {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  delete require.cache[require.resolve('../auth')];
+  try {
+    return require('../auth');
+  } finally {
+    process.env = saved;
+  }
+}
+
+// Devices table with one keyed device and one without a key
+const devices = [
+  { device_id: 'keyed', api_key_hash: sha256('secret-key') },
+  { device_id: 'legacy', api_key_hash: null }
+];
+
+const deviceDb = {
+  query(sql, params, callback) {
+    if (sql.includes('WHERE device_id = ?')) {
+      return callback(null, devices.filter(row => row.device_id === params[0]));
+    }
+    if (sql.includes('WHERE api_key_hash = ?')) {
+      return callback(null, devices.filter(row => row.api_key_hash === params[0]));
+    }
+    callback(new Error(`Unexpected query: ${sql}`));
+  }
+};
+
+const check = (auth, key, claimed) => new Promise((resolve, reject) => {
+  auth.checkDeviceKey(deviceDb, key, claimed, (err, result) => (err ? reject(err) : resolve(result)));
+});
+
+test('checkDeviceKey requires a key by default', async () => {
+  const auth = loadAuth({ ALLOW_KEYLESS_DEVICES: '' });
+  assert.deepEqual(await check(auth, null, 'legacy'), { status: 401, error: 'Device API key required' });
+  assert.deepEqual(await check(auth, null, 'brand-new'), { status: 401, error: 'Device API key required' });
+  assert.deepEqual(await check(auth, null, 'keyed'), { status: 401, error: 'Device API key required' });
+});
+
+test('checkDeviceKey lets keyless devices in only when ALLOW_KEYLESS_DEVICES=true', async () => {
+  const auth = loadAuth({ ALLOW_KEYLESS_DEVICES: 'true' });
+  assert.deepEqual(await check(auth, null, 'legacy'), { deviceId: 'legacy' });
+  assert.deepEqual(await check(auth, null, 'brand-new'), { deviceId: 'brand-new' });
+  assert.deepEqual(await check(auth, null, 'keyed'), { status: 401, error: 'Device API key required' });
+});
+
+test('checkDeviceKey identifies the device by its key', async () => {
+  const auth = loadAuth();
+  assert.deepEqual(await check(auth, 'secret-key', undefined), { deviceId: 'keyed' });
+  assert.deepEqual(await check(auth, 'secret-key', 'keyed'), { deviceId: 'keyed' });
+  assert.deepEqual(await check(auth, 'secret-key', 'legacy'), { status: 403, error: 'API key does not belong to this device' });
+  assert.deepEqual(await check(auth, 'wrong-key', 'keyed'), { status: 401, error: 'Invalid device API key' });
+});
+
+test('requireDeviceKey fills in the device ID of the key', async () => {
+  const auth = loadAuth();
+  const middleware = auth.requireDeviceKey(deviceDb, 'default');
+  const req = { params: {}, body: { soilMoisture: 300 }, get: (name) => (name === 'X-Device-Key' ? 'secret-key' : undefined) };
+  await new Promise((resolve) => middleware(req, {}, resolve));
+  assert.equal(req.deviceId, 'keyed');
+  assert.equal(req.body.deviceId, 'keyed');
+});
+
+test('requireDeviceKey rejects a keyless request by default', async () => {
+  const auth = loadAuth();
+  const middleware = auth.requireDeviceKey(deviceDb, 'default');
+  const req = { params: {}, body: {}, get: () => undefined };
+  const response = await new Promise((resolve, reject) => {
+    const res = {
+      status(code) {
+        return { json: (body) => resolve({ code, body }) };
+      }
+    };
+    middleware(req, res, () => reject(new Error('Request was let through')));
+  });
+  assert.deepEqual(response, { code: 401, body: { error: 'Device API key required' } });
+});
+
+// Users table backed by createUser, with sessions accepted and ignored
+function userDb() {
+  const users = [];
+  return {
+    query(sql, params, callback) {
+      if (typeof params === 'function') return params(null, { affectedRows: 0 });
+      if (sql.startsWith('INSERT INTO users')) {
+        users.push({ id: users.length + 1, username: params[0], password_hash: params[1], role: params[2] });
+        return callback(null, { insertId: users.length });
+      }
+      if (sql.startsWith('SELECT * FROM users WHERE id')) {
+        return callback(null, users.filter(user => user.id === params[0]));
+      }
+      if (sql.startsWith('SELECT * FROM users WHERE username')) {
+        return callback(null, users.filter(user => user.username === params[0]));
+      }
+      if (sql.startsWith('INSERT INTO sessions')) return callback(null, { insertId: 1 });
+      callback(new Error(`Unexpected query: ${sql}`));
+    },
+    users
+  };
+}
+
+const call = (fn, ...args) => new Promise((resolve, reject) => {
+  fn(...args, (err, result) => (err ? reject(err) : resolve(result)));
+});
+
+test('createUser stores a salted scrypt hash and login checks it', async () => {
+  const auth = loadAuth();
+  const db = userDb();
+  await call(auth.createUser, db, { username: 'grower', password: 'correct horse', role: 'operator' });
+  assert.match(db.users[0].password_hash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+
+  const { session } = await call(auth.login, db, 'grower', 'correct horse', '10.0.0.1');
+  assert.match(session.token, /^[0-9a-f]{64}$/);
+  assert.equal(session.user.role, 'operator');
+  assert.deepEqual(await call(auth.login, db, 'grower', 'wrong password', '10.0.0.1'),
+    { status: 401, error: 'Invalid username or password' });
+  assert.deepEqual(await call(auth.login, db, 'nobody', 'correct horse', '10.0.0.1'),
+    { status: 401, error: 'Invalid username or password' });
+});
+
+test('login refuses a username from an address after too many failures', async () => {
+  const auth = loadAuth({ LOGIN_MAX_ATTEMPTS: '3' });
+  const db = userDb();
+  await call(auth.createUser, db, { username: 'grower', password: 'correct horse', role: 'viewer' });
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    assert.equal((await call(auth.login, db, 'grower', 'guess', '10.0.0.2')).status, 401);
+  }
+  const blocked = await call(auth.login, db, 'grower', 'correct horse', '10.0.0.2');
+  assert.equal(blocked.status, 429);
+  assert.ok(blocked.retryAfter > 0 && blocked.retryAfter <= 15 * 60);
+
+  // Another address is not held back by these failures
+  assert.ok((await call(auth.login, db, 'grower', 'correct horse', '10.0.0.3')).session);
+});
+
+test('login limits an address across usernames', async () => {
+  const auth = loadAuth({ LOGIN_MAX_ATTEMPTS: '1' });
+  const db = userDb();
+  for (let attempt = 0; attempt < 10; attempt++) {
+    assert.equal((await call(auth.login, db, `user${attempt}`, 'guess', '10.0.0.4')).status, 401);
+  }
+  assert.equal((await call(auth.login, db, 'someone-else', 'guess', '10.0.0.4')).status, 429);
+});
+
+test('a successful login clears its username failures', async () => {
+  const auth = loadAuth({ LOGIN_MAX_ATTEMPTS: '2' });
+  const db = userDb();
+  await call(auth.createUser, db, { username: 'grower', password: 'correct horse', role: 'viewer' });
+
+  assert.equal((await call(auth.login, db, 'grower', 'guess', '10.0.0.5')).status, 401);
+  assert.ok((await call(auth.login, db, 'grower', 'correct horse', '10.0.0.5')).session);
+  assert.equal((await call(auth.login, db, 'grower', 'guess', '10.0.0.5')).status, 401);
+  assert.ok((await call(auth.login, db, 'grower', 'correct horse', '10.0.0.5')).session);
+});
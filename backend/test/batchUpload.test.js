@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { storeBatch } = require('../batchUpload');
+
+const reading = (timestamp, soilMoisture = 300) => ({
+  timestamp,
+  temperature: 24,
+  humidity: 75,
+  ldrValue: 500,
+  rainValue: 1000,
+  airQualityPPM: 450,
+  soilMoisture
+});
+
+const validate = (data) => typeof data === 'object' && data !== null && typeof data.soilMoisture === 'number';
+
+// sensor_data holding readings at the given timestamps; failing timestamps
+// make the duplicate check fail like a lost connection would
+function fakeDb(stored = [], failing = []) {
+  return {
+    query(sql, [deviceId, timestamp], callback) {
+      if (failing.includes(timestamp)) return callback(new Error('Connection lost'));
+      callback(null, stored.includes(timestamp) ? [{ id: 1 }] : []);
+    }
+  };
+}
+
+const run = (db, readings, ingest) => new Promise((resolve, reject) => {
+  storeBatch(db, 'field-a-01', readings, { validate, ingest }, (err, summary) => (err ? reject(err) : resolve(summary)));
+});
+
+// Records what was ingested, in order, and gives each an id
+const recorder = (failAt = []) => {
+  const ingested = [];
+  const ingest = (data, callback) => {
+    if (failAt.includes(data.timestamp)) return callback(new Error('Insert failed'));
+    ingested.push(data);
+    callback(null, { id: ingested.length });
+  };
+  return { ingested, ingest };
+};
+
+test('storeBatch stores readings oldest first and reports them in the order sent', async () => {
+  const { ingested, ingest } = recorder();
+  const summary = await run(fakeDb(), [
+    reading('2024-06-01 10:10:00'),
+    reading('2024-06-01 10:00:00'),
+    reading('2024-06-01 10:05:00')
+  ], ingest);
+
+  assert.deepEqual(ingested.map(data => data.timestamp), ['2024-06-01 10:00:00', '2024-06-01 10:05:00', '2024-06-01 10:10:00']);
+  assert.ok(ingested.every(data => data.deviceId === 'field-a-01'));
+  assert.deepEqual(summary.results, [
+    { index: 0, status: 'saved', id: 3 },
+    { index: 1, status: 'saved', id: 1 },
+    { index: 2, status: 'saved', id: 2 }
+  ]);
+  assert.equal(summary.saved, 3);
+});
+
+test('storeBatch skips readings repeated in the batch or already stored', async () => {
+  const { ingested, ingest } = recorder();
+  const summary = await run(fakeDb(['2024-06-01 10:00:00']), [
+    reading('2024-06-01 10:00:00'),
+    reading('2024-06-01 10:05:00', 310),
+    reading('2024-06-01 10:05:00', 320)
+  ], ingest);
+
+  assert.equal(ingested.length, 1);
+  assert.equal(ingested[0].soilMoisture, 310);
+  assert.deepEqual(summary.results.map(result => result.status), ['duplicate', 'saved', 'duplicate']);
+  assert.equal(summary.duplicates, 2);
+});
+
+test('storeBatch rejects invalid readings and readings for another device', async () => {
+  const { ingested, ingest } = recorder();
+  const summary = await run(fakeDb(), [
+    reading('2024-06-01T10:00:00Z'),
+    { timestamp: '2024-06-01 10:00:00' },
+    null,
+    { ...reading('2024-06-01 10:00:00'), deviceId: 'field-b-02' },
+    reading('2024-06-01 10:05:00')
+  ], ingest);
+
+  assert.equal(ingested.length, 1);
+  assert.deepEqual(summary.results.slice(0, 4), [
+    { index: 0, status: 'rejected', error: 'Invalid sensor data format' },
+    { index: 1, status: 'rejected', error: 'Invalid sensor data format' },
+    { index: 2, status: 'rejected', error: 'Invalid sensor data format' },
+    { index: 3, status: 'rejected', error: 'deviceId does not match the batch' }
+  ]);
+  assert.equal(summary.rejected, 4);
+  assert.equal(summary.received, 5);
+});
+
+test('storeBatch counts readings that failed to save and carries on', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { ingested, ingest } = recorder(['2024-06-01 10:05:00']);
+  const summary = await run(fakeDb([], ['2024-06-01 10:00:00']), [
+    reading('2024-06-01 10:00:00'),
+    reading('2024-06-01 10:05:00'),
+    reading('2024-06-01 10:10:00')
+  ], ingest);
+
+  assert.deepEqual(ingested.map(data => data.timestamp), ['2024-06-01 10:10:00']);
+  assert.deepEqual(summary.results.map(result => result.status), ['error', 'error', 'saved']);
+  assert.equal(summary.failed, 2);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyCalibration, validateProfile } = require('../calibration');
+
+// Soil sensor reading 1023 in dry air and 300 in water
+const soilProfile = (clamp) => ({ method: 'linear', points: [{ raw: 300, value: 100 }, { raw: 1023, value: 0 }], unit: '%', clamp });
+
+const rainProfile = (clamp) => ({
+  method: 'piecewise',
+  points: [{ raw: 0, value: 0 }, { raw: 100, value: 10 }, { raw: 300, value: 50 }],
+  unit: 'mm',
+  clamp
+});
+
+test('applyCalibration interpolates between two points and rounds to 2 decimals', () => {
+  assert.equal(applyCalibration(soilProfile(true), 661.5), 50);
+  assert.equal(applyCalibration(soilProfile(true), 500), 72.34);
+  assert.equal(applyCalibration(soilProfile(true), 300), 100);
+});
+
+test('applyCalibration holds the end values when the profile clamps', () => {
+  assert.equal(applyCalibration(soilProfile(true), 200), 100);
+  assert.equal(applyCalibration(soilProfile(true), 1100), 0);
+});
+
+test('applyCalibration extends the end segments when the profile does not clamp', () => {
+  assert.equal(applyCalibration(soilProfile(false), 200), 113.83);
+  assert.equal(applyCalibration(soilProfile(false), 1100), -10.65);
+});
+
+test('applyCalibration uses the segment a piecewise value falls in', () => {
+  assert.equal(applyCalibration(rainProfile(true), 50), 5);
+  assert.equal(applyCalibration(rainProfile(true), 100), 10);
+  assert.equal(applyCalibration(rainProfile(true), 200), 30);
+  assert.equal(applyCalibration(rainProfile(true), 400), 50);
+  assert.equal(applyCalibration(rainProfile(false), 400), 70);
+  assert.equal(applyCalibration(rainProfile(false), -50), -5);
+});
+
+test('validateProfile fills in defaults and sorts points by raw value', () => {
+  assert.deepEqual(validateProfile({ points: [{ raw: 1023, value: 0 }, { raw: 300, value: 100, note: 'wet' }] }), {
+    profile: { method: 'linear', points: [{ raw: 300, value: 100 }, { raw: 1023, value: 0 }], unit: '', clamp: true }
+  });
+});
+
+test('validateProfile accepts piecewise profiles with more points', () => {
+  const { profile } = validateProfile(rainProfile(false));
+  assert.equal(profile.method, 'piecewise');
+  assert.equal(profile.points.length, 3);
+  assert.equal(profile.clamp, false);
+});
+
+test('validateProfile rejects bad methods and point lists', () => {
+  assert.equal(validateProfile(null).error, 'Invalid calibration profile');
+  assert.equal(validateProfile({ method: 'cubic', points: [] }).error, 'method must be one of: linear, piecewise');
+  assert.equal(validateProfile({ points: [{ raw: 1, value: 1 }] }).error, 'points must be a list of 2 to 32 { raw, value } pairs');
+  assert.equal(validateProfile({ method: 'piecewise', points: 'none' }).error, 'points must be a list of 2 to 32 { raw, value } pairs');
+  assert.equal(validateProfile({ ...rainProfile(true), method: 'linear' }).error, 'A linear profile needs exactly two points');
+  assert.equal(validateProfile({ points: [{ raw: 1, value: 1 }, { raw: '2', value: 2 }] }).error, 'Every point needs numeric raw and value');
+  assert.equal(validateProfile({ points: [{ raw: 1, value: 1 }, null] }).error, 'Every point needs numeric raw and value');
+  assert.equal(validateProfile({ points: [{ raw: 5, value: 1 }, { raw: 5, value: 2 }] }).error, 'Points must have different raw values');
+});
+
+test('validateProfile rejects bad units and clamp values', () => {
+  const points = soilProfile(true).points;
+  assert.equal(validateProfile({ points, unit: 'x'.repeat(17) }).error, 'unit must be text of at most 16 characters');
+  assert.equal(validateProfile({ points, unit: 5 }).error, 'unit must be text of at most 16 characters');
+  assert.equal(validateProfile({ points, clamp: 'yes' }).error, 'clamp must be true or false');
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GDD_BASE_TEMPERATURE, dewPoint, heatIndex, deriveMetrics, parseGddQuery } = require('../derivedMetrics');
+
+test('heatIndex uses the simple formula in mild weather', () => {
+  // 68 °F at 50 % is below 80 °F, where NOAA keeps Steadman's approximation
+  assert.equal(heatIndex(20, 50), 19.36);
+});
+
+test('heatIndex uses the Rothfusz regression in hot weather', () => {
+  // NOAA's table gives about 105 °F for 90 °F at 70 %
+  assert.equal(heatIndex(32, 70), 40.41);
+  assert.equal(heatIndex(28, 90), 34);
+});
+
+test('heatIndex applies the low humidity adjustment', () => {
+  // 104 °F at 10 % reads about 98 °F
+  assert.equal(heatIndex(40, 10), 36.71);
+});
+
+test('dewPoint follows the Magnus formula and needs some humidity', () => {
+  assert.equal(dewPoint(25, 60), 16.69);
+  assert.equal(dewPoint(20, 100), 20);
+  assert.equal(dewPoint(25, 0), null);
+});
+
+test('deriveMetrics returns nulls when temperature or humidity is missing', () => {
+  const empty = { dewPoint: null, vpd: null, heatIndex: null };
+  assert.deepEqual(deriveMetrics(null, 60), empty);
+  assert.deepEqual(deriveMetrics(25, undefined), empty);
+  assert.deepEqual(deriveMetrics('25', '60'), { dewPoint: 16.69, vpd: 1.27, heatIndex: 25.12 });
+});
+
+test('parseGddQuery defaults to the last 30 whole days and the base temperature', () => {
+  const before = Date.now();
+  const { range } = parseGddQuery({});
+  const expected = new Date(before);
+  expected.setHours(0, 0, 0, 0);
+  expected.setDate(expected.getDate() - 29);
+  assert.equal(range.from.getTime(), expected.getTime());
+  assert.ok(range.to.getTime() >= before);
+  assert.equal(range.base, GDD_BASE_TEMPERATURE);
+});
+
+test('parseGddQuery counts days back from to', () => {
+  const { range } = parseGddQuery({ to: '2024-06-10T12:00:00', days: '7', base: '8.5' });
+  assert.equal(range.from.getTime(), new Date('2024-06-04T00:00:00').getTime());
+  assert.equal(range.base, 8.5);
+});
+
+test('parseGddQuery takes an explicit from', () => {
+  const { range } = parseGddQuery({ from: '2024-01-01T00:00:00Z', to: '2024-02-01T00:00:00Z', base: '0' });
+  assert.equal(range.from.toISOString(), '2024-01-01T00:00:00.000Z');
+  assert.equal(range.to.toISOString(), '2024-02-01T00:00:00.000Z');
+  assert.equal(range.base, 0);
+});
+
+test('parseGddQuery rejects bad ranges and bases', () => {
+  assert.equal(parseGddQuery({ from: 'soon' }).error, 'from and to must be valid dates');
+  assert.equal(parseGddQuery({ to: 'later' }).error, 'from and to must be valid dates');
+  assert.equal(parseGddQuery({ from: '2024-02-01', to: '2024-01-01' }).error, 'from must be before to');
+  assert.equal(parseGddQuery({ from: '2010-01-01', to: '2024-01-01' }).error, 'GDD ranges are limited to 10 years');
+  assert.equal(parseGddQuery({ base: 'warm' }).error, 'base must be a number');
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCsvReader } = require('../importData');
+
+const readAll = (text) => {
+  const reader = createCsvReader(text);
+  const rows = [];
+  let row = reader.nextRow();
+  while (row) {
+    rows.push(row);
+    row = reader.nextRow();
+  }
+  return rows;
+};
+
+test('createCsvReader splits rows and fields', () => {
+  assert.deepEqual(readAll('timestamp,temperature\n2024-06-01 10:00,23.5\n2024-06-01 10:05,24\n'), [
+    ['timestamp', 'temperature'],
+    ['2024-06-01 10:00', '23.5'],
+    ['2024-06-01 10:05', '24']
+  ]);
+});
+
+test('createCsvReader reads the last row without a trailing line break', () => {
+  assert.deepEqual(readAll('a,b\n1,2'), [['a', 'b'], ['1', '2']]);
+});
+
+test('createCsvReader handles \\r\\n line endings', () => {
+  assert.deepEqual(readAll('a,b\r\n1,2\r\n3,4\r\n'), [['a', 'b'], ['1', '2'], ['3', '4']]);
+});
+
+test('createCsvReader keeps commas, doubled quotes and line breaks inside quoted fields', () => {
+  assert.deepEqual(readAll('note,value\n"wet, muddy",1\n"said ""hi""",2\n"two\r\nlines",3\n'), [
+    ['note', 'value'],
+    ['wet, muddy', '1'],
+    ['said "hi"', '2'],
+    ['two\r\nlines', '3']
+  ]);
+});
+
+test('createCsvReader keeps empty fields and skips blank lines', () => {
+  assert.deepEqual(readAll('a,b,c\n\n1,,3\n , \n\r\n4,5,\n\n'), [['a', 'b', 'c'], ['1', '', '3'], ['4', '5', '']]);
+});
+
+test('createCsvReader returns null for empty text', () => {
+  assert.equal(createCsvReader('').nextRow(), null);
+  assert.equal(createCsvReader('\n\r\n').nextRow(), null);
+});
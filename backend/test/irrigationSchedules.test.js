@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { decideRun } = require('../irrigationSchedules');
+const { setFieldStageThresholds } = require('../utils');
+
+const schedule = (overrides = {}) => ({ maxRunsPerDay: 2, skipOnRain: true, skipMoistureAbove: null, ...overrides });
+
+// Rain sensors read lower the wetter they are: below 880 is heavy rain
+const dryReading = { field: null, soilMoisture: 150, rainValue: 1000 };
+
+test('decideRun starts the pump when nothing holds it back', () => {
+  assert.deepEqual(decideRun(schedule(), dryReading, 0), { outcome: 'start' });
+  assert.deepEqual(decideRun(schedule(), { ...dryReading, soilMoisture: null, rainValue: null }, 1), { outcome: 'start' });
+});
+
+test('decideRun skips once the daily limit is reached', () => {
+  assert.deepEqual(decideRun(schedule(), dryReading, 2), { outcome: 'skipped', reason: 'daily_limit' });
+  assert.deepEqual(decideRun(schedule(), null, 2), { outcome: 'skipped', reason: 'daily_limit' });
+});
+
+test('decideRun skips without a recent reading', () => {
+  assert.deepEqual(decideRun(schedule(), null, 0), { outcome: 'skipped', reason: 'no_data' });
+});
+
+test('decideRun skips on rain only when the schedule asks for it', () => {
+  const raining = { ...dryReading, rainValue: '700' };
+  assert.deepEqual(decideRun(schedule(), raining, 0), { outcome: 'skipped', reason: 'rain' });
+  assert.deepEqual(decideRun(schedule({ skipOnRain: false }), raining, 0), { outcome: 'start' });
+  assert.deepEqual(decideRun(schedule(), { ...dryReading, rainValue: 900 }, 0), { outcome: 'start' });
+});
+
+test('decideRun skips when the soil is already moist', () => {
+  // Without a limit of its own the schedule uses the high soil moisture threshold
+  assert.deepEqual(decideRun(schedule(), { ...dryReading, soilMoisture: 400 }, 0), { outcome: 'skipped', reason: 'soil_moist' });
+  assert.deepEqual(decideRun(schedule(), { ...dryReading, soilMoisture: 399 }, 0), { outcome: 'start' });
+  assert.deepEqual(decideRun(schedule({ skipMoistureAbove: 300 }), { ...dryReading, soilMoisture: '320' }, 0), { outcome: 'skipped', reason: 'soil_moist' });
+  assert.deepEqual(decideRun(schedule({ skipMoistureAbove: 500 }), { ...dryReading, soilMoisture: 450 }, 0), { outcome: 'start' });
+});
+
+test('decideRun uses the crop stage thresholds of the field of the reading', () => {
+  setFieldStageThresholds({
+    'field-a': [{ from: new Date(0), to: null, thresholds: { soilMoisture: { low: 300, high: 600 } } }]
+  });
+  try {
+    assert.deepEqual(decideRun(schedule(), { ...dryReading, field: 'field-a', soilMoisture: 450 }, 0), { outcome: 'start' });
+    assert.deepEqual(decideRun(schedule(), { ...dryReading, field: 'field-b', soilMoisture: 450 }, 0), { outcome: 'skipped', reason: 'soil_moist' });
+  } finally {
+    setFieldStageThresholds({});
+  }
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { deviceIdFromTopic, getMqttConfig } = require('../mqttBridge');
+
+test('deviceIdFromTopic takes the device ID from the + level', () => {
+  assert.equal(deviceIdFromTopic('pertanian/+/telemetry', 'pertanian/field-a-01/telemetry'), 'field-a-01');
+  assert.equal(deviceIdFromTopic('farm/north/+/ack', 'farm/north/pump-2/ack'), 'pump-2');
+});
+
+test('deviceIdFromTopic rejects topics that do not match the pattern', () => {
+  assert.equal(deviceIdFromTopic('pertanian/+/telemetry', 'pertanian/field-a-01/ack'), null);
+  assert.equal(deviceIdFromTopic('pertanian/+/telemetry', 'other/field-a-01/telemetry'), null);
+  assert.equal(deviceIdFromTopic('pertanian/+/telemetry', 'pertanian/field-a-01/telemetry/extra'), null);
+  assert.equal(deviceIdFromTopic('pertanian/+/telemetry', 'pertanian/telemetry'), null);
+});
+
+test('deviceIdFromTopic uses the first + level when the pattern has several', () => {
+  assert.equal(deviceIdFromTopic('+/+/telemetry', 'dev-1/north/telemetry'), 'dev-1');
+});
+
+test('getMqttConfig falls back to the default topics', () => {
+  const config = getMqttConfig({ MQTT_URL: 'mqtt://localhost:1883' });
+  assert.equal(config.url, 'mqtt://localhost:1883');
+  assert.equal(config.telemetryTopic, 'pertanian/+/telemetry');
+  assert.equal(config.ackTopic, 'pertanian/+/ack');
+  assert.equal(config.commandTopic, 'pertanian/{deviceId}/commands');
+});
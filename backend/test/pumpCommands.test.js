@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { systemEvents } = require('../events');
+const { validatePumpAck, takePendingCommands, acknowledgePumpCommand, expireStaleCommands } = require('../pumpCommands');
+
+// Answers each query with the first handler whose pattern matches its SQL
+// and records what was asked
+function fakeDb(handlers) {
+  const calls = [];
+  return {
+    calls,
+    query(sql, params, callback) {
+      calls.push({ sql, params });
+      const handler = handlers.find(([pattern]) => pattern.test(sql));
+      if (!handler) return callback(new Error(`Unexpected query: ${sql}`));
+      callback(null, handler[1](params));
+    }
+  };
+}
+
+const commandRow = (id, status) => ({
+  id,
+  device_id: 'field-a-01',
+  command: 'start',
+  duration_seconds: 30,
+  source: 'dashboard',
+  status,
+  message: null,
+  created_at: null,
+  sent_at: null,
+  acknowledged_at: null,
+  expires_at: null
+});
+
+// Collects pump.failed events until the test ends
+function failedEvents(t) {
+  const events = [];
+  const listener = (event) => events.push(event);
+  systemEvents.on('pump.failed', listener);
+  t.after(() => systemEvents.off('pump.failed', listener));
+  return events;
+}
+
+const call = (fn, ...args) => new Promise((resolve, reject) => {
+  fn(...args, (err, result) => (err ? reject(err) : resolve(result)));
+});
+
+test('validatePumpAck requires success and limits the message', () => {
+  assert.equal(validatePumpAck({ success: true }), null);
+  assert.equal(validatePumpAck({ success: false, message: 'x'.repeat(255) }), null);
+  assert.match(validatePumpAck({ success: 'yes' }), /success/);
+  assert.match(validatePumpAck(null), /success/);
+  assert.match(validatePumpAck({ success: false, message: 'x'.repeat(256) }), /at most 255/);
+  assert.match(validatePumpAck({ success: false, message: { text: 'Relay stuck' } }), /message/);
+});
+
+test('takePendingCommands returns the commands its own claim marked', async () => {
+  const db = fakeDb([
+    [/^\s*UPDATE pump_commands SET status = 'sent'/, () => ({ affectedRows: 2 })],
+    [/claim_id = \?/, () => [commandRow(4, 'sent'), { ...commandRow(5, 'sent'), command: 'stop', duration_seconds: null }]]
+  ]);
+
+  const commands = await call(takePendingCommands, db, 'field-a-01');
+
+  assert.deepEqual(commands, [
+    { id: 4, command: 'start', durationSeconds: 30 },
+    { id: 5, command: 'stop', durationSeconds: null }
+  ]);
+  const [claim, select] = db.calls;
+  assert.match(claim.sql, /status = 'pending' AND expires_at > NOW\(\)/);
+  assert.equal(claim.params[1], 'field-a-01');
+  assert.deepEqual(select.params, ['field-a-01', claim.params[0]]);
+});
+
+test('takePendingCommands skips the lookup when nothing was claimed', async () => {
+  const db = fakeDb([[/UPDATE pump_commands/, () => ({ affectedRows: 0 })]]);
+
+  assert.deepEqual(await call(takePendingCommands, db, 'field-a-01'), []);
+  assert.equal(db.calls.length, 1);
+});
+
+test('acknowledgePumpCommand only answers commands still waiting for one', async (t) => {
+  const events = failedEvents(t);
+  const db = fakeDb([[/UPDATE pump_commands/, () => ({ affectedRows: 1 })]]);
+
+  assert.equal(await call(acknowledgePumpCommand, db, 'field-a-01', 7, { success: true, message: '' }), true);
+  assert.match(db.calls[0].sql, /status IN \('pending', 'sent'\)/);
+  assert.deepEqual(db.calls[0].params, ['acknowledged', null, 7, 'field-a-01']);
+  assert.equal(events.length, 0);
+
+  const closed = fakeDb([[/UPDATE pump_commands/, () => ({ affectedRows: 0 })]]);
+  assert.equal(await call(acknowledgePumpCommand, closed, 'field-a-01', 7, { success: false, message: 'Dry run' }), false);
+  assert.equal(events.length, 0);
+});
+
+test('acknowledgePumpCommand reports a failed command', async (t) => {
+  const events = failedEvents(t);
+  const db = fakeDb([
+    [/^\s*UPDATE pump_commands/, () => ({ affectedRows: 1 })],
+    [/SELECT \* FROM pump_commands WHERE id IN/, () => [{ ...commandRow(7, 'failed'), message: 'Relay stuck' }]]
+  ]);
+
+  assert.equal(await call(acknowledgePumpCommand, db, 'field-a-01', 7, { success: false, message: 'Relay stuck' }), true);
+  assert.deepEqual(db.calls[0].params, ['failed', 'Relay stuck', 7, 'field-a-01']);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].deviceId, 'field-a-01');
+  assert.equal(events[0].command.status, 'failed');
+});
+
+test('expireStaleCommands expires undelivered commands and times out unanswered ones', async (t) => {
+  const events = failedEvents(t);
+  const db = fakeDb([
+    [/^SELECT id FROM pump_commands WHERE status = 'pending'/, () => [{ id: 1 }]],
+    [/^SELECT id FROM pump_commands WHERE status = 'sent'/, () => [{ id: 2 }, { id: 3 }]],
+    [/^UPDATE pump_commands SET status = \? WHERE id IN \(\?\)/, ([status, ids]) => ({ affectedRows: ids.length })],
+    [/^SELECT \* FROM pump_commands WHERE id IN/, ([ids]) => ids.map(id => commandRow(id, id === 1 ? 'expired' : 'timeout'))]
+  ]);
+
+  assert.deepEqual(await call(expireStaleCommands, db), { expired: 1, timedOut: 2 });
+
+  const updates = db.calls.filter(({ sql }) => sql.startsWith('UPDATE'));
+  assert.match(updates[0].sql, /AND status = 'pending' AND expires_at <= NOW\(\)$/);
+  assert.deepEqual(updates[0].params, ['expired', [1]]);
+  assert.match(updates[1].sql, /AND status = 'sent' AND sent_at <= DATE_SUB/);
+  assert.deepEqual(updates[1].params, ['timeout', [2, 3], 60]);
+  assert.deepEqual(events.map(event => event.command.id), [1, 2, 3]);
+});
+
+test('expireStaleCommands leaves out a command acknowledged after it was selected', async (t) => {
+  const events = failedEvents(t);
+  const db = fakeDb([
+    [/^SELECT id FROM pump_commands WHERE status = 'pending'/, () => []],
+    [/^SELECT id FROM pump_commands WHERE status = 'sent'/, () => [{ id: 2 }, { id: 3 }]],
+    // Command 3 was acknowledged in between, so the UPDATE skips it
+    [/^UPDATE pump_commands/, () => ({ affectedRows: 1 })],
+    [/^SELECT id FROM pump_commands WHERE id IN \(\?\) AND status = \?/, () => [{ id: 2 }]],
+    [/^SELECT \* FROM pump_commands WHERE id IN/, ([ids]) => ids.map(id => commandRow(id, 'timeout'))]
+  ]);
+
+  assert.deepEqual(await call(expireStaleCommands, db), { expired: 0, timedOut: 1 });
+  assert.deepEqual(db.calls.find(({ sql }) => sql.includes('AND status = ?')).params, [[2, 3], 'timeout']);
+  assert.deepEqual(events.map(event => event.command.id), [2]);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  RETENTION_SCHEMA_COLUMNS,
+  loadRetentionState,
+  getRolledUntil,
+  getUnfilteredUntil,
+  runRetention,
+  getRollupBuckets,
+  getRollupTotals
+} = require('../retention');
+
+// Records queries and answers each with the given rows
+function fakeDb(rows = []) {
+  const queries = [];
+  return {
+    queries,
+    query(sql, params, callback) {
+      if (typeof params === 'function') [callback, params] = [params, []];
+      queries.push({ sql, params });
+      callback(null, rows);
+    }
+  };
+}
+
+const load = (db) => new Promise((resolve, reject) => loadRetentionState(db, err => (err ? reject(err) : resolve())));
+
+// Runs the retention job against a database holding one day of raw readings
+// to roll up, recording each statement and transaction step in queries
+function retain(queries) {
+  let slices = 0;
+  const db = {
+    query(sql, params, callback) {
+      if (typeof params === 'function') [callback, params] = [params, []];
+      queries.push(sql.trim());
+      if (sql.startsWith('INSERT INTO retention_runs')) return callback(null, { insertId: 7 });
+      if (sql.startsWith('SELECT MIN(timestamp)')) {
+        const first = slices++ === 0 ? new Date('2020-01-01T10:00:00') : null;
+        return callback(null, [{ first, maxId: 42 }]);
+      }
+      callback(null, { affectedRows: 0 });
+    },
+    beginTransaction: (callback) => { queries.push('BEGIN'); callback(null); },
+    commit: (callback) => { queries.push('COMMIT'); callback(null); },
+    rollback: (callback) => { queries.push('ROLLBACK'); callback(); }
+  };
+  return new Promise((resolve, reject) => runRetention(db, (err, result) => (err ? reject(err) : resolve(result))));
+}
+
+test('loadRetentionState picks up the rolled-up range and the rollups that include anomalies', async () => {
+  await load(fakeDb([{
+    cutoff: '2024-05-01T00:00:00Z',
+    rolled_until: '2024-05-02T00:00:00Z',
+    unfiltered_cutoff: '2024-04-01T00:00:00Z',
+    unfiltered_rolled_until: null
+  }]));
+  assert.equal(getRolledUntil().toISOString(), '2024-05-02T00:00:00.000Z');
+
+  const unfiltered = { excludeAnomalies: true };
+  assert.equal(getUnfilteredUntil(unfiltered, new Date('2024-03-01T00:00:00Z')).toISOString(), '2024-04-01T00:00:00.000Z');
+  assert.equal(getUnfilteredUntil(unfiltered, new Date('2024-04-15T00:00:00Z')), null);
+  assert.equal(getUnfilteredUntil({ excludeAnomalies: false }, new Date('2024-03-01T00:00:00Z')), null);
+});
+
+test('loadRetentionState finds no unfiltered rollups on installs that always kept anomalies apart', async () => {
+  await load(fakeDb([{ cutoff: '2024-05-01T00:00:00Z', rolled_until: null, unfiltered_cutoff: null, unfiltered_rolled_until: null }]));
+  assert.equal(getUnfilteredUntil({ excludeAnomalies: true }, null), null);
+});
+
+test('rollup reads leave out flagged rows only when the scope asks for it', async () => {
+  const range = { from: new Date('2024-04-01T00:00:00Z'), to: new Date('2024-04-02T00:00:00Z'), bucketSql: 'UNIX_TIMESTAMP(bucket_start)' };
+  const scope = { conditions: ['device_id = ?'], params: ['field-a-01'] };
+
+  const db = fakeDb([]);
+  await new Promise(resolve => getRollupBuckets(db, 'hourly', { ...scope, excludeAnomalies: true }, range, resolve));
+  await new Promise(resolve => getRollupBuckets(db, 'hourly', scope, range, resolve));
+  await new Promise(resolve => getRollupTotals(db, 'daily', { ...scope, excludeAnomalies: true }, range, resolve));
+
+  assert.match(db.queries[0].sql, /FROM sensor_rollups_hourly[\s\S]*AND device_id = \? AND anomaly = 0/);
+  assert.doesNotMatch(db.queries[1].sql, /anomaly = 0/);
+  assert.match(db.queries[2].sql, /FROM sensor_rollups_daily[\s\S]*device_id = \? AND anomaly = 0/);
+  assert.match(db.queries[0].sql, /SUM\(soilMoisture_anomalies\) AS soilMoisture_anomalies/);
+  assert.match(db.queries[0].sql, /SUM\(soilMoisture_calibrated_count\) AS soilMoisture_calibrated_count/);
+});
+
+test('runRetention rolls flagged readings up into rows of their own, in one transaction per day', async () => {
+  const queries = [];
+  const summary = await retain(queries);
+  assert.ok(summary);
+  assert.match(queries[0], /^INSERT INTO retention_runs \(cutoff, split_anomalies\) VALUES \(\?, 1\)/);
+
+  const begin = queries.indexOf('BEGIN');
+  const commit = queries.indexOf('COMMIT');
+  const slice = queries.slice(begin + 1, commit);
+  assert.equal(slice.length, 4);
+  assert.match(slice[0], /^INSERT INTO sensor_rollups_hourly \(device_id, field, bucket_start, anomaly,/);
+  assert.match(slice[0], /GROUP BY device_id, bucket, anomaly/);
+  assert.match(slice[0], /soilMoisture_anomalies = soilMoisture_anomalies \+ VALUES\(soilMoisture_anomalies\)/);
+  assert.match(slice[1], /^INSERT INTO sensor_rollups_daily/);
+  assert.match(slice[2], /^DELETE FROM sensor_data/);
+  assert.match(slice[3], /^UPDATE retention_runs SET rolled_until/);
+  assert.ok(!queries.includes('ROLLBACK'));
+});
+
+test('rollups keep min/max/avg/count of the calibrated values too', async () => {
+  for (const table of ['sensor_rollups_hourly', 'sensor_rollups_daily']) {
+    const added = RETENTION_SCHEMA_COLUMNS.filter(([name]) => name === table).map(([, column]) => column);
+    assert.ok(['min', 'max', 'avg', 'count'].every(part => added.includes(`soilMoisture_calibrated_${part}`)));
+    assert.ok(!added.includes('temperature_calibrated_avg'));
+  }
+
+  const queries = [];
+  await retain(queries);
+
+  const rollup = queries.find(sql => sql.startsWith('INSERT INTO sensor_rollups_hourly'));
+  const [, insertColumns, selectColumns] = rollup.match(/\(device_id, field, bucket_start, anomaly, ([^)]*)\)\s*SELECT device_id, MAX\(field\), .* AS bucket, anomaly, (.*)\s*FROM sensor_data/s);
+  const inserted = insertColumns.split(', ');
+  // Each inserted column gets the matching aggregate of the raw rows
+  assert.equal(inserted.length, selectColumns.split('), ').length);
+  assert.equal(selectColumns.split('), ')[inserted.indexOf('rainValue_calibrated_avg')], 'AVG(rainValue_calibrated');
+  assert.match(rollup, /soilMoisture_calibrated_count = soilMoisture_calibrated_count \+ VALUES\(soilMoisture_calibrated_count\)/);
+});
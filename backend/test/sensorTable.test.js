@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTableQuery, getTablePage } = require('../sensorTable');
+const { setFieldStageThresholds } = require('../utils');
+
+test('parseTableQuery fills in defaults', () => {
+  assert.deepEqual(parseTableQuery({}), {
+    options: {
+      page: 1,
+      pageSize: 50,
+      from: null,
+      to: null,
+      sort: 'timestamp',
+      order: 'desc',
+      filters: [],
+      outOfRange: false,
+      anomaliesOnly: false
+    }
+  });
+});
+
+test('parseTableQuery checks page and pageSize', () => {
+  assert.equal(parseTableQuery({ page: '3', pageSize: '500' }).options.page, 3);
+  assert.equal(parseTableQuery({ page: '3', pageSize: '500' }).options.pageSize, 500);
+  assert.equal(parseTableQuery({ page: '0' }).error, 'page must be a positive number');
+  assert.equal(parseTableQuery({ page: 'abc' }).error, 'page must be a positive number');
+  assert.equal(parseTableQuery({ pageSize: '0' }).error, 'pageSize must be between 1 and 500');
+  assert.equal(parseTableQuery({ pageSize: '501' }).error, 'pageSize must be between 1 and 500');
+});
+
+test('parseTableQuery checks the date range', () => {
+  const { options } = parseTableQuery({ from: '2024-06-01T00:00:00Z', to: '2024-06-02T00:00:00Z' });
+  assert.equal(options.from.toISOString(), '2024-06-01T00:00:00.000Z');
+  assert.equal(options.to.toISOString(), '2024-06-02T00:00:00.000Z');
+  assert.equal(parseTableQuery({ from: 'yesterday' }).error, 'from and to must be valid dates');
+  assert.equal(parseTableQuery({ to: 'not a date' }).error, 'from and to must be valid dates');
+  assert.equal(parseTableQuery({ from: '2024-06-02', to: '2024-06-02' }).error, 'from must be before to');
+});
+
+test('parseTableQuery checks the sort column and order', () => {
+  const { options } = parseTableQuery({ sort: 'soilMoisture', order: 'ASC' });
+  assert.equal(options.sort, 'soilMoisture');
+  assert.equal(options.order, 'asc');
+  assert.match(parseTableQuery({ sort: 'id' }).error, /^sort must be one of: timestamp, /);
+  assert.equal(parseTableQuery({ order: 'up' }).error, 'order must be asc or desc');
+});
+
+test('parseTableQuery reads sensor filters', () => {
+  assert.deepEqual(parseTableQuery({ filter: 'soilMoisture<200, temperature>=30.5,humidity != -1' }).options.filters, [
+    { sensor: 'soilMoisture', operator: '<', value: 200 },
+    { sensor: 'temperature', operator: '>=', value: 30.5 },
+    { sensor: 'humidity', operator: '!=', value: -1 }
+  ]);
+  assert.deepEqual(parseTableQuery({ filter: ' , ' }).options.filters, []);
+});
+
+test('parseTableQuery rejects filters on unknown sensors or without a number', () => {
+  assert.match(parseTableQuery({ filter: 'id>5' }).error, /^Invalid filter "id>5"/);
+  assert.match(parseTableQuery({ filter: 'temperature>hot' }).error, /^Invalid filter "temperature>hot"/);
+  assert.match(parseTableQuery({ filter: 'temperature>30;DROP' }).error, /^Invalid filter/);
+});
+
+test('parseTableQuery reads the outOfRange and anomalies flags', () => {
+  assert.equal(parseTableQuery({ outOfRange: 'true' }).options.outOfRange, true);
+  assert.equal(parseTableQuery({ outOfRange: '1' }).options.outOfRange, true);
+  assert.equal(parseTableQuery({ outOfRange: 'yes' }).options.outOfRange, false);
+  assert.equal(parseTableQuery({ anomalies: '1' }).options.anomaliesOnly, true);
+  assert.equal(parseTableQuery({ anomalies: 'false' }).options.anomaliesOnly, false);
+});
+
+test('getTablePage checks out-of-range readings against the stage in force when they were taken', async (t) => {
+  const planted = new Date('2024-03-01T00:00:00');
+  const flowering = new Date('2024-04-01T00:00:00');
+  setFieldStageThresholds({
+    North: [
+      { from: planted, to: flowering, thresholds: { soilMoisture: { low: 250, high: 450 } } },
+      { from: flowering, to: null, thresholds: { soilMoisture: { low: 400, high: 600 } } }
+    ]
+  });
+  t.after(() => setFieldStageThresholds({}));
+
+  const queries = [];
+  const db = {
+    query(sql, params, callback) {
+      queries.push({ sql, params });
+      callback(null, sql.includes('COUNT(*)') ? [{ total: 0 }] : []);
+    }
+  };
+  const { options } = parseTableQuery({ outOfRange: 'true' });
+  await new Promise((resolve, reject) => {
+    getTablePage(db, { conditions: [], params: [] }, options, err => (err ? reject(err) : resolve()));
+  });
+
+  const { sql, params } = queries[0];
+  assert.match(sql, /\(field = \? AND timestamp < \? AND \(temperature < \? OR/);
+  assert.match(sql, /\(field = \? AND timestamp >= \? AND timestamp < \? AND \(/);
+  assert.match(sql, /\(field = \? AND timestamp >= \? AND \(/);
+  assert.match(sql, /\(\(field IS NULL OR field NOT IN \(\?\)\) AND \(/);
+
+  // Each window's field and bounds come before its low/high pairs
+  const limits = (soilLow, soilHigh) => [20, 25, 70, 80, 400, 600, 880, 940, 400, 800, soilLow, soilHigh];
+  assert.deepEqual(params, [
+    'North', planted, ...limits(200, 400),
+    'North', planted, flowering, ...limits(250, 450),
+    'North', flowering, ...limits(400, 600),
+    ['North'], ...limits(200, 400)
+  ]);
+});
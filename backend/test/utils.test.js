@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SENSOR_THRESHOLDS,
+  getSensorThresholds,
+  getThresholdWindows,
+  setFieldStageThresholds,
+  getReadingStatus
+} = require('../utils');
+
+const planted = new Date('2024-03-01T00:00:00');
+const flowering = new Date('2024-04-01T00:00:00');
+
+// A crop planted on 1 March that needs wetter soil once it flowers on 1 April
+const stages = {
+  North: [
+    { from: planted, to: flowering, thresholds: { soilMoisture: { low: 250, high: 450 } } },
+    { from: flowering, to: null, thresholds: { soilMoisture: { low: 400, high: 600 } } }
+  ]
+};
+
+test('getSensorThresholds uses the stage in force at the given time', (t) => {
+  setFieldStageThresholds(stages);
+  t.after(() => setFieldStageThresholds({}));
+
+  assert.deepEqual(getSensorThresholds('North', new Date('2024-03-15T12:00:00')).soilMoisture, { low: 250, high: 450, inverted: false });
+  assert.deepEqual(getSensorThresholds('North', new Date('2024-05-01T12:00:00')).soilMoisture, { low: 400, high: 600, inverted: false });
+  assert.equal(getSensorThresholds('North', new Date('2024-02-01T12:00:00')), getSensorThresholds());
+  assert.equal(getSensorThresholds('South', new Date('2024-05-01T12:00:00')), getSensorThresholds());
+  // Sensors the stage leaves alone keep the configured thresholds
+  assert.deepEqual(getSensorThresholds('North', flowering).temperature, SENSOR_THRESHOLDS.temperature);
+});
+
+test('getThresholdWindows covers all time around the stages', (t) => {
+  setFieldStageThresholds(stages);
+  t.after(() => setFieldStageThresholds({}));
+
+  const windows = getThresholdWindows('North');
+  assert.deepEqual(windows.map(window => [window.from, window.to]), [[null, planted], [planted, flowering], [flowering, null]]);
+  assert.equal(windows[0].thresholds.soilMoisture.high, 400);
+  assert.equal(windows[1].thresholds.soilMoisture.high, 450);
+  assert.equal(windows[2].thresholds.soilMoisture.high, 600);
+
+  assert.deepEqual(getThresholdWindows('South').map(window => [window.from, window.to]), [[null, null]]);
+});
+
+test('getThresholdWindows fills gaps between stages and after the last one', (t) => {
+  const harvested = new Date('2024-06-01T00:00:00');
+  setFieldStageThresholds({
+    North: [{ from: planted, to: flowering, thresholds: {} }, { from: new Date('2024-05-01T00:00:00'), to: harvested, thresholds: {} }]
+  });
+  t.after(() => setFieldStageThresholds({}));
+
+  assert.deepEqual(getThresholdWindows('North').map(window => [window.from, window.to]), [
+    [null, planted],
+    [planted, flowering],
+    [flowering, new Date('2024-05-01T00:00:00')],
+    [new Date('2024-05-01T00:00:00'), harvested],
+    [harvested, null]
+  ]);
+});
+
+test('getReadingStatus judges a reading by the stage in force when it was taken', (t) => {
+  setFieldStageThresholds(stages);
+  t.after(() => setFieldStageThresholds({}));
+
+  const reading = { field: 'North', soilMoisture: 420, temperature: 22 };
+  assert.equal(getReadingStatus({ ...reading, timestamp: new Date('2024-03-20T08:00:00') }).soilMoisture, 'medium');
+  assert.equal(getReadingStatus({ ...reading, timestamp: new Date('2024-04-20T08:00:00') }).soilMoisture, 'medium');
+  assert.equal(getReadingStatus({ ...reading, soilMoisture: 300, timestamp: new Date('2024-04-20T08:00:00') }).soilMoisture, 'low');
+  assert.equal(getReadingStatus({ ...reading, soilMoisture: 500, timestamp: '2024-03-20 08:00:00' }).soilMoisture, 'high');
+  assert.equal(getReadingStatus({ ...reading, soilMoisture: null, timestamp: '2024-03-20 08:00:00' }).soilMoisture, null);
+});
@@ -0,0 +1,58 @@
+// Stored sensor threshold configuration. The sensor_thresholds table holds one
+// row per sensor; utils.js keeps the loaded copy used for status evaluation.
+const { SENSOR_THRESHOLDS, setSensorThresholds } = require('./utils');
+
+function rowsToThresholds(rows) {
+  return rows.reduce((thresholds, row) => {
+    thresholds[row.sensor] = {
+      low: Number(row.low),
+      high: Number(row.high),
+      inverted: Boolean(row.inverted)
+    };
+    return thresholds;
+  }, {});
+}
+
+// Seed missing sensors with the defaults, then load the table into memory
+function loadSensorThresholds(db, callback) {
+  const defaults = Object.entries(SENSOR_THRESHOLDS).map(([sensor, config]) => [
+    sensor,
+    config.low,
+    config.high,
+    config.inverted ? 1 : 0
+  ]);
+
+  db.query('INSERT IGNORE INTO sensor_thresholds (sensor, low, high, inverted) VALUES ?', [defaults], (err) => {
+    if (err) return callback(err);
+    db.query('SELECT sensor, low, high, inverted FROM sensor_thresholds', (err, rows) => {
+      if (err) return callback(err);
+      setSensorThresholds(rowsToThresholds(rows));
+      callback(null);
+    });
+  });
+}
+
+// Persist a full, already validated configuration and make it live
+function saveSensorThresholds(db, thresholds, callback) {
+  const rows = Object.entries(thresholds).map(([sensor, config]) => [
+    sensor,
+    config.low,
+    config.high,
+    config.inverted ? 1 : 0
+  ]);
+
+  const query = `
+    INSERT INTO sensor_thresholds (sensor, low, high, inverted) VALUES ?
+    ON DUPLICATE KEY UPDATE low = VALUES(low), high = VALUES(high), inverted = VALUES(inverted)
+  `;
+  db.query(query, [rows], (err) => {
+    if (err) return callback(err);
+    setSensorThresholds(thresholds);
+    callback(null);
+  });
+}
+
+module.exports = {
+  loadSensorThresholds,
+  saveSensorThresholds
+};
@@ -11,7 +11,7 @@ function getStatus(value, lowThreshold, highThreshold, isInverted = false) {
   }
 }
 
-// Sensor configuration constants
+// Sensor configuration constants, used until the stored configuration is loaded
 const SENSOR_THRESHOLDS = {
   temperature: { low: 20, high: 25, inverted: false },
   humidity: { low: 70, high: 80, inverted: false },
@@ -21,15 +21,156 @@ const SENSOR_THRESHOLDS = {
   soilMoisture: { low: 200, high: 400, inverted: false }
 };
 
+// Sensor columns stored for every reading
+const SENSOR_KEYS = Object.keys(SENSOR_THRESHOLDS);
+
+// Live threshold configuration, replaced whenever the settings API saves
+let activeThresholds = SENSOR_THRESHOLDS;
+
+// Growth-stage thresholds of fields with a crop, kept by crops.js:
+// { field: [{ from, to, thresholds }] } with from/to as Dates (to null for
+// the last stage) and thresholds holding low/high for some sensors
+let fieldStageThresholds = {};
+
+function setFieldStageThresholds(stages) {
+  fieldStageThresholds = stages;
+}
+
+// Fields whose thresholds can differ from the configured ones
+function getStagedFields() {
+  return Object.keys(fieldStageThresholds);
+}
+
+// Thresholds in force for a field at a time: the configured ones with the
+// crop's stage thresholds laid over them. Without a field (or a crop, or
+// before planting) these are just the configured thresholds.
+function getSensorThresholds(field, date = new Date()) {
+  const stage = field && (fieldStageThresholds[field] || [])
+    .find(entry => entry.from <= date && (!entry.to || date < entry.to));
+  if (!stage) return activeThresholds;
+
+  return Object.keys(activeThresholds).reduce((thresholds, sensorKey) => {
+    thresholds[sensorKey] = { ...activeThresholds[sensorKey], ...stage.thresholds[sensorKey] };
+    return thresholds;
+  }, {});
+}
+
+// Thresholds of a field over time: consecutive { from, to, thresholds }
+// windows covering all time, with from or to null at the open ends. Gaps
+// around the crop's stages use the configured thresholds.
+function getThresholdWindows(field) {
+  const stages = [...(fieldStageThresholds[field] || [])].sort((a, b) => a.from - b.from);
+  const windows = [];
+  let start = null;
+  stages.forEach(stage => {
+    if (start === null || stage.from > start) {
+      windows.push({ from: start, to: stage.from, thresholds: activeThresholds });
+    }
+    windows.push({ from: stage.from, to: stage.to, thresholds: getSensorThresholds(field, stage.from) });
+    start = stage.to;
+  });
+  if (stages.length === 0 || start !== null) {
+    windows.push({ from: start, to: null, thresholds: activeThresholds });
+  }
+  return windows;
+}
+
+function setSensorThresholds(thresholds) {
+  activeThresholds = { ...SENSOR_THRESHOLDS, ...thresholds };
+}
+
+// Merge a partial threshold update into the current configuration.
+// Returns { thresholds } on success or { error } when the update is invalid.
+function mergeThresholds(current, update) {
+  if (typeof update !== 'object' || update === null || Array.isArray(update)) {
+    return { error: 'Thresholds must be an object keyed by sensor' };
+  }
+
+  const merged = { ...current };
+  for (const [sensorKey, values] of Object.entries(update)) {
+    if (!SENSOR_THRESHOLDS[sensorKey]) {
+      return { error: `Unknown sensor: ${sensorKey}` };
+    }
+    if (typeof values !== 'object' || values === null) {
+      return { error: `Invalid thresholds for ${sensorKey}` };
+    }
+
+    const next = { ...current[sensorKey], ...values };
+    if (typeof next.low !== 'number' || typeof next.high !== 'number' ||
+        !Number.isFinite(next.low) || !Number.isFinite(next.high)) {
+      return { error: `low and high for ${sensorKey} must be numbers` };
+    }
+    if (next.low >= next.high) {
+      return { error: `low must be less than high for ${sensorKey}` };
+    }
+    if (typeof next.inverted !== 'boolean') {
+      return { error: `inverted for ${sensorKey} must be true or false` };
+    }
+    merged[sensorKey] = { low: next.low, high: next.high, inverted: next.inverted };
+  }
+
+  return { thresholds: merged };
+}
+
 // Helper function to get status for specific sensor
-function getSensorStatus(sensorKey, value) {
-  const config = SENSOR_THRESHOLDS[sensorKey];
+function getSensorStatus(sensorKey, value, thresholds = activeThresholds) {
+  const config = thresholds[sensorKey];
   if (!config) return 'medium';
   return getStatus(value, config.low, config.high, config.inverted);
 }
 
+// When a reading was taken: stored rows hold a Date, incoming readings the
+// device's YYYY-MM-DD HH:MM:SS text. A reading without one counts as now.
+function readingTime(reading) {
+  if (reading.timestamp instanceof Date) return reading.timestamp;
+  if (reading.timestamp === undefined || reading.timestamp === null) return new Date();
+  return new Date(toIsoTimestamp(reading.timestamp));
+}
+
+// Status of every sensor in one stored reading, e.g. { temperature: 'high', ... },
+// under the thresholds of the reading's field when it was taken
+function getReadingStatus(reading, thresholds = getSensorThresholds(reading.field, readingTime(reading))) {
+  return SENSOR_KEYS.reduce((status, sensorKey) => {
+    const value = reading[sensorKey];
+    status[sensorKey] = value === null || value === undefined ? null : getSensorStatus(sensorKey, Number(value), thresholds);
+    return status;
+  }, {});
+}
+
+// Value and status per sensor, the shape served by /api/sensors/latest, with
+// the thresholds of the reading's field when it was taken.
+// Calibrated sensors also carry the calibrated value and its unit.
+function formatLatestReading(data, units = {}) {
+  const thresholds = getSensorThresholds(data.field, readingTime(data));
+  return Object.keys(SENSOR_THRESHOLDS).reduce((latest, sensorKey) => {
+    latest[sensorKey] = { value: data[sensorKey], status: getSensorStatus(sensorKey, data[sensorKey], thresholds) };
+    const calibrated = data[`${sensorKey}_calibrated`];
+    if (calibrated !== null && calibrated !== undefined) {
+      latest[sensorKey].calibrated = Number(calibrated);
+      latest[sensorKey].unit = units[sensorKey] || '';
+    }
+    return latest;
+  }, {});
+}
+
+// Convert a device timestamp (YYYY-MM-DD HH:MM:SS, server local time) to ISO 8601
+function toIsoTimestamp(timestamp) {
+  const date = new Date(String(timestamp).replace(' ', 'T'));
+  return isNaN(date) ? new Date().toISOString() : date.toISOString();
+}
+
 module.exports = {
   getStatus,
   getSensorStatus,
+  getReadingStatus,
+  formatLatestReading,
+  toIsoTimestamp,
+  getSensorThresholds,
+  getThresholdWindows,
+  setSensorThresholds,
+  setFieldStageThresholds,
+  getStagedFields,
+  mergeThresholds,
+  SENSOR_KEYS,
   SENSOR_THRESHOLDS
 };
@@ -0,0 +1,77 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Box, Alert, Button } from '@mui/material';
+import { buildApiUrl, apiFetch } from './utils';
+
+const MAX_VISIBLE_ALERTS = 3;
+
+// MUI alert colours for each alert severity
+export const ALERT_SEVERITY_COLORS = {
+  critical: 'error',
+  warning: 'warning',
+  info: 'info'
+};
+
+function AlertBanner({ refreshKey, canManage }) {
+  const [alerts, setAlerts] = useState([]);
+
+  const fetchAlerts = useCallback(async () => {
+    try {
+      const response = await apiFetch(buildApiUrl('/api/alerts', { state: 'active' }));
+      const data = await response.json();
+      setAlerts(Array.isArray(data) ? data : []);
+    } catch (err) {
+      console.error('Error fetching alerts:', err);
+    }
+  }, []);
+
+  // refreshKey changes when the live stream reports an alert change
+  useEffect(() => {
+    fetchAlerts();
+    const interval = setInterval(fetchAlerts, 10000);
+    return () => clearInterval(interval);
+  }, [fetchAlerts, refreshKey]);
+
+  const updateAlert = async (id, action) => {
+    try {
+      await apiFetch(buildApiUrl(`/api/alerts/${id}/${action}`), { method: 'POST' });
+      await fetchAlerts();
+    } catch (err) {
+      console.error(`Error updating alert ${id}:`, err);
+    }
+  };
+
+  if (alerts.length === 0) return null;
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.5, mb: 1 }}>
+      {alerts.slice(0, MAX_VISIBLE_ALERTS).map((alert) => (
+        <Alert
+          key={alert.id}
+          severity={ALERT_SEVERITY_COLORS[alert.severity] || 'warning'}
+          variant={alert.state === 'open' ? 'filled' : 'standard'}
+          action={canManage && (
+            <>
+              {alert.state === 'open' && (
+                <Button color="inherit" size="small" onClick={() => updateAlert(alert.id, 'acknowledge')}>
+                  Acknowledge
+                </Button>
+              )}
+              <Button color="inherit" size="small" onClick={() => updateAlert(alert.id, 'resolve')}>
+                Resolve
+              </Button>
+            </>
+          )}
+        >
+          [{alert.field || alert.deviceId}] {alert.message} · since {new Date(alert.openedAt).toLocaleString()}
+        </Alert>
+      ))}
+      {alerts.length > MAX_VISIBLE_ALERTS && (
+        <Alert severity="info" variant="outlined">
+          {alerts.length - MAX_VISIBLE_ALERTS} more active alerts, see the alert history
+        </Alert>
+      )}
+    </Box>
+  );
+}
+
+export default AlertBanner;
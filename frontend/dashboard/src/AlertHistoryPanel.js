@@ -0,0 +1,106 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Chip,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { buildApiUrl, apiFetch } from './utils';
+import { ALERT_SEVERITY_COLORS } from './AlertBanner';
+
+const ALERT_STATE_COLORS = {
+  open: 'error',
+  acknowledged: 'warning',
+  resolved: 'success'
+};
+
+function AlertHistoryPanel({ deviceId, refreshKey }) {
+  const [alerts, setAlerts] = useState([]);
+  const [stateFilter, setStateFilter] = useState('');
+
+  useEffect(() => {
+    const fetchAlerts = async () => {
+      try {
+        const response = await apiFetch(buildApiUrl('/api/alerts', { deviceId, state: stateFilter, limit: 100 }));
+        const data = await response.json();
+        setAlerts(Array.isArray(data) ? data : []);
+      } catch (err) {
+        console.error('Error fetching alert history:', err);
+      }
+    };
+
+    fetchAlerts();
+    const interval = setInterval(fetchAlerts, 30000);
+    return () => clearInterval(interval);
+  }, [deviceId, stateFilter, refreshKey]);
+
+  return (
+    <Paper elevation={4} className="main-card" sx={{ height: '100%', padding: '12px' }}>
+      <Box sx={{ display: 'flex', alignItems: 'flex-start', justifyContent: 'space-between', pb: 0.5, mb: 1, borderBottom: '1px solid #e0e0e0' }}>
+        <Typography variant="h6" className="card-title" sx={{ mb: 0, borderBottom: 'none', pb: 0 }}>
+          🔔 Alert History
+        </Typography>
+        <FormControl size="small" sx={{ minWidth: 140 }}>
+          <InputLabel>State</InputLabel>
+          <Select value={stateFilter} label="State" onChange={(e) => setStateFilter(e.target.value)}>
+            <MenuItem value="">All</MenuItem>
+            <MenuItem value="active">Active</MenuItem>
+            <MenuItem value="open">Open</MenuItem>
+            <MenuItem value="acknowledged">Acknowledged</MenuItem>
+            <MenuItem value="resolved">Resolved</MenuItem>
+          </Select>
+        </FormControl>
+      </Box>
+
+      <TableContainer sx={{ maxHeight: 260 }}>
+        <Table stickyHeader size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell sx={{ fontWeight: 'bold' }}>Opened</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }}>Alert</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }} align="center">Severity</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }} align="center">State</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }}>Resolved</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {alerts.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={5} align="center" sx={{ color: '#757575' }}>
+                  No alerts
+                </TableCell>
+              </TableRow>
+            )}
+            {alerts.map((alert) => (
+              <TableRow key={alert.id} hover>
+                <TableCell>{new Date(alert.openedAt).toLocaleString()}</TableCell>
+                <TableCell>{alert.message}</TableCell>
+                <TableCell align="center">
+                  <Chip label={alert.severity.toUpperCase()} color={ALERT_SEVERITY_COLORS[alert.severity] || 'default'} size="small" />
+                </TableCell>
+                <TableCell align="center">
+                  <Chip label={alert.state.toUpperCase()} color={ALERT_STATE_COLORS[alert.state] || 'default'} size="small" variant="outlined" />
+                </TableCell>
+                <TableCell>
+                  {alert.resolvedAt ? `${new Date(alert.resolvedAt).toLocaleString()} (${alert.resolvedBy})` : '-'}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+}
+
+export default AlertHistoryPanel;
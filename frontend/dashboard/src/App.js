@@ -1,23 +1,18 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { 
   Box, 
   Container, 
   Grid, 
   Paper, 
   Typography, 
-  Table,
-  TableBody,
-  TableCell,
-  TableContainer,
-  TableHead,
-  TableRow,
-  TextField,
   IconButton,
   Tooltip,
   Select,
   MenuItem,
   FormControl,
-  InputLabel
+  InputLabel,
+  ListSubheader,
+  Chip
 } from '@mui/material';
 import { Line } from 'react-chartjs-2';
 import {
@@ -29,7 +24,46 @@ import {
   Tooltip as ChartTooltip
 } from 'chart.js';
 import InfoIcon from '@mui/icons-material/Info';
-import { getSensorStatus } from './utils';
+import SettingsIcon from '@mui/icons-material/Settings';
+import TuneIcon from '@mui/icons-material/Tune';
+import LogoutIcon from '@mui/icons-material/Logout';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import FileUploadIcon from '@mui/icons-material/FileUpload';
+import DescriptionIcon from '@mui/icons-material/Description';
+import {
+  getSensorStatus,
+  buildApiUrl,
+  apiFetch,
+  hasRole,
+  loadSession,
+  saveSession,
+  setUnauthorizedHandler,
+  groupDevicesByField,
+  mapEventsToLabels,
+  bucketForWindow,
+  aggregatesToChartData,
+  appendReadingToChartData,
+  formatCalibratedValue,
+  formatChartLabel,
+  SENSOR_THRESHOLDS
+} from './utils';
+import ThresholdSettingsDialog from './ThresholdSettingsDialog';
+import PumpControlPanel from './PumpControlPanel';
+import WaterUsageCard from './WaterUsageCard';
+import AlertBanner from './AlertBanner';
+import AlertHistoryPanel from './AlertHistoryPanel';
+import useLiveUpdates from './useLiveUpdates';
+import LoginPage from './LoginPage';
+import ExportDialog from './ExportDialog';
+import ImportDialog from './ImportDialog';
+import SensorHistoryTable from './SensorHistoryTable';
+import CalibrationDialog from './CalibrationDialog';
+import DerivedMetricsPanel from './DerivedMetricsPanel';
+import CropDialog from './CropDialog';
+import DeviceHealthPanel, { formatAgo } from './DeviceHealthPanel';
+import IrrigationSchedulePanel from './IrrigationSchedulePanel';
+import ReportsPage from './ReportsPage';
+import ComparisonDialog from './ComparisonDialog';
 import './App.css';
 
 ChartJS.register(
@@ -40,7 +74,15 @@ ChartJS.register(
   ChartTooltip
 );
 
-function App() {
+const ANOMALY_COLOR = '#9c27b0';
+
+const LIVE_STATUS_LABELS = {
+  connecting: 'Connecting...',
+  live: '● Live',
+  polling: 'Polling'
+};
+
+function Dashboard({ user, onLogout, onOpenReports }) {
   const [sensorData, setSensorData] = useState({
     temperature: { value: 0, status: 'medium' },
     humidity: { value: 0, status: 'medium' },
@@ -57,8 +99,28 @@ function App() {
   });
 
   const [timeRange, setTimeRange] = useState('current');
-  const [tableData, setTableData] = useState([]);
-  const [searchDate, setSearchDate] = useState('');
+  const [devices, setDevices] = useState([]);
+  const [selectedDevice, setSelectedDevice] = useState('');
+  const [thresholds, setThresholds] = useState(SENSOR_THRESHOLDS);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [calibrationOpen, setCalibrationOpen] = useState(false);
+  const [cropOpen, setCropOpen] = useState(false);
+  const [fieldCrops, setFieldCrops] = useState([]);
+  const [cropVersion, setCropVersion] = useState(0);
+  const [exportOpen, setExportOpen] = useState(false);
+  const [compareOpen, setCompareOpen] = useState(false);
+  const [importOpen, setImportOpen] = useState(false);
+  const [importVersion, setImportVersion] = useState(0);
+  const [alertVersion, setAlertVersion] = useState(0);
+  const [tableVersion, setTableVersion] = useState(0);
+  // Newest reading pushed by the backend, the history table decides whether it shows
+  const [liveReading, setLiveReading] = useState(null);
+  const [irrigationEvents, setIrrigationEvents] = useState([]);
+  const [tableRange, setTableRange] = useState({ from: '', to: '' });
+  const [soilForecast, setSoilForecast] = useState(null);
+  const [deviceHealth, setDeviceHealth] = useState([]);
+  const [excludeAnomalies, setExcludeAnomalies] = useState(false);
+  const [anomalyVersion, setAnomalyVersion] = useState(0);
   const [averageSensorData, setAverageSensorData] = useState({
     temperature: 0,
     humidity: 0,
@@ -70,51 +132,167 @@ function App() {
 
 
 
+  useEffect(() => {
+    const fetchDevices = async () => {
+      try {
+        const response = await apiFetch(buildApiUrl('/api/devices'));
+        const deviceList = await response.json();
+        if (Array.isArray(deviceList)) {
+          setDevices(deviceList);
+          setSelectedDevice((current) => current || deviceList[0]?.deviceId || '');
+        }
+      } catch (error) {
+        console.error('Error fetching devices:', error);
+      }
+    };
+    fetchDevices();
+
+    const fetchThresholds = async () => {
+      try {
+        const response = await apiFetch(buildApiUrl('/api/config/thresholds'));
+        if (response.ok) {
+          setThresholds(await response.json());
+        }
+      } catch (error) {
+        console.error('Error fetching thresholds:', error);
+      }
+    };
+    fetchThresholds();
+  }, []);
+
+  // Crops planted per field; stages move on with the days, so refresh hourly
+  useEffect(() => {
+    const fetchFieldCrops = async () => {
+      try {
+        const response = await apiFetch(buildApiUrl('/api/fields/crops'));
+        const data = await response.json();
+        if (Array.isArray(data)) setFieldCrops(data);
+      } catch (error) {
+        console.error('Error fetching field crops:', error);
+      }
+    };
+    fetchFieldCrops();
+    const interval = setInterval(fetchFieldCrops, 3600000);
+    return () => clearInterval(interval);
+  }, [cropVersion]);
+
+  // The selected device's field decides which crop stage thresholds apply
+  const selectedField = devices.find((device) => device.deviceId === selectedDevice)?.field || '';
+  const fieldCrop = fieldCrops.find((entry) => entry.field === selectedField);
+  const activeThresholds = fieldCrop?.thresholds || thresholds;
+
+  // Apply a reading pushed by the backend without refetching everything
+  const handleReading = useCallback(({ reading }) => {
+    setSensorData(reading.latest);
+
+    // Flagged readings stay off the graphs while anomalies are hidden
+    const anomalous = Object.keys(reading.anomalies || {}).length > 0;
+    if (!(excludeAnomalies && anomalous)) {
+      const hours = timeRange === 'current' ? 1 : Number(timeRange);
+      const windowStart = Date.now() - hours * 3600000;
+      setHistoricalData((current) =>
+        appendReadingToChartData(current, reading.timestamp, reading.latest, windowStart, activeThresholds, reading.derived, reading.anomalies)
+      );
+    }
+    setLiveReading(reading);
+  }, [timeRange, activeThresholds, excludeAnomalies]);
+
+  // Imported history can land anywhere in the charts and table, so reload them
+  const handleImported = useCallback(() => setImportVersion((version) => version + 1), []);
+
+  const liveStatus = useLiveUpdates(selectedDevice, {
+    onReading: handleReading,
+    onIrrigation: ({ event }) => setIrrigationEvents((current) => [...current, event]),
+    onAlert: () => setAlertVersion((version) => version + 1)
+  });
+
   useEffect(() => {
     const fetchData = async () => {
       try {
-        const latestResponse = await fetch('http://localhost:3001/api/sensors/latest');
+        const scope = { deviceId: selectedDevice };
+
+        const latestResponse = await apiFetch(buildApiUrl('/api/sensors/latest', scope));
         const latestData = await latestResponse.json();
         setSensorData(latestData);
 
-        let historicalUrl = 'http://localhost:3001/api/sensors/historical';
+        // "Current" shows the latest raw readings, longer windows are downsampled
+        const hours = timeRange === 'current' ? 1 : timeRange;
+        const graphScope = { ...scope, hours, excludeAnomalies: excludeAnomalies ? 'true' : '' };
         if (timeRange === 'current') {
-          historicalUrl += '?hours=1';
+          const historicalResponse = await apiFetch(buildApiUrl('/api/sensors/historical', graphScope));
+          setHistoricalData(await historicalResponse.json());
         } else {
-          historicalUrl += `?hours=${timeRange}`;
-        }
-        const historicalResponse = await fetch(historicalUrl);
-        const newHistoricalData = await historicalResponse.json();
-        setHistoricalData(newHistoricalData);
-
-        const tableResponse = await fetch('http://localhost:3001/api/sensors/table');
-        let tableData = await tableResponse.json();
-        if (!Array.isArray(tableData)) {
-          tableData = [];
+          const aggregateUrl = buildApiUrl('/api/sensors/aggregate', { ...graphScope, bucket: bucketForWindow(hours) });
+          const aggregateResponse = await apiFetch(aggregateUrl);
+          if (aggregateResponse.ok) {
+            setHistoricalData(aggregatesToChartData(await aggregateResponse.json()));
+          }
         }
-        setTableData(tableData);
+
+        const eventsResponse = await apiFetch(buildApiUrl('/api/irrigation/events', { ...scope, hours }));
+        const events = await eventsResponse.json();
+        setIrrigationEvents(Array.isArray(events) ? events : []);
+        setTableVersion((version) => version + 1);
       } catch (error) {
         console.error('Error fetching data:', error);
       }
     };
 
+    // Load everything once; keep polling only while the live stream is down
     fetchData();
+    if (liveStatus === 'live') return undefined;
     const interval = setInterval(fetchData, 5000);
     return () => clearInterval(interval);
-  }, [timeRange]);
+  }, [timeRange, selectedDevice, liveStatus, importVersion, excludeAnomalies, anomalyVersion]);
+
+  // Drying forecast for the soil moisture graph, refreshed every minute
+  useEffect(() => {
+    if (!selectedDevice) return undefined;
+    const fetchForecast = async () => {
+      try {
+        const response = await apiFetch(buildApiUrl('/api/sensors/forecast', { deviceId: selectedDevice }));
+        setSoilForecast(response.ok ? await response.json() : null);
+      } catch (error) {
+        console.error('Error fetching soil forecast:', error);
+      }
+    };
+    fetchForecast();
+    const interval = setInterval(fetchForecast, 60000);
+    return () => clearInterval(interval);
+  }, [selectedDevice, importVersion]);
+
+  // Heartbeat and sensor fault state of every device, refreshed every minute
+  useEffect(() => {
+    const fetchHealth = async () => {
+      try {
+        const response = await apiFetch(buildApiUrl('/api/devices/health'));
+        const data = await response.json();
+        setDeviceHealth(Array.isArray(data) ? data : []);
+      } catch (error) {
+        console.error('Error fetching device health:', error);
+      }
+    };
+    fetchHealth();
+    const interval = setInterval(fetchHealth, 60000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const selectedHealth = deviceHealth.find((device) => device.deviceId === selectedDevice);
 
   useEffect(() => {
     const fetchAverage = async () => {
       try {
-        let url = 'http://localhost:3001/api/sensors/average';
-        if (searchDate) {
-          url += `?date=${searchDate}`;
+        const params = { deviceId: selectedDevice, excludeAnomalies: excludeAnomalies ? 'true' : '' };
+        if (tableRange.from) {
+          // Follow the date range picked for the history table
+          params.from = new Date(tableRange.from).toISOString();
+          if (tableRange.to) params.to = new Date(tableRange.to).toISOString();
         } else if (timeRange === 'current') {
-          url += '?hours=1';
+          params.hours = 1;
         } else if (timeRange) {
-          url += `?hours=${timeRange}`;
+          params.hours = timeRange;
         }
-        const res = await fetch(url);
+        const res = await apiFetch(buildApiUrl('/api/sensors/average', params));
         const data = await res.json();
         setAverageSensorData(data);
       } catch (err) {
@@ -129,7 +307,7 @@ function App() {
       }
     };
     fetchAverage();
-  }, [timeRange, searchDate]);
+  }, [timeRange, tableRange, selectedDevice, excludeAnomalies, anomalyVersion]);
 
   const getStatusColor = (status, sensorKey) => {
     if (sensorKey === 'airQualityPPM') {
@@ -210,7 +388,8 @@ function App() {
 
 
 
-  const SensorCard = ({ sensorKey, title, value, status }) => (
+  // Calibrated sensors show their calibrated value, the raw reading moves to the tooltip
+  const SensorCard = ({ sensorKey, title, value, status, calibrated, unit }) => (
     <Paper
       elevation={3}
       className={`sensor-card ${sensorKey} status-${status}`}
@@ -223,7 +402,7 @@ function App() {
         <Typography variant="caption" component="div" className="sensor-title">
           {title}
         </Typography>
-        <Tooltip title={`Status: ${status.toUpperCase()}`}>
+        <Tooltip title={`Status: ${status.toUpperCase()}${calibrated !== undefined ? ` · Raw: ${value}` : ''}`}>
           <IconButton size="small">
             <InfoIcon style={{ color: getStatusColor(status, sensorKey), fontSize: '0.75rem' }} />
           </IconButton>
@@ -231,7 +410,7 @@ function App() {
       </Box>
       <Box className="sensor-value-container">
         <Typography variant="h6" component="div" className="sensor-value" style={{ color: getStatusColor(status, sensorKey) }}>
-          {value}
+          {calibrated !== undefined ? formatCalibratedValue(calibrated, unit) : value}
         </Typography>
         <Typography variant="caption" className="sensor-status" sx={{ fontSize: '0.6rem' }}>
           {status}
@@ -263,6 +442,30 @@ function App() {
     );
   };
 
+  const DeviceSelector = () => {
+    const groups = groupDevicesByField(devices);
+    return (
+      <FormControl size="small" sx={{ minWidth: 200 }}>
+        <InputLabel>Field / Device</InputLabel>
+        <Select
+          value={selectedDevice}
+          label="Field / Device"
+          onChange={(e) => setSelectedDevice(e.target.value)}
+          disabled={devices.length === 0}
+        >
+          {Object.entries(groups).flatMap(([field, fieldDevices]) => [
+            <ListSubheader key={`field-${field}`}>{field}</ListSubheader>,
+            ...fieldDevices.map((device) => (
+              <MenuItem key={device.deviceId} value={device.deviceId}>
+                {device.name || device.deviceId}
+              </MenuItem>
+            ))
+          ])}
+        </Select>
+      </FormControl>
+    );
+  };
+
   const SensorGraph = ({ sensorKey, title }) => {
     const options = {
       responsive: true,
@@ -281,6 +484,22 @@ function App() {
                 return context[0].label;
               }
               return '';
+            },
+            label: (context) => {
+              const events = context.dataset.events?.[context.dataIndex];
+              if (events) {
+                return events.map((event) => `Pump ${event.event} (${event.reason.replace(/_/g, ' ')})`);
+              }
+              const range = context.datasetIndex === 0 && ranges?.[context.dataIndex];
+              const status = context.datasetIndex === 0 && context.dataset.statuses?.[context.dataIndex];
+              const statusText = status ? ` · ${status.toUpperCase()}` : '';
+              const anomaly = context.datasetIndex === 0 && context.dataset.anomalies?.[context.dataIndex];
+              if (range) {
+                const anomalyText = anomaly ? ` · ${anomaly} anomalous` : '';
+                return `${context.dataset.label}: avg ${context.formattedValue} (min ${range.min}, max ${range.max})${statusText}${anomalyText}`;
+              }
+              const anomalyText = anomaly ? ` · ANOMALY (score ${anomaly})` : '';
+              return `${context.dataset.label}: ${context.formattedValue}${statusText}${anomalyText}`;
             }
           }
         }
@@ -336,35 +555,96 @@ function App() {
       options.scales.y.max = 1000;
       options.scales.y.ticks.stepSize = 100;
     }
+
+    // Raw readings show the last few points; aggregated windows show every bucket
+    const visiblePoints = historicalData.bucketSeconds ? undefined : -10;
+    let labels = (historicalData.labels || []).slice(visiblePoints);
+    const values = (historicalData.datasets[sensorKey] || []).slice(visiblePoints);
+    const ranges = historicalData.ranges?.[sensorKey];
+    const lineColor = getStatusColor(sensorData[sensorKey]?.status || 'medium', sensorKey);
+    // Each point is coloured by its own reading's status; aggregated lines
+    // only mark the buckets that are out of range
+    const statuses = (historicalData.statuses?.[sensorKey] || []).slice(visiblePoints);
+    // Anomalous readings (or buckets holding any) stand out as purple diamonds
+    const anomalies = (historicalData.anomalies?.[sensorKey] || []).slice(visiblePoints);
+    const pointColors = values.map((value, i) => (anomalies[i] ? ANOMALY_COLOR : statuses[i] ? getStatusColor(statuses[i], sensorKey) : lineColor));
+    const pointRadii = values.map((value, i) => (anomalies[i] ? 5 : !historicalData.bucketSeconds ? 3 : statuses[i] && statuses[i] !== 'medium' ? 3 : 0));
+    const pointStyles = values.map((value, i) => (anomalies[i] ? 'rectRot' : 'circle'));
+    const extraDatasets = [];
+
+    // Mark watering events on the soil moisture graph
+    if (sensorKey === 'soilMoisture') {
+      const eventSlots = mapEventsToLabels(labels, irrigationEvents);
+      if (eventSlots.some(Boolean)) {
+        extraDatasets.push({
+          label: 'Watering',
+          data: eventSlots.map((events, i) => (events ? values[i] : null)),
+          events: eventSlots,
+          showLine: false,
+          pointStyle: 'triangle',
+          pointRadius: 7,
+          pointHoverRadius: 8,
+          pointBackgroundColor: '#2196f3',
+          pointBorderColor: '#ffffff',
+          pointBorderWidth: 1
+        });
+      }
+
+      // Continue the line with the projected drying curve, dashed
+      const forecast = soilForecast?.forecast || [];
+      if (forecast.length > 1 && values.length > 0) {
+        labels = [...labels, ...forecast.slice(1).map((point) => formatChartLabel(new Date(point.timestamp)))];
+        extraDatasets.push({
+          label: 'Forecast',
+          data: [...values.slice(0, -1).map(() => null), ...forecast.map((point) => point.soilMoisture)],
+          borderColor: lineColor,
+          borderDash: [6, 4],
+          borderWidth: 2,
+          pointRadius: 0,
+          pointHoverRadius: 4,
+          fill: false,
+          tension: 0
+        });
+      }
+    }
   
     return (
       <Paper elevation={3} className="graph-container" sx={{ height: '100%' }}>
         <Typography variant="caption" className="graph-title" sx={{ fontSize: '0.7rem', p: 0.5 }}>
           {getSensorIcon(sensorKey)} {title}
+          {sensorKey === 'soilMoisture' && soilForecast?.nextIrrigation && (
+            <Box component="span" sx={{ color: '#2196f3', ml: 1 }}>
+              {soilForecast.status === 'below_threshold'
+                ? '· irrigation due now'
+                : `· next irrigation ${new Date(soilForecast.nextIrrigation).toLocaleString('en-US', { weekday: 'short', hour: '2-digit', minute: '2-digit', hour12: false })} (drying ${soilForecast.dryingRatePerHour}/h)`}
+            </Box>
+          )}
         </Typography>
         <Box className="graph-content" sx={{ height: 'calc(100% - 25px)' }}>
           <Line
             data={{
-              labels: (historicalData.labels || []).slice(-10),
+              labels,
               datasets: [{
                 label: title,
-                data: (historicalData.datasets[sensorKey] || []).slice(-10),
-                borderColor: getStatusColor(sensorData[sensorKey]?.status || 'medium', sensorKey),
-                backgroundColor: `${getStatusColor(sensorData[sensorKey]?.status || 'medium', sensorKey)}10`,
+                data: values,
+                statuses,
+                anomalies,
+                borderColor: lineColor,
+                backgroundColor: `${lineColor}10`,
                 tension: 0.4,
                 fill: true,
                 borderWidth: 2,
-                pointRadius: 3,
-                pointStyle: 'circle',
-                pointBackgroundColor: getStatusColor(sensorData[sensorKey]?.status || 'medium', sensorKey),
+                pointRadius: pointRadii,
+                pointStyle: pointStyles,
+                pointBackgroundColor: pointColors,
                 pointBorderColor: '#ffffff',
                 pointBorderWidth: 1,
                 pointHoverRadius: 5,
-                pointHoverBackgroundColor: getStatusColor(sensorData[sensorKey]?.status || 'medium', sensorKey),
+                pointHoverBackgroundColor: pointColors,
                 pointHoverBorderColor: '#ffffff',
                 pointHoverBorderWidth: 2,
                 spanGaps: true
-              }]
+              }, ...extraDatasets]
             }}
                          options={{
                ...options,
@@ -401,15 +681,11 @@ function App() {
     );
   };
 
-  const filteredTableData = tableData.filter(row => {
-    if (!searchDate) return true;
-    const date = new Date(row.timestamp);
-    if (!row.timestamp || isNaN(date)) {
-      return false;
-    }
-    const rowDate = date.toISOString().split('T')[0];
-    return rowDate.includes(searchDate);
-  });
+  // Units of the selected device's calibrated sensors, from its latest reading
+  const calibrationUnits = Object.keys(sensorData).reduce((units, key) => {
+    if (sensorData[key].unit !== undefined) units[key] = sensorData[key].unit;
+    return units;
+  }, {});
 
   return (
     <Box className="dashboard-container">
@@ -419,16 +695,76 @@ function App() {
           <Typography variant="h4" component="h1" className="dashboard-title">
             Smart Agriculture Dashboard
           </Typography>
-          <Typography variant="h6" className="dashboard-date">
-            {new Date().toLocaleDateString('en-US', { 
-              weekday: 'long', 
-              year: 'numeric', 
-              month: 'long', 
-              day: 'numeric' 
-            })}
-          </Typography>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+            <DeviceSelector />
+            {selectedField && (fieldCrop || hasRole(user, 'admin')) && (
+              <Tooltip
+                title={
+                  fieldCrop?.stage
+                    ? `Planted ${fieldCrop.plantedOn} · ${fieldCrop.stage.name} since ${fieldCrop.stage.startedOn}${fieldCrop.stage.endsOn ? ` until ${fieldCrop.stage.endsOn}` : ''}`
+                    : fieldCrop
+                      ? `Planting on ${fieldCrop.plantedOn}`
+                      : `Assign a crop to ${selectedField}`
+                }
+              >
+                <Chip
+                  size="small"
+                  color={fieldCrop ? 'success' : 'default'}
+                  variant={fieldCrop ? 'filled' : 'outlined'}
+                  label={
+                    fieldCrop
+                      ? `🌱 ${fieldCrop.cropName} · ${fieldCrop.stage ? `${fieldCrop.stage.name} (day ${fieldCrop.daysSincePlanting + 1})` : 'Not planted yet'}`
+                      : '🌱 No crop'
+                  }
+                  onClick={hasRole(user, 'admin') ? () => setCropOpen(true) : undefined}
+                />
+              </Tooltip>
+            )}
+            <Tooltip title={liveStatus === 'live' ? 'Receiving live updates' : 'Live updates unavailable, refreshing every 5 seconds'}>
+              <Chip
+                size="small"
+                label={LIVE_STATUS_LABELS[liveStatus]}
+                color={liveStatus === 'live' ? 'success' : liveStatus === 'polling' ? 'warning' : 'default'}
+              />
+            </Tooltip>
+            <Tooltip title="Daily and weekly reports">
+              <IconButton onClick={onOpenReports}>
+                <DescriptionIcon />
+              </IconButton>
+            </Tooltip>
+            {hasRole(user, 'admin') && (
+              <Tooltip title="Sensor thresholds">
+                <IconButton onClick={() => setSettingsOpen(true)}>
+                  <SettingsIcon />
+                </IconButton>
+              </Tooltip>
+            )}
+            {hasRole(user, 'admin') && (
+              <Tooltip title="Sensor calibration">
+                <IconButton onClick={() => setCalibrationOpen(true)}>
+                  <TuneIcon />
+                </IconButton>
+              </Tooltip>
+            )}
+            <Typography variant="h6" className="dashboard-date">
+              {new Date().toLocaleDateString('en-US', { 
+                weekday: 'long', 
+                year: 'numeric', 
+                month: 'long', 
+                day: 'numeric' 
+              })}
+            </Typography>
+            <Chip size="small" variant="outlined" label={`${user.username} · ${user.role}`} />
+            <Tooltip title="Log out">
+              <IconButton onClick={onLogout}>
+                <LogoutIcon />
+              </IconButton>
+            </Tooltip>
+          </Box>
         </Box>
 
+        <AlertBanner refreshKey={alertVersion} canManage={hasRole(user, 'operator')} />
+
         <Grid container spacing={1} sx={{ height: 'calc(100vh - 140px)' }}>
           {/* TOP ROW */}
           <Grid item xs={12} sx={{ height: 'calc(45% - 8px)' }}>
@@ -438,6 +774,14 @@ function App() {
                 <Paper elevation={4} className="main-card" sx={{ height: '100%', padding: '12px' }}>
                   <Typography variant="h6" gutterBottom className="card-title" sx={{ mb: 1 }}>
                     📊 Latest Sensor Data
+                    {selectedHealth?.silent && (
+                      <Chip
+                        size="small"
+                        color="error"
+                        label={`Stale · last reading ${formatAgo(selectedHealth.lastReadingAt)}`}
+                        sx={{ ml: 1 }}
+                      />
+                    )}
                   </Typography>
                   <Box className="sensor-cards-container">
                     {Array.from({ length: 3 }).map((_, rowIdx) => (
@@ -449,6 +793,8 @@ function App() {
                               title={getSensorName(key)}
                               value={sensorData[key].value}
                               status={sensorData[key].status}
+                              calibrated={sensorData[key].calibrated}
+                              unit={sensorData[key].unit}
                             />
                           </Box>
                         ))}
@@ -459,66 +805,37 @@ function App() {
               </Grid>
 
               <Grid item xs={6} sx={{ height: '100%' }}>
-                <Paper elevation={4} className="table-card" sx={{ height: '100%', padding: '12px' }}>
-                  <Box className="table-header" sx={{ display: 'flex', alignItems: 'flex-start', justifyContent: 'space-between', pb: 0.5, mb: 1, borderBottom: '1px solid #e0e0e0' }}>
-                    <Typography variant="h6" className="card-title" sx={{ mb: 0, borderBottom: 'none', pb: 0 }}>
-                      📊 Sensor Data History
-                    </Typography>
-                    <TextField
-                      label="Search by Date"
-                      variant="outlined"
-                      size="small"
-                      value={searchDate}
-                      onChange={(e) => setSearchDate(e.target.value)}
-                      className="search-field"
-                      sx={{ marginLeft: 'auto', position: 'relative', top: '-4px', '& .MuiInputBase-input': { fontSize: '0.8rem' } }}
-                    />
-                  </Box>
-                  <TableContainer className="table-container" sx={{ maxHeight: 'calc(100% - 60px)', overflowY: 'auto', width: '100%' }}>
-                    <Table stickyHeader size="small">
-                      <TableHead>
-                        <TableRow>
-                          <TableCell sx={{ borderRadius: '8px 0 0 0', fontWeight: 'bold' }}>Date</TableCell>
-                          <TableCell sx={{ fontWeight: 'bold' }}>Time</TableCell>
-                          {Object.keys(sensorData).map((key) => (
-                            <TableCell key={key} align="center" sx={{ fontWeight: 'bold' }}>
-                              {getSensorIcon(key)} {getSensorName(key)}
-                            </TableCell>
-                          ))}
-                        </TableRow>
-                      </TableHead>
-                      <TableBody>
-                        {filteredTableData.map((row, index) => {
-                          const date = new Date(row.timestamp);
-                          const isDateValid = row.timestamp && !isNaN(date);
-
-                          return (
-                            <TableRow key={index} hover>
-                              <TableCell>
-                                {isDateValid ? date.toLocaleDateString() : 'N/A'}
-                              </TableCell>
-                              <TableCell>
-                                {isDateValid ? date.toLocaleTimeString() : 'N/A'}
-                              </TableCell>
-                              {Object.keys(sensorData).map((key) => (
-                                <TableCell key={key} align="center">
-                                  <Box className="table-cell-value">
-                                    <Typography variant="body2" className="table-value" style={{ color: getStatusColor(sensorData[key]?.status, key) }}>
-                                      {row[key] || '-'}
-                                    </Typography>
-                                    <Typography variant="caption" className="table-status">
-                                      {sensorData[key]?.status.toUpperCase()}
-                                    </Typography>
-                                  </Box>
-                                </TableCell>
-                              ))}
-                            </TableRow>
-                          );
-                        })}
-                      </TableBody>
-                    </Table>
-                  </TableContainer>
-                </Paper>
+                <SensorHistoryTable
+                  deviceId={selectedDevice}
+                  refreshKey={tableVersion}
+                  liveReading={liveReading}
+                  excludeAnomalies={excludeAnomalies}
+                  canReview={hasRole(user, 'operator')}
+                  onAnomalyDismissed={() => setAnomalyVersion((version) => version + 1)}
+                  range={tableRange}
+                  onRangeChange={setTableRange}
+                  sensorKeys={Object.keys(sensorData)}
+                  units={calibrationUnits}
+                  getSensorName={getSensorName}
+                  getSensorIcon={getSensorIcon}
+                  getStatusColor={getStatusColor}
+                  actions={
+                    <>
+                      <Tooltip title="Export sensor history">
+                        <IconButton size="small" onClick={() => setExportOpen(true)}>
+                          <FileDownloadIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      {hasRole(user, 'admin') && (
+                        <Tooltip title="Import readings from CSV">
+                          <IconButton size="small" onClick={() => setImportOpen(true)}>
+                            <FileUploadIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                    </>
+                  }
+                />
               </Grid>
             </Grid>
           </Grid>
@@ -533,7 +850,25 @@ function App() {
                     <Typography variant="h6" className="card-title" sx={{ mb: 0, borderBottom: 'none', pb: 0 }}>
                       📈 Historical Trends
                     </Typography>
-                    <Box sx={{ mt: '-2px' }}>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: '-2px' }}>
+                      <Tooltip title="Overlay days or devices on one chart">
+                        <Chip size="small" label="Compare" variant="outlined" onClick={() => setCompareOpen(true)} />
+                      </Tooltip>
+                      <Tooltip
+                        title={
+                          excludeAnomalies && historicalData.unfilteredUntil
+                            ? `Anomalies before ${new Date(historicalData.unfilteredUntil).toLocaleDateString()} were summarised by an older version and are still counted`
+                            : 'Leave readings flagged as anomalous out of the graphs and averages'
+                        }
+                      >
+                        <Chip
+                          size="small"
+                          label="Hide anomalies"
+                          color={excludeAnomalies ? 'secondary' : 'default'}
+                          variant={excludeAnomalies ? 'filled' : 'outlined'}
+                          onClick={() => setExcludeAnomalies(!excludeAnomalies)}
+                        />
+                      </Tooltip>
                       <TimeRangeSelector />
                     </Box>
                   </Box>
@@ -561,7 +896,7 @@ function App() {
                     {[0, 1, 2].map((rowIdx) => (
                       <Box className="sensor-cards-row" key={rowIdx}>
                         {Object.keys(sensorData).slice(rowIdx * 2, rowIdx * 2 + 2).map((key) => {
-                          const status = getSensorStatus(key, averageSensorData[key]);
+                          const status = getSensorStatus(key, averageSensorData[key], activeThresholds);
                           return (
                             <Box sx={{ flex: 1 }} key={key}>
                               <SensorCard
@@ -581,9 +916,133 @@ function App() {
             </Grid>
           </Grid>
         </Grid>
+
+        {/* CONTROL ROW */}
+        <Grid container spacing={1} sx={{ mt: 1 }}>
+          <Grid item xs={4}>
+            <PumpControlPanel deviceId={selectedDevice} canControl={hasRole(user, 'operator')} />
+          </Grid>
+          <Grid item xs={4}>
+            <WaterUsageCard deviceId={selectedDevice} />
+          </Grid>
+          <Grid item xs={4}>
+            <AlertHistoryPanel deviceId={selectedDevice} refreshKey={alertVersion} />
+          </Grid>
+        </Grid>
+
+        {/* IRRIGATION SCHEDULE ROW */}
+        <Grid container spacing={1} sx={{ mt: 1 }}>
+          <Grid item xs={12}>
+            <IrrigationSchedulePanel deviceId={selectedDevice} devices={devices} canEdit={hasRole(user, 'operator')} />
+          </Grid>
+        </Grid>
+
+        {/* DERIVED METRICS ROW */}
+        <Grid container spacing={1} sx={{ mt: 1 }}>
+          <Grid item xs={12}>
+            <DerivedMetricsPanel deviceId={selectedDevice} historicalData={historicalData} refreshKey={importVersion} />
+          </Grid>
+        </Grid>
+
+        {/* DEVICE HEALTH ROW */}
+        <Grid container spacing={1} sx={{ mt: 1 }}>
+          <Grid item xs={12}>
+            <DeviceHealthPanel health={deviceHealth} selectedDevice={selectedDevice} getSensorName={getSensorName} />
+          </Grid>
+        </Grid>
+
+        <ThresholdSettingsDialog
+          open={settingsOpen}
+          onClose={() => setSettingsOpen(false)}
+          thresholds={thresholds}
+          onSaved={(saved) => {
+            setThresholds(saved);
+            setCropVersion((version) => version + 1);
+          }}
+          getSensorName={getSensorName}
+        />
+
+        <CropDialog
+          open={cropOpen}
+          onClose={() => setCropOpen(false)}
+          field={selectedField}
+          fieldCrop={fieldCrop}
+          onSaved={() => setCropVersion((version) => version + 1)}
+          getSensorName={getSensorName}
+        />
+
+        <ExportDialog
+          open={exportOpen}
+          onClose={() => setExportOpen(false)}
+          deviceId={selectedDevice}
+          getSensorName={getSensorName}
+        />
+
+        <ComparisonDialog
+          open={compareOpen}
+          onClose={() => setCompareOpen(false)}
+          devices={devices}
+          deviceId={selectedDevice}
+          excludeAnomalies={excludeAnomalies}
+          getSensorName={getSensorName}
+        />
+
+        <CalibrationDialog
+          open={calibrationOpen}
+          onClose={() => setCalibrationOpen(false)}
+          deviceId={selectedDevice}
+          getSensorName={getSensorName}
+        />
+
+        <ImportDialog
+          open={importOpen}
+          onClose={() => setImportOpen(false)}
+          onImported={handleImported}
+          devices={devices}
+          deviceId={selectedDevice}
+          getSensorName={getSensorName}
+        />
       </Container>
     </Box>
   );
 }
 
+function App() {
+  const [session, setSession] = useState(loadSession);
+  const [page, setPage] = useState('dashboard');
+
+  const handleLogin = (newSession) => {
+    saveSession(newSession);
+    setSession(newSession);
+  };
+
+  const handleLogout = useCallback(async () => {
+    try {
+      await apiFetch(buildApiUrl('/api/auth/logout'), { method: 'POST' });
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+    saveSession(null);
+    setSession(null);
+    setPage('dashboard');
+  }, []);
+
+  // An expired or revoked session sends the user back to the login screen
+  useEffect(() => {
+    setUnauthorizedHandler(() => {
+      saveSession(null);
+      setSession(null);
+    });
+    return () => setUnauthorizedHandler(null);
+  }, []);
+
+  if (!session) {
+    return <LoginPage onLogin={handleLogin} />;
+  }
+  if (page === 'reports') {
+    return <ReportsPage user={session.user} onBack={() => setPage('dashboard')} onLogout={handleLogout} />;
+  }
+  return <Dashboard user={session.user} onLogout={handleLogout} onOpenReports={() => setPage('reports')} />;
+}
+
 export default App;
\ No newline at end of file
@@ -0,0 +1,234 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Checkbox,
+  FormControl,
+  FormControlLabel,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Select,
+  Typography
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { buildApiUrl, apiFetch, CALIBRATED_SENSORS, INTENSITY_LEVELS } from './utils';
+
+// Starting points for a new profile, matching the usual sensor wiring
+// (higher ADC counts mean drier soil, darker light and less rain)
+const DEFAULT_PROFILES = {
+  soilMoisture: { method: 'linear', unit: '%', points: [{ raw: '1023', value: '0' }, { raw: '350', value: '100' }] },
+  ldrValue: { method: 'linear', unit: 'lux', points: [{ raw: '1023', value: '0' }, { raw: '0', value: '1000' }] },
+  rainValue: {
+    method: 'piecewise',
+    unit: 'level',
+    points: [{ raw: '1023', value: '0' }, { raw: '900', value: '1' }, { raw: '600', value: '2' }, { raw: '300', value: '3' }]
+  },
+  airQualityPPM: { method: 'linear', unit: 'ppm', points: [{ raw: '0', value: '0' }, { raw: '1023', value: '1000' }] }
+};
+
+const toDraft = (profile) => ({
+  method: profile.method,
+  unit: profile.unit,
+  clamp: profile.clamp !== false,
+  points: profile.points.map((point) => ({ raw: String(point.raw), value: String(point.value) }))
+});
+
+function CalibrationDialog({ open, onClose, deviceId, getSensorName }) {
+  const [profiles, setProfiles] = useState({});
+  const [sensor, setSensor] = useState(CALIBRATED_SENSORS[0]);
+  const [draft, setDraft] = useState(toDraft(DEFAULT_PROFILES[CALIBRATED_SENSORS[0]]));
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open || !deviceId) return;
+    const fetchProfiles = async () => {
+      try {
+        const response = await apiFetch(buildApiUrl(`/api/devices/${encodeURIComponent(deviceId)}/calibration`));
+        const data = await response.json();
+        const bySensor = Array.isArray(data) ? Object.fromEntries(data.map((profile) => [profile.sensor, profile])) : {};
+        setProfiles(bySensor);
+        setSensor(CALIBRATED_SENSORS[0]);
+        setDraft(toDraft(bySensor[CALIBRATED_SENSORS[0]] || DEFAULT_PROFILES[CALIBRATED_SENSORS[0]]));
+        setError('');
+      } catch (err) {
+        console.error('Error fetching calibration profiles:', err);
+        setError('Could not load calibration profiles');
+      }
+    };
+    fetchProfiles();
+  }, [open, deviceId]);
+
+  const selectSensor = (key) => {
+    setSensor(key);
+    setDraft(toDraft(profiles[key] || DEFAULT_PROFILES[key]));
+    setError('');
+  };
+
+  const updatePoint = (index, changes) => {
+    setDraft((current) => ({
+      ...current,
+      points: current.points.map((point, pointIndex) => (pointIndex === index ? { ...point, ...changes } : point))
+    }));
+  };
+
+  const setMethod = (method) => {
+    // A linear profile keeps only the first two points
+    setDraft((current) => ({ ...current, method, points: method === 'linear' ? current.points.slice(0, 2) : current.points }));
+  };
+
+  const handleSave = async () => {
+    const points = draft.points.map((point) => ({ raw: Number(point.raw), value: Number(point.value) }));
+    if (draft.points.some((point) => point.raw === '' || point.value === '') || points.some((point) => isNaN(point.raw) || isNaN(point.value))) {
+      setError('Every point needs a raw reading and a value');
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      const response = await apiFetch(buildApiUrl(`/api/devices/${encodeURIComponent(deviceId)}/calibration/${sensor}`), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ method: draft.method, unit: draft.unit, clamp: draft.clamp, points })
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to save calibration');
+      setProfiles((current) => ({ ...current, [sensor]: result }));
+      setDraft(toDraft(result));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const response = await apiFetch(buildApiUrl(`/api/devices/${encodeURIComponent(deviceId)}/calibration/${sensor}`), {
+        method: 'DELETE'
+      });
+      if (!response.ok) {
+        const result = await response.json();
+        throw new Error(result.error || 'Failed to remove calibration');
+      }
+      setProfiles(({ [sensor]: removed, ...rest }) => rest);
+      setDraft(toDraft(DEFAULT_PROFILES[sensor]));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>🎛️ Sensor Calibration</DialogTitle>
+      <DialogContent sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: '8px !important' }}>
+        {!deviceId ? (
+          <Typography variant="body2">Select a device first, calibration is kept per device.</Typography>
+        ) : (
+          <>
+            <Typography variant="body2" sx={{ color: '#666666' }}>
+              Device {deviceId}. Raw readings are always stored; new readings also get the calibrated value.
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <FormControl size="small" sx={{ flex: 1 }}>
+                <InputLabel>Sensor</InputLabel>
+                <Select value={sensor} label="Sensor" onChange={(e) => selectSensor(e.target.value)}>
+                  {CALIBRATED_SENSORS.map((key) => (
+                    <MenuItem key={key} value={key}>
+                      {getSensorName(key)}{profiles[key] ? ' ✓' : ''}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <FormControl size="small" sx={{ flex: 1 }}>
+                <InputLabel>Method</InputLabel>
+                <Select value={draft.method} label="Method" onChange={(e) => setMethod(e.target.value)}>
+                  <MenuItem value="linear">Linear (two points)</MenuItem>
+                  <MenuItem value="piecewise">Piecewise table</MenuItem>
+                </Select>
+              </FormControl>
+              <TextField
+                label="Unit"
+                size="small"
+                value={draft.unit}
+                onChange={(e) => setDraft({ ...draft, unit: e.target.value })}
+                helperText={draft.unit === 'level' ? INTENSITY_LEVELS.map((label, level) => `${level} ${label}`).join(', ') : ''}
+                sx={{ width: 120 }}
+              />
+            </Box>
+
+            {draft.points.map((point, index) => (
+              <Box key={index} sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                <TextField
+                  label="Raw reading"
+                  type="number"
+                  size="small"
+                  value={point.raw}
+                  onChange={(e) => updatePoint(index, { raw: e.target.value })}
+                  sx={{ flex: 1 }}
+                />
+                <TextField
+                  label={`Value${draft.unit ? ` (${draft.unit})` : ''}`}
+                  type="number"
+                  size="small"
+                  value={point.value}
+                  onChange={(e) => updatePoint(index, { value: e.target.value })}
+                  sx={{ flex: 1 }}
+                />
+                {draft.method === 'piecewise' && (
+                  <IconButton
+                    size="small"
+                    disabled={draft.points.length <= 2}
+                    onClick={() => setDraft({ ...draft, points: draft.points.filter((_, pointIndex) => pointIndex !== index) })}
+                  >
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                )}
+              </Box>
+            ))}
+            {draft.method === 'piecewise' && (
+              <Button size="small" onClick={() => setDraft({ ...draft, points: [...draft.points, { raw: '', value: '' }] })} sx={{ alignSelf: 'flex-start' }}>
+                Add point
+              </Button>
+            )}
+            <FormControlLabel
+              control={<Checkbox size="small" checked={draft.clamp} onChange={(e) => setDraft({ ...draft, clamp: e.target.checked })} />}
+              label="Keep values within the calibrated range"
+            />
+          </>
+        )}
+        {error && (
+          <Typography variant="caption" sx={{ color: '#f44336' }}>
+            {error}
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {deviceId && profiles[sensor] && (
+          <Button color="error" onClick={handleRemove} disabled={saving} sx={{ mr: 'auto' }}>
+            Remove
+          </Button>
+        )}
+        <Button onClick={onClose}>Close</Button>
+        {deviceId && (
+          <Button variant="contained" onClick={handleSave} disabled={saving}>
+            Save
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default CalibrationDialog;
@@ -0,0 +1,457 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { Line } from 'react-chartjs-2';
+import { buildApiUrl, apiFetch, formatChartLabel, AGGREGATION_BUCKETS, SENSOR_THRESHOLDS } from './utils';
+
+const SENSOR_KEYS = Object.keys(SENSOR_THRESHOLDS);
+
+const SERIES_COLORS = ['#2196f3', '#f44336', '#4caf50', '#ff9800', '#9c27b0', '#00bcd4'];
+const MAX_SERIES = SERIES_COLORS.length;
+
+// Periods are compared over a day or a Monday-to-Sunday week, with buckets
+// small enough to keep a few hundred points per series
+const PERIOD_LENGTHS = {
+  day: { label: 'Day', hours: 24, bucket: '5m' },
+  week: { label: 'Week', hours: 24 * 7, bucket: '1h' }
+};
+
+const SOURCE_RANGES = [
+  { hours: 6, label: 'Last 6 hours', bucket: '1m' },
+  { hours: 24, label: 'Last 24 hours', bucket: '5m' },
+  { hours: 72, label: 'Last 3 days', bucket: '1h' },
+  { hours: 168, label: 'Last 7 days', bucket: '1h' }
+];
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Value for a date input, in local time
+const toDateValue = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 10);
+};
+
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return toDateValue(date);
+};
+
+// Local midnight a period starts at, weeks starting on Monday
+const periodStart = (value, length) => {
+  const [year, month, day] = value.split('-').map(Number);
+  const start = new Date(year, month - 1, day);
+  if (length === 'week') start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+};
+
+const clockLabel = (minutes) =>
+  `${String(Math.floor(minutes / 60) % 24).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Series sources are devices or whole fields, as "device:<id>" or "field:<name>"
+const sourceScope = (source) => {
+  const [kind, ...rest] = source.split(':');
+  return kind === 'field' ? { field: rest.join(':') } : { deviceId: rest.join(':') };
+};
+
+// Devices and the fields they belong to, as series sources
+const buildSourceOptions = (devices) => {
+  const fields = [...new Set(devices.map((device) => device.field).filter(Boolean))].sort();
+  return [
+    ...devices.map((device) => ({
+      value: `device:${device.deviceId}`,
+      label: `${device.name || device.deviceId}${device.field ? ` (${device.field})` : ''}`
+    })),
+    ...fields.map((field) => ({ value: `field:${field}`, label: `Field: ${field}` }))
+  ];
+};
+
+// Place a series' buckets in the shared slots, counted from its own start
+const toSlots = (buckets, sensorKey, start, bucketMs, slotCount) => {
+  const values = new Array(slotCount).fill(null);
+  buckets.forEach((bucket) => {
+    const index = Math.floor((new Date(bucket.start).getTime() - start) / bucketMs);
+    if (index >= 0 && index < slotCount) values[index] = bucket.sensors[sensorKey]?.avg ?? null;
+  });
+  return values;
+};
+
+// Min, max and reading-weighted average over a series' buckets
+const seriesStats = (buckets, sensorKey) => {
+  const filled = buckets.map((bucket) => bucket.sensors[sensorKey]).filter((stats) => stats && stats.count > 0);
+  if (filled.length === 0) return { min: null, max: null, avg: null, count: 0 };
+  const count = filled.reduce((sum, stats) => sum + stats.count, 0);
+  return {
+    min: Math.min(...filled.map((stats) => stats.min)),
+    max: Math.max(...filled.map((stats) => stats.max)),
+    avg: Math.round((filled.reduce((sum, stats) => sum + stats.avg * stats.count, 0) / count) * 100) / 100,
+    count
+  };
+};
+
+const formatStat = (value) => (value === null ? '-' : Math.round(value * 100) / 100);
+
+// Overlay one sensor from several series on one chart: periods of the same
+// device or field lined up by time of day, or devices and fields over the
+// same range
+function ComparisonDialog({ open, onClose, devices, deviceId, excludeAnomalies, getSensorName }) {
+  const [sensorKey, setSensorKey] = useState('soilMoisture');
+  const [mode, setMode] = useState('periods');
+  const [periodSource, setPeriodSource] = useState('');
+  const [periodLength, setPeriodLength] = useState('day');
+  const [periodDates, setPeriodDates] = useState([daysAgo(0), daysAgo(1)]);
+  const [sources, setSources] = useState([]);
+  const [sourceHours, setSourceHours] = useState(24);
+  const [series, setSeries] = useState([]);
+  const [labels, setLabels] = useState([]);
+  const [hidden, setHidden] = useState([]);
+  const [error, setError] = useState('');
+
+  const sourceOptions = buildSourceOptions(devices);
+
+  // Start from the selected device each time the dialog opens
+  useEffect(() => {
+    if (!open || !deviceId) return;
+    setPeriodSource(`device:${deviceId}`);
+    setSources((current) => (current.length > 0 ? current : [`device:${deviceId}`]));
+  }, [open, deviceId]);
+
+  useEffect(() => {
+    if (!open) return;
+
+    let requests;
+    let slotLabels;
+    if (mode === 'periods') {
+      if (!periodSource) return;
+      const { hours, bucket } = PERIOD_LENGTHS[periodLength];
+      const bucketMs = AGGREGATION_BUCKETS[bucket] * 1000;
+      const slotCount = (hours * 3600000) / bucketMs;
+      const bucketMinutes = bucketMs / 60000;
+      slotLabels = Array.from({ length: slotCount }, (_, index) => {
+        const minutes = index * bucketMinutes;
+        const display = periodLength === 'week' ? `${WEEKDAYS[Math.floor(minutes / 1440)]} ${clockLabel(minutes)}` : clockLabel(minutes);
+        return { display };
+      });
+      requests = periodDates.map((value, index) => {
+        const start = periodStart(value, periodLength);
+        const end = new Date(start);
+        end.setDate(end.getDate() + hours / 24);
+        const label = periodLength === 'week'
+          ? `Week of ${start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`
+          : start.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+        return { key: `${index}:${value}`, label, scope: sourceScope(periodSource), start, end, bucket, bucketMs, slotCount };
+      });
+    } else {
+      const { bucket } = SOURCE_RANGES.find((range) => range.hours === sourceHours);
+      const bucketMs = AGGREGATION_BUCKETS[bucket] * 1000;
+      const end = new Date();
+      // Start on a bucket boundary so every series fills the same slots
+      const start = new Date(Math.floor((end.getTime() - sourceHours * 3600000) / bucketMs) * bucketMs);
+      const slotCount = Math.ceil((end - start) / bucketMs);
+      slotLabels = Array.from({ length: slotCount }, (_, index) => formatChartLabel(new Date(start.getTime() + index * bucketMs)));
+      const options = buildSourceOptions(devices);
+      requests = sources.map((source, index) => ({
+        key: `${index}:${source}`,
+        label: options.find((option) => option.value === source)?.label || source,
+        scope: sourceScope(source),
+        start,
+        end,
+        bucket,
+        bucketMs,
+        slotCount
+      }));
+    }
+
+    const fetchSeries = async () => {
+      try {
+        const results = await Promise.all(
+          requests.map(async (request) => {
+            const response = await apiFetch(
+              buildApiUrl('/api/sensors/aggregate', {
+                ...request.scope,
+                from: request.start.toISOString(),
+                to: request.end.toISOString(),
+                bucket: request.bucket,
+                excludeAnomalies: excludeAnomalies ? 'true' : ''
+              })
+            );
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to fetch comparison data');
+            return {
+              key: request.key,
+              label: request.label,
+              values: toSlots(data.buckets, sensorKey, request.start.getTime(), request.bucketMs, request.slotCount),
+              stats: seriesStats(data.buckets, sensorKey)
+            };
+          })
+        );
+        setLabels(slotLabels);
+        setSeries(results);
+        setError('');
+      } catch (err) {
+        console.error('Error fetching comparison data:', err);
+        setError(err.message);
+      }
+    };
+    fetchSeries();
+  }, [open, mode, sensorKey, periodSource, periodLength, periodDates, sources, sourceHours, excludeAnomalies, devices]);
+
+  const toggleSeries = (key) => {
+    setHidden((current) => (current.includes(key) ? current.filter((entry) => entry !== key) : [...current, key]));
+  };
+
+  const updateAt = (list, index, value) => list.map((entry, entryIndex) => (entryIndex === index ? value : entry));
+  const removeAt = (list, index) => list.filter((_, entryIndex) => entryIndex !== index);
+
+  const addPeriod = () => {
+    const last = periodStart(periodDates[periodDates.length - 1] || daysAgo(0), 'day');
+    last.setDate(last.getDate() - (periodLength === 'week' ? 7 : 1));
+    setPeriodDates([...periodDates, toDateValue(last)]);
+  };
+
+  const addSource = () => {
+    const unused = sourceOptions.find((option) => !sources.includes(option.value));
+    if (unused) setSources([...sources, unused.value]);
+  };
+
+  const colorOf = (index) => SERIES_COLORS[index % SERIES_COLORS.length];
+  const baseline = series[0]?.stats.avg ?? null;
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: { duration: 0 },
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          title: (context) => labels[context[0]?.dataIndex]?.display ?? '',
+          label: (context) => `${context.dataset.label}: ${context.formattedValue}`
+        }
+      }
+    },
+    scales: {
+      x: {
+        grid: { color: 'rgba(0,0,0,0.03)' },
+        ticks: {
+          maxRotation: 45,
+          minRotation: 45,
+          maxTicksLimit: 12,
+          font: { size: 10 },
+          color: '#666666',
+          callback: function(val, index) {
+            const label = this.chart.data.labels[index];
+            return label?.display ?? '';
+          }
+        }
+      },
+      y: {
+        grid: { color: 'rgba(0,0,0,0.03)' },
+        title: { display: true, text: getSensorName(sensorKey), font: { size: 11 }, color: '#666666' },
+        ticks: { font: { size: 10 }, color: '#666666' }
+      }
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>📊 Compare Sensor History</DialogTitle>
+      <DialogContent sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: '8px !important' }}>
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+          <FormControl size="small" sx={{ minWidth: 160 }}>
+            <InputLabel>Sensor</InputLabel>
+            <Select value={sensorKey} label="Sensor" onChange={(e) => setSensorKey(e.target.value)}>
+              {SENSOR_KEYS.map((key) => (
+                <MenuItem key={key} value={key}>
+                  {getSensorName(key)}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl size="small" sx={{ minWidth: 200 }}>
+            <InputLabel>Compare</InputLabel>
+            <Select value={mode} label="Compare" onChange={(e) => setMode(e.target.value)}>
+              <MenuItem value="periods">Periods, by time of day</MenuItem>
+              <MenuItem value="sources">Devices and fields</MenuItem>
+            </Select>
+          </FormControl>
+
+          {mode === 'periods' ? (
+            <>
+              <FormControl size="small" sx={{ minWidth: 200 }}>
+                <InputLabel>Device or field</InputLabel>
+                <Select value={periodSource} label="Device or field" onChange={(e) => setPeriodSource(e.target.value)}>
+                  {sourceOptions.map((option) => (
+                    <MenuItem key={option.value} value={option.value}>
+                      {option.label}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <FormControl size="small" sx={{ minWidth: 110 }}>
+                <InputLabel>Length</InputLabel>
+                <Select value={periodLength} label="Length" onChange={(e) => setPeriodLength(e.target.value)}>
+                  {Object.keys(PERIOD_LENGTHS).map((length) => (
+                    <MenuItem key={length} value={length}>
+                      {PERIOD_LENGTHS[length].label}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </>
+          ) : (
+            <FormControl size="small" sx={{ minWidth: 160 }}>
+              <InputLabel>Range</InputLabel>
+              <Select value={sourceHours} label="Range" onChange={(e) => setSourceHours(e.target.value)}>
+                {SOURCE_RANGES.map((range) => (
+                  <MenuItem key={range.hours} value={range.hours}>
+                    {range.label}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+        </Box>
+
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center' }}>
+          {mode === 'periods'
+            ? periodDates.map((value, index) => (
+                <Box key={index} sx={{ display: 'flex', alignItems: 'center', borderLeft: `4px solid ${colorOf(index)}`, pl: 1 }}>
+                  <TextField
+                    type="date"
+                    size="small"
+                    label={periodLength === 'week' ? 'Any day in the week' : 'Day'}
+                    value={value}
+                    onChange={(e) => e.target.value && setPeriodDates(updateAt(periodDates, index, e.target.value))}
+                    InputLabelProps={{ shrink: true }}
+                  />
+                  <IconButton size="small" disabled={periodDates.length === 1} onClick={() => setPeriodDates(removeAt(periodDates, index))}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </Box>
+              ))
+            : sources.map((source, index) => (
+                <Box key={index} sx={{ display: 'flex', alignItems: 'center', borderLeft: `4px solid ${colorOf(index)}`, pl: 1 }}>
+                  <Select size="small" value={source} onChange={(e) => setSources(updateAt(sources, index, e.target.value))} sx={{ minWidth: 180 }}>
+                    {sourceOptions.map((option) => (
+                      <MenuItem key={option.value} value={option.value}>
+                        {option.label}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                  <IconButton size="small" disabled={sources.length === 1} onClick={() => setSources(removeAt(sources, index))}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </Box>
+              ))}
+          <Button
+            size="small"
+            onClick={mode === 'periods' ? addPeriod : addSource}
+            disabled={(mode === 'periods' ? periodDates.length : sources.length) >= MAX_SERIES}
+          >
+            {mode === 'periods' ? 'Add period' : 'Add series'}
+          </Button>
+        </Box>
+
+        {error && (
+          <Typography variant="caption" sx={{ color: '#f44336' }}>
+            {error}
+          </Typography>
+        )}
+
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+          {series.map((entry, index) => (
+            <Chip
+              key={entry.key}
+              size="small"
+              label={entry.label}
+              variant={hidden.includes(entry.key) ? 'outlined' : 'filled'}
+              onClick={() => toggleSeries(entry.key)}
+              sx={{
+                backgroundColor: hidden.includes(entry.key) ? undefined : `${colorOf(index)}20`,
+                borderLeft: `4px solid ${colorOf(index)}`
+              }}
+            />
+          ))}
+        </Box>
+
+        <Box sx={{ height: 320 }}>
+          <Line
+            data={{
+              labels,
+              datasets: series.map((entry, index) => ({
+                label: entry.label,
+                data: entry.values,
+                hidden: hidden.includes(entry.key),
+                borderColor: colorOf(index),
+                backgroundColor: `${colorOf(index)}10`,
+                borderWidth: 2,
+                pointRadius: 0,
+                pointHoverRadius: 4,
+                tension: 0.4,
+                spanGaps: true
+              }))
+            }}
+            options={chartOptions}
+          />
+        </Box>
+
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell sx={{ fontWeight: 'bold' }}>Series</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }} align="right">Min</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }} align="right">Avg</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }} align="right">Max</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }} align="right">Readings</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }} align="right">Avg vs first</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {series.map((entry, index) => {
+              const difference = index > 0 && baseline !== null && entry.stats.avg !== null ? entry.stats.avg - baseline : null;
+              return (
+                <TableRow key={entry.key}>
+                  <TableCell sx={{ borderLeft: `4px solid ${colorOf(index)}` }}>{entry.label}</TableCell>
+                  <TableCell align="right">{formatStat(entry.stats.min)}</TableCell>
+                  <TableCell align="right">{formatStat(entry.stats.avg)}</TableCell>
+                  <TableCell align="right">{formatStat(entry.stats.max)}</TableCell>
+                  <TableCell align="right">{entry.stats.count}</TableCell>
+                  <TableCell align="right">
+                    {difference === null ? '-' : `${difference > 0 ? '+' : ''}${formatStat(difference)}`}
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ComparisonDialog;
@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import { buildApiUrl, apiFetch } from './utils';
+
+// Sensors crop stages set thresholds for
+const STAGE_SENSORS = ['temperature', 'humidity', 'soilMoisture'];
+
+const today = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+function CropDialog({ open, onClose, field, fieldCrop, onSaved, getSensorName }) {
+  const [profiles, setProfiles] = useState([]);
+  const [crop, setCrop] = useState('');
+  const [plantedOn, setPlantedOn] = useState(today());
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    const fetchProfiles = async () => {
+      try {
+        const response = await apiFetch(buildApiUrl('/api/crops'));
+        const data = await response.json();
+        setProfiles(Array.isArray(data) ? data : []);
+        setCrop(fieldCrop?.crop || data[0]?.crop || '');
+        setPlantedOn(fieldCrop?.plantedOn || today());
+        setError('');
+      } catch (err) {
+        console.error('Error fetching crop profiles:', err);
+        setError('Could not load crop profiles');
+      }
+    };
+    fetchProfiles();
+  }, [open, fieldCrop]);
+
+  const profile = profiles.find((entry) => entry.crop === crop);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const response = await apiFetch(buildApiUrl(`/api/fields/${encodeURIComponent(field)}/crop`), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ crop, plantedOn })
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to save crop');
+      onSaved();
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const response = await apiFetch(buildApiUrl(`/api/fields/${encodeURIComponent(field)}/crop`), { method: 'DELETE' });
+      if (!response.ok) {
+        const result = await response.json();
+        throw new Error(result.error || 'Failed to remove crop');
+      }
+      onSaved();
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>🌱 Field Crop</DialogTitle>
+      <DialogContent sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: '8px !important' }}>
+        {!field ? (
+          <Typography variant="body2">The selected device is not assigned to a field.</Typography>
+        ) : (
+          <>
+            <Typography variant="body2" sx={{ color: '#666666' }}>
+              Field {field}. Sensor status and alerts follow the thresholds of the crop's current growth stage.
+            </Typography>
+            <FormControl size="small">
+              <InputLabel>Crop</InputLabel>
+              <Select value={crop} label="Crop" onChange={(e) => setCrop(e.target.value)}>
+                {profiles.map((entry) => (
+                  <MenuItem key={entry.crop} value={entry.crop}>
+                    {entry.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <TextField
+              label="Planting date"
+              type="date"
+              size="small"
+              value={plantedOn}
+              onChange={(e) => setPlantedOn(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+            />
+            {profile && (
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell sx={{ fontWeight: 'bold' }}>Stage</TableCell>
+                    <TableCell sx={{ fontWeight: 'bold' }}>Days</TableCell>
+                    {STAGE_SENSORS.map((key) => (
+                      <TableCell key={key} sx={{ fontWeight: 'bold' }}>
+                        {getSensorName(key)}
+                      </TableCell>
+                    ))}
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {profile.stages.map((stage) => (
+                    <TableRow key={stage.name}>
+                      <TableCell>{stage.name}</TableCell>
+                      <TableCell>{stage.days ?? 'until harvest'}</TableCell>
+                      {STAGE_SENSORS.map((key) => (
+                        <TableCell key={key}>
+                          {stage.thresholds[key] ? `${stage.thresholds[key].low}–${stage.thresholds[key].high}` : '-'}
+                        </TableCell>
+                      ))}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </>
+        )}
+        {error && (
+          <Typography variant="caption" sx={{ color: '#f44336' }}>
+            {error}
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {field && fieldCrop && (
+          <Button color="error" onClick={handleRemove} disabled={saving} sx={{ mr: 'auto' }}>
+            Remove
+          </Button>
+        )}
+        <Button onClick={onClose}>Close</Button>
+        {field && (
+          <Button variant="contained" onClick={handleSave} disabled={saving || !crop || !plantedOn}>
+            Save
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default CropDialog;
@@ -0,0 +1,236 @@
+import React, { useState, useEffect } from 'react';
+import { Box, Grid, Paper, Typography, TextField, Select, MenuItem } from '@mui/material';
+import { Line } from 'react-chartjs-2';
+import { buildApiUrl, apiFetch, DERIVED_METRICS } from './utils';
+
+const GDD_PERIODS = [7, 30, 90, 180];
+
+// Common greenhouse guidance for vapour pressure deficit
+const VPD_RANGE = { low: 0.4, high: 1.6 };
+
+const vpdStatus = (vpd) => {
+  if (vpd === null || vpd === undefined) return '';
+  if (vpd < VPD_RANGE.low) return 'Too humid';
+  if (vpd > VPD_RANGE.high) return 'Too dry';
+  return 'Good';
+};
+
+// Last value of a series that is not empty
+const latestValue = (series = []) => {
+  for (let i = series.length - 1; i >= 0; i -= 1) {
+    if (series[i] !== null && series[i] !== undefined) return series[i];
+  }
+  return null;
+};
+
+const MetricStat = ({ icon, label, value, unit, caption }) => (
+  <Box sx={{ flex: 1, textAlign: 'center', background: '#f5f9ff', borderRadius: 2, p: 1 }}>
+    <Typography variant="h6" sx={{ color: '#1976d2' }}>
+      {value === null || value === undefined ? '-' : `${value} ${unit}`}
+    </Typography>
+    <Typography variant="caption" sx={{ color: '#666666', display: 'block' }}>
+      {icon} {label}
+    </Typography>
+    {caption && (
+      <Typography variant="caption" sx={{ color: '#999999' }}>
+        {caption}
+      </Typography>
+    )}
+  </Box>
+);
+
+const chartOptions = (unit) => ({
+  responsive: true,
+  maintainAspectRatio: false,
+  animation: { duration: 0 },
+  plugins: {
+    legend: { display: false },
+    tooltip: {
+      callbacks: {
+        label: (context) => `${context.dataset.label}: ${context.formattedValue} ${unit}`
+      }
+    }
+  },
+  scales: {
+    x: {
+      grid: { color: 'rgba(0,0,0,0.03)' },
+      ticks: {
+        maxRotation: 45,
+        minRotation: 45,
+        maxTicksLimit: 8,
+        font: { size: 10 },
+        color: '#666666',
+        callback: function(val, index) {
+          const label = this.chart.data.labels[index];
+          return label?.display ?? label ?? '';
+        }
+      }
+    },
+    y: {
+      grid: { color: 'rgba(0,0,0,0.03)' },
+      ticks: { font: { size: 10 }, color: '#666666' }
+    }
+  }
+});
+
+const lineDataset = (label, data, color, extra = {}) => ({
+  label,
+  data,
+  borderColor: color,
+  backgroundColor: `${color}10`,
+  borderWidth: 2,
+  pointRadius: 0,
+  pointHoverRadius: 4,
+  tension: 0.4,
+  spanGaps: true,
+  ...extra
+});
+
+const MetricGraph = ({ title, children }) => (
+  <Paper elevation={3} className="graph-container" sx={{ height: 200 }}>
+    <Typography variant="caption" className="graph-title" sx={{ fontSize: '0.7rem', p: 0.5 }}>
+      {title}
+    </Typography>
+    <Box className="graph-content" sx={{ height: 'calc(100% - 25px)' }}>
+      {children}
+    </Box>
+  </Paper>
+);
+
+// Dew point, VPD and heat index of the charted readings, plus growing degree
+// days fetched per day for the selected period and base temperature
+function DerivedMetricsPanel({ deviceId, historicalData, refreshKey }) {
+  const [gddDays, setGddDays] = useState(30);
+  const [baseInput, setBaseInput] = useState('');
+  const [base, setBase] = useState('');
+  const [gdd, setGdd] = useState({ days: [], total: 0, base: null });
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchGdd = async () => {
+      try {
+        const response = await apiFetch(buildApiUrl('/api/sensors/gdd', { deviceId, days: gddDays, base }));
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to fetch growing degree days');
+        setGdd(data);
+        setBaseInput((current) => (current === '' ? String(data.base) : current));
+        setError('');
+      } catch (err) {
+        console.error('Error fetching growing degree days:', err);
+        setError(err.message);
+      }
+    };
+
+    fetchGdd();
+    const interval = setInterval(fetchGdd, 300000);
+    return () => clearInterval(interval);
+  }, [deviceId, gddDays, base, refreshKey]);
+
+  const applyBase = () => {
+    if (baseInput !== '' && !isNaN(Number(baseInput))) setBase(baseInput);
+  };
+
+  const labels = historicalData.labels || [];
+  const derived = historicalData.derived || {};
+  const latest = Object.fromEntries(Object.keys(DERIVED_METRICS).map((metric) => [metric, latestValue(derived[metric])]));
+  const gddLabels = gdd.days.map((day) => new Date(day.date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }));
+
+  return (
+    <Paper elevation={4} className="main-card" sx={{ padding: '12px' }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1, borderBottom: '1px solid #e0e0e0', pb: 0.5 }}>
+        <Typography variant="h6" className="card-title" sx={{ mb: 0, borderBottom: 'none', pb: 0 }}>
+          🌾 Crop Climate
+        </Typography>
+        <Typography variant="caption" sx={{ color: '#666666', ml: 'auto' }}>
+          GDD over
+        </Typography>
+        <Select size="small" value={gddDays} onChange={(e) => setGddDays(e.target.value)} sx={{ fontSize: '0.8rem' }}>
+          {GDD_PERIODS.map((days) => (
+            <MenuItem key={days} value={days}>
+              {days} days
+            </MenuItem>
+          ))}
+        </Select>
+        <TextField
+          label="Base °C"
+          type="number"
+          size="small"
+          value={baseInput}
+          onChange={(e) => setBaseInput(e.target.value)}
+          onBlur={applyBase}
+          onKeyDown={(e) => e.key === 'Enter' && applyBase()}
+          sx={{ width: 90, '& .MuiInputBase-input': { fontSize: '0.8rem' } }}
+        />
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>
+        <MetricStat icon={DERIVED_METRICS.dewPoint.icon} label={DERIVED_METRICS.dewPoint.name} value={latest.dewPoint} unit="°C" />
+        <MetricStat
+          icon={DERIVED_METRICS.vpd.icon}
+          label={DERIVED_METRICS.vpd.name}
+          value={latest.vpd}
+          unit="kPa"
+          caption={vpdStatus(latest.vpd)}
+        />
+        <MetricStat icon={DERIVED_METRICS.heatIndex.icon} label={DERIVED_METRICS.heatIndex.name} value={latest.heatIndex} unit="°C" />
+        <MetricStat
+          icon="🌱"
+          label={`Growing Degree Days (${gddDays} days)`}
+          value={gdd.total}
+          unit="°C·d"
+          caption={gdd.base !== null ? `Base ${gdd.base} °C` : ''}
+        />
+      </Box>
+
+      {error && (
+        <Typography variant="caption" sx={{ color: '#f44336' }}>
+          {error}
+        </Typography>
+      )}
+
+      <Grid container spacing={1}>
+        <Grid item xs={4}>
+          <MetricGraph title="💧 Dew Point / 🥵 Heat Index (°C)">
+            <Line
+              data={{
+                labels,
+                datasets: [
+                  lineDataset(DERIVED_METRICS.dewPoint.name, derived.dewPoint || [], '#2196f3'),
+                  lineDataset(DERIVED_METRICS.heatIndex.name, derived.heatIndex || [], '#f44336')
+                ]
+              }}
+              options={chartOptions('°C')}
+            />
+          </MetricGraph>
+        </Grid>
+        <Grid item xs={4}>
+          <MetricGraph title="🌿 Vapour Pressure Deficit (kPa)">
+            <Line
+              data={{
+                labels,
+                datasets: [lineDataset(DERIVED_METRICS.vpd.name, derived.vpd || [], '#4caf50', { fill: true })]
+              }}
+              options={chartOptions('kPa')}
+            />
+          </MetricGraph>
+        </Grid>
+        <Grid item xs={4}>
+          <MetricGraph title="🌱 Cumulative Growing Degree Days (°C·d)">
+            <Line
+              data={{
+                labels: gddLabels,
+                datasets: [
+                  lineDataset('Cumulative GDD', gdd.days.map((day) => day.cumulative), '#8bc34a', { fill: true, tension: 0 }),
+                  lineDataset('Daily GDD', gdd.days.map((day) => day.gdd), '#ff9800', { tension: 0, pointRadius: 2 })
+                ]
+              }}
+              options={chartOptions('°C·d')}
+            />
+          </MetricGraph>
+        </Grid>
+      </Grid>
+    </Paper>
+  );
+}
+
+export default DerivedMetricsPanel;
@@ -0,0 +1,147 @@
+import React from 'react';
+import {
+  Box,
+  Chip,
+  Paper,
+  Tooltip,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+
+const STATUS_COLORS = {
+  ok: 'success',
+  warning: 'warning',
+  critical: 'error'
+};
+
+const SIGNAL_BARS = {
+  excellent: '▂▄▆█',
+  good: '▂▄▆',
+  fair: '▂▄',
+  poor: '▂'
+};
+
+export const formatAgo = (timestamp) => {
+  if (!timestamp) return 'never';
+  const seconds = Math.max(0, Math.round((Date.now() - new Date(timestamp).getTime()) / 1000));
+  if (seconds < 60) return `${seconds}s ago`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+};
+
+const formatUptime = (seconds) => {
+  if (seconds === null || seconds === undefined) return '-';
+  const hours = Math.floor(seconds / 3600);
+  if (hours < 24) return `${hours}h ${Math.floor((seconds % 3600) / 60)}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
+
+// Heartbeat, silence and sensor faults of every device
+function DeviceHealthPanel({ health, selectedDevice, getSensorName }) {
+  return (
+    <Paper elevation={4} className="main-card" sx={{ padding: '12px' }}>
+      <Typography variant="h6" gutterBottom className="card-title" sx={{ mb: 1 }}>
+        🩺 Device Health
+      </Typography>
+      <TableContainer sx={{ maxHeight: 260 }}>
+        <Table stickyHeader size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell sx={{ fontWeight: 'bold' }}>Device</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }}>Status</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }}>Last Seen</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }}>WiFi</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }}>Uptime</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }}>Last Error</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }}>Sensors</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {health.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={7} align="center" sx={{ color: '#757575' }}>
+                  No devices registered
+                </TableCell>
+              </TableRow>
+            )}
+            {health.map((device) => {
+              const faults = Object.entries(device.sensors).filter(([, sensor]) => !['ok', 'no_data'].includes(sensor.status));
+              return (
+                <TableRow key={device.deviceId} hover selected={device.deviceId === selectedDevice}>
+                  <TableCell>
+                    <Typography variant="body2">{device.name || device.deviceId}</Typography>
+                    <Typography variant="caption" sx={{ color: '#757575' }}>
+                      {device.field || 'No field'}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Tooltip title={device.issues.length > 0 ? device.issues.join(' · ') : 'No problems found'}>
+                      <Chip size="small" color={STATUS_COLORS[device.status]} label={device.silent ? 'Silent' : device.status.toUpperCase()} />
+                    </Tooltip>
+                  </TableCell>
+                  <TableCell>
+                    <Tooltip
+                      title={`Expected a report at least every ${Math.round(device.silenceAfterSeconds / 60)} minutes${device.lastReadingAt ? ` · last reading ${new Date(device.lastReadingAt).toLocaleString()}` : ''}`}
+                    >
+                      <Typography variant="body2" sx={{ color: device.silent ? '#f44336' : 'inherit' }}>
+                        {formatAgo(device.lastSeen)}
+                      </Typography>
+                    </Tooltip>
+                  </TableCell>
+                  <TableCell>
+                    {device.rssi === null ? (
+                      '-'
+                    ) : (
+                      <Tooltip title={`${device.rssi} dBm · heartbeat ${formatAgo(device.heartbeatAt)}`}>
+                        <Typography variant="body2">
+                          {SIGNAL_BARS[device.signal]} {device.signal}
+                        </Typography>
+                      </Tooltip>
+                    )}
+                  </TableCell>
+                  <TableCell>{formatUptime(device.uptimeSeconds)}</TableCell>
+                  <TableCell>
+                    {device.lastError && device.lastError !== 'ERROR_NONE' ? (
+                      <Tooltip title={device.lastErrorAt ? `Reported ${new Date(device.lastErrorAt).toLocaleString()}` : ''}>
+                        <Chip size="small" color="warning" variant="outlined" label={device.lastError.replace('ERROR_', '')} />
+                      </Tooltip>
+                    ) : (
+                      <Typography variant="body2" sx={{ color: '#757575' }}>
+                        {device.lastErrorAt ? `None (last ${formatAgo(device.lastErrorAt)})` : 'None'}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                      {faults.length === 0 ? (
+                        <Typography variant="body2" sx={{ color: '#757575' }}>
+                          All OK
+                        </Typography>
+                      ) : (
+                        faults.map(([key, sensor]) => (
+                          <Tooltip key={key} title={sensor.detail || ''}>
+                            <Chip size="small" color="warning" label={`${getSensorName(key)}: ${sensor.status.replace('_', ' ')}`} />
+                          </Tooltip>
+                        ))
+                      )}
+                    </Box>
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+}
+
+export default DeviceHealthPanel;
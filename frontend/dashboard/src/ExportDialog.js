@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Checkbox,
+  FormControl,
+  FormControlLabel,
+  FormGroup,
+  InputLabel,
+  MenuItem,
+  Select,
+  Typography
+} from '@mui/material';
+import { buildApiUrl, fetchTicket, SENSOR_THRESHOLDS } from './utils';
+
+const SENSOR_KEYS = Object.keys(SENSOR_THRESHOLDS);
+
+// Value for a datetime-local input, in local time
+const toInputValue = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+function ExportDialog({ open, onClose, deviceId, getSensorName }) {
+  const [format, setFormat] = useState('csv');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [bucket, setBucket] = useState('');
+  const [allDevices, setAllDevices] = useState(false);
+  const [columns, setColumns] = useState(SENSOR_KEYS);
+  const [error, setError] = useState('');
+
+  // Default to the last 7 days each time the dialog opens
+  useEffect(() => {
+    if (open) {
+      const now = new Date();
+      setFrom(toInputValue(new Date(now.getTime() - 7 * 24 * 3600000)));
+      setTo(toInputValue(now));
+      setError('');
+    }
+  }, [open]);
+
+  const toggleColumn = (key) => {
+    setColumns((current) => (current.includes(key) ? current.filter((column) => column !== key) : [...current, key]));
+  };
+
+  const handleExport = async () => {
+    if (columns.length === 0) {
+      setError('Select at least one sensor');
+      return;
+    }
+    if (from && to && new Date(from) >= new Date(to)) {
+      setError('From must be before To');
+      return;
+    }
+
+    // A plain download link streams the file instead of buffering it in the page;
+    // links cannot carry headers, so a single-use download ticket goes in the URL
+    let ticket;
+    try {
+      ticket = await fetchTicket('download');
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    const url = buildApiUrl('/api/sensors/export', {
+      format,
+      from: from ? new Date(from).toISOString() : '',
+      to: to ? new Date(to).toISOString() : '',
+      bucket,
+      deviceId: allDevices ? '' : deviceId,
+      columns: columns.join(','),
+      ticket
+    });
+    window.location.assign(url);
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>⬇️ Export Sensor Data</DialogTitle>
+      <DialogContent sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: '8px !important' }}>
+        <TextField
+          label="From"
+          type="datetime-local"
+          size="small"
+          value={from}
+          onChange={(e) => setFrom(e.target.value)}
+          InputLabelProps={{ shrink: true }}
+        />
+        <TextField
+          label="To"
+          type="datetime-local"
+          size="small"
+          value={to}
+          onChange={(e) => setTo(e.target.value)}
+          InputLabelProps={{ shrink: true }}
+        />
+        <FormControl size="small">
+          <InputLabel>Format</InputLabel>
+          <Select value={format} label="Format" onChange={(e) => setFormat(e.target.value)}>
+            <MenuItem value="csv">CSV (spreadsheet)</MenuItem>
+            <MenuItem value="ndjson">NDJSON</MenuItem>
+          </Select>
+        </FormControl>
+        <FormControl size="small">
+          <InputLabel>Aggregation</InputLabel>
+          <Select value={bucket} label="Aggregation" onChange={(e) => setBucket(e.target.value)}>
+            <MenuItem value="">None (every reading)</MenuItem>
+            <MenuItem value="5m">5 minutes</MenuItem>
+            <MenuItem value="1h">Hourly</MenuItem>
+            <MenuItem value="1d">Daily</MenuItem>
+          </Select>
+        </FormControl>
+        <FormControlLabel
+          control={<Checkbox size="small" checked={allDevices} onChange={(e) => setAllDevices(e.target.checked)} />}
+          label="All devices"
+        />
+        <FormGroup>
+          <Typography variant="caption" sx={{ color: '#666666' }}>
+            Sensors
+          </Typography>
+          {SENSOR_KEYS.map((key) => (
+            <FormControlLabel
+              key={key}
+              control={<Checkbox size="small" checked={columns.includes(key)} onChange={() => toggleColumn(key)} />}
+              label={getSensorName(key)}
+            />
+          ))}
+        </FormGroup>
+        {error && (
+          <Typography variant="caption" sx={{ color: '#f44336' }}>
+            {error}
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleExport}>
+          Export
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ExportDialog;
@@ -0,0 +1,237 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  FormControl,
+  InputLabel,
+  LinearProgress,
+  MenuItem,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import { apiFetch, buildApiUrl, SENSOR_THRESHOLDS } from './utils';
+
+// Reading fields a CSV column can be mapped to
+const IMPORT_FIELDS = ['timestamp', ...Object.keys(SENSOR_THRESHOLDS)];
+
+// How often a running import is checked
+const POLL_INTERVAL = 2000;
+
+// Column names from the first line of a CSV file
+const readHeader = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  return firstLine.split(',').map((name) => name.trim().replace(/^"(.*)"$/, '$1'));
+};
+
+// Preselect columns named like the fields, ignoring case and separators
+const guessMapping = (header) => {
+  const normalize = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const mapping = {};
+  IMPORT_FIELDS.forEach((field) => {
+    mapping[field] = header.find((name) => normalize(name) === normalize(field)) || '';
+  });
+  return mapping;
+};
+
+function ImportDialog({ open, onClose, onImported, devices, deviceId, getSensorName }) {
+  const [file, setFile] = useState(null);
+  const [csv, setCsv] = useState('');
+  const [header, setHeader] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [targetDevice, setTargetDevice] = useState('');
+  const [job, setJob] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Start over each time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setFile(null);
+      setCsv('');
+      setHeader([]);
+      setMapping({});
+      setTargetDevice(deviceId || (devices[0] && devices[0].deviceId) || '');
+      setJob(null);
+      setError('');
+    }
+  }, [open, deviceId, devices]);
+
+  // Follow the import until the server has worked through every row
+  useEffect(() => {
+    if (!job || job.status !== 'processing') return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiFetch(buildApiUrl(`/api/sensors/import/${job.id}`));
+        if (!response.ok) throw new Error('Failed to fetch import status');
+        const updated = await response.json();
+        setJob(updated);
+        if (updated.status !== 'processing' && onImported) onImported();
+      } catch (err) {
+        console.error('Error fetching import status:', err);
+        setError('Lost track of the import, check the table later');
+      }
+    }, POLL_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [job, onImported]);
+
+  const handleFile = async (e) => {
+    const selected = e.target.files[0];
+    if (!selected) return;
+    const text = await selected.text();
+    const columns = readHeader(text);
+    setFile(selected);
+    setCsv(text);
+    setHeader(columns);
+    setMapping(guessMapping(columns));
+    setError('');
+  };
+
+  const handleImport = async () => {
+    const missing = IMPORT_FIELDS.filter((field) => !mapping[field]);
+    if (missing.length > 0) {
+      setError(`Choose a column for: ${missing.map((field) => (field === 'timestamp' ? 'Timestamp' : getSensorName(field))).join(', ')}`);
+      return;
+    }
+
+    setUploading(true);
+    setError('');
+    try {
+      const url = buildApiUrl('/api/sensors/import', {
+        deviceId: targetDevice,
+        filename: file.name,
+        mapping: JSON.stringify(mapping)
+      });
+      const response = await apiFetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv' },
+        body: csv
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Import failed');
+      setJob(result);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const progress = job && job.totalRows ? Math.min(100, (job.processedRows / job.totalRows) * 100) : 0;
+
+  return (
+    <Dialog open={open} onClose={uploading ? undefined : onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>⬆️ Import Sensor Data</DialogTitle>
+      <DialogContent sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: '8px !important' }}>
+        {!job && (
+          <>
+            <Button variant="outlined" component="label" disabled={uploading}>
+              {file ? file.name : 'Choose CSV file'}
+              <input type="file" accept=".csv,text/csv" hidden onChange={handleFile} />
+            </Button>
+            <FormControl size="small">
+              <InputLabel>Device</InputLabel>
+              <Select value={targetDevice} label="Device" onChange={(e) => setTargetDevice(e.target.value)}>
+                {devices.map((device) => (
+                  <MenuItem key={device.deviceId} value={device.deviceId}>
+                    {device.name || device.deviceId}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            {header.length > 0 && (
+              <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 1.5 }}>
+                {IMPORT_FIELDS.map((field) => (
+                  <FormControl key={field} size="small">
+                    <InputLabel>{field === 'timestamp' ? 'Timestamp' : getSensorName(field)}</InputLabel>
+                    <Select
+                      value={mapping[field] || ''}
+                      label={field === 'timestamp' ? 'Timestamp' : getSensorName(field)}
+                      onChange={(e) => setMapping({ ...mapping, [field]: e.target.value })}
+                    >
+                      {header.map((name) => (
+                        <MenuItem key={name} value={name}>
+                          {name}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                ))}
+              </Box>
+            )}
+            <Typography variant="caption" sx={{ color: '#666666' }}>
+              Timestamps as YYYY-MM-DD HH:MM:SS in local time, or ISO 8601. Rows the device already has are skipped.
+            </Typography>
+          </>
+        )}
+
+        {job && (
+          <>
+            <LinearProgress variant="determinate" value={job.status === 'processing' ? progress : 100} />
+            <Typography variant="body2">
+              {job.status === 'processing' &&
+                `Processing ${job.processedRows} of about ${job.totalRows} rows… The import carries on if you close this dialog.`}
+              {job.status === 'completed' && `Finished ${job.totalRows} rows from ${job.filename || 'the file'}.`}
+              {job.status === 'failed' && `Import failed: ${job.error}`}
+            </Typography>
+            <Typography variant="body2">
+              Imported: {job.imported} · Duplicates skipped: {job.duplicates} · Rejected: {job.rejected}
+            </Typography>
+            {job.rejections.length > 0 && (
+              <Box sx={{ maxHeight: 240, overflowY: 'auto' }}>
+                <Table size="small" stickyHeader>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell sx={{ fontWeight: 'bold' }}>Row</TableCell>
+                      <TableCell sx={{ fontWeight: 'bold' }}>Reason</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {job.rejections.map((rejection) => (
+                      <TableRow key={rejection.row}>
+                        <TableCell>{rejection.row}</TableCell>
+                        <TableCell>{rejection.reason}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+                {job.rejected > job.rejections.length && (
+                  <Typography variant="caption" sx={{ color: '#666666' }}>
+                    Showing the first {job.rejections.length} of {job.rejected} rejected rows
+                  </Typography>
+                )}
+              </Box>
+            )}
+          </>
+        )}
+
+        {error && (
+          <Typography variant="caption" sx={{ color: '#f44336' }}>
+            {error}
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={uploading}>
+          {job ? 'Close' : 'Cancel'}
+        </Button>
+        {!job && (
+          <Button variant="contained" onClick={handleImport} disabled={!file || !targetDevice || uploading}>
+            Import
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ImportDialog;
@@ -0,0 +1,265 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Grid,
+  IconButton,
+  Paper,
+  Tooltip,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import ChevronLeftIcon from '@mui/icons-material/ChevronLeft';
+import ChevronRightIcon from '@mui/icons-material/ChevronRight';
+import ScheduleDialog, { DAY_LABELS } from './ScheduleDialog';
+import { buildApiUrl, apiFetch } from './utils';
+
+// Chip colour of a calendar window by its state
+const STATE_COLORS = {
+  started: 'success',
+  skipped: 'warning',
+  failed: 'error',
+  missed: 'default',
+  disabled: 'default',
+  open: 'info',
+  upcoming: 'primary'
+};
+
+const REASON_LABELS = {
+  rain: 'rain',
+  soil_moist: 'soil already moist',
+  no_data: 'no recent reading',
+  daily_limit: 'daily limit reached',
+  command_error: 'pump command failed'
+};
+
+const dateKey = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Weeks start on Monday
+const mondayOf = (date) => {
+  const monday = new Date(date);
+  monday.setHours(0, 0, 0, 0);
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  return monday;
+};
+
+const describeRun = (run) => {
+  if (!run) return '';
+  if (run.outcome === 'started') return `Pump started${run.commandStatus ? ` (command ${run.commandStatus})` : ''}`;
+  return `${run.outcome === 'skipped' ? 'Skipped' : 'Failed'}: ${REASON_LABELS[run.reason] || run.reason}`;
+};
+
+const describeSlot = (slot) => {
+  const window = `${slot.start}–${slot.end} · ${slot.durationSeconds}s`;
+  if (slot.run) {
+    const readings = slot.run.soilMoisture !== null ? ` · soil ${slot.run.soilMoisture}, rain ${slot.run.rainValue}` : '';
+    return `${window} · ${describeRun(slot.run)}${readings}`;
+  }
+  if (slot.state === 'missed') return `${window} · no decision was made`;
+  if (slot.state === 'disabled') return `${window} · schedule disabled`;
+  return window;
+};
+
+// Irrigation schedules of the selected device: a week calendar of windows
+// and what happened in them, the schedule list and the run log
+function IrrigationSchedulePanel({ deviceId, devices, canEdit }) {
+  const [weekStart, setWeekStart] = useState(mondayOf(new Date()));
+  const [calendar, setCalendar] = useState([]);
+  const [schedules, setSchedules] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    if (!deviceId) return undefined;
+    const fetchSchedules = async () => {
+      try {
+        const [calendarResponse, schedulesResponse, runsResponse] = await Promise.all([
+          apiFetch(buildApiUrl('/api/irrigation/calendar', { deviceId, from: dateKey(weekStart), days: 7 })),
+          apiFetch(buildApiUrl('/api/irrigation/schedules', { deviceId })),
+          apiFetch(buildApiUrl('/api/irrigation/schedule-runs', { deviceId, limit: 20 }))
+        ]);
+        const calendarData = await calendarResponse.json();
+        const schedulesData = await schedulesResponse.json();
+        const runsData = await runsResponse.json();
+        setCalendar(Array.isArray(calendarData) ? calendarData : []);
+        setSchedules(Array.isArray(schedulesData) ? schedulesData : []);
+        setRuns(Array.isArray(runsData) ? runsData : []);
+      } catch (err) {
+        console.error('Error fetching irrigation schedules:', err);
+      }
+    };
+    fetchSchedules();
+    const interval = setInterval(fetchSchedules, 60000);
+    return () => clearInterval(interval);
+  }, [deviceId, weekStart, version]);
+
+  const shiftWeek = (weeks) => {
+    const next = new Date(weekStart);
+    next.setDate(next.getDate() + weeks * 7);
+    setWeekStart(next);
+  };
+
+  const openEditor = (schedule) => {
+    setEditing(schedule);
+    setDialogOpen(true);
+  };
+
+  const today = dateKey(new Date());
+
+  return (
+    <Paper elevation={4} className="main-card" sx={{ padding: '12px' }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, pb: 0.5, mb: 1, borderBottom: '1px solid #e0e0e0' }}>
+        <Typography variant="h6" className="card-title" sx={{ mb: 0, borderBottom: 'none', pb: 0 }}>
+          🗓️ Irrigation Schedules
+        </Typography>
+        <IconButton size="small" onClick={() => shiftWeek(-1)} sx={{ ml: 'auto' }}>
+          <ChevronLeftIcon fontSize="small" />
+        </IconButton>
+        <Typography variant="body2">
+          Week of {weekStart.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+        </Typography>
+        <IconButton size="small" onClick={() => shiftWeek(1)}>
+          <ChevronRightIcon fontSize="small" />
+        </IconButton>
+        {canEdit && (
+          <Button size="small" variant="contained" onClick={() => openEditor(null)} disabled={devices.length === 0}>
+            New schedule
+          </Button>
+        )}
+      </Box>
+
+      <Grid container spacing={1}>
+        <Grid item xs={8}>
+          <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(7, 1fr)', gap: 0.5 }}>
+            {calendar.map((day) => (
+              <Box
+                key={day.date}
+                sx={{
+                  minHeight: 140,
+                  borderRadius: 1,
+                  p: 0.5,
+                  background: day.date === today ? '#e3f2fd' : '#fafafa',
+                  border: '1px solid #e0e0e0'
+                }}
+              >
+                <Typography variant="caption" sx={{ fontWeight: 'bold', display: 'block', mb: 0.5 }}>
+                  {day.day} {Number(day.date.slice(8))}
+                </Typography>
+                <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.5 }}>
+                  {day.slots.map((slot) => (
+                    <Tooltip key={`${slot.scheduleId}-${slot.start}`} title={describeSlot(slot)}>
+                      <Chip
+                        size="small"
+                        color={STATE_COLORS[slot.state]}
+                        variant={slot.run || slot.state === 'open' ? 'filled' : 'outlined'}
+                        label={`${slot.start} ${slot.name}`}
+                        sx={{ justifyContent: 'flex-start', opacity: slot.state === 'disabled' ? 0.5 : 1 }}
+                      />
+                    </Tooltip>
+                  ))}
+                </Box>
+              </Box>
+            ))}
+          </Box>
+        </Grid>
+
+        <Grid item xs={4}>
+          <Typography variant="body2" sx={{ fontWeight: 'bold', mb: 0.5 }}>
+            Schedules
+          </Typography>
+          {schedules.length === 0 && (
+            <Typography variant="body2" sx={{ color: '#757575', mb: 1 }}>
+              No schedules for this device
+            </Typography>
+          )}
+          {schedules.map((schedule) => (
+            <Box
+              key={schedule.id}
+              onClick={canEdit ? () => openEditor(schedule) : undefined}
+              sx={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: 1,
+                p: 0.5,
+                mb: 0.5,
+                borderRadius: 1,
+                background: '#f5f9ff',
+                cursor: canEdit ? 'pointer' : 'default'
+              }}
+            >
+              <Box sx={{ flex: 1 }}>
+                <Typography variant="body2">{schedule.name}</Typography>
+                <Typography variant="caption" sx={{ color: '#666666' }}>
+                  {schedule.days.map((day) => DAY_LABELS[day]).join(' ')} ·{' '}
+                  {schedule.windows.map((window) => `${window.start}–${window.end}`).join(', ')} · {schedule.durationSeconds}s, max{' '}
+                  {schedule.maxRunsPerDay}/day
+                </Typography>
+              </Box>
+              <Chip size="small" label={schedule.enabled ? 'On' : 'Off'} color={schedule.enabled ? 'success' : 'default'} />
+            </Box>
+          ))}
+
+          <Typography variant="body2" sx={{ fontWeight: 'bold', mt: 1, mb: 0.5 }}>
+            Run log
+          </Typography>
+          <TableContainer sx={{ maxHeight: 160 }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={{ fontWeight: 'bold' }}>Window</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold' }}>Schedule</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold' }}>Outcome</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {runs.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={3} align="center" sx={{ color: '#757575' }}>
+                      No runs yet
+                    </TableCell>
+                  </TableRow>
+                )}
+                {runs.map((run) => (
+                  <TableRow key={run.id}>
+                    <TableCell>
+                      {new Date(run.windowStart).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false })}
+                    </TableCell>
+                    <TableCell>{run.scheduleName || `#${run.scheduleId}`}</TableCell>
+                    <TableCell>
+                      <Tooltip title={describeRun(run)}>
+                        <Chip size="small" color={STATE_COLORS[run.outcome]} label={run.outcome} />
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Grid>
+      </Grid>
+
+      <ScheduleDialog
+        open={dialogOpen}
+        onClose={() => setDialogOpen(false)}
+        schedule={editing}
+        devices={devices}
+        defaultDeviceId={deviceId}
+        onSaved={() => setVersion((current) => current + 1)}
+      />
+    </Paper>
+  );
+}
+
+export default IrrigationSchedulePanel;
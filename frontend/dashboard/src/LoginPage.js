@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { Box, Button, Paper, TextField, Typography } from '@mui/material';
+import { buildApiUrl } from './utils';
+
+function LoginPage({ onLogin }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError('');
+    try {
+      const response = await fetch(buildApiUrl('/api/auth/login'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        setError(result.error || 'Login failed');
+        return;
+      }
+      onLogin(result);
+    } catch (err) {
+      setError('Cannot reach the server');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Box className="dashboard-container" sx={{ display: 'flex', alignItems: 'center', justifyContent: 'center', minHeight: '100vh' }}>
+      <Paper elevation={4} className="main-card" sx={{ padding: '24px', width: 360 }}>
+        <Typography variant="h5" className="card-title" gutterBottom>
+          🌱 Smart Agriculture Dashboard
+        </Typography>
+        <Box component="form" onSubmit={handleSubmit} sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 2 }}>
+          <TextField
+            label="Username"
+            size="small"
+            autoFocus
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+          />
+          <TextField
+            label="Password"
+            type="password"
+            size="small"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+          {error && (
+            <Typography variant="caption" sx={{ color: '#f44336' }}>
+              {error}
+            </Typography>
+          )}
+          <Button type="submit" variant="contained" disabled={submitting || !username || !password}>
+            Log In
+          </Button>
+        </Box>
+      </Paper>
+    </Box>
+  );
+}
+
+export default LoginPage;
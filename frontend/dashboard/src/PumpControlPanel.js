@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  TextField,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { buildApiUrl, apiFetch } from './utils';
+
+const COMMAND_STATUS_COLORS = {
+  pending: 'default',
+  sent: 'info',
+  acknowledged: 'success',
+  failed: 'error',
+  expired: 'warning',
+  timeout: 'warning'
+};
+
+const describeCommand = (command) => {
+  if (command.command === 'start') return `Start ${command.durationSeconds}s`;
+  if (command.command === 'stop') return 'Stop';
+  return 'Auto mode';
+};
+
+function PumpControlPanel({ deviceId, canControl }) {
+  const [pumpStatus, setPumpStatus] = useState(null);
+  const [duration, setDuration] = useState(30);
+  const [error, setError] = useState('');
+  const [sending, setSending] = useState(false);
+
+  const fetchPumpStatus = useCallback(async () => {
+    if (!deviceId) return;
+    try {
+      const response = await apiFetch(buildApiUrl(`/api/devices/${encodeURIComponent(deviceId)}/pump`));
+      if (!response.ok) {
+        setPumpStatus(null);
+        return;
+      }
+      setPumpStatus(await response.json());
+    } catch (err) {
+      console.error('Error fetching pump status:', err);
+    }
+  }, [deviceId]);
+
+  useEffect(() => {
+    fetchPumpStatus();
+    const interval = setInterval(fetchPumpStatus, 5000);
+    return () => clearInterval(interval);
+  }, [fetchPumpStatus]);
+
+  const sendCommand = async (command) => {
+    setError('');
+    setSending(true);
+    try {
+      const body = { command };
+      if (command === 'start') {
+        body.durationSeconds = Number(duration);
+      }
+      const response = await apiFetch(buildApiUrl(`/api/devices/${encodeURIComponent(deviceId)}/pump/commands`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      if (!response.ok) {
+        const result = await response.json();
+        setError(result.error || 'Failed to send command');
+      }
+      await fetchPumpStatus();
+    } catch (err) {
+      setError('Failed to send command');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const disabled = !deviceId || sending || !canControl;
+
+  return (
+    <Paper elevation={4} className="main-card" sx={{ height: '100%', padding: '12px' }}>
+      <Typography variant="h6" gutterBottom className="card-title" sx={{ mb: 1 }}>
+        🚿 Pump Control
+      </Typography>
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <Chip
+          label={pumpStatus?.pumpActive ? 'PUMP ON' : 'PUMP OFF'}
+          color={pumpStatus?.pumpActive ? 'success' : 'default'}
+          size="small"
+        />
+        <Chip
+          label={`Mode: ${(pumpStatus?.pumpMode || 'auto').toUpperCase()}`}
+          variant="outlined"
+          size="small"
+        />
+        <Typography variant="caption" sx={{ ml: 'auto', color: '#666666' }}>
+          {pumpStatus?.updatedAt
+            ? `Reported ${new Date(pumpStatus.updatedAt).toLocaleTimeString()}`
+            : 'No state reported yet'}
+        </Typography>
+      </Box>
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <TextField
+          label="Seconds"
+          type="number"
+          size="small"
+          value={duration}
+          onChange={(e) => setDuration(e.target.value)}
+          inputProps={{ min: 1, max: 600 }}
+          sx={{ width: 100 }}
+        />
+        <Button variant="contained" color="success" size="small" disabled={disabled} onClick={() => sendCommand('start')}>
+          Start
+        </Button>
+        <Button variant="contained" color="error" size="small" disabled={disabled} onClick={() => sendCommand('stop')}>
+          Stop
+        </Button>
+        <Button variant="outlined" size="small" disabled={disabled} onClick={() => sendCommand('auto')}>
+          Auto
+        </Button>
+      </Box>
+
+      {!canControl && (
+        <Typography variant="caption" sx={{ color: '#666666', display: 'block', mb: 1 }}>
+          Pump control requires the operator role
+        </Typography>
+      )}
+
+      {error && (
+        <Typography variant="caption" sx={{ color: '#f44336', display: 'block', mb: 1 }}>
+          {error}
+        </Typography>
+      )}
+
+      <TableContainer sx={{ maxHeight: 200 }}>
+        <Table stickyHeader size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell sx={{ fontWeight: 'bold' }}>Time</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }}>Command</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }}>Source</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }} align="center">Status</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {(pumpStatus?.commands || []).map((command) => (
+              <TableRow key={command.id} hover>
+                <TableCell>{new Date(command.createdAt).toLocaleTimeString()}</TableCell>
+                <TableCell>{describeCommand(command)}</TableCell>
+                <TableCell>{command.source}</TableCell>
+                <TableCell align="center">
+                  <Chip
+                    label={command.status.toUpperCase()}
+                    color={COMMAND_STATUS_COLORS[command.status] || 'default'}
+                    size="small"
+                    title={command.message || ''}
+                  />
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+}
+
+export default PumpControlPanel;
@@ -0,0 +1,320 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Container,
+  FormControl,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import LogoutIcon from '@mui/icons-material/Logout';
+import { buildApiUrl, apiFetch, fetchTicket, hasRole } from './utils';
+
+// Select value standing for devices without a field
+const NO_FIELD = '__none__';
+
+// Value for a date input, in local time
+const toDateValue = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 10);
+};
+
+const yesterday = () => {
+  const date = new Date();
+  date.setDate(date.getDate() - 1);
+  return toDateValue(date);
+};
+
+const completenessColor = (percent) => {
+  if (percent === null) return 'default';
+  if (percent >= 95) return 'success';
+  if (percent >= 80) return 'warning';
+  return 'error';
+};
+
+// Links cannot carry headers, so each opens with a single-use download ticket
+const reportUrl = async (report, format, download) => {
+  const ticket = await fetchTicket('download');
+  return buildApiUrl(`/api/reports/${report.id}/${format}`, { download: download ? 'true' : '', ticket });
+};
+
+// Daily and weekly field reports: generate one on demand and open or
+// download the stored HTML and PDF renderings
+function ReportsPage({ user, onBack, onLogout }) {
+  const [reports, setReports] = useState([]);
+  const [fields, setFields] = useState([]);
+  const [fieldFilter, setFieldFilter] = useState('');
+  const [periodFilter, setPeriodFilter] = useState('');
+  const [generateField, setGenerateField] = useState('');
+  const [generatePeriod, setGeneratePeriod] = useState('daily');
+  const [generateDate, setGenerateDate] = useState(yesterday());
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState('');
+  const [openError, setOpenError] = useState('');
+  const [version, setVersion] = useState(0);
+
+  const canGenerate = hasRole(user, 'operator');
+
+  useEffect(() => {
+    const fetchFields = async () => {
+      try {
+        const response = await apiFetch(buildApiUrl('/api/devices'));
+        const devices = await response.json();
+        if (!Array.isArray(devices)) return;
+        const named = [...new Set(devices.map((device) => device.field).filter(Boolean))].sort();
+        const options = devices.some((device) => !device.field) ? [...named, NO_FIELD] : named;
+        setFields(options);
+        setGenerateField((current) => current || options[0] || '');
+      } catch (err) {
+        console.error('Error fetching fields:', err);
+      }
+    };
+    fetchFields();
+  }, []);
+
+  useEffect(() => {
+    const fetchReports = async () => {
+      try {
+        const response = await apiFetch(buildApiUrl('/api/reports', { period: periodFilter, limit: 500 }));
+        const data = await response.json();
+        setReports(Array.isArray(data) ? data : []);
+      } catch (err) {
+        console.error('Error fetching reports:', err);
+      }
+    };
+    fetchReports();
+    const interval = setInterval(fetchReports, 300000);
+    return () => clearInterval(interval);
+  }, [periodFilter, version]);
+
+  const handleGenerate = async () => {
+    setGenerating(true);
+    setError('');
+    try {
+      const response = await apiFetch(buildApiUrl('/api/reports'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          field: generateField === NO_FIELD ? null : generateField,
+          period: generatePeriod,
+          date: generateDate
+        })
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to generate report');
+      setVersion((current) => current + 1);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  // The tab is opened before the ticket arrives so popup blockers allow it
+  const handleView = async (report) => {
+    setOpenError('');
+    const tab = window.open('', '_blank');
+    try {
+      const url = await reportUrl(report, 'html', false);
+      if (tab) {
+        tab.opener = null;
+        tab.location.href = url;
+      }
+    } catch (err) {
+      if (tab) tab.close();
+      setOpenError(err.message);
+    }
+  };
+
+  const handleDownload = async (report) => {
+    setOpenError('');
+    try {
+      window.location.assign(await reportUrl(report, 'pdf', true));
+    } catch (err) {
+      setOpenError(err.message);
+    }
+  };
+
+  const fieldLabel = (field) => (field === NO_FIELD || field === null ? 'No field' : field);
+
+  const visibleReports = fieldFilter
+    ? reports.filter((report) => (report.field || NO_FIELD) === fieldFilter)
+    : reports;
+
+  return (
+    <Box className="dashboard-container">
+      <Container maxWidth="xl">
+        <Box className="dashboard-header">
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Tooltip title="Back to the dashboard">
+              <IconButton onClick={onBack}>
+                <ArrowBackIcon />
+              </IconButton>
+            </Tooltip>
+            <Typography variant="h4" component="h1" className="dashboard-title">
+              Farm Reports
+            </Typography>
+          </Box>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+            <Chip size="small" variant="outlined" label={`${user.username} · ${user.role}`} />
+            <Tooltip title="Log out">
+              <IconButton onClick={onLogout}>
+                <LogoutIcon />
+              </IconButton>
+            </Tooltip>
+          </Box>
+        </Box>
+
+        {canGenerate && (
+          <Paper elevation={4} className="main-card" sx={{ padding: '12px', mb: 1 }}>
+            <Typography variant="h6" className="card-title">
+              📝 Generate a Report
+            </Typography>
+            <Typography variant="body2" sx={{ color: '#666666', mb: 1.5 }}>
+              Reports for the previous day and week are generated every morning. Generating a period again replaces its report.
+            </Typography>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+              <FormControl size="small" sx={{ minWidth: 180 }}>
+                <InputLabel>Field</InputLabel>
+                <Select value={generateField} label="Field" onChange={(e) => setGenerateField(e.target.value)}>
+                  {fields.map((field) => (
+                    <MenuItem key={field} value={field}>
+                      {fieldLabel(field)}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <FormControl size="small" sx={{ minWidth: 120 }}>
+                <InputLabel>Period</InputLabel>
+                <Select value={generatePeriod} label="Period" onChange={(e) => setGeneratePeriod(e.target.value)}>
+                  <MenuItem value="daily">Daily</MenuItem>
+                  <MenuItem value="weekly">Weekly</MenuItem>
+                </Select>
+              </FormControl>
+              <TextField
+                label={generatePeriod === 'weekly' ? 'Any day in the week' : 'Day'}
+                type="date"
+                size="small"
+                value={generateDate}
+                onChange={(e) => setGenerateDate(e.target.value)}
+                InputLabelProps={{ shrink: true }}
+              />
+              <Button variant="contained" onClick={handleGenerate} disabled={generating || !generateField || !generateDate}>
+                {generating ? 'Generating…' : 'Generate'}
+              </Button>
+              {error && (
+                <Typography variant="body2" sx={{ color: '#f44336' }}>
+                  {error}
+                </Typography>
+              )}
+            </Box>
+          </Paper>
+        )}
+
+        <Paper elevation={4} className="main-card" sx={{ padding: '12px' }}>
+          <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 2, pb: 0.5, mb: 1, borderBottom: '1px solid #e0e0e0' }}>
+            <Typography variant="h6" className="card-title" sx={{ mb: 0, borderBottom: 'none', pb: 0, mr: 'auto' }}>
+              📄 Reports
+            </Typography>
+            <FormControl size="small" sx={{ minWidth: 160 }}>
+              <InputLabel>Field</InputLabel>
+              <Select value={fieldFilter} label="Field" onChange={(e) => setFieldFilter(e.target.value)}>
+                <MenuItem value="">All fields</MenuItem>
+                {fields.map((field) => (
+                  <MenuItem key={field} value={field}>
+                    {fieldLabel(field)}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <FormControl size="small" sx={{ minWidth: 120 }}>
+              <InputLabel>Period</InputLabel>
+              <Select value={periodFilter} label="Period" onChange={(e) => setPeriodFilter(e.target.value)}>
+                <MenuItem value="">All</MenuItem>
+                <MenuItem value="daily">Daily</MenuItem>
+                <MenuItem value="weekly">Weekly</MenuItem>
+              </Select>
+            </FormControl>
+          </Box>
+          {openError && (
+            <Typography variant="body2" sx={{ color: '#f44336', mb: 1 }}>
+              {openError}
+            </Typography>
+          )}
+
+          <TableContainer sx={{ maxHeight: 'calc(100vh - 360px)' }}>
+            <Table stickyHeader size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={{ fontWeight: 'bold' }}>Report</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold' }}>Period</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold' }} align="right">Alerts</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold' }} align="right">Waterings</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold' }} align="center">Completeness</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold' }}>Generated</TableCell>
+                  <TableCell sx={{ fontWeight: 'bold' }} align="right">Open</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {visibleReports.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={7} align="center" sx={{ color: '#757575' }}>
+                      No reports yet
+                    </TableCell>
+                  </TableRow>
+                )}
+                {visibleReports.map((report) => (
+                  <TableRow key={report.id} hover>
+                    <TableCell>{report.title}</TableCell>
+                    <TableCell>
+                      <Chip size="small" variant="outlined" label={report.period === 'weekly' ? 'Weekly' : 'Daily'} />
+                    </TableCell>
+                    <TableCell align="right">{report.alerts}</TableCell>
+                    <TableCell align="right">
+                      {report.waterings}
+                      {report.waterings > 0 ? ` · ${report.liters} L` : ''}
+                    </TableCell>
+                    <TableCell align="center">
+                      <Chip
+                        size="small"
+                        color={completenessColor(report.completeness)}
+                        label={report.completeness === null ? 'Unknown' : `${report.completeness}%`}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      {new Date(report.createdAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false })}
+                    </TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                      <Button size="small" onClick={() => handleView(report)}>
+                        View
+                      </Button>
+                      <Button size="small" onClick={() => handleDownload(report)}>
+                        PDF
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      </Container>
+    </Box>
+  );
+}
+
+export default ReportsPage;
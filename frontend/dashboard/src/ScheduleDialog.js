@@ -0,0 +1,248 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Chip,
+  FormControl,
+  FormControlLabel,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Select,
+  Switch,
+  TextField,
+  Typography
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { buildApiUrl, apiFetch } from './utils';
+
+export const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Longest run a schedule may ask for, matches the pump command limit
+const MAX_DURATION_SECONDS = 600;
+
+const emptySchedule = (deviceId) => ({
+  name: '',
+  deviceId: deviceId || '',
+  days: [1, 2, 3, 4, 5, 6, 0],
+  windows: [{ start: '06:00', end: '07:00' }],
+  durationSeconds: 120,
+  maxRunsPerDay: 1,
+  skipOnRain: true,
+  skipMoistureAbove: '',
+  enabled: true
+});
+
+// Create or edit an irrigation schedule
+function ScheduleDialog({ open, onClose, schedule, devices, defaultDeviceId, onSaved }) {
+  const [draft, setDraft] = useState(emptySchedule(defaultDeviceId));
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setDraft(
+      schedule
+        ? { ...schedule, skipMoistureAbove: schedule.skipMoistureAbove ?? '' }
+        : emptySchedule(defaultDeviceId)
+    );
+    setError('');
+  }, [open, schedule, defaultDeviceId]);
+
+  const update = (changes) => setDraft((current) => ({ ...current, ...changes }));
+
+  const toggleDay = (day) => {
+    update({ days: draft.days.includes(day) ? draft.days.filter((entry) => entry !== day) : [...draft.days, day] });
+  };
+
+  const updateWindow = (index, changes) => {
+    update({ windows: draft.windows.map((window, windowIndex) => (windowIndex === index ? { ...window, ...changes } : window)) });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const body = {
+        name: draft.name,
+        deviceId: draft.deviceId,
+        days: draft.days,
+        windows: draft.windows,
+        durationSeconds: Number(draft.durationSeconds),
+        maxRunsPerDay: Number(draft.maxRunsPerDay),
+        skipOnRain: draft.skipOnRain,
+        skipMoistureAbove: draft.skipMoistureAbove === '' ? null : Number(draft.skipMoistureAbove),
+        enabled: draft.enabled
+      };
+      const response = await apiFetch(
+        buildApiUrl(schedule ? `/api/irrigation/schedules/${schedule.id}` : '/api/irrigation/schedules'),
+        {
+          method: schedule ? 'PUT' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        }
+      );
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to save schedule');
+      onSaved();
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const response = await apiFetch(buildApiUrl(`/api/irrigation/schedules/${schedule.id}`), { method: 'DELETE' });
+      if (!response.ok) {
+        const result = await response.json();
+        throw new Error(result.error || 'Failed to delete schedule');
+      }
+      onSaved();
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>🗓️ {schedule ? 'Edit Irrigation Schedule' : 'New Irrigation Schedule'}</DialogTitle>
+      <DialogContent sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: '8px !important' }}>
+        <TextField label="Name" size="small" value={draft.name} onChange={(e) => update({ name: e.target.value })} />
+        <FormControl size="small">
+          <InputLabel>Device</InputLabel>
+          <Select value={draft.deviceId} label="Device" onChange={(e) => update({ deviceId: e.target.value })}>
+            {devices.map((device) => (
+              <MenuItem key={device.deviceId} value={device.deviceId}>
+                {device.name || device.deviceId}
+                {device.field ? ` (${device.field})` : ''}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <Box>
+          <Typography variant="body2" sx={{ mb: 0.5 }}>
+            Days
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 0.5 }}>
+            {[1, 2, 3, 4, 5, 6, 0].map((day) => (
+              <Chip
+                key={day}
+                size="small"
+                label={DAY_LABELS[day]}
+                color={draft.days.includes(day) ? 'primary' : 'default'}
+                variant={draft.days.includes(day) ? 'filled' : 'outlined'}
+                onClick={() => toggleDay(day)}
+              />
+            ))}
+          </Box>
+        </Box>
+
+        <Box>
+          <Typography variant="body2" sx={{ mb: 0.5 }}>
+            Time windows (one run per window, decided when it opens)
+          </Typography>
+          {draft.windows.map((window, index) => (
+            <Box key={index} sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+              <TextField
+                label="From"
+                type="time"
+                size="small"
+                value={window.start}
+                onChange={(e) => updateWindow(index, { start: e.target.value })}
+                InputLabelProps={{ shrink: true }}
+              />
+              <TextField
+                label="To"
+                type="time"
+                size="small"
+                value={window.end}
+                onChange={(e) => updateWindow(index, { end: e.target.value })}
+                InputLabelProps={{ shrink: true }}
+              />
+              <IconButton
+                size="small"
+                disabled={draft.windows.length === 1}
+                onClick={() => update({ windows: draft.windows.filter((_, windowIndex) => windowIndex !== index) })}
+              >
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            </Box>
+          ))}
+          <Button size="small" onClick={() => update({ windows: [...draft.windows, { start: '17:00', end: '18:00' }] })}>
+            Add window
+          </Button>
+        </Box>
+
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <TextField
+            label="Duration (seconds)"
+            type="number"
+            size="small"
+            value={draft.durationSeconds}
+            onChange={(e) => update({ durationSeconds: e.target.value })}
+            inputProps={{ min: 1, max: MAX_DURATION_SECONDS }}
+            sx={{ flex: 1 }}
+          />
+          <TextField
+            label="Max runs per day"
+            type="number"
+            size="small"
+            value={draft.maxRunsPerDay}
+            onChange={(e) => update({ maxRunsPerDay: e.target.value })}
+            inputProps={{ min: 1 }}
+            sx={{ flex: 1 }}
+          />
+        </Box>
+
+        <FormControlLabel
+          control={<Switch checked={draft.skipOnRain} onChange={(e) => update({ skipOnRain: e.target.checked })} />}
+          label={<Typography variant="body2">Skip when the rain sensor shows rain</Typography>}
+        />
+        <TextField
+          label="Skip when soil moisture is at least"
+          type="number"
+          size="small"
+          value={draft.skipMoistureAbove}
+          onChange={(e) => update({ skipMoistureAbove: e.target.value })}
+          helperText="Leave empty to use the field's high soil moisture threshold"
+        />
+        <FormControlLabel
+          control={<Switch checked={draft.enabled} onChange={(e) => update({ enabled: e.target.checked })} />}
+          label={<Typography variant="body2">Enabled</Typography>}
+        />
+
+        {error && (
+          <Typography variant="caption" sx={{ color: '#f44336' }}>
+            {error}
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {schedule && (
+          <Button color="error" onClick={handleDelete} disabled={saving} sx={{ mr: 'auto' }}>
+            Delete
+          </Button>
+        )}
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving || !draft.name || !draft.deviceId || draft.days.length === 0}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ScheduleDialog;
@@ -0,0 +1,360 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  Chip,
+  FormControlLabel,
+  Switch,
+  IconButton,
+  Tooltip,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TablePagination,
+  TableRow,
+  TableSortLabel
+} from '@mui/material';
+import FilterListIcon from '@mui/icons-material/FilterList';
+import { buildApiUrl, apiFetch, formatCalibratedValue, SENSOR_THRESHOLDS } from './utils';
+
+const SENSOR_KEYS = Object.keys(SENSOR_THRESHOLDS);
+
+const FILTER_OPERATORS = ['<', '<=', '>', '>=', '=', '!='];
+
+const ANOMALY_COLOR = '#9c27b0';
+
+// ISO time for a datetime-local input value, empty when unset
+const toApiDate = (value) => (value ? new Date(value).toISOString() : '');
+
+// Whether a reading's time falls inside the picked date range
+const inRange = (timestamp, range) => {
+  const time = new Date(timestamp);
+  return (!range.from || time >= new Date(range.from)) && (!range.to || time <= new Date(range.to));
+};
+
+function SensorHistoryTable({
+  deviceId,
+  refreshKey,
+  liveReading,
+  range,
+  onRangeChange,
+  sensorKeys,
+  units = {},
+  getSensorName,
+  getSensorIcon,
+  getStatusColor,
+  actions,
+  excludeAnomalies = false,
+  canReview = false,
+  onAnomalyDismissed
+}) {
+  const [rows, setRows] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(50);
+  const [sort, setSort] = useState('timestamp');
+  const [order, setOrder] = useState('desc');
+  const [filters, setFilters] = useState([]);
+  const [outOfRange, setOutOfRange] = useState(false);
+  const [anomaliesOnly, setAnomaliesOnly] = useState(false);
+  const [dismissedVersion, setDismissedVersion] = useState(0);
+  const [filtersOpen, setFiltersOpen] = useState(false);
+  const [draftFilter, setDraftFilter] = useState({ sensor: 'soilMoisture', operator: '<', value: '' });
+  const [error, setError] = useState('');
+
+  // Live readings only land on the first page of the newest-first view, so
+  // other pages and sort orders are not reloaded for each one
+  const liveKey = liveReading && page === 0 && sort === 'timestamp' && order === 'desc' && inRange(liveReading.timestamp, range)
+    ? liveReading.id
+    : null;
+
+  // A different device starts from the first page
+  useEffect(() => {
+    setPage(0);
+  }, [deviceId]);
+
+  useEffect(() => {
+    const fetchTable = async () => {
+      try {
+        const url = buildApiUrl('/api/sensors/table', {
+          deviceId,
+          page: page + 1,
+          pageSize: rowsPerPage,
+          sort,
+          order,
+          from: toApiDate(range.from),
+          to: toApiDate(range.to),
+          filter: filters.map((filter) => `${filter.sensor}${filter.operator}${filter.value}`).join(','),
+          outOfRange: outOfRange ? 'true' : '',
+          anomalies: anomaliesOnly ? 'true' : '',
+          excludeAnomalies: excludeAnomalies && !anomaliesOnly ? 'true' : ''
+        });
+        const response = await apiFetch(url);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to fetch table data');
+        setRows(data.rows);
+        setTotal(data.total);
+        setError('');
+      } catch (err) {
+        console.error('Error fetching table data:', err);
+        setError(err.message);
+      }
+    };
+
+    fetchTable();
+  }, [deviceId, page, rowsPerPage, sort, order, filters, outOfRange, anomaliesOnly, excludeAnomalies, range.from, range.to, refreshKey, liveKey, dismissedVersion]);
+
+  // A flagged reading reviewed as genuine counts as a normal reading again
+  const dismissAnomaly = async (id) => {
+    try {
+      const response = await apiFetch(buildApiUrl(`/api/sensors/readings/${id}/anomaly`), { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to dismiss anomaly');
+      setDismissedVersion((version) => version + 1);
+      if (onAnomalyDismissed) onAnomalyDismissed();
+    } catch (err) {
+      console.error('Error dismissing anomaly:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleSort = (column) => {
+    if (sort === column) {
+      setOrder(order === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSort(column);
+      setOrder(column === 'timestamp' ? 'desc' : 'asc');
+    }
+    setPage(0);
+  };
+
+  const handleRangeChange = (changes) => {
+    onRangeChange({ ...range, ...changes });
+    setPage(0);
+  };
+
+  const addFilter = () => {
+    if (draftFilter.value === '' || isNaN(Number(draftFilter.value))) return;
+    setFilters([...filters, { ...draftFilter, value: Number(draftFilter.value) }]);
+    setDraftFilter({ ...draftFilter, value: '' });
+    setPage(0);
+  };
+
+  const removeFilter = (index) => {
+    setFilters(filters.filter((_, filterIndex) => filterIndex !== index));
+    setPage(0);
+  };
+
+  const sortableHeader = (column, label, cellProps = {}) => (
+    <TableCell sortDirection={sort === column ? order : false} sx={{ fontWeight: 'bold' }} {...cellProps}>
+      <TableSortLabel active={sort === column} direction={sort === column ? order : 'asc'} onClick={() => handleSort(column)}>
+        {label}
+      </TableSortLabel>
+    </TableCell>
+  );
+
+  return (
+    <Paper elevation={4} className="table-card" sx={{ height: '100%', padding: '12px', display: 'flex', flexDirection: 'column' }}>
+      <Box className="table-header" sx={{ display: 'flex', alignItems: 'flex-start', justifyContent: 'space-between', gap: 1, pb: 0.5, mb: 1, borderBottom: '1px solid #e0e0e0' }}>
+        <Typography variant="h6" className="card-title" sx={{ mb: 0, borderBottom: 'none', pb: 0 }}>
+          📊 Sensor Data History
+        </Typography>
+        <TextField
+          label="From"
+          type="datetime-local"
+          size="small"
+          value={range.from}
+          onChange={(e) => handleRangeChange({ from: e.target.value })}
+          InputLabelProps={{ shrink: true }}
+          sx={{ marginLeft: 'auto', position: 'relative', top: '-4px', '& .MuiInputBase-input': { fontSize: '0.8rem' } }}
+        />
+        <TextField
+          label="To"
+          type="datetime-local"
+          size="small"
+          value={range.to}
+          onChange={(e) => handleRangeChange({ to: e.target.value })}
+          InputLabelProps={{ shrink: true }}
+          sx={{ position: 'relative', top: '-4px', '& .MuiInputBase-input': { fontSize: '0.8rem' } }}
+        />
+        <Tooltip title="Filter by sensor value">
+          <IconButton size="small" onClick={() => setFiltersOpen(!filtersOpen)} color={filters.length > 0 || outOfRange || anomaliesOnly ? 'primary' : 'default'}>
+            <FilterListIcon fontSize="small" />
+          </IconButton>
+        </Tooltip>
+        {actions}
+      </Box>
+
+      {filtersOpen && (
+        <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+          <FormControlLabel
+            control={
+              <Switch
+                size="small"
+                checked={outOfRange}
+                onChange={(e) => {
+                  setOutOfRange(e.target.checked);
+                  setPage(0);
+                }}
+              />
+            }
+            label={<Typography variant="body2">Only out of range</Typography>}
+          />
+          <FormControlLabel
+            control={
+              <Switch
+                size="small"
+                checked={anomaliesOnly}
+                onChange={(e) => {
+                  setAnomaliesOnly(e.target.checked);
+                  setPage(0);
+                }}
+              />
+            }
+            label={<Typography variant="body2">Only anomalies</Typography>}
+          />
+          <FormControl size="small" sx={{ minWidth: 140 }}>
+            <InputLabel>Sensor</InputLabel>
+            <Select value={draftFilter.sensor} label="Sensor" onChange={(e) => setDraftFilter({ ...draftFilter, sensor: e.target.value })}>
+              {SENSOR_KEYS.map((key) => (
+                <MenuItem key={key} value={key}>
+                  {getSensorName(key)}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl size="small" sx={{ minWidth: 70 }}>
+            <Select value={draftFilter.operator} onChange={(e) => setDraftFilter({ ...draftFilter, operator: e.target.value })}>
+              {FILTER_OPERATORS.map((operator) => (
+                <MenuItem key={operator} value={operator}>
+                  {operator}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            label="Value"
+            type="number"
+            size="small"
+            value={draftFilter.value}
+            onChange={(e) => setDraftFilter({ ...draftFilter, value: e.target.value })}
+            onKeyDown={(e) => e.key === 'Enter' && addFilter()}
+            sx={{ width: 100 }}
+          />
+          <Button size="small" onClick={addFilter}>
+            Add
+          </Button>
+          {filters.map((filter, index) => (
+            <Chip
+              key={`${filter.sensor}${filter.operator}${filter.value}`}
+              size="small"
+              label={`${getSensorName(filter.sensor)} ${filter.operator} ${filter.value}`}
+              onDelete={() => removeFilter(index)}
+            />
+          ))}
+        </Box>
+      )}
+
+      {error && (
+        <Typography variant="caption" sx={{ color: '#f44336', mb: 1 }}>
+          {error}
+        </Typography>
+      )}
+
+      <TableContainer className="table-container" sx={{ flex: 1, overflowY: 'auto', width: '100%' }}>
+        <Table stickyHeader size="small">
+          <TableHead>
+            <TableRow>
+              {sortableHeader('timestamp', 'Date', { sx: { borderRadius: '8px 0 0 0', fontWeight: 'bold' } })}
+              <TableCell sx={{ fontWeight: 'bold' }}>Time</TableCell>
+              {sensorKeys.map((key) => (
+                <React.Fragment key={key}>
+                  {sortableHeader(key, `${getSensorIcon(key)} ${getSensorName(key)}`, { align: 'center' })}
+                </React.Fragment>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={sensorKeys.length + 2} align="center" sx={{ color: '#757575' }}>
+                  No readings match
+                </TableCell>
+              </TableRow>
+            )}
+            {rows.map((row) => {
+              const date = new Date(row.timestamp);
+              const isDateValid = row.timestamp && !isNaN(date);
+
+              return (
+                <TableRow key={row.id} hover>
+                  <TableCell>
+                    {isDateValid ? date.toLocaleDateString() : 'N/A'}
+                  </TableCell>
+                  <TableCell>
+                    {isDateValid ? date.toLocaleTimeString() : 'N/A'}
+                    {row.anomalies && (
+                      <Tooltip title={canReview ? 'Dismiss if the reading is genuine' : 'Flagged as anomalous'}>
+                        <Chip
+                          size="small"
+                          label="Anomaly"
+                          sx={{ ml: 0.5, height: 18, fontSize: '0.65rem', color: '#ffffff', backgroundColor: ANOMALY_COLOR }}
+                          onDelete={canReview ? () => dismissAnomaly(row.id) : undefined}
+                        />
+                      </Tooltip>
+                    )}
+                  </TableCell>
+                  {sensorKeys.map((key) => {
+                    const score = row.anomalies?.[key];
+                    const color = score !== undefined ? ANOMALY_COLOR : getStatusColor(row.status?.[key], key);
+                    const calibrated = row[`${key}_calibrated`] !== null && row[`${key}_calibrated`] !== undefined;
+                    const tooltip = [calibrated && `Raw: ${row[key]}`, score !== undefined && `Anomaly score ${score}`].filter(Boolean).join(' · ');
+                    return (
+                      <TableCell key={key} align="center">
+                        <Box className="table-cell-value">
+                          <Tooltip title={tooltip}>
+                            <Typography variant="body2" className="table-value" style={{ color }}>
+                              {calibrated ? formatCalibratedValue(row[`${key}_calibrated`], units[key]) : row[key] ?? '-'}
+                            </Typography>
+                          </Tooltip>
+                          <Typography variant="caption" className="table-status">
+                            {score !== undefined ? 'ANOMALY' : row.status?.[key]?.toUpperCase()}
+                          </Typography>
+                        </Box>
+                      </TableCell>
+                    );
+                  })}
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <TablePagination
+        component="div"
+        count={total}
+        page={page}
+        onPageChange={(e, newPage) => setPage(newPage)}
+        rowsPerPage={rowsPerPage}
+        onRowsPerPageChange={(e) => {
+          setRowsPerPage(parseInt(e.target.value, 10));
+          setPage(0);
+        }}
+        rowsPerPageOptions={[25, 50, 100]}
+        sx={{ flexShrink: 0 }}
+      />
+    </Paper>
+  );
+}
+
+export default SensorHistoryTable;
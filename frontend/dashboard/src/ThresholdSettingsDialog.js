@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Checkbox,
+  FormControlLabel,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import { buildApiUrl, apiFetch } from './utils';
+
+function ThresholdSettingsDialog({ open, onClose, thresholds, onSaved, getSensorName }) {
+  const [draft, setDraft] = useState({});
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  // Start from the live configuration each time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setDraft(Object.fromEntries(
+        Object.entries(thresholds).map(([key, config]) => [key, {
+          low: String(config.low),
+          high: String(config.high),
+          inverted: config.inverted
+        }])
+      ));
+      setError('');
+    }
+  }, [open, thresholds]);
+
+  const updateDraft = (sensorKey, changes) => {
+    setDraft((current) => ({ ...current, [sensorKey]: { ...current[sensorKey], ...changes } }));
+  };
+
+  const handleSave = async () => {
+    const update = {};
+    for (const [key, config] of Object.entries(draft)) {
+      const low = Number(config.low);
+      const high = Number(config.high);
+      if (config.low === '' || config.high === '' || isNaN(low) || isNaN(high)) {
+        setError(`${getSensorName(key)}: low and high must be numbers`);
+        return;
+      }
+      if (low >= high) {
+        setError(`${getSensorName(key)}: low must be less than high`);
+        return;
+      }
+      update[key] = { low, high, inverted: config.inverted };
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      const response = await apiFetch(buildApiUrl('/api/config/thresholds'), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(update)
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        setError(result.error || 'Failed to save thresholds');
+        return;
+      }
+      onSaved(result);
+      onClose();
+    } catch (err) {
+      setError('Failed to save thresholds');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>⚙️ Sensor Thresholds</DialogTitle>
+      <DialogContent>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell sx={{ fontWeight: 'bold' }}>Sensor</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }}>Low</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }}>High</TableCell>
+              <TableCell sx={{ fontWeight: 'bold' }}>Inverted</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {Object.entries(draft).map(([key, config]) => (
+              <TableRow key={key}>
+                <TableCell>{getSensorName(key)}</TableCell>
+                <TableCell>
+                  <TextField
+                    type="number"
+                    size="small"
+                    value={config.low}
+                    onChange={(e) => updateDraft(key, { low: e.target.value })}
+                    sx={{ width: 100 }}
+                  />
+                </TableCell>
+                <TableCell>
+                  <TextField
+                    type="number"
+                    size="small"
+                    value={config.high}
+                    onChange={(e) => updateDraft(key, { high: e.target.value })}
+                    sx={{ width: 100 }}
+                  />
+                </TableCell>
+                <TableCell>
+                  <FormControlLabel
+                    control={
+                      <Checkbox
+                        size="small"
+                        checked={config.inverted}
+                        onChange={(e) => updateDraft(key, { inverted: e.target.checked })}
+                      />
+                    }
+                    label=""
+                  />
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+        <Typography variant="caption" sx={{ color: '#666666', display: 'block', mt: 1 }}>
+          Inverted sensors read lower values as higher levels (light, rain).
+        </Typography>
+        {error && (
+          <Typography variant="caption" sx={{ color: '#f44336', display: 'block', mt: 1 }}>
+            {error}
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ThresholdSettingsDialog;
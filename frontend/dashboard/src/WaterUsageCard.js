@@ -0,0 +1,103 @@
+import React, { useState, useEffect } from 'react';
+import { Box, Paper, Typography } from '@mui/material';
+import { buildApiUrl, apiFetch } from './utils';
+
+const formatRuntime = (seconds) => {
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+const dateKey = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Weekly totals are keyed by the Monday that starts the week
+const weekStartKey = (date) => {
+  const monday = new Date(date);
+  monday.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return dateKey(monday);
+};
+
+const EMPTY_TOTAL = { liters: 0, runtimeSeconds: 0, waterings: 0 };
+
+const UsageStat = ({ label, value }) => (
+  <Box sx={{ flex: 1, textAlign: 'center', background: '#f5f9ff', borderRadius: 2, p: 1 }}>
+    <Typography variant="h6" sx={{ color: '#1976d2' }}>
+      {value}
+    </Typography>
+    <Typography variant="caption" sx={{ color: '#666666' }}>
+      {label}
+    </Typography>
+  </Box>
+);
+
+function WaterUsageCard({ deviceId }) {
+  const [daily, setDaily] = useState({ totals: [] });
+  const [weekly, setWeekly] = useState({ totals: [] });
+
+  useEffect(() => {
+    const fetchUsage = async () => {
+      try {
+        const dailyResponse = await apiFetch(buildApiUrl('/api/irrigation/usage', { deviceId, period: 'daily', days: 7 }));
+        const weeklyResponse = await apiFetch(buildApiUrl('/api/irrigation/usage', { deviceId, period: 'weekly', days: 7 }));
+        if (dailyResponse.ok) setDaily(await dailyResponse.json());
+        if (weeklyResponse.ok) setWeekly(await weeklyResponse.json());
+      } catch (err) {
+        console.error('Error fetching water usage:', err);
+      }
+    };
+
+    fetchUsage();
+    const interval = setInterval(fetchUsage, 60000);
+    return () => clearInterval(interval);
+  }, [deviceId]);
+
+  const now = new Date();
+  const today = daily.totals.find((row) => row.period === dateKey(now)) || EMPTY_TOTAL;
+  const thisWeek = weekly.totals.find((row) => row.period === weekStartKey(now)) || EMPTY_TOTAL;
+  const maxLiters = Math.max(...daily.totals.map((row) => row.liters), 1);
+
+  return (
+    <Paper elevation={4} className="main-card" sx={{ height: '100%', padding: '12px' }}>
+      <Typography variant="h6" gutterBottom className="card-title" sx={{ mb: 1 }}>
+        💦 Water Usage
+      </Typography>
+
+      <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>
+        <UsageStat label="Today" value={`${today.liters} L`} />
+        <UsageStat label="This Week" value={`${thisWeek.liters} L`} />
+        <UsageStat label="Pump Runtime Today" value={formatRuntime(today.runtimeSeconds)} />
+        <UsageStat label="Waterings Today" value={today.waterings} />
+      </Box>
+
+      <Typography variant="caption" sx={{ color: '#666666' }}>
+        Last 7 days
+      </Typography>
+      {daily.totals.length === 0 ? (
+        <Typography variant="body2" sx={{ color: '#757575', mt: 1 }}>
+          No watering recorded
+        </Typography>
+      ) : (
+        daily.totals.map((row) => (
+          <Box key={row.period} sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 0.5 }}>
+            <Typography variant="caption" sx={{ width: 80 }}>
+              {row.period}
+            </Typography>
+            <Box sx={{ flex: 1, background: '#e0e0e0', borderRadius: 1, height: 8 }}>
+              <Box sx={{ width: `${(row.liters / maxLiters) * 100}%`, background: '#2196f3', borderRadius: 1, height: 8 }} />
+            </Box>
+            <Typography variant="caption" sx={{ width: 60, textAlign: 'right' }}>
+              {row.liters} L
+            </Typography>
+          </Box>
+        ))
+      )}
+    </Paper>
+  );
+}
+
+export default WaterUsageCard;
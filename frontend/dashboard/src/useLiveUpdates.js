@@ -0,0 +1,74 @@
+import { useState, useEffect, useRef } from 'react';
+import { buildApiUrl, fetchTicket } from './utils';
+
+// Delay before reconnecting after the stream drops
+const RECONNECT_MS = 5000;
+
+// Subscribe to the backend event stream. Returns the connection status:
+// 'connecting', 'live' while the stream is open, or 'polling' while it is
+// down and the dashboard has to fall back to polling.
+function useLiveUpdates(deviceId, handlers) {
+  const [status, setStatus] = useState('connecting');
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    if (typeof EventSource === 'undefined') {
+      setStatus('polling');
+      return undefined;
+    }
+
+    let source = null;
+    let retryTimer = null;
+    let stopped = false;
+
+    const listen = (eventName, handlerName) => {
+      source.addEventListener(eventName, (event) => {
+        const handler = handlersRef.current[handlerName];
+        if (handler) handler(JSON.parse(event.data));
+      });
+    };
+
+    const retry = () => {
+      setStatus('polling');
+      if (!stopped) retryTimer = setTimeout(connect, RECONNECT_MS);
+    };
+
+    // EventSource cannot send headers, so each connection uses a fresh
+    // single-use ticket. Its own reconnect would reuse the spent one, so the
+    // stream is closed on error and opened again with a new ticket.
+    const connect = async () => {
+      let ticket;
+      try {
+        ticket = await fetchTicket('stream');
+      } catch (err) {
+        retry();
+        return;
+      }
+      if (stopped) return;
+
+      source = new EventSource(buildApiUrl('/api/stream', { deviceId, ticket }));
+      source.addEventListener('connected', () => setStatus('live'));
+      listen('reading', 'onReading');
+      listen('irrigation', 'onIrrigation');
+      listen('alert', 'onAlert');
+      source.onerror = () => {
+        source.close();
+        retry();
+      };
+    };
+
+    setStatus('connecting');
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      if (source) source.close();
+    };
+  }, [deviceId]);
+
+  return status;
+}
+
+export default useLiveUpdates;
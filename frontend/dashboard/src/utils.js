@@ -11,7 +11,7 @@ export const getStatus = (value, lowThreshold, highThreshold, isInverted = false
   }
 };
 
-// Sensor configuration constants
+// Sensor configuration constants, used until the backend configuration is loaded
 export const SENSOR_THRESHOLDS = {
   temperature: { low: 20, high: 25, inverted: false },
   humidity: { low: 70, high: 80, inverted: false },
@@ -21,9 +21,290 @@ export const SENSOR_THRESHOLDS = {
   soilMoisture: { low: 200, high: 400, inverted: false }
 };
 
+// Labels for calibrated values with the unit "level", e.g. rain intensity
+export const INTENSITY_LEVELS = ['None', 'Light', 'Moderate', 'Heavy'];
+
+// Sensors whose raw ADC readings can be calibrated on the backend
+export const CALIBRATED_SENSORS = ['soilMoisture', 'ldrValue', 'rainValue', 'airQualityPPM'];
+
+// Display text for a calibrated value, e.g. "42.5%", "310 lux" or "Moderate"
+export const formatCalibratedValue = (value, unit) => {
+  if (unit === 'level') {
+    const level = Math.min(INTENSITY_LEVELS.length - 1, Math.max(0, Math.round(value)));
+    return INTENSITY_LEVELS[level];
+  }
+  if (!unit) return `${value}`;
+  return unit === '%' ? `${value}%` : `${value} ${unit}`;
+};
+
+// Metrics the backend derives from temperature and humidity
+export const DERIVED_METRICS = {
+  dewPoint: { name: 'Dew Point', unit: '°C', icon: '💧' },
+  vpd: { name: 'Vapour Pressure Deficit', unit: 'kPa', icon: '🌿' },
+  heatIndex: { name: 'Heat Index', unit: '°C', icon: '🥵' }
+};
+
 // Helper function to get status for specific sensor
-export const getSensorStatus = (sensorKey, value) => {
-  const config = SENSOR_THRESHOLDS[sensorKey];
+export const getSensorStatus = (sensorKey, value, thresholds = SENSOR_THRESHOLDS) => {
+  const config = thresholds[sensorKey];
   if (!config) return 'medium';
   return getStatus(value, config.low, config.high, config.inverted);
 };
+
+// Backend API location
+export const API_BASE_URL = 'http://localhost:3001';
+
+// Build an API URL, leaving out empty query parameters
+export const buildApiUrl = (path, params = {}) => {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      query.append(key, value);
+    }
+  });
+  const queryString = query.toString();
+  return `${API_BASE_URL}${path}${queryString ? `?${queryString}` : ''}`;
+};
+
+// Dashboard roles, each can do everything the roles before it can
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+export const hasRole = (user, role) => Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+const SESSION_STORAGE_KEY = 'pertanian.session';
+
+// The logged-in session ({ token, user, expiresAt }) kept across reloads
+export const loadSession = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+    if (session && new Date(session.expiresAt) > new Date()) return session;
+  } catch (err) {
+    // Fall through to logged out
+  }
+  return null;
+};
+
+export const saveSession = (session) => {
+  if (session) {
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+  } else {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+  }
+};
+
+export const getAuthToken = () => loadSession()?.token;
+
+let unauthorizedHandler = null;
+
+// Called when the backend rejects the session, so the app can show the login screen
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+// fetch() with the session token attached
+export const apiFetch = async (url, options = {}) => {
+  const token = getAuthToken();
+  const headers = { ...(options.headers || {}) };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const response = await fetch(url, { ...options, headers });
+  if (response.status === 401 && unauthorizedHandler) {
+    unauthorizedHandler();
+  }
+  return response;
+};
+
+// Single-use ticket for a URL that cannot carry the session token in a header,
+// i.e. the event stream ('stream') or a download link ('download')
+export const fetchTicket = async (purpose) => {
+  const response = await apiFetch(buildApiUrl('/api/auth/ticket'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ purpose })
+  });
+  const result = await response.json();
+  if (!response.ok) throw new Error(result.error || 'Failed to get a ticket');
+  return result.ticket;
+};
+
+// Group devices by the field they are installed in
+export const groupDevicesByField = (devices) => {
+  return devices.reduce((groups, device) => {
+    const field = device.field || 'Unassigned';
+    if (!groups[field]) groups[field] = [];
+    groups[field].push(device);
+    return groups;
+  }, {});
+};
+
+// Attach each irrigation event to the nearest preceding chart label.
+// Returns one entry per label: the events that fall in that slot, or null.
+export const mapEventsToLabels = (labels, events) => {
+  const slots = labels.map(() => null);
+  events.forEach((event) => {
+    const time = new Date(event.timestamp).getTime();
+    let index = -1;
+    labels.forEach((label, i) => {
+      if (label.timestamp <= time) index = i;
+    });
+    if (index >= 0) {
+      slots[index] = [...(slots[index] || []), event];
+    }
+  });
+  return slots;
+};
+
+// Chart label for a reading, matching the labels from /api/sensors/historical
+export const formatChartLabel = (date) => ({
+  display: date.toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  }),
+  timestamp: date.getTime()
+});
+
+// Bucket sizes understood by /api/sensors/aggregate, in seconds
+export const AGGREGATION_BUCKETS = {
+  '1m': 60,
+  '5m': 300,
+  '1h': 3600,
+  '1d': 86400
+};
+
+// Bucket size for a graph window so it shows the whole period in a few hundred points
+export const bucketForWindow = (hours) => {
+  if (hours <= 1) return '1m';
+  if (hours <= 24) return '5m';
+  if (hours <= 24 * 30) return '1h';
+  return '1d';
+};
+
+// Turn an aggregation response into the { labels, datasets } shape the graphs
+// use. Values are bucket averages; min, max and counts are kept for tooltips.
+// anomalies holds the number of flagged readings per bucket, where raw
+// history from /api/sensors/historical holds each point's anomaly score.
+// unfilteredUntil is where older rollups that still include anomalies end.
+export const aggregatesToChartData = (result) => {
+  const buckets = result.buckets || [];
+  const datasets = {};
+  const ranges = {};
+  const counts = {};
+  const statuses = {};
+  const anomalies = {};
+  Object.keys(SENSOR_THRESHOLDS).forEach((key) => {
+    datasets[key] = buckets.map((bucket) => bucket.sensors[key]?.avg ?? null);
+    statuses[key] = buckets.map((bucket) => bucket.sensors[key]?.status ?? null);
+    ranges[key] = buckets.map((bucket) => bucket.sensors[key] && { min: bucket.sensors[key].min, max: bucket.sensors[key].max });
+    counts[key] = buckets.map((bucket) => bucket.sensors[key]?.count || 0);
+    anomalies[key] = buckets.map((bucket) => bucket.sensors[key]?.anomalies || 0);
+  });
+  const derived = {};
+  Object.keys(DERIVED_METRICS).forEach((metric) => {
+    derived[metric] = buckets.map((bucket) => bucket.derived?.[metric] ?? null);
+  });
+  return {
+    labels: buckets.map((bucket) => formatChartLabel(new Date(bucket.start))),
+    datasets,
+    statuses,
+    ranges,
+    counts,
+    anomalies,
+    derived,
+    bucketSeconds: result.bucketSeconds,
+    unfilteredUntil: result.unfilteredUntil || null
+  };
+};
+
+const bucketStartFor = (time, bucketSeconds) => {
+  // Daily buckets start at local midnight, like the backend's
+  if (bucketSeconds === AGGREGATION_BUCKETS['1d']) return new Date(time).setHours(0, 0, 0, 0);
+  const bucketMs = bucketSeconds * 1000;
+  return Math.floor(time / bucketMs) * bucketMs;
+};
+
+// Add a live reading to chart data. Raw data gets a new point; aggregated
+// data folds the reading into the latest bucket or starts a new one. Points
+// before windowStart are dropped. A merged bucket's status is worked out
+// again from its average with the given thresholds, and its derived metrics
+// become the running average of the readings' ones. The reading's anomaly
+// scores become the new point's scores, or add to the bucket's anomaly counts.
+export const appendReadingToChartData = (current, timestamp, latest, windowStart, thresholds = SENSOR_THRESHOLDS, readingDerived = {}, readingAnomalies = {}) => {
+  const time = new Date(timestamp).getTime();
+  const bucketSeconds = current.bucketSeconds;
+  const labels = [...(current.labels || [])];
+  const datasets = {};
+  const ranges = {};
+  const counts = {};
+  const statuses = {};
+  const anomalies = {};
+  Object.keys(latest).forEach((key) => {
+    datasets[key] = [...(current.datasets?.[key] || [])];
+    statuses[key] = [...(current.statuses?.[key] || [])];
+    ranges[key] = [...(current.ranges?.[key] || [])];
+    counts[key] = [...(current.counts?.[key] || [])];
+    anomalies[key] = [...(current.anomalies?.[key] || [])];
+  });
+  const derived = {};
+  Object.keys(DERIVED_METRICS).forEach((metric) => {
+    derived[metric] = [...(current.derived?.[metric] || [])];
+  });
+
+  const start = bucketSeconds ? bucketStartFor(time, bucketSeconds) : time;
+  const last = labels.length - 1;
+  if (bucketSeconds && last >= 0 && labels[last].timestamp === start) {
+    const mergedCount = counts.temperature?.[last] || 0;
+    Object.keys(derived).forEach((metric) => {
+      const value = readingDerived[metric];
+      const average = derived[metric][last];
+      if (value === null || value === undefined) return;
+      derived[metric][last] = average === null || average === undefined
+        ? value
+        : Math.round(((average * mergedCount + value) / (mergedCount + 1)) * 100) / 100;
+    });
+    Object.keys(latest).forEach((key) => {
+      const value = Number(latest[key].value) || 0;
+      const count = counts[key][last] || 0;
+      const range = ranges[key][last] || { min: value, max: value };
+      datasets[key][last] = Math.round((((datasets[key][last] || 0) * count + value) / (count + 1)) * 100) / 100;
+      ranges[key][last] = { min: Math.min(range.min, value), max: Math.max(range.max, value) };
+      counts[key][last] = count + 1;
+      statuses[key][last] = getSensorStatus(key, datasets[key][last], thresholds);
+      anomalies[key][last] = (anomalies[key][last] || 0) + (readingAnomalies[key] !== undefined ? 1 : 0);
+    });
+  } else {
+    labels.push(formatChartLabel(new Date(start)));
+    Object.keys(latest).forEach((key) => {
+      const value = Number(latest[key].value) || 0;
+      datasets[key].push(value);
+      statuses[key].push(latest[key].status);
+      ranges[key].push({ min: value, max: value });
+      counts[key].push(1);
+      if (bucketSeconds) {
+        anomalies[key].push(readingAnomalies[key] !== undefined ? 1 : 0);
+      } else {
+        anomalies[key].push(readingAnomalies[key] ?? null);
+      }
+    });
+    Object.keys(derived).forEach((metric) => {
+      derived[metric].push(readingDerived[metric] ?? null);
+    });
+  }
+
+  // Drop points that slid out of the selected window
+  const firstInWindow = labels.findIndex((label) => label.timestamp >= windowStart);
+  const from = firstInWindow === -1 ? labels.length : firstInWindow;
+  Object.keys(datasets).forEach((key) => {
+    datasets[key] = datasets[key].slice(from);
+    ranges[key] = ranges[key].slice(from);
+    counts[key] = counts[key].slice(from);
+    statuses[key] = statuses[key].slice(from);
+    anomalies[key] = anomalies[key].slice(from);
+  });
+  Object.keys(derived).forEach((metric) => {
+    derived[metric] = derived[metric].slice(from);
+  });
+  return { ...current, labels: labels.slice(from), datasets, statuses, ranges, counts, anomalies, derived };
+};
@@ -0,0 +1,138 @@
+import { aggregatesToChartData, appendReadingToChartData } from './utils';
+
+const T0 = Date.UTC(2024, 5, 1, 10, 0, 0);
+const MINUTE = 60000;
+
+const aggregateResult = {
+  bucketSeconds: 300,
+  buckets: [
+    {
+      start: new Date(T0).toISOString(),
+      sensors: {
+        temperature: { avg: 22.5, min: 21, max: 24, count: 4, status: 'medium', anomalies: 1 },
+        soilMoisture: { avg: 150, min: 140, max: 160, count: 4, status: 'low', anomalies: 0 }
+      },
+      derived: { dewPoint: 15.2, vpd: 0.8, heatIndex: null }
+    },
+    {
+      start: new Date(T0 + 5 * MINUTE).toISOString(),
+      sensors: {
+        temperature: { avg: 26, min: 25, max: 27, count: 2, status: 'high' }
+      }
+    }
+  ]
+};
+
+const reading = (temperature, soilMoisture) => ({
+  temperature: { value: temperature, status: 'medium' },
+  soilMoisture: { value: soilMoisture, status: 'medium' }
+});
+
+describe('aggregatesToChartData', () => {
+  test('maps buckets to labels and per-sensor series', () => {
+    const chart = aggregatesToChartData(aggregateResult);
+
+    expect(chart.labels.map((label) => label.timestamp)).toEqual([T0, T0 + 5 * MINUTE]);
+    expect(chart.bucketSeconds).toBe(300);
+    expect(chart.datasets.temperature).toEqual([22.5, 26]);
+    expect(chart.statuses.temperature).toEqual(['medium', 'high']);
+    expect(chart.ranges.temperature).toEqual([{ min: 21, max: 24 }, { min: 25, max: 27 }]);
+    expect(chart.counts.temperature).toEqual([4, 2]);
+    expect(chart.anomalies.temperature).toEqual([1, 0]);
+  });
+
+  test('fills gaps for sensors and derived metrics a bucket lacks', () => {
+    const chart = aggregatesToChartData(aggregateResult);
+
+    expect(chart.datasets.soilMoisture).toEqual([150, null]);
+    expect(chart.statuses.soilMoisture).toEqual(['low', null]);
+    expect(chart.counts.soilMoisture).toEqual([4, 0]);
+    expect(chart.datasets.humidity).toEqual([null, null]);
+    expect(chart.derived.dewPoint).toEqual([15.2, null]);
+    expect(chart.derived.heatIndex).toEqual([null, null]);
+  });
+
+  test('handles a response without buckets', () => {
+    const chart = aggregatesToChartData({ bucketSeconds: 60 });
+
+    expect(chart.labels).toEqual([]);
+    expect(chart.datasets.temperature).toEqual([]);
+  });
+});
+
+describe('appendReadingToChartData', () => {
+  test('adds a point to raw history with its anomaly score', () => {
+    const current = { labels: [], datasets: {}, derived: {} };
+    const chart = appendReadingToChartData(current, T0, reading(23, 300), T0 - MINUTE, undefined, { dewPoint: 14 }, { temperature: 4.2 });
+
+    expect(chart.labels.map((label) => label.timestamp)).toEqual([T0]);
+    expect(chart.datasets.temperature).toEqual([23]);
+    expect(chart.statuses.temperature).toEqual(['medium']);
+    expect(chart.anomalies.temperature).toEqual([4.2]);
+    expect(chart.anomalies.soilMoisture).toEqual([null]);
+    expect(chart.derived.dewPoint).toEqual([14]);
+    expect(chart.derived.vpd).toEqual([null]);
+  });
+
+  test('folds a reading into the latest bucket it falls in', () => {
+    const current = aggregatesToChartData(aggregateResult);
+    const chart = appendReadingToChartData(current, T0 + 7 * MINUTE, reading(29, 500), T0, undefined, { dewPoint: 18 }, { temperature: 5 });
+
+    expect(chart.labels).toHaveLength(2);
+    expect(chart.datasets.temperature[1]).toBe(27);
+    expect(chart.ranges.temperature[1]).toEqual({ min: 25, max: 29 });
+    expect(chart.counts.temperature[1]).toBe(3);
+    expect(chart.anomalies.temperature[1]).toBe(1);
+    expect(chart.anomalies.soilMoisture[1]).toBe(0);
+    expect(chart.datasets.soilMoisture[1]).toBe(500);
+    expect(chart.ranges.soilMoisture[1]).toEqual({ min: 500, max: 500 });
+    expect(chart.derived.dewPoint[1]).toBe(18);
+  });
+
+  test('works out a merged bucket status again from its average and thresholds', () => {
+    const current = aggregatesToChartData(aggregateResult);
+    const thresholds = { temperature: { low: 20, high: 30, inverted: false }, soilMoisture: { low: 200, high: 400, inverted: false } };
+    const chart = appendReadingToChartData(current, T0 + 6 * MINUTE, reading(29, 300), T0, thresholds);
+
+    expect(chart.statuses.temperature[1]).toBe('medium');
+    expect(chart.statuses.soilMoisture[1]).toBe('medium');
+  });
+
+  test('keeps a running average of derived metrics in a bucket', () => {
+    const current = aggregatesToChartData({ ...aggregateResult, buckets: aggregateResult.buckets.slice(0, 1) });
+    const first = appendReadingToChartData(current, T0 + 2 * MINUTE, reading(22.5, 150), T0, undefined, { dewPoint: 20.2 });
+
+    expect(first.derived.dewPoint[0]).toBe(16.2);
+    expect(first.derived.vpd[0]).toBe(0.8);
+  });
+
+  test('starts a new bucket when the reading is past the latest one', () => {
+    const current = aggregatesToChartData(aggregateResult);
+    const chart = appendReadingToChartData(current, T0 + 11 * MINUTE, reading(24, 250), T0, undefined, {}, { soilMoisture: 3.5 });
+
+    expect(chart.labels.map((label) => label.timestamp)).toEqual([T0, T0 + 5 * MINUTE, T0 + 10 * MINUTE]);
+    expect(chart.datasets.temperature[2]).toBe(24);
+    expect(chart.counts.temperature[2]).toBe(1);
+    expect(chart.anomalies.soilMoisture[2]).toBe(1);
+    expect(chart.anomalies.temperature[2]).toBe(0);
+    expect(chart.derived.dewPoint[2]).toBeNull();
+  });
+
+  test('drops points that slid out of the window', () => {
+    const current = aggregatesToChartData(aggregateResult);
+    const chart = appendReadingToChartData(current, T0 + 11 * MINUTE, reading(24, 250), T0 + MINUTE);
+
+    expect(chart.labels.map((label) => label.timestamp)).toEqual([T0 + 5 * MINUTE, T0 + 10 * MINUTE]);
+    expect(chart.datasets.temperature).toEqual([26, 24]);
+    expect(chart.ranges.temperature).toEqual([{ min: 25, max: 27 }, { min: 24, max: 24 }]);
+    expect(chart.derived.dewPoint).toEqual([null, null]);
+  });
+
+  test('does not change the chart data it was given', () => {
+    const current = aggregatesToChartData(aggregateResult);
+    appendReadingToChartData(current, T0 + 7 * MINUTE, reading(29, 500), T0);
+
+    expect(current.datasets.temperature).toEqual([22.5, 26]);
+    expect(current.counts.temperature).toEqual([4, 2]);
+  });
+});